@@ -16,15 +16,36 @@ app.use(express.static("public"));
 app.use(cookieParser());
 
 import healthcheckRouter from "./routes/healthcheck.routes.js";
+import authRouter from "./routes/auth.routes.js";
 import userRouter from "./routes/user.routes.js";
 import guardRouter from "./routes/guard.routes.js";
 import adminRouter from "./routes/admin.routes.js";
 import locationRouter from "./routes/location.routes.js";
 import livelocrouter from "./routes/liveloc.routes.js";
+import rosterRouter from "./routes/roster.routes.js";
+import fileRouter from "./routes/file.routes.js";
+import incidentRouter from "./routes/incident.routes.js";
+import alertRouter from "./routes/alert.routes.js";
+import patrolRouter from "./routes/patrol.routes.js";
+import siteRouter from "./routes/site.routes.js";
+import clientRouter from "./routes/client.routes.js";
+import organizationRouter from "./routes/organization.routes.js";
 app.use("/api/v1/healthcheck", healthcheckRouter);
+app.use("/api/v1/auth", authRouter);
 app.use("/api/v1/user", userRouter);
 app.use("/api/v1/guard", guardRouter);
 app.use("/api/v1/admin", adminRouter);
 app.use("/api/v1/location", locationRouter);
 app.use("/api/v1/liveloc", livelocrouter);
+app.use("/api/v1/roster", rosterRouter);
+app.use("/api/v1/files", fileRouter);
+app.use("/api/v1/incident", incidentRouter);
+app.use("/api/v1/alert", alertRouter);
+app.use("/api/v1/patrol", patrolRouter);
+app.use("/api/v1/site", siteRouter);
+app.use("/api/v1/client", clientRouter);
+app.use("/api/v1/organization", organizationRouter);
+
+import { errorHandler } from "./middleware/error.middleware.js";
+app.use(errorHandler);
 export { app };
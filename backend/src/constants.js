@@ -1 +1,217 @@
-export const DB_NAME = "OJASSHACKATHON"
\ No newline at end of file
+export const DB_NAME = "OJASSHACKATHON"
+
+// Radius of the circular zone around an assigned post, in metres
+export const GEOFENCE_RADIUS = 65;
+
+// Extra distance a guard must go past the boundary before an exit is recorded,
+// so GPS jitter at the boundary does not produce a stream of enter/exit pairs
+export const GEOFENCE_EXIT_MARGIN = 15;
+
+// Kinds of account that can hold a token, stamped into every JWT
+export const PRINCIPALS = {
+  USER: "user",
+  GUARD: "guard",
+};
+
+// Account roles, lowest privilege first. Guards are a separate principal.
+export const ROLES = {
+  USER: "user",
+  SUPERVISOR: "supervisor",
+  ADMIN: "admin",
+  GUARD: "guard",
+  // A customer's account, limited to the client portal
+  CLIENT: "client",
+};
+
+// Roles allowed to run day-to-day operations (assignments, live map, history)
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.SUPERVISOR];
+
+// Longest window a roster can be expanded over in one request
+export const MAX_ROSTER_RANGE_DAYS = 62;
+
+// Minimum gap a guard gets between two shifts, in hours
+export const MIN_REST_HOURS =
+  process.env.MIN_REST_HOURS !== undefined
+    ? Number(process.env.MIN_REST_HOURS)
+    : 8;
+
+// Lifecycle of an assignment: scheduled -> active -> completed, or
+// scheduled -> missed when the guard never turns up. Cancelled shifts were
+// unassigned by staff. Only open shifts count as current work.
+export const SHIFT_STATUS = {
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  MISSED: "missed",
+  CANCELLED: "cancelled",
+};
+export const OPEN_SHIFT_STATUSES = [
+  SHIFT_STATUS.SCHEDULED,
+  SHIFT_STATUS.ACTIVE,
+];
+
+// How often the shift lifecycle job runs
+export const SHIFT_JOB_INTERVAL_MS = 60 * 1000;
+
+// Check-in opens this many minutes before a shift starts and check-out closes
+// this long after it ends. Arriving or leaving within it is not counted as
+// late or early.
+export const ATTENDANCE_GRACE_MINUTES =
+  Number(process.env.ATTENDANCE_GRACE_MINUTES) || 15;
+
+// Closed shifts within this many days count towards a guard's attendance rate
+export const PERFORMANCE_WINDOW_DAYS = 90;
+
+// How often attendance rates are recomputed
+export const ATTENDANCE_RATE_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// Complaint triage: open -> investigating -> resolved/dismissed. A closed
+// complaint can be reopened if new information turns up.
+export const COMPLAINT_STATUS = {
+  OPEN: "open",
+  INVESTIGATING: "investigating",
+  RESOLVED: "resolved",
+  DISMISSED: "dismissed",
+};
+export const COMPLAINT_TRANSITIONS = {
+  [COMPLAINT_STATUS.OPEN]: [
+    COMPLAINT_STATUS.INVESTIGATING,
+    COMPLAINT_STATUS.RESOLVED,
+    COMPLAINT_STATUS.DISMISSED,
+  ],
+  [COMPLAINT_STATUS.INVESTIGATING]: [
+    COMPLAINT_STATUS.RESOLVED,
+    COMPLAINT_STATUS.DISMISSED,
+  ],
+  [COMPLAINT_STATUS.RESOLVED]: [COMPLAINT_STATUS.OPEN],
+  [COMPLAINT_STATUS.DISMISSED]: [COMPLAINT_STATUS.OPEN],
+};
+export const COMPLAINT_CATEGORIES = [
+  "conduct",
+  "absence",
+  "negligence",
+  "safety",
+  "other",
+];
+// Highest first, the order the triage queue is sorted in
+export const COMPLAINT_SEVERITIES = ["high", "medium", "low"];
+
+// Evidence files a complaint can carry, and the kinds of media accepted
+export const MAX_ATTACHMENTS = 5;
+export const ATTACHMENT_TYPES = ["image", "video", "audio"];
+
+// How long signed links to private files stay valid, in seconds
+export const STORAGE_URL_TTL_SECONDS =
+  Number(process.env.STORAGE_URL_TTL_SECONDS) || 15 * 60;
+
+// Incidents guards report from their post. Staff acknowledge an open
+// incident when they take it on and close it once it is dealt with.
+export const INCIDENT_TYPES = [
+  "intrusion",
+  "fire",
+  "medical",
+  "property-damage",
+  "other",
+];
+// Highest first, the order the incident feed is sorted in
+export const INCIDENT_SEVERITIES = ["critical", "high", "medium", "low"];
+export const INCIDENT_STATUS = {
+  OPEN: "open",
+  ACKNOWLEDGED: "acknowledged",
+  CLOSED: "closed",
+};
+
+// Alerts that need a human right away. Every online admin and supervisor
+// sees them at once; until one is acknowledged it escalates along the chain.
+export const ALERT_KINDS = {
+  SOS: "sos",
+  SIGNAL_LOST: "signal-lost",
+  NO_MOVEMENT: "no-movement",
+};
+
+// Raised and cleared by the inactivity watchdog rather than by people
+export const WATCHDOG_ALERT_KINDS = [
+  ALERT_KINDS.SIGNAL_LOST,
+  ALERT_KINDS.NO_MOVEMENT,
+];
+
+export const ALERT_STATUS = {
+  OPEN: "open",
+  ACKNOWLEDGED: "acknowledged",
+  RESOLVED: "resolved",
+};
+
+// Who is answerable for an unacknowledged alert, one tier per timeout. A
+// tier is a role, whose online members are notified, or an http(s) URL that
+// receives the alert as a JSON POST (e.g. an SMS or paging gateway).
+export const ALERT_ESCALATION_CHAIN = (
+  process.env.ALERT_ESCALATION_CHAIN || `${ROLES.SUPERVISOR},${ROLES.ADMIN}`
+)
+  .split(",")
+  .map((tier) => tier.trim())
+  .filter(Boolean);
+
+// Seconds an alert may stay unacknowledged before moving to the next tier
+export const ALERT_ESCALATION_TIMEOUT_SECONDS =
+  Number(process.env.ALERT_ESCALATION_TIMEOUT_SECONDS) || 120;
+
+// How often the escalation job looks for overdue alerts
+export const ALERT_JOB_INTERVAL_MS = 15 * 1000;
+
+// Guard tours: each checkpoint on a patrol route is due a set interval after
+// the previous one was visited (or missed). A scan within the tolerance is
+// on time, a later one is late, and the patrol job flags a checkpoint as
+// missed once its tolerance has run out.
+export const PATROL_VISIT_STATUS = {
+  ON_TIME: "on-time",
+  LATE: "late",
+  OUT_OF_ORDER: "out-of-order",
+  MISSED: "missed",
+};
+
+// How far from a checkpoint, in metres, the guard may be when scanning it
+export const CHECKPOINT_RADIUS = 30;
+
+// Default minutes a checkpoint may be overdue before it is flagged
+export const PATROL_TOLERANCE_MINUTES = 5;
+
+// How often the patrol job looks for missed checkpoints
+export const PATROL_JOB_INTERVAL_MS = 60 * 1000;
+
+// Inactivity watchdog, for guards on an active shift: minutes without any
+// position ping before "signal lost", and minutes pinging the exact same
+// position before "no movement"
+export const WATCHDOG_SIGNAL_LOST_MINUTES =
+  Number(process.env.WATCHDOG_SIGNAL_LOST_MINUTES) || 5;
+export const WATCHDOG_NO_MOVEMENT_MINUTES =
+  Number(process.env.WATCHDOG_NO_MOVEMENT_MINUTES) || 20;
+
+// How often the watchdog checks the guards on duty
+export const WATCHDOG_JOB_INTERVAL_MS = 30 * 1000;
+
+// Breadcrumb samples older than this many days are dropped by MongoDB
+export const POSITION_RETENTION_DAYS =
+  Number(process.env.POSITION_RETENTION_DAYS) || 30;
+
+// Offline position uploads: most positions accepted in one batch (a full
+// batch of full-precision positions is about 16kb, under the 20kb JSON body
+// limit), and how far ahead of the server clock a device timestamp may run
+export const POSITION_BATCH_LIMIT = 150;
+export const POSITION_CLOCK_SKEW_MS = 60 * 1000;
+
+// Geocoding: answers are cached for this many days, and at most this many
+// ranked candidates are returned per query
+export const GEOCODER_CACHE_TTL_DAYS = 30;
+export const GEOCODER_MAX_CANDIDATES = 5;
+// Outbound geocoding requests give up after this long
+export const GEOCODER_TIMEOUT_MS = 5000;
+// Reverse geocoding names a position after a gazetteer site this close to it,
+// in metres
+export const GEOCODER_SITE_RADIUS = 250;
+
+// Organization accounts register into when they name none, and that records
+// from before organizations existed are moved into
+export const DEFAULT_ORGANIZATION_SLUG =
+  process.env.DEFAULT_ORGANIZATION_SLUG || "default";
+export const DEFAULT_ORGANIZATION_NAME =
+  process.env.DEFAULT_ORGANIZATION_NAME || "Default";
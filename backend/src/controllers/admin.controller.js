@@ -2,26 +2,26 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { Guard } from "../models/guard.model.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
 import { Complain } from "../models/complain.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { readQueryChoices } from "../utils/queryList.js";
+import { purgeComplaints } from "../services/complaint.service.js";
+import { withFileUrls } from "../services/attachment.service.js";
+import { findClient } from "../services/client.service.js";
 import jwt from "jsonwebtoken";
 import fs from "fs";
 import mongoose from "mongoose";
+import {
+  COMPLAINT_SEVERITIES,
+  COMPLAINT_STATUS,
+  COMPLAINT_TRANSITIONS,
+  ROLES,
+} from "../constants.js";
 
-const authoriseGuard = asyncHandler(async (req, res) => {
-  if (!req?.user?._id) {
-    throw new ApiError(400, "Your ID is missing");
-  }
-
-  const user = await User.findById(req.user._id);
-  if (!user) {
-    throw new ApiError(400, "User not found");
-  }
-  if (user.role.toLowerCase() !== "admin") {
-    throw new ApiError(403, "You are not authorized to perform this action");
-  }
+// Roles an admin can hand out to user accounts
+const USER_ROLES = [ROLES.USER, ROLES.SUPERVISOR, ROLES.ADMIN, ROLES.CLIENT];
 
+const authoriseGuard = asyncHandler(async (req, res) => {
   const { guardId } = req.params;
   if (!guardId) throw new ApiError(400, "Guard ID is missing");
 
@@ -45,18 +45,6 @@ const authoriseGuard = asyncHandler(async (req, res) => {
 });
 
 const rejectGuard = asyncHandler(async (req, res) => {
-  if (!req?.user?._id) {
-    throw new ApiError(400, "Your ID is missing");
-  }
-
-  const user = await User.findById(req.user._id);
-  if (!user) {
-    throw new ApiError(400, "User not found");
-  }
-  if (user.role.toLowerCase() !== "admin") {
-    throw new ApiError(403, "You are not authorized to perform this action");
-  }
-
   const { guardId } = req.params;
   if (!guardId) throw new ApiError(400, "Guard ID is missing");
 
@@ -69,7 +57,7 @@ const rejectGuard = asyncHandler(async (req, res) => {
   }
 
   // Find and delete complaints related to this guard
-  const deletedComplaints = await Complain.deleteMany({ guard: guardId });
+  const deletedComplaints = await purgeComplaints({ guard: guardId });
 
   res
     .status(200)
@@ -110,7 +98,10 @@ const listComplain = asyncHandler(async (req, res) => {
 
   const data = await Complain.find({
     guard: new mongoose.Types.ObjectId(guardId),
-  });
+  })
+    .populate("reporter", "fullName email")
+    .populate("notes.author", "fullName")
+    .sort({ createdAt: -1 });
 
   if (!data.length) {
     return res
@@ -118,7 +109,206 @@ const listComplain = asyncHandler(async (req, res) => {
       .json(new ApiResponse(200, [], "No complaints found"));
   }
 
-  return res.status(200).json(new ApiResponse(200, data, "Found complaints"));
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Promise.all(data.map(withFileUrls)),
+        "Found complaints"
+      )
+    );
+});
+
+const CLOSED_COMPLAINT_STATUSES = [
+  COMPLAINT_STATUS.RESOLVED,
+  COMPLAINT_STATUS.DISMISSED,
+];
+
+/**
+ * Triage queue: complaints filtered by ?status (default: everything not yet
+ * closed) and optionally ?guard, most severe first, then oldest first
+ */
+const listComplaints = asyncHandler(async (req, res) => {
+  const { guard } = req.query;
+  const statuses = readQueryChoices(
+    req.query.status,
+    Object.values(COMPLAINT_STATUS)
+  );
+  const filter = {
+    status: statuses.length
+      ? { $in: statuses }
+      : { $nin: CLOSED_COMPLAINT_STATUSES },
+  };
+  if (guard) {
+    if (!mongoose.Types.ObjectId.isValid(guard)) {
+      throw new ApiError(400, "Invalid Guard ID");
+    }
+    filter.guard = guard;
+  }
+
+  const complaints = await Complain.find(filter)
+    .populate("guard", "fullName userName isApproved")
+    .populate("reporter", "fullName email")
+    .populate("notes.author", "fullName")
+    .sort({ createdAt: 1 });
+
+  // Stable sort keeps the oldest first within a severity
+  complaints.sort(
+    (a, b) =>
+      COMPLAINT_SEVERITIES.indexOf(a.severity) -
+      COMPLAINT_SEVERITIES.indexOf(b.severity)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Promise.all(complaints.map(withFileUrls)),
+        "Complaints retrieved"
+      )
+    );
+});
+
+const findComplaint = async (complaintId) => {
+  if (!mongoose.Types.ObjectId.isValid(complaintId)) {
+    throw new ApiError(400, "Invalid Complaint ID");
+  }
+  const complaint = await Complain.findById(complaintId);
+  if (!complaint) throw new ApiError(404, "Complaint not found");
+  return complaint;
+};
+
+/**
+ * Moves a complaint along its lifecycle and/or adds a note to it.
+ * Body: { status?, note? }
+ */
+const updateComplaint = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  if (!status && !note?.trim()) {
+    throw new ApiError(400, "A status or a note is required");
+  }
+
+  const complaint = await findComplaint(req.params.complaintId);
+  const current = complaint.status || COMPLAINT_STATUS.OPEN;
+
+  if (status && status !== current) {
+    if (!COMPLAINT_TRANSITIONS[current]?.includes(status)) {
+      throw new ApiError(
+        409,
+        `A ${current} complaint cannot be moved to ${status}`
+      );
+    }
+    complaint.status = status;
+    complaint.resolvedAt = CLOSED_COMPLAINT_STATUSES.includes(status)
+      ? new Date()
+      : undefined;
+  }
+
+  complaint.notes.push({
+    author: req.user._id,
+    note: note?.trim(),
+    status: status && status !== current ? status : undefined,
+  });
+  await complaint.save();
+  await complaint.populate("notes.author", "fullName");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, await withFileUrls(complaint), "Complaint updated")
+    );
+});
+
+/**
+ * Suspends the guard a complaint is about by withdrawing their approval.
+ * Reinstating them goes through the usual authorise endpoint.
+ */
+const suspendGuardForComplaint = asyncHandler(async (req, res) => {
+  const complaint = await findComplaint(req.params.complaintId);
+
+  const guard = await Guard.findById(complaint.guard);
+  if (!guard) throw new ApiError(404, "Guard not found");
+
+  guard.isApproved = false;
+  await guard.save();
+
+  complaint.guardSuspended = true;
+  complaint.notes.push({
+    author: req.user._id,
+    note: req.body.note?.trim() || "Guard suspended",
+  });
+  await complaint.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, await withFileUrls(complaint), "Guard suspended")
+    );
+});
+
+// Deletes a complaint for good, along with its stored evidence
+const purgeComplaint = asyncHandler(async (req, res) => {
+  const complaint = await findComplaint(req.params.complaintId);
+  await purgeComplaints({ _id: complaint._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { _id: complaint._id }, "Complaint purged"));
+});
+
+const listUsers = asyncHandler(async (req, res) => {
+  const users = await User.find({})
+    .select("-password -refreshToken")
+    .populate("client", "name");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users retrieved successfully"));
+});
+
+// Body: { role, client } — the client ID is required for the client role
+// and dropped for any other
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role, client } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiError(400, "Invalid User ID");
+  }
+  if (!USER_ROLES.includes(role?.toLowerCase())) {
+    throw new ApiError(400, `Role must be one of ${USER_ROLES.join(", ")}`);
+  }
+  if (userId === req.user._id.toString()) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  const update = { role: role.toLowerCase(), client: null };
+  if (update.role === ROLES.CLIENT) {
+    if (!client) throw new ApiError(400, "A client is required for this role");
+    update.client = (await findClient(client))._id;
+  }
+
+  const user = await User.findByIdAndUpdate(userId, update, { new: true })
+    .select("-password -refreshToken")
+    .populate("client", "name");
+  if (!user) throw new ApiError(404, "User not found");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
 });
 
-export { authoriseGuard, listUnauthorisedGuards, rejectGuard, listComplain };
+export {
+  authoriseGuard,
+  listUnauthorisedGuards,
+  rejectGuard,
+  listComplain,
+  listComplaints,
+  updateComplaint,
+  suspendGuardForComplaint,
+  purgeComplaint,
+  listUsers,
+  updateUserRole,
+};
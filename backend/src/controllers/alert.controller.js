@@ -0,0 +1,62 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ALERT_STATUS } from "../constants.js";
+import {
+  acknowledgeAlert,
+  listAlerts,
+  raiseSos,
+  resolveAlert,
+} from "../services/alert.service.js";
+import { recordLivePosition } from "../services/liveloc.service.js";
+import { readQueryChoices } from "../utils/queryList.js";
+
+const ACTIVE_ALERT_STATUSES = [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED];
+
+/**
+ * Body: the guard's current { latitude, longitude }, if they have a fix. It
+ * is recorded as their live position; when it is missing or unusable the
+ * alert carries the last known one, so the SOS never fails on a bad fix.
+ */
+const raiseSosAlert = asyncHandler(async (req, res) => {
+  await recordLivePosition(req.user._id, req.body || {}).catch(() => null);
+  const alert = await raiseSos(req.user._id);
+
+  res.status(201).json(new ApiResponse(201, alert, "SOS sent"));
+});
+
+// The guard's alerts that are still being handled
+const getMyAlerts = asyncHandler(async (req, res) => {
+  const alerts = await listAlerts({
+    guard: req.user._id,
+    status: { $in: ACTIVE_ALERT_STATUSES },
+  });
+
+  res.status(200).json(new ApiResponse(200, alerts, "Alerts retrieved"));
+});
+
+// ?status is a comma separated list, open and acknowledged by default
+const getAlerts = asyncHandler(async (req, res) => {
+  const statuses = readQueryChoices(
+    req.query.status,
+    Object.values(ALERT_STATUS)
+  );
+  const alerts = await listAlerts({
+    status: { $in: statuses.length ? statuses : ACTIVE_ALERT_STATUSES },
+  });
+
+  res.status(200).json(new ApiResponse(200, alerts, "Alerts retrieved"));
+});
+
+const acknowledge = asyncHandler(async (req, res) => {
+  const alert = await acknowledgeAlert(req.params.alertId, req.user._id);
+
+  res.status(200).json(new ApiResponse(200, alert, "Alert acknowledged"));
+});
+
+const resolve = asyncHandler(async (req, res) => {
+  const alert = await resolveAlert(req.params.alertId, req.user._id);
+
+  res.status(200).json(new ApiResponse(200, alert, "Alert resolved"));
+});
+
+export { raiseSosAlert, getMyAlerts, getAlerts, acknowledge, resolve };
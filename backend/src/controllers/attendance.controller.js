@@ -0,0 +1,59 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import mongoose from "mongoose";
+import {
+  checkIn,
+  checkOut,
+  getAttendanceReport,
+  readReportRange,
+} from "../services/attendance.service.js";
+import { AttendanceRate } from "../models/attendanceRate.model.js";
+
+const checkInShift = asyncHandler(async (req, res) => {
+  const entry = await checkIn(req.user._id, req.params.assignmentId, req.body);
+
+  res.status(201).json(new ApiResponse(201, entry, "Checked in"));
+});
+
+const checkOutShift = asyncHandler(async (req, res) => {
+  const entry = await checkOut(req.user._id, req.params.assignmentId, req.body);
+
+  res.status(201).json(new ApiResponse(201, entry, "Checked out"));
+});
+
+const getMyAttendance = asyncHandler(async (req, res) => {
+  const { from, to } = readReportRange(req.query);
+  const report = await getAttendanceReport(req.user._id, from, to);
+
+  res.status(200).json(new ApiResponse(200, report, "Attendance retrieved"));
+});
+
+const getGuardAttendance = asyncHandler(async (req, res) => {
+  const { guardId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(guardId)) {
+    throw new ApiError(400, "Invalid Guard ID");
+  }
+
+  const { from, to } = readReportRange(req.query);
+  const report = await getAttendanceReport(guardId, from, to);
+
+  res.status(200).json(new ApiResponse(200, report, "Attendance retrieved"));
+});
+
+// Figures kept up to date by the attendance rate job; null before its first run
+const getMyPerformance = asyncHandler(async (req, res) => {
+  const performance = await AttendanceRate.findOne({ guard: req.user._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, performance, "Performance retrieved"));
+});
+
+export {
+  checkInShift,
+  checkOutShift,
+  getMyAttendance,
+  getGuardAttendance,
+  getMyPerformance,
+};
@@ -0,0 +1,123 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import jwt from "jsonwebtoken";
+import {
+  accountModelFor,
+  cookieOptions,
+  findAccountByCredentials,
+  issueTokens,
+  refreshCookieOptions,
+} from "../services/account.service.js";
+
+const sanitise = (account) => {
+  const data = account.toObject();
+  delete data.password;
+  delete data.refreshToken;
+  return { ...data, principal: account.principal };
+};
+
+/**
+ * Logs in a user or a guard with username/email and password
+ */
+const login = asyncHandler(async (req, res) => {
+  const { email, password, userName, principal } = req.body;
+
+  const account = await findAccountByCredentials({
+    userName,
+    email,
+    password,
+    principal,
+  });
+
+  const { accessToken, refreshToken } = await issueTokens(account);
+
+  res.cookie("refreshToken", refreshToken, refreshCookieOptions);
+  res.cookie("accessToken", accessToken, cookieOptions);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { account: sanitise(account), accessToken, refreshToken },
+        "Login successful"
+      )
+    );
+});
+
+/**
+ * Logs out the current account
+ */
+const logout = asyncHandler(async (req, res) => {
+  await req.user.constructor.findByIdAndUpdate(req.user._id, {
+    $unset: { refreshToken: 1 },
+  });
+
+  res.clearCookie("accessToken", cookieOptions);
+  res.clearCookie("refreshToken", cookieOptions);
+
+  res.status(200).json(new ApiResponse(200, {}, "Logged out"));
+});
+
+/**
+ * Generates a new access token using the refresh token
+ */
+const refreshTokens = asyncHandler(async (req, res) => {
+  const incomingRefreshToken =
+    req.cookies?.refreshToken || req.body.refreshToken;
+  if (!incomingRefreshToken) throw new ApiError(401, "Unauthorized request");
+
+  try {
+    const decoded = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+    const account = await accountModelFor(decoded.principal)
+      .findById(decoded._id)
+      .select("+refreshToken");
+
+    if (!account || incomingRefreshToken !== account.refreshToken) {
+      throw new ApiError(403, "Invalid or expired refresh token");
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(account);
+
+    res.cookie("refreshToken", refreshToken, refreshCookieOptions);
+    res.cookie("accessToken", accessToken, cookieOptions);
+
+    res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { accessToken, refreshToken },
+          "Access token refreshed successfully"
+        )
+      );
+  } catch (error) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+});
+
+const getCurrentAccount = asyncHandler(async (req, res) => {
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        sanitise(req.user),
+        "Current account retrieved successfully"
+      )
+    );
+});
+
+const checkRefreshToken = asyncHandler(async (req, res) => {
+  const incomingRefreshToken =
+    req.cookies?.refreshToken || req.body.refreshToken;
+  res
+    .status(incomingRefreshToken ? 200 : 401)
+    .json({ status: incomingRefreshToken ? 200 : 401 });
+});
+
+export { login, logout, refreshTokens, getCurrentAccount, checkRefreshToken };
@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { readQueryChoices } from "../utils/queryList.js";
+import { Client } from "../models/client.model.js";
+import { Site } from "../models/site.model.js";
+import { User } from "../models/user.model.js";
+import { Location } from "../models/locations.model.js";
+import { LiveGuard } from "../models/liveGuard.model.js";
+import { Incident } from "../models/incident.model.js";
+import { listSitePosts } from "../services/site.service.js";
+import { withFileUrls } from "../services/attachment.service.js";
+import {
+  readReportRange,
+  summariseAttendance,
+} from "../services/attendance.service.js";
+import { clientPostIds, findClient } from "../services/client.service.js";
+import { INCIDENT_STATUS, SHIFT_STATUS } from "../constants.js";
+
+const CLIENT_FIELDS = ["name", "contact"];
+
+const pick = (body) => {
+  const data = {};
+  for (const field of CLIENT_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const rejectInvalid = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    throw new ApiError(400, error.message);
+  }
+  if (error.code === 11000) {
+    throw new ApiError(409, "This name is already taken");
+  }
+  throw error;
+};
+
+// The client a portal user acts for; accounts given the role without one
+// see nothing
+const portalClientId = (req) => {
+  if (!req.user.client) {
+    throw new ApiError(403, "Your account is not linked to a client yet");
+  }
+  return req.user.client;
+};
+
+// Every client with the names of its sites
+const listClients = asyncHandler(async (req, res) => {
+  const clients = await Client.find({}).sort({ name: 1 }).lean();
+  const sites = await Site.find({ client: { $ne: null } })
+    .select("name client")
+    .sort({ name: 1 })
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      clients.map((client) => ({
+        ...client,
+        sites: sites.filter((site) => site.client.equals(client._id)),
+      })),
+      "Clients retrieved"
+    )
+  );
+});
+
+// Body: name and optional contact { name, phone, email }
+const createClient = asyncHandler(async (req, res) => {
+  const client = await Client.create({
+    ...pick(req.body),
+    createdBy: req.user._id,
+  }).catch(rejectInvalid);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, client, "Client created successfully"));
+});
+
+const updateClient = asyncHandler(async (req, res) => {
+  const client = await findClient(req.params.clientId);
+  client.set(pick(req.body));
+  await client.save().catch(rejectInvalid);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, client, "Client updated successfully"));
+});
+
+// Only once no site or user account points at it any more
+const deleteClient = asyncHandler(async (req, res) => {
+  const client = await findClient(req.params.clientId);
+
+  const sites = await Site.countDocuments({ client: client._id });
+  const users = await User.countDocuments({ client: client._id });
+  if (sites || users) {
+    throw new ApiError(
+      409,
+      `This client still has ${sites} site(s) and ${users} user account(s)`
+    );
+  }
+  await client.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, client, "Client deleted successfully"));
+});
+
+// The client's sites with their posts and who covers each of them right now
+const getPortalSites = asyncHandler(async (req, res) => {
+  const sites = await Site.find({ client: portalClientId(req) })
+    .select("-createdBy")
+    .sort({ name: 1 })
+    .lean();
+  const posts = await listSitePosts(sites.map((site) => site._id));
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      sites.map((site) => ({ ...site, posts: posts.get(site._id.toString()) })),
+      "Sites retrieved"
+    )
+  );
+});
+
+/**
+ * Latest positions of the guards checked in at the client's posts. Guards
+ * off duty, or on duty elsewhere, are left out.
+ */
+const getPortalLivePositions = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const shifts = await Location.find({
+    post: { $in: await clientPostIds(portalClientId(req)) },
+    status: SHIFT_STATUS.ACTIVE,
+    from: { $lte: now },
+    to: { $gt: now },
+  })
+    .select("guard post siteLabel from to")
+    .populate("guard", "fullName")
+    .lean()
+    .then((found) => found.filter((shift) => shift.guard));
+
+  const positions = await LiveGuard.find({
+    guard: { $in: shifts.map((shift) => shift.guard._id) },
+  }).lean();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      shifts.map((shift) => {
+        const live = positions.find((position) =>
+          position.guard.equals(shift.guard._id)
+        );
+        return {
+          ...shift,
+          latitude: live?.latitude ?? null,
+          longitude: live?.longitude ?? null,
+          lastSeenAt: live?.lastSeenAt ?? null,
+        };
+      }),
+      "Live positions retrieved"
+    )
+  );
+});
+
+/**
+ * Incidents reported on shifts at the client's posts, newest first. ?status
+ * is a comma separated list (default: all).
+ */
+const getPortalIncidents = asyncHandler(async (req, res) => {
+  const shiftIds = await Location.find({
+    post: { $in: await clientPostIds(portalClientId(req)) },
+  }).distinct("_id");
+
+  const filter = { assignment: { $in: shiftIds } };
+  const statuses = readQueryChoices(
+    req.query.status,
+    Object.values(INCIDENT_STATUS)
+  );
+  if (statuses.length) filter.status = { $in: statuses };
+
+  const incidents = await Incident.find(filter)
+    .select("-acknowledgedBy -closedBy")
+    .populate("guard", "fullName")
+    .populate("assignment", "address siteLabel")
+    .sort({ occurredAt: -1 })
+    .limit(200);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Promise.all(incidents.map(withFileUrls)),
+        "Incidents retrieved"
+      )
+    );
+});
+
+// Per-shift attendance at the client's posts; ?from&to default to the last
+// 30 days
+const getPortalAttendance = asyncHandler(async (req, res) => {
+  const { from, to } = readReportRange(req.query);
+  const report = await summariseAttendance(
+    { post: { $in: await clientPostIds(portalClientId(req)) } },
+    from,
+    to
+  );
+
+  res.status(200).json(new ApiResponse(200, report, "Attendance retrieved"));
+});
+
+export {
+  listClients,
+  createClient,
+  updateClient,
+  deleteClient,
+  getPortalSites,
+  getPortalLivePositions,
+  getPortalIncidents,
+  getPortalAttendance,
+};
@@ -0,0 +1,25 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { resolveSignedKey } from "../utils/storage/local.driver.js";
+
+/**
+ * Serves a private file kept by the local storage driver. The signed query
+ * string is the credential, so links work in <img>/<video> tags.
+ */
+const serveSignedFile = asyncHandler(async (req, res) => {
+  const filePath = resolveSignedKey(req.query);
+  if (!filePath) throw new ApiError(403, "Link is invalid or has expired");
+
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        statusCode: 404,
+        data: null,
+        message: "File not found",
+        success: false,
+      });
+    }
+  });
+});
+
+export { serveSignedFile };
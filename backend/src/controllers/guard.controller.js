@@ -2,23 +2,13 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { Guard } from "../models/guard.model.js";
 import { Location } from "../models/locations.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { storeFile } from "../utils/storage/index.js";
+import { findOrganizationBySlug } from "../services/organization.service.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import jwt from "jsonwebtoken";
 import fs from "fs";
-
-const generateAccessAndRefreshTokens = async (guardId) => {
-  const guard = await Guard.findById(guardId);
-  if (!guard) throw new ApiError(404, "Guard not found");
-
-  const accessToken = guard.generateAccessToken();
-  const refreshToken = guard.generateRefreshToken();
-
-  guard.refreshToken = refreshToken;
-  await guard.save({ validateBeforeSave: false });
-
-  return { accessToken, refreshToken };
-};
+import { OPEN_SHIFT_STATUSES, ROLES, SHIFT_STATUS } from "../constants.js";
+import { servedGuardIds } from "../services/client.service.js";
+import { readReportRange } from "../services/attendance.service.js";
 
 const registerGuard = asyncHandler(async (req, res) => {
   const {
@@ -47,11 +37,14 @@ const registerGuard = asyncHandler(async (req, res) => {
   const existingGuard = await Guard.findOne({ $or: [{ userName }, { email }] });
   if (existingGuard) throw new ApiError(409, "Guard already exists");
 
+  // Accounts join the agency named by its slug, or the default one
+  const organization = await findOrganizationBySlug(req.body.organization);
+
   // Handle avatar upload
-  const avatarLocalPath = req.files?.avatar?.[0]?.path;
-  if (!avatarLocalPath) throw new ApiError(400, "Avatar image is required");
+  const avatarFile = req.files?.avatar?.[0];
+  if (!avatarFile) throw new ApiError(400, "Avatar image is required");
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await storeFile(avatarFile, { folder: "avatars" });
   if (!avatar) throw new ApiError(500, "Failed to upload avatar");
 
   // Validate workHistory
@@ -74,6 +67,7 @@ const registerGuard = asyncHandler(async (req, res) => {
     email,
     password,
     avatar: avatar.url,
+    organization: organization._id,
     residence,
     description,
     age,
@@ -90,109 +84,6 @@ const registerGuard = asyncHandler(async (req, res) => {
     .json(new ApiResponse(201, createdGuard, "Guard registered successfully"));
 });
 
-const loginGuard = asyncHandler(async (req, res) => {
-  const { email, password, userName } = req.body;
-
-  if (!email && !userName)
-    throw new ApiError(400, "Provide either username or email");
-
-  const guard = await Guard.findOne({ $or: [{ userName }, { email }] }).select(
-    "+password +refreshToken"
-  );
-  if (!guard) throw new ApiError(404, "Guard not found");
-
-  const isMatch = await guard.isPasswordCorrect(password);
-  if (!isMatch) throw new ApiError(401, "Invalid credentials");
-
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    guard._id
-  );
-
-  res.cookie("refreshToken", refreshToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-    maxAge: 230 * 24 * 60 * 60 * 1000,
-  });
-  res.cookie("accessToken", accessToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-
-  res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { guard, accessToken, refreshToken },
-        "Login successful"
-      )
-    );
-});
-
-const logoutGuard = asyncHandler(async (req, res) => {
-  console.log(req.user);
-  await Guard.findByIdAndUpdate(req.user._id, { $unset: { refreshToken: 1 } });
-  res.clearCookie("accessToken", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-  res.clearCookie("refreshToken", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-  res.status(200).json(new ApiResponse(200, {}, "Guard logged out"));
-});
-
-const getAccessToken = asyncHandler(async (req, res) => {
-  const incomingRefreshToken =
-    req.cookies?.refreshToken || req.body.refreshToken;
-  if (!incomingRefreshToken) throw new ApiError(401, "Unauthorized request");
-
-  try {
-    const decoded = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
-    );
-    const guard = await Guard.findById(decoded._id).select("+refreshToken");
-
-    if (!guard || incomingRefreshToken !== guard.refreshToken) {
-      throw new ApiError(403, "Invalid or expired refresh token");
-    }
-
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-      guard._id
-    );
-
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "None",
-      maxAge: 230 * 24 * 60 * 60 * 1000,
-    });
-    res.cookie("accessToken", accessToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "None",
-    });
-
-    res
-      .status(200)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken },
-          "Access token refreshed successfully"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(401, "Invalid refresh token");
-  }
-});
-
 const getCurrentGuard = asyncHandler(async (req, res) => {
   res
     .status(200)
@@ -201,14 +92,6 @@ const getCurrentGuard = asyncHandler(async (req, res) => {
     );
 });
 
-const checkRefreshToken = asyncHandler(async (req, res) => {
-  const incomingRefreshToken =
-    req.cookies?.refreshToken || req.body.refreshToken;
-  res
-    .status(incomingRefreshToken ? 200 : 401)
-    .json({ status: incomingRefreshToken ? 200 : 401 });
-});
-
 const getGuard = asyncHandler(async (req, res) => {
   const { userName } = req.params;
   if (!userName) throw new ApiError(400, "Username is required");
@@ -223,8 +106,14 @@ const getGuard = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, guard, "Guard retrieved successfully"));
 });
 
+// Clients only see the guards who have worked at their sites
 const listAutherisedGuards = asyncHandler(async (req, res) => {
-  const authorisedGuards = await Guard.find({ isApproved: true }).select(
+  const filter = { isApproved: true };
+  if (req.user.role === ROLES.CLIENT) {
+    filter._id = { $in: await servedGuardIds(req.user.client) };
+  }
+
+  const authorisedGuards = await Guard.find(filter).select(
     "-password -refreshToken"
   );
 
@@ -254,12 +143,21 @@ const listUnassignedGuards = asyncHandler(async (req, res) => {
         from: "locations", // Refers to the 'Location' collection
         localField: "_id",
         foreignField: "guard",
+        // Finished and archived shifts do not keep a guard busy
+        pipeline: [
+          {
+            $match: {
+              status: { $in: OPEN_SHIFT_STATUSES },
+              to: { $gt: new Date() },
+            },
+          },
+        ],
         as: "assignedLocations",
       },
     },
     {
       $match: {
-        assignedLocations: { $size: 0 }, // Filters out guards who have at least one assigned location
+        assignedLocations: { $size: 0 }, // Filters out guards with a current or upcoming assignment
       },
     },
     {
@@ -284,6 +182,9 @@ const listUnassignedGuards = asyncHandler(async (req, res) => {
 
 const listAuthorisedGuards = asyncHandler(async (req, res) => {
   const data = await Location.aggregate([
+    {
+      $match: { status: { $in: OPEN_SHIFT_STATUSES } }, // Skip archived shifts
+    },
     {
       $lookup: {
         from: "guards", // Reference to the 'Guard' collection
@@ -319,18 +220,62 @@ const listAuthorisedGuards = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Completed and missed shifts that started in ?from&to (default: the last 30
+ * days), newest first, shaped like listAuthorisedGuards so they can be
+ * replayed after the fact
+ */
+const listPastShifts = asyncHandler(async (req, res) => {
+  const { from, to } = readReportRange(req.query);
+
+  const data = await Location.aggregate([
+    {
+      $match: {
+        status: { $in: [SHIFT_STATUS.COMPLETED, SHIFT_STATUS.MISSED] },
+        from: { $gte: from, $lt: to },
+      },
+    },
+    { $sort: { from: -1 } },
+    { $limit: 200 },
+    {
+      $lookup: {
+        from: "guards",
+        localField: "guard",
+        foreignField: "_id",
+        as: "guardDetails",
+      },
+    },
+    { $unwind: "$guardDetails" },
+    {
+      $project: {
+        "guardDetails.password": 0,
+        "guardDetails.refreshToken": 0,
+      },
+    },
+  ]);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, data, "Past shifts retrieved successfully"));
+});
+
 const getSingleGuardAssignment = asyncHandler(async (req, res) => {
   const guardId = req.user?._id;
   if (!guardId) {
     throw new ApiError(404, "NOT AUTHENTICATED");
   }
 
+  // Current shift first, then upcoming ones
   const deployment = await Location.aggregate([
     {
       $match: {
         guard: guardId,
+        status: { $in: OPEN_SHIFT_STATUSES },
       },
     },
+    {
+      $sort: { from: 1 },
+    },
   ]);
 
   if (!deployment || deployment.length === 0) {
@@ -342,48 +287,13 @@ const getSingleGuardAssignment = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, deployment, "Found deployment"));
 });
 
-const updateWorkPercent = asyncHandler(async (req, res) => {
-  const guardId = req.user?._id;
-  if (!guardId) {
-    throw new ApiError(404, "Guard not found or not authenticated");
-  }
-
-  const { workPercent } = req.body;
-  if (workPercent === undefined || workPercent < 0 || workPercent > 100) {
-    throw new ApiError(
-      400,
-      "Invalid work percent value (must be between 0-100)"
-    );
-  }
-
-  const updatedGuard = await Guard.findByIdAndUpdate(
-    guardId,
-    { workPercent },
-    { new: true }
-  ).select("-password -refreshToken");
-
-  if (!updatedGuard) {
-    throw new ApiError(500, "Failed to update work percent");
-  }
-
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(200, updatedGuard, "Work percent updated successfully")
-    );
-});
-
 export {
   registerGuard,
-  loginGuard,
-  logoutGuard,
-  getAccessToken,
   getCurrentGuard,
-  checkRefreshToken,
   getGuard,
   listAutherisedGuards,
   listUnassignedGuards,
   listAuthorisedGuards,
+  listPastShifts,
   getSingleGuardAssignment,
-  updateWorkPercent,
 };
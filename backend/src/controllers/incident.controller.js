@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Incident } from "../models/incident.model.js";
+import {
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUS,
+  INCIDENT_TYPES,
+} from "../constants.js";
+import { emitToIncidentFeed } from "../utils/realtime.js";
+import { readQueryChoices } from "../utils/queryList.js";
+import { discardTempFiles } from "../utils/storage/index.js";
+import {
+  removeAttachments,
+  storeAttachments,
+  withFileUrls,
+} from "../services/attachment.service.js";
+import { recordLivePosition } from "../services/liveloc.service.js";
+import { findActiveAssignment } from "../services/geofence.service.js";
+
+// Staff can only move an incident forward
+const INCIDENT_TRANSITIONS = {
+  [INCIDENT_STATUS.OPEN]: [
+    INCIDENT_STATUS.ACKNOWLEDGED,
+    INCIDENT_STATUS.CLOSED,
+  ],
+  [INCIDENT_STATUS.ACKNOWLEDGED]: [INCIDENT_STATUS.CLOSED],
+  [INCIDENT_STATUS.CLOSED]: [],
+};
+
+const populateIncident = (query) =>
+  query
+    .populate("guard", "fullName userName")
+    .populate("acknowledgedBy", "fullName")
+    .populate("closedBy", "fullName")
+    .populate("assignment", "address siteLabel");
+
+const validateIncident = ({ type, severity, narrative, occurredAt }) => {
+  if (!INCIDENT_TYPES.includes(type)) {
+    throw new ApiError(400, `Type must be one of ${INCIDENT_TYPES.join(", ")}`);
+  }
+  if (!INCIDENT_SEVERITIES.includes(severity)) {
+    throw new ApiError(
+      400,
+      `Severity must be one of ${INCIDENT_SEVERITIES.join(", ")}`
+    );
+  }
+  if (!narrative?.trim()) {
+    throw new ApiError(400, "Describe what happened");
+  }
+  if (occurredAt) {
+    const at = new Date(occurredAt);
+    if (isNaN(at.getTime()) || at > new Date()) {
+      throw new ApiError(400, "occurredAt must be a time in the past");
+    }
+  }
+};
+
+/**
+ * Files an incident from the guard's post. Multipart body: type, severity,
+ * narrative, latitude, longitude, optional occurredAt and `attachments`.
+ */
+const reportIncident = asyncHandler(async (req, res) => {
+  const guardId = req.user._id;
+  const { type, severity, narrative, latitude, longitude, occurredAt } =
+    req.body;
+
+  const at = occurredAt ? new Date(occurredAt) : new Date();
+  let assignment;
+  try {
+    validateIncident(req.body);
+    // Validates the coordinates and puts the guard on the live map
+    await recordLivePosition(guardId, { latitude, longitude });
+    assignment = await findActiveAssignment(guardId, at);
+  } catch (error) {
+    await discardTempFiles(req.files);
+    throw error;
+  }
+
+  const attachments = await storeAttachments(req.files, {
+    folder: "incidents",
+  });
+
+  const incident = await Incident.create({
+    guard: guardId,
+    assignment: assignment?._id,
+    type,
+    severity,
+    narrative: narrative.trim(),
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    occurredAt: at,
+    attachments,
+  }).catch(async (error) => {
+    await removeAttachments(attachments);
+    throw error;
+  });
+
+  const data = await withFileUrls(
+    await populateIncident(Incident.findById(incident._id))
+  );
+  emitToIncidentFeed("incident:reported", data);
+
+  res.status(201).json(new ApiResponse(201, data, "Incident reported"));
+});
+
+const getMyIncidents = asyncHandler(async (req, res) => {
+  const incidents = await Incident.find({ guard: req.user._id })
+    .sort({ occurredAt: -1 })
+    .limit(50);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Promise.all(incidents.map(withFileUrls)),
+        "Incidents retrieved"
+      )
+    );
+});
+
+/**
+ * Incident feed, newest first. ?status is a comma separated list
+ * (default: open and acknowledged), ?guard narrows it to one guard.
+ */
+const listIncidents = asyncHandler(async (req, res) => {
+  const { guard } = req.query;
+  const statuses = readQueryChoices(
+    req.query.status,
+    Object.values(INCIDENT_STATUS)
+  );
+  const filter = {
+    status: {
+      $in: statuses.length
+        ? statuses
+        : [INCIDENT_STATUS.OPEN, INCIDENT_STATUS.ACKNOWLEDGED],
+    },
+  };
+  if (guard) {
+    if (!mongoose.Types.ObjectId.isValid(guard)) {
+      throw new ApiError(400, "Invalid Guard ID");
+    }
+    filter.guard = guard;
+  }
+
+  const incidents = await populateIncident(
+    Incident.find(filter).sort({ occurredAt: -1 }).limit(200)
+  );
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Promise.all(incidents.map(withFileUrls)),
+        "Incidents retrieved"
+      )
+    );
+});
+
+// Body: { status } — acknowledged or closed
+const updateIncidentStatus = asyncHandler(async (req, res) => {
+  const { incidentId } = req.params;
+  const { status } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new ApiError(400, "Invalid Incident ID");
+  }
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) throw new ApiError(404, "Incident not found");
+  if (!INCIDENT_TRANSITIONS[incident.status].includes(status)) {
+    throw new ApiError(
+      409,
+      `Incident is ${incident.status} and cannot be moved to ${status}`
+    );
+  }
+
+  const now = new Date();
+  incident.status = status;
+  if (status === INCIDENT_STATUS.ACKNOWLEDGED) {
+    incident.acknowledgedBy = req.user._id;
+    incident.acknowledgedAt = now;
+  } else {
+    incident.closedBy = req.user._id;
+    incident.closedAt = now;
+  }
+  await incident.save();
+
+  const data = await withFileUrls(
+    await populateIncident(Incident.findById(incident._id))
+  );
+  emitToIncidentFeed("incident:updated", data);
+
+  res.status(200).json(new ApiResponse(200, data, "Incident updated"));
+});
+
+export { reportIncident, getMyIncidents, listIncidents, updateIncidentStatus };
@@ -1,23 +1,21 @@
-import axios from "axios";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import mongoose from "mongoose";
 import { LiveGuard } from "../models/liveGuard.model.js";
+import { GeofenceEvent } from "../models/geofenceEvent.model.js";
+import mongoose from "mongoose";
+import {
+  recordLivePosition,
+  recordPositionBatch,
+  getPositionHistory,
+} from "../services/liveloc.service.js";
+
+// History requests without a range default to the last day
+const DEFAULT_HISTORY_WINDOW = 24 * 60 * 60 * 1000;
 
 // Add new live location
 const addLive = asyncHandler(async (req, res) => {
-  const { latitude, longitude } = req.body;
-  if (!latitude || !longitude) {
-    throw new ApiError(400, "Latitude and longitude are required");
-  }
-
-  const guardId = req.user?._id;
-  if (!guardId) {
-    throw new ApiError(404, "User not found");
-  }
-
-  const data = await LiveGuard.create({ guard: guardId, latitude, longitude });
+  const data = await recordLivePosition(req.user?._id, req.body);
   if (!data) throw new ApiError(500, "Failed to create live location");
 
   return res
@@ -27,25 +25,27 @@ const addLive = asyncHandler(async (req, res) => {
 
 // Update existing live location
 const updateLive = asyncHandler(async (req, res) => {
-  const { latitude, longitude } = req.body;
-  if (!latitude || !longitude) {
-    throw new ApiError(400, "Latitude and longitude are required");
-  }
+  const data = await recordLivePosition(req.user?._id, req.body);
 
-  const guardId = req.user?._id;
-  if (!guardId) {
-    throw new ApiError(404, "User not found");
-  }
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Live location updated"));
+});
 
-  let data = await LiveGuard.findOneAndUpdate(
-    { guard: guardId }, // Find by guard ID
-    { latitude, longitude }, // Update coordinates
-    { new: true, upsert: true } // Return updated doc, create if not exists
-  );
+// Body: { positions: [{ latitude, longitude, recordedAt }] } buffered by the
+// guard's device while it was offline, oldest first or in any order
+const uploadPositionBatch = asyncHandler(async (req, res) => {
+  const result = await recordPositionBatch(req.user?._id, req.body?.positions);
 
   return res
     .status(200)
-    .json(new ApiResponse(200, data, "Live location updated"));
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        `${result.accepted} positions stored, ${result.duplicates} already known, ${result.rejected} rejected`
+      )
+    );
 });
 
 // List all live guards (No Pagination)
@@ -61,4 +61,62 @@ const listLiveGuards = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, liveGuards, "List of live guards"));
 });
 
-export { addLive, updateLive, listLiveGuards };
+// Breadcrumb trail of a single guard, e.g. /history/:guardId?from=...&to=...
+const getLiveHistory = asyncHandler(async (req, res) => {
+  const { guardId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(guardId)) {
+    throw new ApiError(400, "Invalid Guard ID");
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_HISTORY_WINDOW);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new ApiError(400, "from and to must be valid dates");
+  }
+  if (from > to) {
+    throw new ApiError(400, "from must be before to");
+  }
+
+  const samples = await getPositionHistory(
+    new mongoose.Types.ObjectId(guardId),
+    from,
+    to
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { guardId, from, to, samples }, "Position history")
+    );
+});
+
+// Zone enter/exit events of a guard, newest first, optionally for one assignment
+const listGeofenceEvents = asyncHandler(async (req, res) => {
+  const { guardId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(guardId)) {
+    throw new ApiError(400, "Invalid Guard ID");
+  }
+
+  const filter = { guard: new mongoose.Types.ObjectId(guardId) };
+  if (req.query.assignment) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.assignment)) {
+      throw new ApiError(400, "Invalid assignment ID");
+    }
+    filter.assignment = new mongoose.Types.ObjectId(req.query.assignment);
+  }
+
+  const events = await GeofenceEvent.find(filter).sort({ occurredAt: -1 });
+
+  return res.status(200).json(new ApiResponse(200, events, "Geofence events"));
+});
+
+export {
+  addLive,
+  updateLive,
+  uploadPositionBatch,
+  listLiveGuards,
+  getLiveHistory,
+  listGeofenceEvents,
+};
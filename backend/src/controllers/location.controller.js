@@ -1,54 +1,104 @@
-import axios from "axios";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Location } from "../models/locations.model.js";
 import { Guard } from "../models/guard.model.js";
 import mongoose from "mongoose";
-axios.defaults.withCredentials = true;
-
+import { normalisePerimeter, perimeterCentre } from "../utils/geo.js";
+import { geocode, reverseGeocode } from "../utils/geocoder/index.js";
+import { findPost, postZone } from "../services/site.service.js";
+import { OPEN_SHIFT_STATUSES, ROLES, SHIFT_STATUS } from "../constants.js";
+import {
+  assertGuardAvailable,
+  findAvailableGuards,
+  isValidWindow,
+} from "../services/availability.service.js";
+
+/**
+ * Body: { location } place name. Returns up to GEOCODER_MAX_CANDIDATES
+ * ranked candidates with display names, the best one's coordinates on top
+ * for callers that only want a single answer.
+ */
 const getCoordinates = asyncHandler(async (req, res) => {
-  const { location } = req.body; // Extract location from request body
-  console.log(req.body);
-  if (!location) {
-    return res.status(400).json(new ApiError("Location is required"));
+  const { provider, candidates } = await geocode(req.body?.location);
+  if (candidates.length === 0) {
+    throw new ApiError(404, "Location not found");
   }
 
-  try {
-    const response = await axios.get(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(location)}`
-    );
-
-    if (response.data.length === 0) {
-      return res.status(404).json(new ApiError("Location not found"));
-    }
+  const [best] = candidates;
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        latitude: best.latitude,
+        longitude: best.longitude,
+        displayName: best.displayName,
+        provider,
+        candidates,
+      },
+      `${candidates.length} places found`
+    )
+  );
+});
 
-    const { lat, lon } = response.data[0]; // Extract latitude and longitude
+// Zone of a one-off assignment, from coordinates or a perimeter
+const readZone = (body) => {
+  let { latitude, longitude } = body;
 
-    return res.json(new ApiResponse(200, { latitude: lat, longitude: lon }));
-  } catch (error) {
-    return res
-      .status(500)
-      .json(new ApiError("Failed to retrieve coordinates", error.message));
+  // A perimeter (Polygon/MultiPolygon) can stand in for the circle centre
+  const perimeter = normalisePerimeter(body.perimeter);
+  if (perimeter && (!latitude || !longitude)) {
+    ({ latitude, longitude } = perimeterCentre(perimeter));
   }
-});
+  return { latitude, longitude, radius: body.radius, perimeter };
+};
 
+/**
+ * Body: guardId, duration, from, to, and either postId for a saved post or
+ * the zone itself (latitude and longitude or a perimeter, optional radius
+ * and siteLabel)
+ */
 const assignLocation = asyncHandler(async (req, res) => {
-  const { guardId, latitude, longitude, duration, from, to } = req.body;
-
-  if (!guardId || !latitude || !longitude || !duration || !from || !to) {
+  const { guardId, postId, duration, from, to } = req.body;
+  const zone = postId ? postZone(await findPost(postId)) : readZone(req.body);
+
+  if (
+    !guardId ||
+    !zone.latitude ||
+    !zone.longitude ||
+    !duration ||
+    !from ||
+    !to
+  ) {
     throw new ApiError(400, "All fields are required");
   }
 
+  if (!mongoose.Types.ObjectId.isValid(guardId)) {
+    throw new ApiError(400, "Invalid guard ID format");
+  }
+
+  if (!isValidWindow(from, to)) {
+    throw new ApiError(400, "The shift must end after it starts");
+  }
+
   const guard = await Guard.findById(guardId);
   if (!guard) {
     throw new ApiError(404, "Guard not found");
   }
 
+  await assertGuardAvailable(guardId, from, to);
+
+  if (!postId) {
+    // Staff may name the place themselves, otherwise the provider's name is
+    // kept
+    const place = await reverseGeocode(zone.latitude, zone.longitude);
+    zone.address = place.address;
+    zone.siteLabel = req.body.siteLabel?.trim() || place.siteLabel;
+  }
+
   const location = await Location.create({
     guard: guardId,
-    latitude,
-    longitude,
+    ...zone,
     duration,
     from,
     to,
@@ -70,17 +120,30 @@ const unassignTheGuard = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid assignment ID format");
   }
 
-  const response = await Location.findByIdAndDelete(
-    new mongoose.Types.ObjectId(assignMentId)
-  );
+  // Shifts are archived rather than deleted so their history survives. A
+  // shift in progress is ended now, one that has not started is cancelled.
+  const assignment = await Location.findOne({
+    _id: assignMentId,
+    status: { $in: OPEN_SHIFT_STATUSES },
+  });
 
-  if (!response) {
-    throw new ApiError(404, "Assignment not found or already deleted");
+  if (!assignment) {
+    throw new ApiError(404, "Assignment not found or already archived");
   }
 
+  const now = new Date();
+  if (assignment.status === SHIFT_STATUS.ACTIVE) {
+    assignment.status = SHIFT_STATUS.COMPLETED;
+    assignment.actualEnd = now;
+  } else {
+    assignment.status = SHIFT_STATUS.CANCELLED;
+  }
+  assignment.archivedAt = now;
+  const response = await assignment.save();
+
   return res
     .status(200)
-    .json(new ApiResponse(200, response, "Assignment deleted successfully"));
+    .json(new ApiResponse(200, response, "Assignment archived successfully"));
 });
 
 const getALocation = asyncHandler(async (req, res) => {
@@ -95,58 +158,59 @@ const getALocation = asyncHandler(async (req, res) => {
   if (!location) {
     throw new ApiError(404, "Assignment cannot be found");
   }
+  // Guards may only read their own assignments
+  if (
+    req.user.role === ROLES.GUARD &&
+    location.guard?.toString() !== req.user._id.toString()
+  ) {
+    throw new ApiError(403, "You are not authorized to perform this action");
+  }
   return res
     .status(200)
     .json(new ApiResponse(200, location, "Fetched assignment"));
 });
 
+// The guard's shift in progress, or else their next one. Every roster shift
+// is materialised ahead, so the most recently saved shift says nothing.
 const getLatestAssignment = asyncHandler(async (req, res) => {
-  let { guardId } = req.params;
-  
-  // Trim guardId to remove unwanted spaces or newlines
-  guardId = guardId.trim();
-
-  console.log({ guardId }, "req");
-
-  if (!guardId) {
-    throw new ApiError(400, "Guard ID is missing");
-  }
-
-  // Validate ObjectId format
+  const guardId = req.params.guardId.trim();
   if (!mongoose.Types.ObjectId.isValid(guardId)) {
     throw new ApiError(400, "Invalid Guard ID format");
   }
 
-  const latestAssignment = await Guard.aggregate([
-    {
-      $match: { _id: new mongoose.Types.ObjectId(guardId) },
-    },
-    {
-      $lookup: {
-        from: "locations",
-        localField: "_id",
-        foreignField: "guard",
-        as: "assignmentDetails",
-      },
-    },
-    {
-      $unwind: "$assignmentDetails", // Convert assignmentDetails array into separate documents
-    },
-    {
-      $sort: { "assignmentDetails.updatedAt": -1 }, // Sort by latest updated document
-    },
-    {
-      $limit: 1, // Get only the latest updated document
-    },
+  const [guard, assignment] = await Promise.all([
+    Guard.findById(guardId).select("-password -refreshToken").lean(),
+    Location.findOne({ guard: guardId, status: { $in: OPEN_SHIFT_STATUSES } })
+      .sort({ from: 1 })
+      .lean(),
   ]);
+  if (!guard || !assignment) {
+    throw new ApiError(404, "No open assignments found for this guard");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...guard, assignmentDetails: assignment },
+        "Fetched latest guard assignment"
+      )
+    );
+});
 
-  if (!latestAssignment.length) {
-    throw new ApiError(404, "No assignments found for this guard");
+// Guards free for the whole of ?from&to, rest period included
+const listAvailableGuards = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  if (!isValidWindow(from, to)) {
+    throw new ApiError(400, "A valid from/to range is required");
   }
 
+  const guards = await findAvailableGuards(from, to);
+
   return res
     .status(200)
-    .json(new ApiResponse(200, latestAssignment[0], "Fetched latest guard assignment"));
+    .json(new ApiResponse(200, guards, "Fetched available guards"));
 });
 
 export {
@@ -155,4 +219,5 @@ export {
   unassignTheGuard,
   getALocation,
   getLatestAssignment,
+  listAvailableGuards,
 };
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Organization } from "../models/organization.model.js";
+import { User } from "../models/user.model.js";
+import { Guard } from "../models/guard.model.js";
+import { ROLES } from "../constants.js";
+
+const findOrganization = async (organizationId) => {
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+    throw new ApiError(400, "Invalid organization ID");
+  }
+  const organization = await Organization.findById(organizationId);
+  if (!organization) throw new ApiError(404, "Organization not found");
+  return organization;
+};
+
+// Body: name and slug, the handle accounts register against
+const createOrganization = asyncHandler(async (req, res) => {
+  const { name, slug } = req.body;
+
+  const organization = await Organization.create({ name, slug }).catch(
+    (error) => {
+      if (error instanceof mongoose.Error.ValidationError) {
+        throw new ApiError(400, error.message);
+      }
+      if (error.code === 11000) {
+        throw new ApiError(409, "This name or slug is already taken");
+      }
+      throw error;
+    }
+  );
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(201, organization, "Organization created successfully")
+    );
+});
+
+// Every organization with how many user and guard accounts it has
+const listOrganizations = asyncHandler(async (req, res) => {
+  const organizations = await Organization.find({}).sort({ name: 1 }).lean();
+
+  const data = [];
+  for (const organization of organizations) {
+    data.push({
+      ...organization,
+      users: await User.countDocuments({ organization: organization._id }),
+      guards: await Guard.countDocuments({ organization: organization._id }),
+    });
+  }
+
+  res.status(200).json(new ApiResponse(200, data, "Organizations retrieved"));
+});
+
+/**
+ * Makes a user who registered into the organization one of its admins.
+ * From there they run their agency from the admin dashboard, including
+ * handing out roles. Body: { userName }
+ */
+const appointOrganizationAdmin = asyncHandler(async (req, res) => {
+  const organization = await findOrganization(req.params.organizationId);
+  const userName = req.body.userName?.toLowerCase().trim();
+  if (!userName) throw new ApiError(400, "Username is required");
+
+  const user = await User.findOneAndUpdate(
+    { userName, organization: organization._id },
+    { role: ROLES.ADMIN, client: null },
+    { new: true }
+  ).select("-password -refreshToken");
+  if (!user) throw new ApiError(404, "No such user in this organization");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, user, "Organization admin appointed"));
+});
+
+// The organization the signed-in account belongs to
+const getMyOrganization = asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.user.organization);
+  if (!organization) throw new ApiError(404, "Organization not found");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, organization, "Organization retrieved"));
+});
+
+export {
+  createOrganization,
+  listOrganizations,
+  appointOrganizationAdmin,
+  getMyOrganization,
+};
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { readQueryChoices } from "../utils/queryList.js";
+import { PATROL_VISIT_STATUS } from "../constants.js";
+import { Checkpoint } from "../models/checkpoint.model.js";
+import { PatrolRoute } from "../models/patrolRoute.model.js";
+import {
+  FLAGGED_VISIT_STATUSES,
+  getPatrolProgress,
+  listVisits,
+  recordScan,
+} from "../services/patrol.service.js";
+import { findPost } from "../services/site.service.js";
+
+// Surfaces schema validation failures and taken tag codes as client errors
+const rejectInvalid = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    throw new ApiError(400, error.message);
+  }
+  if (error.code === 11000) {
+    throw new ApiError(409, "Another checkpoint already uses this tag code");
+  }
+  throw error;
+};
+
+/**
+ * Body: post, name, latitude, longitude, optional radius and code. A
+ * random code is generated when none is given, to be printed as a QR code or
+ * written to an NFC tag.
+ */
+const createCheckpoint = asyncHandler(async (req, res) => {
+  const { name, code, latitude, longitude, radius } = req.body;
+  const post = await findPost(req.body.post);
+
+  const checkpoint = await Checkpoint.create({
+    post: post._id,
+    name,
+    code: code?.toString().trim() || crypto.randomBytes(6).toString("hex"),
+    latitude,
+    longitude,
+    radius,
+  }).catch(rejectInvalid);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, checkpoint, "Checkpoint created successfully"));
+});
+
+// ?post is required
+const listCheckpoints = asyncHandler(async (req, res) => {
+  const post = await findPost(req.query.post);
+  const checkpoints = await Checkpoint.find({ post: post._id }).sort({
+    createdAt: 1,
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, checkpoints, "Checkpoints retrieved"));
+});
+
+// Also takes the checkpoint off its route; visits already recorded stay
+const deleteCheckpoint = asyncHandler(async (req, res) => {
+  const { checkpointId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(checkpointId)) {
+    throw new ApiError(400, "Invalid checkpoint ID");
+  }
+  const checkpoint = await Checkpoint.findByIdAndDelete(checkpointId);
+  if (!checkpoint) throw new ApiError(404, "Checkpoint not found");
+
+  await PatrolRoute.updateOne(
+    { post: checkpoint.post },
+    { $pull: { checkpoints: checkpoint._id } }
+  );
+  // A route without checkpoints has nothing to expect
+  await PatrolRoute.deleteOne({
+    post: checkpoint.post,
+    checkpoints: { $size: 0 },
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, checkpoint, "Checkpoint deleted successfully"));
+});
+
+/**
+ * Creates or replaces the post's route. Body: checkpoints (IDs in tour
+ * order, all on this post), intervalMinutes, optional toleranceMinutes.
+ */
+const saveRoute = asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.postId);
+  const { checkpoints, intervalMinutes, toleranceMinutes } = req.body;
+
+  if (
+    !Array.isArray(checkpoints) ||
+    !checkpoints.every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    throw new ApiError(400, "Checkpoints must be a list of checkpoint IDs");
+  }
+  const found = await Checkpoint.countDocuments({
+    _id: { $in: checkpoints },
+    post: post._id,
+  });
+  if (found !== new Set(checkpoints.map(String)).size) {
+    throw new ApiError(400, "Every checkpoint must belong to this post");
+  }
+
+  const route =
+    (await PatrolRoute.findOne({ post: post._id })) ||
+    new PatrolRoute({ post: post._id, createdBy: req.user._id });
+  route.set({ checkpoints, intervalMinutes });
+  if (toleranceMinutes !== undefined) route.toleranceMinutes = toleranceMinutes;
+  await route.save().catch(rejectInvalid);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, route, "Patrol route saved successfully"));
+});
+
+const getRoute = asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.postId);
+  const route = await PatrolRoute.findOne({ post: post._id }).populate(
+    "checkpoints"
+  );
+  if (!route) throw new ApiError(404, "This post has no patrol route");
+
+  res.status(200).json(new ApiResponse(200, route, "Patrol route retrieved"));
+});
+
+// ?status is a comma separated list, missed and out-of-order by default;
+// ?guard narrows it to one guard
+const getVisits = asyncHandler(async (req, res) => {
+  const { guard } = req.query;
+  const statuses = readQueryChoices(
+    req.query.status,
+    Object.values(PATROL_VISIT_STATUS)
+  );
+  const filter = {
+    status: { $in: statuses.length ? statuses : FLAGGED_VISIT_STATUSES },
+  };
+  if (guard) {
+    if (!mongoose.Types.ObjectId.isValid(guard)) {
+      throw new ApiError(400, "Invalid guard ID");
+    }
+    filter.guard = guard;
+  }
+  const visits = await listVisits(filter);
+
+  res.status(200).json(new ApiResponse(200, visits, "Visits retrieved"));
+});
+
+// Body: code read from the tag, and the guard's latitude and longitude
+const scanCheckpoint = asyncHandler(async (req, res) => {
+  const visit = await recordScan(req.user._id, req.body || {});
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, visit, `Checkpoint scanned, ${visit.status}`));
+});
+
+const getMyPatrol = asyncHandler(async (req, res) => {
+  const progress = await getPatrolProgress(req.user._id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        progress,
+        progress ? "Patrol retrieved" : "No patrol on your current shift"
+      )
+    );
+});
+
+export {
+  createCheckpoint,
+  listCheckpoints,
+  deleteCheckpoint,
+  saveRoute,
+  getRoute,
+  getVisits,
+  scanCheckpoint,
+  getMyPatrol,
+};
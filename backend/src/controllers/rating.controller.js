@@ -3,6 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { Guard } from "../models/guard.model.js";
 import axios from "axios";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { COMPLAINT_STATUS } from "../constants.js";
 
 const getRatings = asyncHandler(async (req, res) => {
   const data = await Guard.aggregate([
@@ -11,6 +12,9 @@ const getRatings = asyncHandler(async (req, res) => {
         from: "complains",
         localField: "_id",
         foreignField: "guard",
+        // Complaints staff dismissed as unfounded do not count against the
+        // guard; open ones do until triaged, and resolved ones were upheld
+        pipeline: [{ $match: { status: { $ne: COMPLAINT_STATUS.DISMISSED } } }],
         as: "Complaints",
       },
     },
@@ -22,11 +26,23 @@ const getRatings = asyncHandler(async (req, res) => {
         as: "Appreciations",
       },
     },
+    {
+      $lookup: {
+        from: "attendancerates",
+        localField: "_id",
+        foreignField: "guard",
+        as: "AttendanceRate",
+      },
+    },
     {
       $addFields: {
         Complaints: { $size: "$Complaints" },
         Appreciations: { $size: "$Appreciations" },
-        Shift_Completion_Percentage: "$workPercent", // Default value
+        // Computed from check-ins and time inside the zone; guards without
+        // any closed shift yet have no evidence and score 0
+        Shift_Completion_Percentage: {
+          $ifNull: [{ $first: "$AttendanceRate.workPercent" }, 0],
+        },
         Work_Experience_Years: {
           $floor: {
             $divide: [
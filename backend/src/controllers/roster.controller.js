@@ -0,0 +1,198 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Roster } from "../models/roster.model.js";
+import { Location } from "../models/locations.model.js";
+import { Guard } from "../models/guard.model.js";
+import mongoose from "mongoose";
+import { normalisePerimeter, perimeterCentre } from "../utils/geo.js";
+import { reverseGeocode } from "../utils/geocoder/index.js";
+import { findPost, postZone } from "../services/site.service.js";
+import {
+  expandRoster,
+  materialiseRoster,
+  parseRange,
+} from "../services/roster.service.js";
+
+const ROSTER_FIELDS = [
+  "name",
+  "guards",
+  "rotation",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "timeZone",
+  "validFrom",
+  "validUntil",
+  "latitude",
+  "longitude",
+  "radius",
+  "siteLabel",
+];
+
+// Picks the editable fields off the body and resolves the zone like
+// assignLocation does
+const readRosterBody = async (body) => {
+  const data = {};
+  for (const field of ROSTER_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  // A saved post brings its zone, replacing any sent along
+  if (body.post) {
+    Object.assign(data, postZone(await findPost(body.post)));
+  } else if (body.post !== undefined) {
+    data.post = undefined;
+  }
+
+  if (body.perimeter !== undefined && !data.post) {
+    data.perimeter = normalisePerimeter(body.perimeter);
+    if (data.perimeter && (!data.latitude || !data.longitude)) {
+      Object.assign(data, perimeterCentre(data.perimeter));
+    }
+  }
+
+  // A moved zone gets a fresh address; a label sent along is kept
+  if (
+    !data.post &&
+    data.latitude !== undefined &&
+    data.longitude !== undefined
+  ) {
+    const place = await reverseGeocode(data.latitude, data.longitude);
+    data.address = place.address;
+    data.siteLabel = data.siteLabel?.trim() || place.siteLabel;
+  }
+
+  if (data.guards) {
+    if (
+      !Array.isArray(data.guards) ||
+      !data.guards.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      throw new ApiError(400, "Guards must be a list of guard IDs");
+    }
+    const found = await Guard.countDocuments({
+      _id: { $in: data.guards },
+      isApproved: true,
+    });
+    if (found !== new Set(data.guards.map(String)).size) {
+      throw new ApiError(400, "Rosters can only include approved guards");
+    }
+  }
+  return data;
+};
+
+// Surfaces schema validation failures (bad times, empty guard list) as 400s
+const rejectInvalid = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    throw new ApiError(400, error.message);
+  }
+  throw error;
+};
+
+const findRoster = async (rosterId) => {
+  if (!mongoose.Types.ObjectId.isValid(rosterId)) {
+    throw new ApiError(400, "Invalid roster ID");
+  }
+  const roster = await Roster.findById(rosterId);
+  if (!roster) throw new ApiError(404, "Roster not found");
+  return roster;
+};
+
+const createRoster = asyncHandler(async (req, res) => {
+  const data = await readRosterBody(req.body);
+
+  const roster = await Roster.create({
+    ...data,
+    createdBy: req.user._id,
+  }).catch(rejectInvalid);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, roster, "Roster created successfully"));
+});
+
+const listRosters = asyncHandler(async (req, res) => {
+  const rosters = await Roster.find({})
+    .populate("guards", "fullName userName")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json(new ApiResponse(200, rosters, "Rosters retrieved"));
+});
+
+const updateRoster = asyncHandler(async (req, res) => {
+  const roster = await findRoster(req.params.rosterId);
+  roster.set(await readRosterBody(req.body));
+
+  await roster.save().catch(rejectInvalid);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, roster, "Roster updated successfully"));
+});
+
+// Shifts already generated stay in place, only the pattern is removed
+const deleteRoster = asyncHandler(async (req, res) => {
+  const roster = await findRoster(req.params.rosterId);
+  await roster.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, roster, "Roster deleted successfully"));
+});
+
+// Lists the shifts a roster would produce without saving them
+const previewRoster = asyncHandler(async (req, res) => {
+  const roster = await findRoster(req.params.rosterId);
+  const { rangeFrom, rangeTo } = parseRange(req.query.from, req.query.to);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        expandRoster(roster, rangeFrom, rangeTo),
+        "Roster preview generated"
+      )
+    );
+});
+
+const materialiseShifts = asyncHandler(async (req, res) => {
+  const roster = await findRoster(req.params.rosterId);
+  const { rangeFrom, rangeTo } = parseRange(req.body.from, req.body.to);
+
+  const result = await materialiseRoster(roster, rangeFrom, rangeTo);
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        result,
+        `${result.created} of ${result.shifts.length} shifts created, ${result.conflicts.length} skipped for conflicts`
+      )
+    );
+});
+
+// Every shift (rostered or one-off) starting in the range, for the calendar
+const listShifts = asyncHandler(async (req, res) => {
+  const { rangeFrom, rangeTo } = parseRange(req.query.from, req.query.to);
+
+  const shifts = await Location.find({
+    from: { $gte: rangeFrom, $lt: rangeTo },
+  })
+    .populate("guard", "fullName userName")
+    .populate("roster", "name")
+    .sort({ from: 1 });
+
+  res.status(200).json(new ApiResponse(200, shifts, "Shifts retrieved"));
+});
+
+export {
+  createRoster,
+  listRosters,
+  updateRoster,
+  deleteRoster,
+  previewRoster,
+  materialiseShifts,
+  listShifts,
+};
@@ -0,0 +1,211 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Site } from "../models/site.model.js";
+import { Post } from "../models/post.model.js";
+import { Checkpoint } from "../models/checkpoint.model.js";
+import { PatrolRoute } from "../models/patrolRoute.model.js";
+import { normalisePerimeter, perimeterCentre } from "../utils/geo.js";
+import { reverseGeocode } from "../utils/geocoder/index.js";
+import {
+  assertNoOpenShifts,
+  findPost,
+  listSitePosts,
+} from "../services/site.service.js";
+import { findClient } from "../services/client.service.js";
+
+const SITE_FIELDS = [
+  "name",
+  "client",
+  "address",
+  "contact",
+  "operatingHours",
+  "instructions",
+];
+const POST_FIELDS = ["name", "latitude", "longitude", "radius", "instructions"];
+
+const pick = (body, fields) => {
+  const data = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+// Site fields from the body; the client, when given, must exist and an
+// empty one unlinks the site
+const readSiteBody = async (body) => {
+  const data = pick(body, SITE_FIELDS);
+  if (data.client) data.client = (await findClient(data.client))._id;
+  else if (data.client !== undefined) data.client = null;
+  return data;
+};
+
+// Surfaces schema validation failures and taken names as client errors
+const rejectInvalid = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    throw new ApiError(400, error.message);
+  }
+  if (error.code === 11000) {
+    throw new ApiError(409, "This name is already taken");
+  }
+  throw error;
+};
+
+const findSite = async (siteId) => {
+  if (!mongoose.Types.ObjectId.isValid(siteId)) {
+    throw new ApiError(400, "Invalid site ID");
+  }
+  const site = await Site.findById(siteId);
+  if (!site) throw new ApiError(404, "Site not found");
+  return site;
+};
+
+// Picks the post fields off the body and resolves the zone like
+// assignLocation does, looking up the address when it moved
+const readPostBody = async (body) => {
+  const data = pick(body, POST_FIELDS);
+
+  if (body.perimeter !== undefined) {
+    data.perimeter = normalisePerimeter(body.perimeter);
+    if (data.perimeter && (!data.latitude || !data.longitude)) {
+      Object.assign(data, perimeterCentre(data.perimeter));
+    }
+  }
+
+  if (data.latitude !== undefined && data.longitude !== undefined) {
+    data.address = (
+      await reverseGeocode(data.latitude, data.longitude)
+    ).address;
+  }
+  return data;
+};
+
+// Posts go with their checkpoints and patrol routes
+const removePosts = async (postIds) => {
+  await Checkpoint.deleteMany({ post: { $in: postIds } });
+  await PatrolRoute.deleteMany({ post: { $in: postIds } });
+  await Post.deleteMany({ _id: { $in: postIds } });
+};
+
+/**
+ * Body: name, optional client ID, address, contact { name, phone, email },
+ * operatingHours { daysOfWeek, open, close } and instructions
+ */
+const createSite = asyncHandler(async (req, res) => {
+  const site = await Site.create({
+    ...(await readSiteBody(req.body)),
+    createdBy: req.user._id,
+  }).catch(rejectInvalid);
+  await site.populate("client", "name");
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...site.toObject(), posts: [] },
+        "Site created successfully"
+      )
+    );
+});
+
+// Every site with its posts and who covers each of them right now
+const listSites = asyncHandler(async (req, res) => {
+  const sites = await Site.find({})
+    .populate("client", "name")
+    .sort({ name: 1 })
+    .lean();
+  const posts = await listSitePosts(sites.map((site) => site._id));
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      sites.map((site) => ({ ...site, posts: posts.get(site._id.toString()) })),
+      "Sites retrieved"
+    )
+  );
+});
+
+const getSite = asyncHandler(async (req, res) => {
+  const site = await findSite(req.params.siteId);
+  await site.populate("client", "name");
+  const posts = await listSitePosts([site._id]);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...site.toObject(), posts: posts.get(site._id.toString()) },
+        "Site retrieved"
+      )
+    );
+});
+
+const updateSite = asyncHandler(async (req, res) => {
+  const site = await findSite(req.params.siteId);
+  site.set(await readSiteBody(req.body));
+  await site.save().catch(rejectInvalid);
+  await site.populate("client", "name");
+
+  res.status(200).json(new ApiResponse(200, site, "Site updated successfully"));
+});
+
+// Only once none of its posts has a shift left to work
+const deleteSite = asyncHandler(async (req, res) => {
+  const site = await findSite(req.params.siteId);
+  const postIds = await Post.find({ site: site._id }).distinct("_id");
+  await assertNoOpenShifts(postIds, "This site");
+
+  await removePosts(postIds);
+  await site.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, site, "Site deleted successfully"));
+});
+
+/**
+ * Body: name, latitude and longitude or a perimeter, optional radius and
+ * instructions
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const site = await findSite(req.params.siteId);
+
+  const post = await Post.create({
+    ...(await readPostBody(req.body)),
+    site: site._id,
+  }).catch(rejectInvalid);
+
+  res.status(201).json(new ApiResponse(201, post, "Post created successfully"));
+});
+
+// Shifts already assigned keep the zone they were given
+const updatePost = asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.postId);
+  post.set(await readPostBody(req.body));
+  await post.save().catch(rejectInvalid);
+
+  res.status(200).json(new ApiResponse(200, post, "Post updated successfully"));
+});
+
+// Past shifts keep a reference to the post, for history
+const deletePost = asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.postId);
+  await assertNoOpenShifts([post._id], "This post");
+
+  await removePosts([post._id]);
+
+  res.status(200).json(new ApiResponse(200, post, "Post deleted successfully"));
+});
+
+export {
+  createSite,
+  listSites,
+  getSite,
+  updateSite,
+  deleteSite,
+  createPost,
+  updatePost,
+  deletePost,
+};
@@ -1,37 +1,33 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { storeFile } from "../utils/storage/index.js";
+import { findOrganizationBySlug } from "../services/organization.service.js";
 import { Guard } from "../models/guard.model.js";
 import { Complain } from "../models/complain.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Appreciation } from "../models/appreciation.model.js";
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import { isValidObjectId } from "mongoose";
 import fs from "fs";
-
-/**
- * Generates Access & Refresh Tokens and updates in DB
- */
-const generateAccessAndRefreshTokens = async (userId) => {
-  const user = await User.findById(userId);
-  if (!user) throw new ApiError(404, "User not found");
-
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
-
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
-
-  return { accessToken, refreshToken };
-};
+import {
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_SEVERITIES,
+  ROLES,
+} from "../constants.js";
+import {
+  removeAttachments,
+  storeAttachments,
+} from "../services/attachment.service.js";
+import { assertGuardServedClient } from "../services/client.service.js";
+import { discardTempFiles } from "../utils/storage/index.js";
 
 /**
  * Registers a new user
  */
 const registerUser = asyncHandler(async (req, res) => {
-  const { userName, fullName, email, password, role = "user" } = req.body;
+  // Self-registration always creates a plain user, admins grant other roles
+  const { userName, fullName, email, password } = req.body;
 
   if (!userName || !fullName || !email || !password) {
     throw new ApiError(400, "All fields are required");
@@ -40,10 +36,13 @@ const registerUser = asyncHandler(async (req, res) => {
   const existingUser = await User.findOne({ $or: [{ userName }, { email }] });
   if (existingUser) throw new ApiError(409, "User already exists");
 
-  const avatarLocalPath = req.files?.avatar?.[0]?.path;
-  if (!avatarLocalPath) throw new ApiError(400, "Avatar image is required");
+  // Accounts join the agency named by its slug, or the default one
+  const organization = await findOrganizationBySlug(req.body.organization);
+
+  const avatarFile = req.files?.avatar?.[0];
+  if (!avatarFile) throw new ApiError(400, "Avatar image is required");
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await storeFile(avatarFile, { folder: "avatars" });
   if (!avatar) throw new ApiError(500, "Failed to upload avatar");
 
   const user = await User.create({
@@ -52,7 +51,7 @@ const registerUser = asyncHandler(async (req, res) => {
     email,
     password,
     avatar: avatar.url,
-    role: role,
+    organization: organization._id,
   });
 
   const createdUser = await User.findById(user._id).select(
@@ -66,176 +65,87 @@ const registerUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logs in a user
+ * Retrieves the current logged-in user
  */
-const loginUser = asyncHandler(async (req, res) => {
-  const { email, password, userName } = req.body;
-
-  if (!email && !userName)
-    throw new ApiError(400, "Provide either username or email");
-
-  const user = await User.findOne({ $or: [{ userName }, { email }] }).select(
-    "+password +refreshToken"
-  );
-  if (!user) throw new ApiError(404, "User not found");
-
-  const isMatch = await user.isPasswordCorrect(password);
-  if (!isMatch) throw new ApiError(401, "Invalid credentials");
-
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id
-  );
-
-  res.cookie("refreshToken", refreshToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-    maxAge: 230 * 24 * 60 * 60 * 1000,
-  });
-  res.cookie("accessToken", accessToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-
+const getCurrentUser = asyncHandler(async (req, res) => {
   res
     .status(200)
     .json(
-      new ApiResponse(
-        200,
-        { user, accessToken, refreshToken },
-        "Login successful"
-      )
+      new ApiResponse(200, req.user, "Current user retrieved successfully")
     );
 });
 
-/**
- * Logs out a user
- */
-const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(req.user._id, { $unset: { refreshToken: 1 } });
-
-  res.clearCookie("accessToken", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-  res.clearCookie("refreshToken", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-  });
-
-  res.status(200).json(new ApiResponse(200, {}, "User logged out"));
-});
-
-/**
- * Generates a new access token using the refresh token
- */
-const getAccessToken = asyncHandler(async (req, res) => {
-  const incomingRefreshToken =
-    req.cookies?.refreshToken || req.body.refreshToken;
-  if (!incomingRefreshToken) throw new ApiError(401, "Unauthorized request");
-
-  try {
-    const decoded = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+// Clients only get to rate the guards who have worked at their sites
+const validateComplaint = async (
+  { complain, category, severity },
+  guardId,
+  reporter
+) => {
+  if (!complain?.trim()) {
+    throw new ApiError(400, "You must provide feedback");
+  }
+  if (category && !COMPLAINT_CATEGORIES.includes(category)) {
+    throw new ApiError(
+      400,
+      `Category must be one of ${COMPLAINT_CATEGORIES.join(", ")}`
     );
-    const user = await User.findById(decoded._id).select("+refreshToken");
-
-    if (!user || incomingRefreshToken !== user.refreshToken) {
-      throw new ApiError(403, "Invalid or expired refresh token");
-    }
-
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-      user._id
+  }
+  if (severity && !COMPLAINT_SEVERITIES.includes(severity)) {
+    throw new ApiError(
+      400,
+      `Severity must be one of ${COMPLAINT_SEVERITIES.join(", ")}`
     );
-
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "None",
-      maxAge: 230 * 24 * 60 * 60 * 1000,
-    });
-    res.cookie("accessToken", accessToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "None",
-    });
-
-    res
-      .status(200)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken },
-          "Access token refreshed successfully"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(401, "Invalid refresh token");
   }
-});
+  if (!isValidObjectId(guardId)) throw new ApiError(400, "Invalid Guard ID");
 
-/**
- * Retrieves the current logged-in user
- */
-const getCurrentUser = asyncHandler(async (req, res) => {
-  res
-    .status(200)
-    .json(
-      new ApiResponse(200, req.user, "Current user retrieved successfully")
-    );
-});
+  const guard = await Guard.findById(guardId);
+  if (!guard) throw new ApiError(404, "Guard not found");
 
-/**
- * Checks if a refresh token exists
- */
-const checkRefreshToken = asyncHandler(async (req, res) => {
-  const incomingRefreshToken =
-    req.cookies?.refreshToken || req.body.refreshToken;
-  res
-    .status(incomingRefreshToken ? 200 : 401)
-    .json({ status: incomingRefreshToken ? 200 : 401 });
-});
+  if (reporter.role === ROLES.CLIENT) {
+    await assertGuardServedClient(guardId, reporter.client);
+  }
+};
 
 /**
- * Retrieves a user by username
+ * Lodges a complaint about a guard, with optional photo, video or audio
+ * evidence in `attachments`. The guard stays approved; staff triage the
+ * complaint and only an admin can suspend the guard over it.
  */
+const lodgeComplaint = asyncHandler(async (req, res) => {
+  const { complain, category, severity } = req.body;
+  const { guardId } = req.params;
 
-const authoriseGuard = asyncHandler(async (req, res) => {
-  const { complain } = req.body;
-  if (!complain) {
-    throw new ApiError(400, "You must provide feedback");
-  }
-
-  let { guardId } = req.params;
-  if (!guardId) throw new ApiError(400, "Guard ID is missing");
-
-  // ✅ Check if guardId is a valid ObjectId, if not, create a valid one
-  if (!mongoose.isValidObjectId(guardId)) {
-    guardId = new mongoose.Types.ObjectId(); // Generates a valid ObjectId
+  try {
+    await validateComplaint(req.body, guardId, req.user);
+  } catch (error) {
+    await discardTempFiles(req.files);
+    throw error;
   }
 
-  const guard = await Guard.findById(guardId);
-  if (!guard) throw new ApiError(404, "Guard not found");
-
-  guard.isApproved = false;
-  await guard.save();
+  const attachments = await storeAttachments(req.files, {
+    folder: "complaints",
+  });
 
-  const comp = await Complain.create({
-    complain,
+  const complaint = await Complain.create({
+    complain: complain.trim(),
     guard: guardId,
+    reporter: req.user._id,
+    category,
+    severity,
+    attachments,
+  }).catch(async (error) => {
+    await removeAttachments(attachments);
+    throw error;
   });
 
   res
-    .status(200)
-    .json(
-      new ApiResponse(200, guard, "Guard authorisation requested successfully")
-    );
+    .status(201)
+    .json(new ApiResponse(201, complaint, "Complaint lodged successfully"));
 });
 
+/**
+ * Retrieves a user by username
+ */
 const getUser = asyncHandler(async (req, res) => {
   const { userName } = req.params;
   if (!userName) throw new ApiError(400, "Username is required");
@@ -271,6 +181,10 @@ const appreciateGuard = asyncHandler(async (req, res) => {
   const guard = await Guard.findById(guardId);
   if (!guard) throw new ApiError(404, "Guard not found");
 
+  if (user.role === ROLES.CLIENT) {
+    await assertGuardServedClient(guardId, user.client);
+  }
+
   // Instead of flagging the guard as unauthorized, we just record appreciation
   const appreciation = await Appreciation.create({
     message: message,
@@ -284,12 +198,8 @@ const appreciateGuard = asyncHandler(async (req, res) => {
 
 export {
   registerUser,
-  loginUser,
-  logoutUser,
-  getAccessToken,
   getCurrentUser,
-  checkRefreshToken,
   getUser,
-  authoriseGuard,
+  lodgeComplaint,
   appreciateGuard,
 };
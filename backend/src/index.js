@@ -1,23 +1,58 @@
 import dotenv from "dotenv";
+import http from "http";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { initSocket } from "./socket.js";
+import { shiftLifecycleJob } from "./jobs/shiftLifecycle.job.js";
+import { attendanceRateJob } from "./jobs/attendanceRate.job.js";
+import { alertEscalationJob } from "./jobs/alertEscalation.job.js";
+import { patrolJob } from "./jobs/patrol.job.js";
+import { watchdogJob } from "./jobs/watchdog.job.js";
+import { ensureDefaultOrganization } from "./services/organization.service.js";
 dotenv.config({
   path: "./.env",
 });
 
 connectDB()
-  .then(() => {
+  .then(async () => {
     app.on("error", (err) => {
       console.log("Error :", err);
       throw err;
     });
 
-    app.listen(process.env.PORT || 8011, () => {
+    const server = http.createServer(app);
+    initSocket(server);
+
+    server.listen(process.env.PORT || 8011, () => {
       console.log("Server is running on ", process.env.PORT);
     });
+
+    // Records from before organizations existed need one before the jobs,
+    // which sweep organization by organization, start
+    await ensureDefaultOrganization().catch((err) => {
+      console.log("Default organization could not be set up :", err);
+    });
+
+    shiftLifecycleJob.start().catch((err) => {
+      console.log("Shift lifecycle job could not start :", err);
+    });
+
+    attendanceRateJob.start().catch((err) => {
+      console.log("Attendance rate job could not start :", err);
+    });
+
+    alertEscalationJob.start().catch((err) => {
+      console.log("Alert escalation job could not start :", err);
+    });
+
+    patrolJob.start().catch((err) => {
+      console.log("Patrol job could not start :", err);
+    });
+
+    watchdogJob.start().catch((err) => {
+      console.log("Watchdog job could not start :", err);
+    });
   })
   .catch((err) => {
     console.log("Error in connection of database !!", err);
   });
-
-
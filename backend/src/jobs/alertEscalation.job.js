@@ -0,0 +1,21 @@
+import { ALERT_JOB_INTERVAL_MS } from "../constants.js";
+import { escalateOverdueAlerts } from "../services/alert.service.js";
+import { forEachTenant } from "../services/organization.service.js";
+import { createIntervalJob } from "../utils/intervalJob.js";
+
+/**
+ * Escalates unacknowledged alerts along ALERT_ESCALATION_CHAIN once their
+ * timeout runs out
+ */
+export const createAlertEscalationJob = (options) =>
+  createIntervalJob({
+    name: "Alert escalation",
+    intervalMs: ALERT_JOB_INTERVAL_MS,
+    ...options,
+    tick: (at) =>
+      forEachTenant(async () => ({
+        escalated: await escalateOverdueAlerts(at),
+      })),
+  });
+
+export const alertEscalationJob = createAlertEscalationJob();
@@ -0,0 +1,29 @@
+import { Guard } from "../models/guard.model.js";
+import { ATTENDANCE_RATE_JOB_INTERVAL_MS } from "../constants.js";
+import { refreshAttendanceRate } from "../services/performance.service.js";
+import { forEachTenant } from "../services/organization.service.js";
+import { createIntervalJob } from "../utils/intervalJob.js";
+
+/**
+ * Recomputes the AttendanceRate of every approved guard from the attendance
+ * ledger and geofence events
+ */
+export const createAttendanceRateJob = (options) =>
+  createIntervalJob({
+    name: "Attendance rate",
+    intervalMs: ATTENDANCE_RATE_JOB_INTERVAL_MS,
+    ...options,
+    tick: (at) =>
+      forEachTenant(async () => {
+        const guardIds = await Guard.find({ isApproved: true }).distinct("_id");
+
+        // One guard at a time keeps the load on the database flat
+        for (const guardId of guardIds) {
+          await refreshAttendanceRate(guardId, at);
+        }
+
+        return { refreshed: guardIds.length };
+      }),
+  });
+
+export const attendanceRateJob = createAttendanceRateJob();
@@ -0,0 +1,21 @@
+import { PATROL_JOB_INTERVAL_MS } from "../constants.js";
+import { flagMissedCheckpoints } from "../services/patrol.service.js";
+import { forEachTenant } from "../services/organization.service.js";
+import { createIntervalJob } from "../utils/intervalJob.js";
+
+/**
+ * Flags patrol checkpoints that went unscanned past their tolerance, so
+ * missed tours show up on the dashboard while the shift is still running
+ */
+export const createPatrolJob = (options) =>
+  createIntervalJob({
+    name: "Patrol",
+    intervalMs: PATROL_JOB_INTERVAL_MS,
+    ...options,
+    tick: (at) =>
+      forEachTenant(async () => ({
+        flagged: await flagMissedCheckpoints(at),
+      })),
+  });
+
+export const patrolJob = createPatrolJob();
@@ -0,0 +1,98 @@
+import { Location } from "../models/locations.model.js";
+import { GeofenceEvent } from "../models/geofenceEvent.model.js";
+import { SHIFT_JOB_INTERVAL_MS, SHIFT_STATUS } from "../constants.js";
+import { emitToAdmins } from "../utils/realtime.js";
+import { recordNoShow } from "../services/attendance.service.js";
+import { forEachTenant } from "../services/organization.service.js";
+import { createIntervalJob } from "../utils/intervalJob.js";
+
+// First time the guard was seen inside the zone during the shift
+const findArrival = (shift, until) =>
+  GeofenceEvent.findOne({
+    assignment: shift._id,
+    type: "enter",
+    occurredAt: { $gte: shift.from, $lte: until },
+  }).sort({ occurredAt: 1 });
+
+// When the guard left: their last exit if they ended the shift outside the
+// zone, otherwise the scheduled end
+const findDeparture = async (shift) => {
+  const last = await GeofenceEvent.findOne({
+    assignment: shift._id,
+    occurredAt: { $gte: shift.actualStart || shift.from, $lte: shift.to },
+  }).sort({ occurredAt: -1 });
+  return last?.type === "exit" ? last.occurredAt : shift.to;
+};
+
+// Only moves the shift if nobody changed its status since it was read, so a
+// tick racing with an unassign never resurrects a cancelled shift
+const transition = async (shift, status, fields) => {
+  const updated = await Location.findOneAndUpdate(
+    { _id: shift._id, status: shift.status },
+    { $set: { status, ...fields } },
+    { new: true }
+  );
+  if (updated) emitToAdmins("shift:status", updated);
+  return updated;
+};
+
+// One organization's share of a tick
+const moveShifts = async (at) => {
+  const counts = { activated: 0, completed: 0, missed: 0 };
+
+  const started = await Location.find({
+    status: SHIFT_STATUS.SCHEDULED,
+    from: { $lte: at },
+  });
+  for (const shift of started) {
+    const arrival = await findArrival(shift, shift.to < at ? shift.to : at);
+    if (arrival) {
+      const updated = await transition(shift, SHIFT_STATUS.ACTIVE, {
+        actualStart: arrival.occurredAt,
+      });
+      if (updated) counts.activated++;
+    } else if (shift.to <= at) {
+      const updated = await transition(shift, SHIFT_STATUS.MISSED, {
+        archivedAt: at,
+      });
+      if (updated) {
+        await recordNoShow(shift, at);
+        counts.missed++;
+      }
+    }
+  }
+
+  const ended = await Location.find({
+    status: SHIFT_STATUS.ACTIVE,
+    to: { $lte: at },
+  });
+  for (const shift of ended) {
+    const updated = await transition(shift, SHIFT_STATUS.COMPLETED, {
+      actualEnd: await findDeparture(shift),
+      archivedAt: at,
+    });
+    if (updated) counts.completed++;
+  }
+
+  return counts;
+};
+
+/**
+ * Moves assignments through scheduled -> active -> completed/missed, one
+ * organization at a time
+ */
+export const createShiftLifecycleJob = (options) =>
+  createIntervalJob({
+    name: "Shift lifecycle",
+    intervalMs: SHIFT_JOB_INTERVAL_MS,
+    ...options,
+    tick: (at) => forEachTenant(() => moveShifts(at)),
+    // Assignments created before statuses existed start out as scheduled
+    setup: () =>
+      Location.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: SHIFT_STATUS.SCHEDULED } }
+      ),
+  });
+
+export const shiftLifecycleJob = createShiftLifecycleJob();
@@ -0,0 +1,18 @@
+import { WATCHDOG_JOB_INTERVAL_MS } from "../constants.js";
+import { checkGuardActivity } from "../services/watchdog.service.js";
+import { forEachTenant } from "../services/organization.service.js";
+import { createIntervalJob } from "../utils/intervalJob.js";
+
+/**
+ * Watches the position stream of guards on duty and raises inactivity
+ * alerts when it goes quiet or stops moving
+ */
+export const createWatchdogJob = (options) =>
+  createIntervalJob({
+    name: "Watchdog",
+    intervalMs: WATCHDOG_JOB_INTERVAL_MS,
+    ...options,
+    tick: (at) => forEachTenant(() => checkGuardActivity(at)),
+  });
+
+export const watchdogJob = createWatchdogJob();
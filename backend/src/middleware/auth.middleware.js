@@ -1,63 +1,77 @@
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
-import { User } from "../models/user.model.js";
-import { Guard } from "../models/guard.model.js";
-//used _ instead of res as it was not used anywhere
-export const verifyJWTuser = asyncHandler(async (req, _ , next) => {
-  // console.log("Entering in verify JWT function");
-  try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer", "").trim();
+import { PRINCIPALS } from "../constants.js";
+import { accountModelFor } from "../services/account.service.js";
+import { runInTenant } from "../utils/tenant.js";
+
+/**
+ * Resolves the account owning an access token, used by both the HTTP
+ * middleware below and the socket handshake. Tokens whose principal is not in
+ * `principals` are rejected before any lookup.
+ */
+export const findAccountByToken = async (
+  token,
+  principals = Object.values(PRINCIPALS)
+) => {
+  if (!token) throw new ApiError(403, "Unauthorised request");
+
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+  if (!principals.includes(decodedToken?.principal)) {
+    throw new ApiError(401, "Invalid access token for this resource");
+  }
+
+  const account = await accountModelFor(decodedToken.principal)
+    .findById(decodedToken._id)
+    .select("-password -refreshToken");
+
+  if (!account) {
+    throw new ApiError(401, "Invalid access token");
+  }
+
+  return account;
+};
 
-    // console.log("Yout token ", token);
+export const findUserByToken = (token) =>
+  findAccountByToken(token, [PRINCIPALS.USER]);
 
-    if (!token) throw new ApiError(403, "Unauthorised request");
+export const findGuardByToken = (token) =>
+  findAccountByToken(token, [PRINCIPALS.GUARD]);
 
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+const getRequestToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer", "").trim();
 
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
-    
-    if (!user) {
-      throw new ApiError(401, "Invalid access token");
-    }
+//used _ instead of res as it was not used anywhere
+export const verifyJWTuser = asyncHandler(async (req, _, next) => {
+  try {
+    req.user = await findUserByToken(getRequestToken(req));
 
-    req.user = user;
-    
-    next();
+    // Everything after this runs scoped to the account's organization
+    runInTenant(req.user.organization, next);
   } catch (error) {
     throw new ApiError(401, error?.message || "Invalid token");
   }
 });
 
-export const verifyJWTguard = asyncHandler(async (req, _ , next) => {
-  // console.log("Entering in verify JWT function");
+export const verifyJWTguard = asyncHandler(async (req, _, next) => {
   try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer", "").trim();
-
-    // console.log("Yout token ", token);
+    req.user = await findGuardByToken(getRequestToken(req));
 
-    if (!token) throw new ApiError(403, "Unauthorised request");
-
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    runInTenant(req.user.organization, next);
+  } catch (error) {
+    throw new ApiError(401, error?.message || "Invalid token");
+  }
+});
 
-    const guard = await Guard.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
-    
-    if (!guard) {
-      throw new ApiError(401, "Invalid access token");
-    }
+// For routes shared by staff and guards; the role check is left to requireRole
+export const verifyJWT = asyncHandler(async (req, _, next) => {
+  try {
+    req.user = await findAccountByToken(getRequestToken(req));
 
-    req.user = guard;
-    
-    next();
+    runInTenant(req.user.organization, next);
   } catch (error) {
     throw new ApiError(401, error?.message || "Invalid token");
   }
-});
\ No newline at end of file
+});
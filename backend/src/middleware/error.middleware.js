@@ -0,0 +1,23 @@
+import { ApiError } from "../utils/ApiError.js";
+
+/**
+ * Sends errors as JSON in the same shape as ApiResponse, so clients can read
+ * `errors` (e.g. the conflicting shifts of a 409) instead of an HTML page
+ */
+export const errorHandler = (err, req, res, next) => {
+  // Multer rejects oversized or unexpected files with a MulterError
+  const status =
+    err.name === "MulterError" ? 400 : err.statusCode || err.status;
+  const error =
+    err instanceof ApiError ? err : new ApiError(status || 500, err.message);
+
+  if (error.statusCode >= 500) console.error(err);
+
+  res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: null,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+  });
+};
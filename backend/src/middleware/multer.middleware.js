@@ -1,14 +1,33 @@
+import { AsyncResource } from "node:async_hooks";
+import crypto from "crypto";
+import path from "path";
 import multer from "multer";
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, "./public/temp");
   },
+  // Uploads sharing a name (every iPhone photo is image.jpg) must not
+  // overwrite each other; the extension is kept for the storage key
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(
+      null,
+      `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`
+    );
   },
 });
 
-export const upload = multer({
+const multerUpload = multer({
   storage,
 });
+
+// Multer calls back from the upload stream, which has lost the tenant the
+// request was running in (utils/tenant.js); binding `next` carries it over
+const keepTenant = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+export const upload = {
+  single: (...args) => keepTenant(multerUpload.single(...args)),
+  array: (...args) => keepTenant(multerUpload.array(...args)),
+  fields: (...args) => keepTenant(multerUpload.fields(...args)),
+};
@@ -0,0 +1,24 @@
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+
+const sameSecret = (given, expected) => {
+  const a = Buffer.from(`${given}`);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Guards the routes that manage organizations themselves, which sit above
+ * any one tenant. The caller sends PLATFORM_ADMIN_KEY in the X-Platform-Key
+ * header; without the variable set these routes are disabled.
+ */
+export const requirePlatformKey = (req, _, next) => {
+  const expected = process.env.PLATFORM_ADMIN_KEY;
+  if (!expected) {
+    return next(new ApiError(403, "Organization management is disabled"));
+  }
+  if (!sameSecret(req.header("X-Platform-Key") || "", expected)) {
+    return next(new ApiError(401, "Invalid platform key"));
+  }
+  next();
+};
@@ -0,0 +1,19 @@
+import { ApiError } from "../utils/ApiError.js";
+
+/**
+ * Lets the request through only when the authenticated principal has one of
+ * the given roles. Must run after one of the verifyJWT middlewares.
+ *
+ *   router.post("/assign", verifyJWTuser, requireRole("admin", "supervisor"), assignLocation);
+ */
+export const requireRole =
+  (...roles) =>
+  (req, _, next) => {
+    const role = req.user?.role?.toLowerCase();
+    if (!role || !roles.includes(role)) {
+      return next(
+        new ApiError(403, "You are not authorized to perform this action")
+      );
+    }
+    next();
+  };
@@ -0,0 +1,82 @@
+import mongoose, { Schema } from "mongoose";
+import { ALERT_KINDS, ALERT_STATUS } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+const alertSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: Object.values(ALERT_KINDS),
+      required: true,
+    },
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    // Shift the guard was on when the alert was raised, if any
+    assignment: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    // Last known position of the guard
+    latitude: {
+      type: Number,
+    },
+    longitude: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ALERT_STATUS),
+      default: ALERT_STATUS.OPEN,
+      index: true,
+    },
+    // Index into ALERT_ESCALATION_CHAIN of the tier currently answerable
+    escalationLevel: {
+      type: Number,
+      default: 0,
+    },
+    // When the escalation job moves it to the next tier; unset once it has
+    // been acknowledged or the chain is exhausted
+    escalateAt: {
+      type: Date,
+    },
+    acknowledgedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    // Cleared by the watchdog because the condition went away
+    autoResolved: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+alertSchema.index({ status: 1, escalateAt: 1 });
+alertSchema.index({ guard: 1, kind: 1, status: 1 });
+// A guard has at most one open alert of each kind, even when two are raised
+// at the same moment
+alertSchema.index(
+  { guard: 1, kind: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: ALERT_STATUS.OPEN },
+  }
+);
+
+alertSchema.plugin(tenantPlugin);
+
+export const Alert = mongoose.model("Alert", alertSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
 
 const appreciationSchema = new Schema({
   message: {
@@ -11,4 +12,6 @@ const appreciationSchema = new Schema({
   },
 });
 
+appreciationSchema.plugin(tenantPlugin);
+
 export const Appreciation = mongoose.model("Appreciation", appreciationSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
 
 const assignmentSchema = new Schema({
   guard: {
@@ -7,4 +8,6 @@ const assignmentSchema = new Schema({
     required: true,
   },
 });
+assignmentSchema.plugin(tenantPlugin);
+
 export const Assignment = mongoose.model("Assignment", assignmentSchema);
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// Append-only attendance ledger: one entry per check-in, check-out or no-show
+// of a shift. Lateness and early departures are derived from `offsetMinutes`.
+const attendanceSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    assignment: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["check-in", "check-out", "no-show"],
+      required: true,
+    },
+    at: {
+      type: Date,
+      required: true,
+    },
+    // Minutes after the scheduled start (check-in) or end (check-out);
+    // negative when early
+    offsetMinutes: {
+      type: Number,
+      required: true,
+    },
+    // Where the guard was when they checked in or out
+    latitude: {
+      type: Number,
+    },
+    longitude: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+attendanceSchema.index({ assignment: 1, type: 1 }, { unique: true });
+attendanceSchema.index({ guard: 1, at: -1 });
+
+attendanceSchema.plugin(tenantPlugin);
+
+export const Attendance = mongoose.model("Attendance", attendanceSchema);
@@ -1,15 +1,58 @@
 import mongoose, { Schema } from "mongoose";
-const attendanceRateSchema = new Schema({
-  attendanceRate: {
-    type: Number,
-    required: true,
-  },
-  guard: {
-    type: Schema.Types.ObjectId,
-    ref: "Guard",
-    required: true,
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// Evidence-based performance of a guard, recomputed on a schedule by the
+// attendance rate job from the attendance ledger, geofence events and patrol
+// checkpoint visits. One document per guard; never written from client input.
+const attendanceRateSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+      unique: true,
+    },
+    // Share of closed shifts the guard checked in to, 0-100
+    attendanceRate: {
+      type: Number,
+      required: true,
+    },
+    // Share of scheduled shift time spent inside the zone, 0-100
+    presenceRate: {
+      type: Number,
+      required: true,
+    },
+    // Per-shift presence averaged over closed shifts; a shift without a
+    // check-in scores 0. Feeds Shift_Completion_Percentage in the ratings.
+    workPercent: {
+      type: Number,
+      required: true,
+    },
+    // Share of patrol checkpoints visited on time, 0-100. Late and missed
+    // checkpoints and out-of-order scans count against it.
+    patrolRate: {
+      type: Number,
+      default: 0,
+    },
+    // Patrol checkpoints due on those shifts, visited or not
+    checkpoints: {
+      type: Number,
+      default: 0,
+    },
+    // Completed and missed shifts the figures are based on
+    shifts: {
+      type: Number,
+      required: true,
+    },
+    computedAt: {
+      type: Date,
+      required: true,
+    },
   },
-});
+  { timestamps: true }
+);
+
+attendanceRateSchema.plugin(tenantPlugin);
 
 export const AttendanceRate = mongoose.model(
   "AttendanceRate",
@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+import { CHECKPOINT_RADIUS } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// A QR or NFC tag fixed at a post. Guards prove they visited it by scanning
+// the tag's code from close by.
+const checkpointSchema = new Schema(
+  {
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Text encoded in the tag, unique within the organization
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    radius: {
+      type: Number,
+      default: CHECKPOINT_RADIUS,
+      min: 1,
+    },
+  },
+  { timestamps: true }
+);
+
+checkpointSchema.plugin(tenantPlugin);
+checkpointSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+export const Checkpoint = mongoose.model("Checkpoint", checkpointSchema);
@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+import { PATROL_VISIT_STATUS } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// One step of a guard tour: a scan, or a checkpoint the guard never reached.
+// On-time, late and missed visits each settle one `step` of the route;
+// out-of-order scans are kept as evidence but settle nothing.
+const checkpointVisitSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    assignment: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    checkpoint: {
+      type: Schema.Types.ObjectId,
+      ref: "Checkpoint",
+      required: true,
+    },
+    // The checkpoint the route called for, when another one was scanned
+    expectedCheckpoint: {
+      type: Schema.Types.ObjectId,
+      ref: "Checkpoint",
+    },
+    // Position in the tour, counting every lap: 0, 1, 2...
+    step: {
+      type: Number,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PATROL_VISIT_STATUS),
+      required: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    // Unset for missed checkpoints
+    scannedAt: {
+      type: Date,
+    },
+    latitude: {
+      type: Number,
+    },
+    longitude: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+// A step is settled once, whether by a scan or by the patrol job
+checkpointVisitSchema.index(
+  { assignment: 1, step: 1 },
+  { unique: true, partialFilterExpression: { step: { $exists: true } } }
+);
+checkpointVisitSchema.index({ status: 1, dueAt: -1 });
+
+checkpointVisitSchema.plugin(tenantPlugin);
+
+export const CheckpointVisit = mongoose.model(
+  "CheckpointVisit",
+  checkpointVisitSchema
+);
@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+import { contactSchema } from "./site.model.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// A customer organisation that contracts guarding for one or more sites.
+// Users with the client role are linked to one and see only its sites.
+const clientSchema = new Schema(
+  {
+    // Unique within the organization
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Who to call about the contract
+    contact: {
+      type: contactSchema,
+      default: undefined,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+clientSchema.plugin(tenantPlugin);
+clientSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+export const Client = mongoose.model("Client", clientSchema);
@@ -1,13 +1,123 @@
 import mongoose, { Schema } from "mongoose";
-const complainSchema = new Schema({
-  complain: {
-    type: String,
-    required: true,
+import {
+  ATTACHMENT_TYPES,
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_SEVERITIES,
+  COMPLAINT_STATUS,
+} from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// A file kept by one of the storage drivers (utils/storage). `driver` and
+// `key` are what is needed to delete it again.
+export const attachmentSchema = new Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    // Private files are only handed out as expiring signed links
+    visibility: {
+      type: String,
+      enum: ["public", "private"],
+      default: "public",
+    },
+    resourceType: {
+      type: String,
+      enum: ATTACHMENT_TYPES,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    originalName: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Staff notes left while triaging, oldest first
+const complainNoteSchema = new Schema(
+  {
+    author: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // Status the complaint moved to with this note, if it changed
+    status: {
+      type: String,
+      enum: Object.values(COMPLAINT_STATUS),
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
   },
-  guard: {
-    type: mongoose.Types.ObjectId,
-    ref: "Guard",
+  { _id: false }
+);
+
+const complainSchema = new Schema(
+  {
+    complain: {
+      type: String,
+      required: true,
+    },
+    guard: {
+      type: mongoose.Types.ObjectId,
+      ref: "Guard",
+    },
+    reporter: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+    },
+    category: {
+      type: String,
+      enum: COMPLAINT_CATEGORIES,
+      default: "other",
+    },
+    severity: {
+      type: String,
+      enum: COMPLAINT_SEVERITIES,
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: Object.values(COMPLAINT_STATUS),
+      default: COMPLAINT_STATUS.OPEN,
+      index: true,
+    },
+    attachments: [attachmentSchema],
+    notes: [complainNoteSchema],
+    resolvedAt: {
+      type: Date,
+    },
+    // Set when an admin suspended the guard over this complaint
+    guardSuspended: {
+      type: Boolean,
+      default: false,
+    },
   },
-});
+  { timestamps: true }
+);
+
+complainSchema.index({ guard: 1, createdAt: -1 });
+
+complainSchema.plugin(tenantPlugin);
 
 export const Complain = mongoose.model("Complain", complainSchema);
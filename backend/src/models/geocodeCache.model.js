@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+
+const candidateSchema = new Schema(
+  {
+    displayName: {
+      type: String,
+      required: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    type: {
+      type: String,
+    },
+    // Name of the site or building at the place, when the provider has one
+    siteLabel: {
+      type: String,
+    },
+    score: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Geocoding answers by normalised query, so the sites admins look up again
+// and again are only sent to a provider once per GEOCODER_CACHE_TTL_DAYS.
+// Reverse lookups are keyed "@latitude,longitude" with a single candidate.
+const geocodeCacheSchema = new Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    candidates: {
+      type: [candidateSchema],
+      default: [],
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    // Removed by MongoDB once passed
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+export const GeocodeCache = mongoose.model("GeocodeCache", geocodeCacheSchema);
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+const geofenceEventSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    assignment: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["enter", "exit"],
+      required: true,
+    },
+    // How far outside the zone the guard was when the event fired, in metres
+    distance: {
+      type: Number,
+      required: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+geofenceEventSchema.index({ guard: 1, assignment: 1, occurredAt: -1 });
+
+geofenceEventSchema.plugin(tenantPlugin);
+
+export const GeofenceEvent = mongoose.model(
+  "GeofenceEvent",
+  geofenceEventSchema
+);
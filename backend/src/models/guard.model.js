@@ -1,41 +1,10 @@
 import mongoose, { Schema } from "mongoose";
-import jwt from "jsonwebtoken";
-import bcrypt from "bcrypt";
+import { PRINCIPALS, ROLES } from "../constants.js";
+import { accountPlugin } from "./plugins/account.plugin.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
 
 const guardSchema = new Schema(
   {
-    userName: {
-      type: String,
-      required: true,
-      unique: true,
-      index: true,
-      lowercase: true, // Fixed typo (was lowerCase)
-      trim: true,
-    },
-    email: {
-      type: String,
-      required: true,
-      unique: true,
-      lowercase: true, // Fixed typo (was lowerCase)
-      trim: true,
-    },
-    fullName: {
-      type: String,
-      required: true,
-      trim: true,
-      index: true,
-    },
-    avatar: {
-      type: String,
-      required: true,
-    },
-    password: {
-      type: String,
-      required: [true, "Password is required"],
-    },
-    refreshToken: {
-      type: String,
-    },
     residence: {
       type: String,
       required: true,
@@ -70,56 +39,15 @@ const guardSchema = new Schema(
     },
     role: {
       type: String,
-      default: "guard",
-    },
-    workPercent: {
-      type: Number,
-      default: 80,
+      enum: [ROLES.GUARD],
+      default: ROLES.GUARD,
     },
   },
   { timestamps: true }
 );
 
-// Hash password before saving
-guardSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
-  this.password = await bcrypt.hash(this.password, 10);
-  next();
-});
-
-// Method to compare passwords
-guardSchema.methods.isPasswordCorrect = async function (tpassword) {
-  return await bcrypt.compare(tpassword, this.password);
-};
-
-// Generate Access Token
-guardSchema.methods.generateAccessToken = function () {
-  return jwt.sign(
-    {
-      _id: this._id,
-      email: this.email,
-      fullName: this.fullName,
-      userName: this.userName,
-    },
-    process.env.ACCESS_TOKEN_SECRET,
-    {
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
-    }
-  );
-};
-
-// Generate Refresh Token
-guardSchema.methods.generateRefreshToken = function () {
-  return jwt.sign(
-    {
-      _id: this._id,
-    },
-    process.env.REFRESH_TOKEN_SECRET,
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
-    }
-  );
-};
+guardSchema.plugin(accountPlugin, { principal: PRINCIPALS.GUARD });
+guardSchema.plugin(tenantPlugin);
 
 // Export Model
 export const Guard = mongoose.model("Guard", guardSchema);
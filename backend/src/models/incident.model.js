@@ -0,0 +1,82 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUS,
+  INCIDENT_TYPES,
+} from "../constants.js";
+import { attachmentSchema } from "./complain.model.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+const incidentSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    // Shift the guard was on when they reported it, if any
+    assignment: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    type: {
+      type: String,
+      enum: INCIDENT_TYPES,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: INCIDENT_SEVERITIES,
+      required: true,
+    },
+    narrative: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Where the guard was when they reported it
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    // When it happened, which can be before it was reported (createdAt)
+    occurredAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    attachments: [attachmentSchema],
+    status: {
+      type: String,
+      enum: Object.values(INCIDENT_STATUS),
+      default: INCIDENT_STATUS.OPEN,
+      index: true,
+    },
+    acknowledgedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    closedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+incidentSchema.index({ guard: 1, occurredAt: -1 });
+incidentSchema.index({ occurredAt: -1 });
+
+incidentSchema.plugin(tenantPlugin);
+
+export const Incident = mongoose.model("Incident", incidentSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
 const liveGuardSchema = new Schema({
   guard: {
     type: mongoose.Types.ObjectId,
@@ -10,5 +11,14 @@ const liveGuardSchema = new Schema({
   longitude: {
     type: Number,
   },
+  // Last ping, and last ping at a different position than the one before
+  lastSeenAt: {
+    type: Date,
+  },
+  lastMovedAt: {
+    type: Date,
+  },
 });
+liveGuardSchema.plugin(tenantPlugin);
+
 export const LiveGuard = mongoose.model("LiveGuard", liveGuardSchema);
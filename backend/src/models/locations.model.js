@@ -1,10 +1,38 @@
 import mongoose, { Schema } from "mongoose";
+import { GEOFENCE_RADIUS, SHIFT_STATUS } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// GeoJSON perimeter; several disjoint zones are stored as a MultiPolygon
+export const perimeterSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon", "MultiPolygon"],
+      required: true,
+    },
+    coordinates: {
+      type: [Schema.Types.Mixed],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const locationSchema = new Schema(
   {
     guard: {
       type: mongoose.Types.ObjectId,
       ref: "Guard",
     },
+    // Post the shift is worked at, unset for one-off positions. The post's
+    // zone is copied below, so geofencing and replays of past shifts keep
+    // the zone they were worked against when the post is later moved.
+    post: {
+      type: mongoose.Types.ObjectId,
+      ref: "Post",
+      index: true,
+    },
+    // Centre of the circular zone, or the marker position of a perimeter
     latitude: {
       type: Number,
       required: true,
@@ -13,6 +41,27 @@ const locationSchema = new Schema(
       type: Number,
       required: true,
     },
+    radius: {
+      type: Number,
+      default: GEOFENCE_RADIUS,
+      min: 1,
+    },
+    // When set, replaces the circle for every geofence check
+    perimeter: {
+      type: perimeterSchema,
+      default: undefined,
+    },
+    // Filled in by reverse geocoding when the zone is set; null when no
+    // provider knew the place
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Short name staff see instead of coordinates, e.g. "Gate 2"
+    siteLabel: {
+      type: String,
+      trim: true,
+    },
     duration: {
       type: Number,
       required: true,
@@ -25,8 +74,40 @@ const locationSchema = new Schema(
       type: Date,
       required: true,
     },
+    // Moved along by the shift lifecycle job
+    status: {
+      type: String,
+      enum: Object.values(SHIFT_STATUS),
+      default: SHIFT_STATUS.SCHEDULED,
+      index: true,
+    },
+    // When the guard was first seen inside the zone, and when they left it
+    actualStart: {
+      type: Date,
+    },
+    actualEnd: {
+      type: Date,
+    },
+    // Set when the shift reaches completed, missed or cancelled
+    archivedAt: {
+      type: Date,
+    },
+    // Set on shifts generated from a roster
+    roster: {
+      type: mongoose.Types.ObjectId,
+      ref: "Roster",
+    },
   },
   { timestamps: true }
 );
 
+// A roster produces at most one shift per start time, so materialising the
+// same range twice is a no-op
+locationSchema.index(
+  { roster: 1, from: 1 },
+  { unique: true, partialFilterExpression: { roster: { $exists: true } } }
+);
+
+locationSchema.plugin(tenantPlugin);
+
 export const Location = mongoose.model("Location", locationSchema);
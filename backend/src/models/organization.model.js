@@ -0,0 +1,26 @@
+import mongoose, { Schema } from "mongoose";
+
+// A security agency hosted on this deployment. Every account, guard and
+// record below it belongs to exactly one organization; see tenant.plugin.js.
+const organizationSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    // Short handle people register against, e.g. "acme-security"
+    slug: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Organization = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+import { PATROL_TOLERANCE_MINUTES } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// The order a post's checkpoints are toured in. The tour starts over from the
+// first checkpoint after the last one, until the shift ends.
+const patrolRouteSchema = new Schema(
+  {
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      unique: true,
+    },
+    checkpoints: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Checkpoint" }],
+      validate: [
+        (checkpoints) => checkpoints.length > 0,
+        "At least one checkpoint is required",
+      ],
+    },
+    // Minutes expected between two consecutive checkpoints
+    intervalMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Minutes a checkpoint may be overdue before it counts as late or missed
+    toleranceMinutes: {
+      type: Number,
+      default: PATROL_TOLERANCE_MINUTES,
+      min: 0,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+patrolRouteSchema.plugin(tenantPlugin);
+
+export const PatrolRoute = mongoose.model("PatrolRoute", patrolRouteSchema);
@@ -0,0 +1,95 @@
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+
+/**
+ * Shared account layer for every model that can log in (users and guards).
+ * Adds the credential fields, password hashing and token generation. Tokens
+ * carry the principal type so a token minted for one model can never be
+ * resolved against the other.
+ *
+ *   guardSchema.plugin(accountPlugin, { principal: PRINCIPALS.GUARD });
+ */
+export const accountPlugin = (schema, { principal }) => {
+  schema.add({
+    userName: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      lowercase: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    fullName: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    avatar: {
+      type: String, // Public URL from the storage driver
+      required: true,
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      select: false, // Prevent password from being queried accidentally
+    },
+    refreshToken: {
+      type: String,
+      select: false, // Prevent token exposure in queries
+    },
+  });
+
+  // Hash password before saving
+  schema.pre("save", async function (next) {
+    if (!this.isModified("password")) return next();
+    this.password = await bcrypt.hash(this.password, 10);
+    next();
+  });
+
+  // Method to compare passwords
+  schema.methods.isPasswordCorrect = async function (tpassword) {
+    return await bcrypt.compare(tpassword, this.password);
+  };
+
+  // Generate Access Token
+  schema.methods.generateAccessToken = function () {
+    return jwt.sign(
+      {
+        _id: this._id,
+        principal,
+        role: this.role,
+        email: this.email,
+        fullName: this.fullName,
+        userName: this.userName,
+      },
+      process.env.ACCESS_TOKEN_SECRET,
+      {
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+      }
+    );
+  };
+
+  // Generate Refresh Token
+  schema.methods.generateRefreshToken = function () {
+    return jwt.sign(
+      {
+        _id: this._id,
+        principal,
+      },
+      process.env.REFRESH_TOKEN_SECRET,
+      {
+        expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      }
+    );
+  };
+
+  schema.virtual("principal").get(() => principal);
+};
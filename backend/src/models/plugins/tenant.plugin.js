@@ -0,0 +1,147 @@
+import mongoose, { Schema } from "mongoose";
+import { currentTenant } from "../../utils/tenant.js";
+
+const SCOPED_QUERIES = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+// Aggregation stages read before any document, which must stay first
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta"];
+
+// Every compiled model using this plugin
+export const tenantModels = () =>
+  Object.values(mongoose.models).filter(
+    (model) => model.schema.path("organization")?.options.tenant
+  );
+
+const isTenantCollection = (collectionName) =>
+  tenantModels().some(
+    (model) => model.collection.collectionName === collectionName
+  );
+
+/**
+ * Limits a pipeline, and every pipeline nested in it that reads another
+ * tenant collection, to the organization. Aggregations skip query casting,
+ * so the ID must already be an ObjectId.
+ */
+const scopePipeline = (pipeline, organization, reads = true) => {
+  const scoped = pipeline.map((stage) => {
+    if (stage.$lookup) {
+      const lookup = { ...stage.$lookup };
+      if (lookup.pipeline) {
+        lookup.pipeline = scopePipeline(
+          lookup.pipeline,
+          organization,
+          isTenantCollection(lookup.from)
+        );
+      } else if (isTenantCollection(lookup.from)) {
+        lookup.pipeline = scopePipeline([], organization);
+      }
+      return { $lookup: lookup };
+    }
+    if (stage.$unionWith) {
+      const union =
+        typeof stage.$unionWith === "string"
+          ? { coll: stage.$unionWith }
+          : { ...stage.$unionWith };
+      union.pipeline = scopePipeline(
+        union.pipeline || [],
+        organization,
+        isTenantCollection(union.coll)
+      );
+      return { $unionWith: union };
+    }
+    if (stage.$graphLookup && isTenantCollection(stage.$graphLookup.from)) {
+      const graph = stage.$graphLookup;
+      return {
+        $graphLookup: {
+          ...graph,
+          restrictSearchWithMatch: {
+            ...graph.restrictSearchWithMatch,
+            organization,
+          },
+        },
+      };
+    }
+    if (stage.$facet) {
+      const facet = {};
+      for (const [name, branch] of Object.entries(stage.$facet)) {
+        // Facets see the documents already matched above them
+        facet[name] = scopePipeline(branch, organization, false);
+      }
+      return { $facet: facet };
+    }
+    return stage;
+  });
+
+  if (reads) {
+    const at = LEADING_STAGES.some((name) => scoped[0]?.[name]) ? 1 : 0;
+    scoped.splice(at, 0, { $match: { organization } });
+  }
+  return scoped;
+};
+
+/**
+ * Gives a model an owning organization and confines it to the running
+ * tenant (see utils/tenant.js): queries and aggregations only see the
+ * tenant's documents, including those reached through $lookup, and new
+ * documents are stamped with it. Outside a tenant nothing is filtered.
+ *
+ *   guardSchema.plugin(tenantPlugin);
+ */
+export const tenantPlugin = (schema) => {
+  schema.add({
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+      // Marks the model for tenantModels
+      tenant: true,
+    },
+  });
+
+  schema.pre(SCOPED_QUERIES, function () {
+    const organization = currentTenant();
+    if (organization) this.where({ organization });
+  });
+
+  schema.pre("aggregate", function () {
+    const organization = currentTenant();
+    if (!organization) return;
+    const pipeline = this.pipeline();
+    pipeline.splice(
+      0,
+      pipeline.length,
+      ...scopePipeline(pipeline, new mongoose.Types.ObjectId(`${organization}`))
+    );
+  });
+
+  schema.pre("save", function () {
+    const organization = currentTenant();
+    if (!organization) return;
+    if (!this.organization) {
+      this.organization = organization;
+    } else if (!this.organization.equals(organization)) {
+      throw new Error("Cannot save a document of another organization");
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    const organization = currentTenant();
+    if (organization) {
+      for (const doc of docs) doc.organization ??= organization;
+    }
+    next();
+  });
+};
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+import { POSITION_RETENTION_DAYS } from "../constants.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+const positionSampleSchema = new Schema(
+  {
+    guard: {
+      type: Schema.Types.ObjectId,
+      ref: "Guard",
+      required: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "guard",
+      granularity: "seconds",
+    },
+    // TTL on the time-series collection
+    expireAfterSeconds: POSITION_RETENTION_DAYS * 24 * 60 * 60,
+  }
+);
+
+positionSampleSchema.index({ guard: 1, recordedAt: 1 });
+
+positionSampleSchema.plugin(tenantPlugin);
+
+export const PositionSample = mongoose.model(
+  "PositionSample",
+  positionSampleSchema
+);
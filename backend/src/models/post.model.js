@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+import { GEOFENCE_RADIUS } from "../constants.js";
+import { perimeterSchema } from "./locations.model.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+// A place within a site where a guard stands, such as a gate or a reception.
+// Its zone is copied onto every shift worked there.
+const postSchema = new Schema(
+  {
+    site: {
+      type: Schema.Types.ObjectId,
+      ref: "Site",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    radius: {
+      type: Number,
+      default: GEOFENCE_RADIUS,
+      min: 1,
+    },
+    perimeter: {
+      type: perimeterSchema,
+      default: undefined,
+    },
+    // Filled in by reverse geocoding when the zone is set
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Orders specific to this post, on top of the site's
+    instructions: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+postSchema.index({ site: 1, name: 1 }, { unique: true });
+
+postSchema.plugin(tenantPlugin);
+
+export const Post = mongoose.model("Post", postSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
 
 const reviewSchema = new Schema({
   feedBack: {
@@ -20,4 +21,6 @@ const reviewSchema = new Schema({
     required: true,
   },
 });
+reviewSchema.plugin(tenantPlugin);
+
 export const Review = mongoose.model("Review", reviewSchema);
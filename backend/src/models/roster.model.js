@@ -0,0 +1,129 @@
+import mongoose, { Schema } from "mongoose";
+import { GEOFENCE_RADIUS } from "../constants.js";
+import { perimeterSchema } from "./locations.model.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+export const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Weekly recurring shift pattern. Concrete shifts are Location documents
+// created from it by the roster service.
+const rosterSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Guards take turns in this order
+    guards: {
+      type: [{ type: mongoose.Types.ObjectId, ref: "Guard" }],
+      validate: [
+        (guards) => guards.length > 0,
+        "At least one guard is required",
+      ],
+    },
+    // "shift" hands every occurrence to the next guard, "week" keeps the
+    // same guard for a whole week
+    rotation: {
+      type: String,
+      enum: ["shift", "week"],
+      default: "shift",
+    },
+    // 0 = Sunday ... 6 = Saturday, in the roster's local time
+    // Each day is kept once, so it is not counted twice when handing out turns
+    daysOfWeek: {
+      type: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+          validate: [Number.isInteger, "Days of the week are whole numbers"],
+        },
+      ],
+      set: (days) =>
+        Array.isArray(days)
+          ? days.filter(
+              (day, index) =>
+                days.findIndex((other) => `${other}` === `${day}`) === index
+            )
+          : days,
+      validate: [(days) => days.length > 0, "At least one day is required"],
+    },
+    // "HH:mm" local time; an end at or before the start runs overnight
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+    // IANA time zone the times above are local to, e.g. "Asia/Kolkata", so
+    // shifts keep their local times across daylight saving changes
+    timeZone: {
+      type: String,
+      default: "UTC",
+      validate: [isTimeZone, "Unknown time zone"],
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // Saved post the shifts are worked at, if any
+    post: {
+      type: mongoose.Types.ObjectId,
+      ref: "Post",
+    },
+    // Zone the shifts are worked at, copied onto every generated shift
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    radius: {
+      type: Number,
+      default: GEOFENCE_RADIUS,
+      min: 1,
+    },
+    perimeter: {
+      type: perimeterSchema,
+      default: undefined,
+    },
+    // Copied onto every generated shift like the zone
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Short name staff see instead of coordinates, e.g. "Gate 2"
+    siteLabel: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+rosterSchema.plugin(tenantPlugin);
+
+export const Roster = mongoose.model("Roster", rosterSchema);
@@ -0,0 +1,92 @@
+import mongoose, { Schema } from "mongoose";
+import { TIME_OF_DAY } from "./roster.model.js";
+import { tenantPlugin } from "./plugins/tenant.plugin.js";
+
+export const contactSchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  },
+  { _id: false }
+);
+
+// When the site is open, in local time. Sites without one are guarded round
+// the clock.
+const operatingHoursSchema = new Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      validate: [(days) => days.length > 0, "At least one day is required"],
+    },
+    // A close at or before the open runs overnight
+    open: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+    close: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+  },
+  { _id: false }
+);
+
+// A premises guarded for a client. Guards stand at one of its posts.
+const siteSchema = new Schema(
+  {
+    // Unique within the organization
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Customer the site is guarded for
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      index: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Who to call on site
+    contact: {
+      type: contactSchema,
+      default: undefined,
+    },
+    operatingHours: {
+      type: operatingHoursSchema,
+      default: undefined,
+    },
+    // Standing orders every guard on the site should read
+    instructions: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+siteSchema.plugin(tenantPlugin);
+siteSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+export const Site = mongoose.model("Site", siteSchema);
@@ -4,16 +4,52 @@ import {
   listUnauthorisedGuards,
   rejectGuard,
   listComplain,
+  listComplaints,
+  updateComplaint,
+  suspendGuardForComplaint,
+  purgeComplaint,
+  listUsers,
+  updateUserRole,
 } from "../controllers/admin.controller.js";
 import { verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { ROLES, STAFF_ROLES } from "../constants.js";
 
 const router = Router();
 
+router.use(verifyJWTuser);
+
 // Route to authorise a guard
-router.patch("/authorise/:guardId", verifyJWTuser, authoriseGuard);
+router.patch("/authorise/:guardId", requireRole(ROLES.ADMIN), authoriseGuard);
 
 // Route to list unauthorised guards
-router.get("/unauthorised", verifyJWTuser, listUnauthorisedGuards);
-router.patch("/reject/:guardId", verifyJWTuser, rejectGuard);
-router.get("/complains/:guardId", listComplain);
+router.get(
+  "/unauthorised",
+  requireRole(...STAFF_ROLES),
+  listUnauthorisedGuards
+);
+router.patch("/reject/:guardId", requireRole(ROLES.ADMIN), rejectGuard);
+router.get("/complains/:guardId", requireRole(...STAFF_ROLES), listComplain);
+
+// Complaint triage; only admins can suspend a guard over a complaint
+router.get("/complaints", requireRole(...STAFF_ROLES), listComplaints);
+router.patch(
+  "/complaints/:complaintId",
+  requireRole(...STAFF_ROLES),
+  updateComplaint
+);
+router.patch(
+  "/complaints/:complaintId/suspend",
+  requireRole(ROLES.ADMIN),
+  suspendGuardForComplaint
+);
+router.delete(
+  "/complaints/:complaintId",
+  requireRole(ROLES.ADMIN),
+  purgeComplaint
+);
+
+// User accounts and their roles
+router.get("/users", requireRole(ROLES.ADMIN), listUsers);
+router.patch("/users/:userId/role", requireRole(ROLES.ADMIN), updateUserRole);
 export default router;
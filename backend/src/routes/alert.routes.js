@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  raiseSosAlert,
+  getMyAlerts,
+  getAlerts,
+  acknowledge,
+  resolve,
+} from "../controllers/alert.controller.js";
+import {
+  verifyJWTguard,
+  verifyJWTuser,
+} from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+// Panic button
+router.post("/sos", verifyJWTguard, raiseSosAlert);
+router.get("/mine", verifyJWTguard, getMyAlerts);
+
+router.get("/", verifyJWTuser, requireRole(...STAFF_ROLES), getAlerts);
+router.patch(
+  "/:alertId/acknowledge",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  acknowledge
+);
+router.patch(
+  "/:alertId/resolve",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  resolve
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  login,
+  logout,
+  refreshTokens,
+  getCurrentAccount,
+  checkRefreshToken,
+} from "../controllers/auth.controller.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Single login for users and guards
+router.post("/login", login);
+
+// Logout (protected route)
+router.post("/logout", verifyJWT, logout);
+
+// Refresh tokens
+router.post("/refresh-tokens", refreshTokens);
+
+// Get the logged-in account, whichever principal it is
+router.get("/me", verifyJWT, getCurrentAccount);
+
+// Check if refresh token exists
+router.get("/check-refresh", checkRefreshToken);
+
+export default router;
@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  listClients,
+  createClient,
+  updateClient,
+  deleteClient,
+  getPortalSites,
+  getPortalLivePositions,
+  getPortalIncidents,
+  getPortalAttendance,
+} from "../controllers/client.controller.js";
+import { verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { ROLES, STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+router.use(verifyJWTuser);
+
+// Client portal, scoped to the signed-in client's own sites
+router.get("/portal/sites", requireRole(ROLES.CLIENT), getPortalSites);
+router.get("/portal/live", requireRole(ROLES.CLIENT), getPortalLivePositions);
+router.get("/portal/incidents", requireRole(ROLES.CLIENT), getPortalIncidents);
+router.get(
+  "/portal/attendance",
+  requireRole(ROLES.CLIENT),
+  getPortalAttendance
+);
+
+// Staff manage the client organisations
+router
+  .route("/")
+  .get(requireRole(...STAFF_ROLES), listClients)
+  .post(requireRole(...STAFF_ROLES), createClient);
+router
+  .route("/:clientId")
+  .patch(requireRole(...STAFF_ROLES), updateClient)
+  .delete(requireRole(...STAFF_ROLES), deleteClient);
+
+export default router;
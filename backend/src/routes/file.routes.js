@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { serveSignedFile } from "../controllers/file.controller.js";
+
+const router = Router();
+
+// ?key&expires&signature as produced by the local storage driver
+router.get("/", serveSignedFile);
+
+export default router;
@@ -1,22 +1,30 @@
 import { Router } from "express";
 import {
   registerGuard,
-  loginGuard,
-  logoutGuard,
-  getAccessToken,
   getCurrentGuard,
-  checkRefreshToken,
   getGuard,
   listAutherisedGuards,
   listUnassignedGuards,
   listAuthorisedGuards,
+  listPastShifts,
   getSingleGuardAssignment,
-  updateWorkPercent,
 } from "../controllers/guard.controller.js";
 
 import { upload } from "../middleware/multer.middleware.js";
-import { verifyJWTguard } from "../middleware/auth.middleware.js";
+import {
+  verifyJWTguard,
+  verifyJWTuser,
+} from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
 import { getRatings } from "../controllers/rating.controller.js";
+import {
+  checkInShift,
+  checkOutShift,
+  getMyAttendance,
+  getGuardAttendance,
+  getMyPerformance,
+} from "../controllers/attendance.controller.js";
 
 const router = Router();
 
@@ -27,31 +35,57 @@ router.post(
   registerGuard
 );
 
-// Login
-router.post("/login", loginGuard);
-
-// Logout (protected route)
-router.post("/logout", verifyJWTguard, logoutGuard);
-
-// Refresh tokens
-router.post("/refresh-tokens", getAccessToken);
-
 // Get current logged-in guard (protected route)
 router.get("/current-guard", verifyJWTguard, getCurrentGuard);
 
-// Check if refresh token exists
-router.get("/check-refresh", checkRefreshToken);
-
 // Get guard by username
-router.get("/single/:userName", getGuard);
-router.get("/list", listAutherisedGuards);
-router.get("/unassignedGuardsList", listUnassignedGuards);
-router.get("/assignedGuards", listAuthorisedGuards);
+router.get(
+  "/single/:userName",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  getGuard
+);
+// Any signed-in user can browse approved guards to leave feedback
+router.get("/list", verifyJWTuser, listAutherisedGuards);
+router.get(
+  "/unassignedGuardsList",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  listUnassignedGuards
+);
+router.get(
+  "/assignedGuards",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  listAuthorisedGuards
+);
+router.get(
+  "/pastShifts",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  listPastShifts
+);
 router.get(
   "/getSingleGuardAssignment",
   verifyJWTguard,
   getSingleGuardAssignment
 );
-router.post("/updateWork", verifyJWTguard, updateWorkPercent);
-router.get("/getrating", getRatings);
+
+// Attendance: body carries the guard's { latitude, longitude }
+router.post("/shift/:assignmentId/check-in", verifyJWTguard, checkInShift);
+router.post("/shift/:assignmentId/check-out", verifyJWTguard, checkOutShift);
+router.get("/attendance", verifyJWTguard, getMyAttendance);
+router.get("/performance", verifyJWTguard, getMyPerformance);
+router.get(
+  "/attendance/:guardId",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  getGuardAttendance
+);
+router.get(
+  "/getrating",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  getRatings
+);
 export default router;
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  reportIncident,
+  getMyIncidents,
+  listIncidents,
+  updateIncidentStatus,
+} from "../controllers/incident.controller.js";
+import { upload } from "../middleware/multer.middleware.js";
+import {
+  verifyJWTguard,
+  verifyJWTuser,
+} from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { MAX_ATTACHMENTS, STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+// Guards report from their post; evidence goes in `attachments`
+router.post(
+  "/",
+  verifyJWTguard,
+  upload.array("attachments", MAX_ATTACHMENTS),
+  reportIncident
+);
+router.get("/mine", verifyJWTguard, getMyIncidents);
+
+// Staff feed and triage
+router.get("/", verifyJWTuser, requireRole(...STAFF_ROLES), listIncidents);
+router.patch(
+  "/:incidentId",
+  verifyJWTuser,
+  requireRole(...STAFF_ROLES),
+  updateIncidentStatus
+);
+
+export default router;
@@ -2,12 +2,26 @@ import { Router } from "express";
 import {
   addLive,
   updateLive,
+  uploadPositionBatch,
   listLiveGuards,
+  getLiveHistory,
+  listGeofenceEvents,
 } from "../controllers/liveloc.controller.js";
-import { verifyJWTguard } from "../middleware/auth.middleware.js";
+import {
+  verifyJWTguard,
+  verifyJWTuser,
+} from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
 const router = Router();
 
+const staffOnly = [verifyJWTuser, requireRole(...STAFF_ROLES)];
+
 router.route("/addlive").post(verifyJWTguard, addLive);
 router.route("/updatelive").patch(verifyJWTguard, updateLive);
-router.route("/liveList").get(listLiveGuards);
+// Positions buffered while offline, with the time each was taken
+router.route("/batch").post(verifyJWTguard, uploadPositionBatch);
+router.route("/liveList").get(staffOnly, listLiveGuards);
+router.route("/history/:guardId").get(staffOnly, getLiveHistory);
+router.route("/geofence/:guardId").get(staffOnly, listGeofenceEvents);
 export default router;
@@ -5,12 +5,26 @@ import {
   unassignTheGuard,
   getALocation,
   getLatestAssignment,
+  listAvailableGuards,
 } from "../controllers/location.controller.js";
+import { verifyJWT, verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { ROLES, STAFF_ROLES } from "../constants.js";
 const router = Router();
 
-router.post("/getCoordinates", getCoordinates);
-router.post("/assign", assignLocation);
-router.post("/unassignTheGuard/:assignMentId", unassignTheGuard);
-router.get("/getAssignment/:locationId", getALocation);
-router.get("/getLatestAssignment/:guardId", getLatestAssignment);
+const staffOnly = [verifyJWTuser, requireRole(...STAFF_ROLES)];
+
+router.post("/getCoordinates", staffOnly, getCoordinates);
+router.post("/assign", staffOnly, assignLocation);
+router.post("/unassignTheGuard/:assignMentId", staffOnly, unassignTheGuard);
+// Also read by the assigned guard, ownership is checked in the controller
+router.get(
+  "/getAssignment/:locationId",
+  verifyJWT,
+  requireRole(...STAFF_ROLES, ROLES.GUARD),
+  getALocation
+);
+router.get("/getLatestAssignment/:guardId", staffOnly, getLatestAssignment);
+// Guards with no clashing shift in ?from&to
+router.get("/available", staffOnly, listAvailableGuards);
 export default router;
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import {
+  createOrganization,
+  listOrganizations,
+  appointOrganizationAdmin,
+  getMyOrganization,
+} from "../controllers/organization.controller.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePlatformKey } from "../middleware/platform.middleware.js";
+
+const router = Router();
+
+router.get("/current", verifyJWT, getMyOrganization);
+
+// Platform operator only, across every organization
+router.use(requirePlatformKey);
+router.route("/").get(listOrganizations).post(createOrganization);
+router.post("/:organizationId/admins", appointOrganizationAdmin);
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+  createCheckpoint,
+  listCheckpoints,
+  deleteCheckpoint,
+  saveRoute,
+  getRoute,
+  getVisits,
+  scanCheckpoint,
+  getMyPatrol,
+} from "../controllers/patrol.controller.js";
+import {
+  verifyJWTguard,
+  verifyJWTuser,
+} from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+// Guard tour on the current shift
+router.post("/scan", verifyJWTguard, scanCheckpoint);
+router.get("/mine", verifyJWTguard, getMyPatrol);
+
+const staff = [verifyJWTuser, requireRole(...STAFF_ROLES)];
+
+router
+  .route("/checkpoints")
+  .get(...staff, listCheckpoints)
+  .post(...staff, createCheckpoint);
+router.delete("/checkpoints/:checkpointId", ...staff, deleteCheckpoint);
+router
+  .route("/routes/:postId")
+  .get(...staff, getRoute)
+  .put(...staff, saveRoute);
+// Missed and out-of-order checkpoints for the dashboard
+router.get("/visits", ...staff, getVisits);
+
+export default router;
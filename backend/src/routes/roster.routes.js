@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+  createRoster,
+  listRosters,
+  updateRoster,
+  deleteRoster,
+  previewRoster,
+  materialiseShifts,
+  listShifts,
+} from "../controllers/roster.controller.js";
+import { verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+router.use(verifyJWTuser, requireRole(...STAFF_ROLES));
+
+router.route("/").get(listRosters).post(createRoster);
+// Shifts starting in ?from&to, for the calendar
+router.get("/shifts", listShifts);
+router.route("/:rosterId").patch(updateRoster).delete(deleteRoster);
+router.get("/:rosterId/preview", previewRoster);
+// Create the concrete shifts for { from, to }
+router.post("/:rosterId/materialise", materialiseShifts);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  createSite,
+  listSites,
+  getSite,
+  updateSite,
+  deleteSite,
+  createPost,
+  updatePost,
+  deletePost,
+} from "../controllers/site.controller.js";
+import { verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { STAFF_ROLES } from "../constants.js";
+
+const router = Router();
+
+router.use(verifyJWTuser, requireRole(...STAFF_ROLES));
+
+router.route("/").get(listSites).post(createSite);
+router.route("/posts/:postId").patch(updatePost).delete(deletePost);
+router.route("/:siteId").get(getSite).patch(updateSite).delete(deleteSite);
+router.post("/:siteId/posts", createPost);
+
+export default router;
@@ -1,18 +1,16 @@
 import { Router } from "express";
 import {
   registerUser,
-  loginUser,
-  logoutUser,
-  getAccessToken,
   getCurrentUser,
-  checkRefreshToken,
   getUser,
-  authoriseGuard,
+  lodgeComplaint,
   appreciateGuard,
 } from "../controllers/user.controller.js";
 
 import { upload } from "../middleware/multer.middleware.js";
 import { verifyJWTuser } from "../middleware/auth.middleware.js";
+import { requireRole } from "../middleware/role.middleware.js";
+import { MAX_ATTACHMENTS, STAFF_ROLES } from "../constants.js";
 
 const router = Router();
 
@@ -23,25 +21,19 @@ router.post(
   registerUser
 );
 
-// Login
-router.post("/login", loginUser);
-
-// Logout (protected route)
-router.post("/logout", verifyJWTuser, logoutUser);
-
-// Refresh tokens
-router.post("/refresh-tokens", getAccessToken);
-
 // Get current logged-in user (protected route)
 router.get("/current-user", verifyJWTuser, getCurrentUser);
 
-// Check if refresh token exists
-router.get("/check-refresh", checkRefreshToken);
-
 // Get user by username
-router.get("/:userName", getUser);
+router.get("/:userName", verifyJWTuser, requireRole(...STAFF_ROLES), getUser);
 
-router.post("/reqAuth/:guardId", authoriseGuard);
+// Evidence files go in the multipart field `attachments`
+router.post(
+  "/complaints/:guardId",
+  verifyJWTuser,
+  upload.array("attachments", MAX_ATTACHMENTS),
+  lodgeComplaint
+);
 router.post("/appreciate/:guardId", verifyJWTuser, appreciateGuard);
 
 export default router;
@@ -0,0 +1,74 @@
+import { User } from "../models/user.model.js";
+import { Guard } from "../models/guard.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { PRINCIPALS } from "../constants.js";
+
+const ACCOUNT_MODELS = {
+  [PRINCIPALS.USER]: User,
+  [PRINCIPALS.GUARD]: Guard,
+};
+
+export const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+};
+
+export const refreshCookieOptions = {
+  ...cookieOptions,
+  maxAge: 230 * 24 * 60 * 60 * 1000,
+};
+
+export const accountModelFor = (principal) => {
+  const Model = ACCOUNT_MODELS[principal];
+  if (!Model) throw new ApiError(401, "Unknown account type");
+  return Model;
+};
+
+/**
+ * Finds the account matching the credentials. Usernames and emails are only
+ * unique per model, so when both a user and a guard match, the one whose
+ * password checks out wins (users first). `principal` narrows the search.
+ */
+export const findAccountByCredentials = async ({
+  userName,
+  email,
+  password,
+  principal,
+}) => {
+  if (!userName && !email) {
+    throw new ApiError(400, "Provide either username or email");
+  }
+  if (!password) throw new ApiError(400, "Password is required");
+
+  const principals = principal ? [principal] : Object.keys(ACCOUNT_MODELS);
+  const query = [];
+  if (userName) query.push({ userName: userName.toLowerCase().trim() });
+  if (email) query.push({ email: email.toLowerCase().trim() });
+
+  let found = false;
+  for (const type of principals) {
+    const account = await accountModelFor(type)
+      .findOne({ $or: query })
+      .select("+password");
+    if (!account) continue;
+    found = true;
+    if (await account.isPasswordCorrect(password)) return account;
+  }
+
+  if (!found) throw new ApiError(404, "Account not found");
+  throw new ApiError(401, "Invalid credentials");
+};
+
+/**
+ * Generates Access & Refresh Tokens and stores the refresh token
+ */
+export const issueTokens = async (account) => {
+  const accessToken = account.generateAccessToken();
+  const refreshToken = account.generateRefreshToken();
+
+  account.refreshToken = refreshToken;
+  await account.save({ validateBeforeSave: false });
+
+  return { accessToken, refreshToken };
+};
@@ -0,0 +1,233 @@
+import axios from "axios";
+import mongoose from "mongoose";
+import { Alert } from "../models/alert.model.js";
+import { LiveGuard } from "../models/liveGuard.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { emitToGuard, emitToRole, emitToStaff } from "../utils/realtime.js";
+import { findActiveAssignment } from "./geofence.service.js";
+import {
+  ALERT_ESCALATION_CHAIN,
+  ALERT_ESCALATION_TIMEOUT_SECONDS,
+  ALERT_KINDS,
+  ALERT_STATUS,
+} from "../constants.js";
+
+const isWebhook = (tier) => /^https?:\/\//i.test(tier);
+
+// When an alert at `level` moves on, or undefined at the end of the chain
+const escalationDeadline = (level, from) =>
+  level < ALERT_ESCALATION_CHAIN.length - 1
+    ? new Date(from.getTime() + ALERT_ESCALATION_TIMEOUT_SECONDS * 1000)
+    : undefined;
+
+const populateAlert = (query) =>
+  query
+    .populate("guard", "fullName userName")
+    .populate("acknowledgedBy", "fullName")
+    .populate("resolvedBy", "fullName")
+    .populate("assignment", "address siteLabel");
+
+/**
+ * Tells the tier at `level` about the alert. Every online staff member got
+ * it when it was raised, so role tiers only hear about escalations; webhook
+ * tiers are called at every level, including the first. Webhooks are not
+ * awaited, so a slow receiver never holds up an SOS or the escalation job.
+ */
+const notifyTier = (alert, level) => {
+  const tier = ALERT_ESCALATION_CHAIN[level];
+  if (!tier) return;
+
+  if (isWebhook(tier)) {
+    axios
+      .post(
+        tier,
+        { event: level > 0 ? "alert:escalated" : "alert:raised", alert },
+        { timeout: 5000 }
+      )
+      .catch((error) => {
+        console.log(`Alert webhook ${tier} failed :`, error.message);
+      });
+    return;
+  }
+  if (level > 0) emitToRole(tier, "alert:escalated", alert);
+};
+
+const broadcast = (alert) => {
+  emitToStaff("alert:updated", alert);
+  emitToGuard(alert.guard._id, "alert:updated", alert);
+};
+
+/**
+ * Raises an alert of `kind` about the guard at their last known position.
+ * Raising it again while the guard's previous one is unresolved only
+ * refreshes its position, except for an SOS that someone already took on:
+ * that is a new emergency, raised and escalated afresh.
+ */
+export const raiseAlert = async (guardId, kind, at = new Date()) => {
+  const live = await LiveGuard.findOne({ guard: guardId });
+  const latitude = live?.latitude;
+  const longitude = live?.longitude;
+
+  const refreshUnresolved = async () => {
+    const existing = await Alert.findOneAndUpdate(
+      {
+        guard: guardId,
+        kind,
+        status:
+          kind === ALERT_KINDS.SOS
+            ? ALERT_STATUS.OPEN
+            : { $ne: ALERT_STATUS.RESOLVED },
+      },
+      { $set: { latitude, longitude } },
+      { new: true }
+    );
+    if (!existing) return null;
+    const alert = await populateAlert(Alert.findById(existing._id));
+    broadcast(alert);
+    return alert;
+  };
+
+  const refreshed = await refreshUnresolved();
+  if (refreshed) return refreshed;
+
+  const assignment = await findActiveAssignment(guardId, at);
+  let created;
+  try {
+    created = await Alert.create({
+      kind,
+      guard: guardId,
+      assignment: assignment?._id,
+      latitude,
+      longitude,
+      escalationLevel: 0,
+      escalateAt: escalationDeadline(0, at),
+    });
+  } catch (error) {
+    // A concurrent call for the same guard and kind created the open alert
+    // first
+    if (error.code === 11000) return refreshUnresolved();
+    throw error;
+  }
+
+  const alert = await populateAlert(Alert.findById(created._id));
+  emitToStaff("alert:raised", alert);
+  notifyTier(alert, 0);
+  return alert;
+};
+
+// The position sent with an SOS is recorded by the caller beforehand
+export const raiseSos = (guardId, at = new Date()) =>
+  raiseAlert(guardId, ALERT_KINDS.SOS, at);
+
+// Moves an alert from one of `from` to `status`, or explains why it cannot
+const transitionAlert = async (alertId, from, update) => {
+  if (!mongoose.Types.ObjectId.isValid(alertId)) {
+    throw new ApiError(400, "Invalid Alert ID");
+  }
+  const updated = await Alert.findOneAndUpdate(
+    { _id: alertId, status: { $in: from } },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    const alert = await Alert.findById(alertId);
+    if (!alert) throw new ApiError(404, "Alert not found");
+    throw new ApiError(409, `Alert is already ${alert.status}`);
+  }
+
+  const alert = await populateAlert(Alert.findById(updated._id));
+  broadcast(alert);
+  return alert;
+};
+
+// Someone has taken the alert on, which stops the escalation
+export const acknowledgeAlert = (alertId, userId, at = new Date()) =>
+  transitionAlert(alertId, [ALERT_STATUS.OPEN], {
+    $set: {
+      status: ALERT_STATUS.ACKNOWLEDGED,
+      acknowledgedBy: userId,
+      acknowledgedAt: at,
+    },
+    $unset: { escalateAt: 1 },
+  });
+
+export const resolveAlert = (alertId, userId, at = new Date()) =>
+  transitionAlert(alertId, [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED], {
+    $set: {
+      status: ALERT_STATUS.RESOLVED,
+      resolvedBy: userId,
+      resolvedAt: at,
+    },
+    $unset: { escalateAt: 1 },
+  });
+
+/**
+ * Resolves the guard's unresolved alerts of the given kinds without anyone
+ * acting on them, for conditions that cleared by themselves. Returns how
+ * many were resolved.
+ */
+export const autoResolveAlerts = async (guardId, kinds, at = new Date()) => {
+  const alerts = await Alert.find({
+    guard: guardId,
+    kind: { $in: kinds },
+    status: { $ne: ALERT_STATUS.RESOLVED },
+  }).select("_id");
+
+  for (const { _id } of alerts) {
+    const updated = await Alert.findOneAndUpdate(
+      { _id, status: { $ne: ALERT_STATUS.RESOLVED } },
+      {
+        $set: {
+          status: ALERT_STATUS.RESOLVED,
+          resolvedAt: at,
+          autoResolved: true,
+        },
+        $unset: { escalateAt: 1 },
+      },
+      { new: true }
+    );
+    if (updated) broadcast(await populateAlert(Alert.findById(_id)));
+  }
+  return alerts.length;
+};
+
+/**
+ * Moves every open alert whose deadline has passed to the next tier of the
+ * escalation chain. Called by the escalation job; returns how many moved.
+ */
+export const escalateOverdueAlerts = async (at = new Date()) => {
+  const overdue = await Alert.find({
+    status: ALERT_STATUS.OPEN,
+    escalateAt: { $lte: at },
+  });
+
+  let escalated = 0;
+  for (const alert of overdue) {
+    const level = alert.escalationLevel + 1;
+    const deadline = escalationDeadline(level, at);
+    // Guarded on the level so an acknowledgement or another tick in between
+    // wins over this one
+    const updated = await Alert.findOneAndUpdate(
+      {
+        _id: alert._id,
+        status: ALERT_STATUS.OPEN,
+        escalationLevel: alert.escalationLevel,
+      },
+      deadline
+        ? { $set: { escalationLevel: level, escalateAt: deadline } }
+        : { $set: { escalationLevel: level }, $unset: { escalateAt: 1 } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    const populated = await populateAlert(Alert.findById(updated._id));
+    emitToStaff("alert:updated", populated);
+    notifyTier(populated, level);
+    escalated++;
+  }
+  return escalated;
+};
+
+// Alerts matching `filter`, newest first
+export const listAlerts = (filter = {}) =>
+  populateAlert(Alert.find(filter).sort({ createdAt: -1 }).limit(200));
@@ -0,0 +1,71 @@
+import { ATTACHMENT_TYPES, MAX_ATTACHMENTS } from "../constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  discardTempFiles,
+  fileUrl,
+  removeFile,
+  resourceTypeOf,
+  storeFile,
+} from "../utils/storage/index.js";
+
+/**
+ * Stores photo/video/audio evidence under `folder`, privately. Nothing is
+ * kept unless every file is accepted and stored, so a failed request leaves
+ * no orphans behind.
+ */
+export const storeAttachments = async (files = [], { folder }) => {
+  if (files.length > MAX_ATTACHMENTS) {
+    await discardTempFiles(files);
+    throw new ApiError(400, `At most ${MAX_ATTACHMENTS} files can be attached`);
+  }
+  const rejected = files.find(
+    (file) => !ATTACHMENT_TYPES.includes(resourceTypeOf(file.mimetype))
+  );
+  if (rejected) {
+    await discardTempFiles(files);
+    throw new ApiError(
+      400,
+      `${rejected.originalname} is not a photo, video or audio recording`
+    );
+  }
+
+  const stored = [];
+  for (const [i, file] of files.entries()) {
+    const attachment = await storeFile(file, {
+      folder,
+      visibility: "private",
+    });
+    if (!attachment) {
+      await discardTempFiles(files.slice(i + 1));
+      await removeAttachments(stored);
+      throw new ApiError(500, `Failed to upload ${file.originalname}`);
+    }
+    stored.push(attachment);
+  }
+  return stored;
+};
+
+/**
+ * Plain copy of a document for a response, with attachment urls replaced by
+ * links the client can open (signed ones for private evidence)
+ */
+export const withFileUrls = async (doc) => {
+  const data = doc.toObject ? doc.toObject() : { ...doc };
+  data.attachments = await Promise.all(
+    (data.attachments || []).map(async (attachment) => ({
+      ...attachment,
+      url: await fileUrl(attachment),
+    }))
+  );
+  return data;
+};
+
+// Best effort: a file that is already gone must not block the rest
+export const removeAttachments = async (attachments = []) => {
+  const results = await Promise.allSettled(attachments.map(removeFile));
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.log("Attachment could not be deleted :", result.reason);
+    }
+  }
+};
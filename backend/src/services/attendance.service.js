@@ -0,0 +1,260 @@
+import mongoose from "mongoose";
+import { Attendance } from "../models/attendance.model.js";
+import { Location } from "../models/locations.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { isInsideZone } from "../utils/geo.js";
+import { emitToAdmins } from "../utils/realtime.js";
+import { recordLivePosition } from "./liveloc.service.js";
+import { isValidWindow } from "./availability.service.js";
+import {
+  ATTENDANCE_GRACE_MINUTES,
+  OPEN_SHIFT_STATUSES,
+  SHIFT_STATUS,
+} from "../constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const minutesBetween = (scheduled, actual) =>
+  Math.round((actual.getTime() - new Date(scheduled).getTime()) / MINUTE_MS);
+
+const findGuardShift = async (
+  guardId,
+  assignmentId,
+  statuses = OPEN_SHIFT_STATUSES
+) => {
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    throw new ApiError(400, "Invalid assignment ID");
+  }
+  const shift = await Location.findById(assignmentId);
+  if (!shift || shift.guard?.toString() !== guardId.toString()) {
+    throw new ApiError(404, "Assignment not found");
+  }
+  if (!statuses.includes(shift.status)) {
+    throw new ApiError(409, `This shift is already ${shift.status}`);
+  }
+  return shift;
+};
+
+// The position is the proof of presence, so it has to be inside the zone
+const assertOnSite = (shift, { latitude, longitude }) => {
+  if (!isInsideZone(shift, Number(latitude), Number(longitude))) {
+    throw new ApiError(403, "You must be inside the assigned zone");
+  }
+};
+
+const writeEntry = async (entry) => {
+  try {
+    const created = await Attendance.create(entry);
+    emitToAdmins("attendance:entry", created);
+    return created;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(
+        409,
+        `Already recorded a ${entry.type} for this shift`
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks the guard in to a shift. Opens ATTENDANCE_GRACE_MINUTES before the
+ * start and stays open until the scheduled end; the shift becomes active.
+ */
+export const checkIn = async (
+  guardId,
+  assignmentId,
+  position,
+  at = new Date()
+) => {
+  const shift = await findGuardShift(guardId, assignmentId);
+
+  const opensAt = new Date(
+    shift.from.getTime() - ATTENDANCE_GRACE_MINUTES * MINUTE_MS
+  );
+  if (at < opensAt || at >= shift.to) {
+    throw new ApiError(
+      403,
+      `Check-in is open from ${opensAt.toISOString()} until ${shift.to.toISOString()}`
+    );
+  }
+
+  // Also feeds the live map and geofence, and validates the coordinates
+  await recordLivePosition(guardId, position);
+  assertOnSite(shift, position);
+
+  const entry = await writeEntry({
+    guard: guardId,
+    assignment: shift._id,
+    type: "check-in",
+    at,
+    offsetMinutes: minutesBetween(shift.from, at),
+    latitude: Number(position.latitude),
+    longitude: Number(position.longitude),
+  });
+
+  await Location.updateOne(
+    { _id: shift._id, status: SHIFT_STATUS.SCHEDULED },
+    { $set: { status: SHIFT_STATUS.ACTIVE, actualStart: at } }
+  );
+
+  return entry;
+};
+
+/**
+ * Checks the guard out of a shift they checked in to, at the latest
+ * ATTENDANCE_GRACE_MINUTES after the scheduled end. Completes the shift.
+ */
+export const checkOut = async (
+  guardId,
+  assignmentId,
+  position,
+  at = new Date()
+) => {
+  // The lifecycle job may already have completed the shift at its end
+  const shift = await findGuardShift(guardId, assignmentId, [
+    ...OPEN_SHIFT_STATUSES,
+    SHIFT_STATUS.COMPLETED,
+  ]);
+
+  const checkedIn = await Attendance.exists({
+    assignment: shift._id,
+    type: "check-in",
+  });
+  if (!checkedIn) {
+    throw new ApiError(409, "You have not checked in to this shift");
+  }
+
+  const closesAt = new Date(
+    shift.to.getTime() + ATTENDANCE_GRACE_MINUTES * MINUTE_MS
+  );
+  if (at > closesAt) {
+    throw new ApiError(403, `Check-out closed at ${closesAt.toISOString()}`);
+  }
+
+  await recordLivePosition(guardId, position);
+  assertOnSite(shift, position);
+
+  const entry = await writeEntry({
+    guard: guardId,
+    assignment: shift._id,
+    type: "check-out",
+    at,
+    offsetMinutes: minutesBetween(shift.to, at),
+    latitude: Number(position.latitude),
+    longitude: Number(position.longitude),
+  });
+
+  await Location.updateOne(
+    { _id: shift._id, status: shift.status },
+    {
+      $set: {
+        status: SHIFT_STATUS.COMPLETED,
+        actualEnd: at,
+        archivedAt: shift.archivedAt || at,
+      },
+    }
+  );
+
+  return entry;
+};
+
+// Written by the lifecycle job when a shift ends without a check-in
+export const recordNoShow = async (shift, at) =>
+  Attendance.updateOne(
+    { assignment: shift._id, type: "no-show" },
+    {
+      $setOnInsert: {
+        guard: shift.guard,
+        at,
+        offsetMinutes: minutesBetween(shift.from, at),
+      },
+    },
+    { upsert: true }
+  );
+
+// ?from&to of a report, defaulting to the last 30 days
+export const readReportRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 30 * DAY_MS);
+  if (!isValidWindow(from, to)) {
+    throw new ApiError(400, "A valid from/to range is required");
+  }
+  return { from, to };
+};
+
+/**
+ * Per-shift attendance of a guard for shifts starting in [from, to], with
+ * lateness, early departures, no-shows and completed shifts without a
+ * check-in derived from the ledger
+ */
+export const getAttendanceReport = async (guardId, from, to) =>
+  summariseAttendance({ guard: guardId }, from, to);
+
+// The same report over every shift matching `filter`, e.g. all the shifts
+// worked at a client's posts
+export const summariseAttendance = async (filter, from, to) => {
+  const shifts = await Location.find({
+    ...filter,
+    status: { $ne: SHIFT_STATUS.CANCELLED },
+    from: { $gte: from, $lt: to },
+  })
+    .select("guard from to status actualStart actualEnd address siteLabel")
+    .populate("guard", "fullName")
+    .sort({ from: 1 })
+    .lean();
+
+  const entries = await Attendance.find({
+    assignment: { $in: shifts.map((shift) => shift._id) },
+  }).lean();
+
+  const totals = {
+    shifts: shifts.length,
+    onTime: 0,
+    late: 0,
+    leftEarly: 0,
+    noShows: 0,
+    noCheckIns: 0,
+  };
+
+  const report = shifts.map((shift) => {
+    const mine = entries.filter((entry) => entry.assignment.equals(shift._id));
+    const checkIn = mine.find((entry) => entry.type === "check-in");
+    const checkOut = mine.find((entry) => entry.type === "check-out");
+    const noShow = mine.some((entry) => entry.type === "no-show");
+    // The geofence can start a shift the guard then never checks in to
+    const noCheckIn =
+      !checkIn && !noShow && shift.status === SHIFT_STATUS.COMPLETED;
+
+    const late = Boolean(
+      checkIn && checkIn.offsetMinutes > ATTENDANCE_GRACE_MINUTES
+    );
+    const leftEarly = Boolean(
+      checkOut && -checkOut.offsetMinutes > ATTENDANCE_GRACE_MINUTES
+    );
+
+    if (noShow) totals.noShows++;
+    if (noCheckIn) totals.noCheckIns++;
+    if (late) totals.late++;
+    if (leftEarly) totals.leftEarly++;
+    if (checkIn && !late) totals.onTime++;
+
+    return {
+      ...shift,
+      checkIn: checkIn?.at || null,
+      checkOut: checkOut?.at || null,
+      lateMinutes: checkIn ? Math.max(0, checkIn.offsetMinutes) : null,
+      earlyMinutes: checkOut ? Math.max(0, -checkOut.offsetMinutes) : null,
+      late,
+      leftEarly,
+      noShow,
+      noCheckIn,
+    };
+  });
+
+  return { shifts: report, totals };
+};
@@ -0,0 +1,76 @@
+import { Location } from "../models/locations.model.js";
+import { Guard } from "../models/guard.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { MIN_REST_HOURS, SHIFT_STATUS } from "../constants.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const isValidWindow = (from, to) =>
+  !isNaN(new Date(from)) &&
+  !isNaN(new Date(to)) &&
+  new Date(from) < new Date(to);
+
+// Shifts that overlap [from, to] once widened by the rest period on both
+// sides. Cancelled shifts free the guard again.
+const busyFilter = (from, to, restHours) => ({
+  status: { $ne: SHIFT_STATUS.CANCELLED },
+  from: { $lt: new Date(new Date(to).getTime() + restHours * HOUR_MS) },
+  to: { $gt: new Date(new Date(from).getTime() - restHours * HOUR_MS) },
+});
+
+/**
+ * Lists the guard's shifts that overlap the window or leave less than
+ * `restHours` between them and it
+ */
+export const findConflicts = (
+  guardId,
+  from,
+  to,
+  { excludeId, restHours = MIN_REST_HOURS } = {}
+) =>
+  Location.find({
+    guard: guardId,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    ...busyFilter(from, to, restHours),
+  })
+    .select("from to latitude longitude address siteLabel roster")
+    .sort({ from: 1 });
+
+/**
+ * Throws a 409 listing the conflicting shifts when the guard is not free
+ */
+export const assertGuardAvailable = async (
+  guardId,
+  from,
+  to,
+  { restHours = MIN_REST_HOURS, ...options } = {}
+) => {
+  const conflicts = await findConflicts(guardId, from, to, {
+    ...options,
+    restHours,
+  });
+  if (conflicts.length) {
+    throw new ApiError(
+      409,
+      `Guard has ${conflicts.length} conflicting shift(s); shifts must not overlap and need ${restHours}h rest between them`,
+      conflicts
+    );
+  }
+};
+
+/**
+ * Approved guards with no shift clashing with [from, to]
+ */
+export const findAvailableGuards = async (
+  from,
+  to,
+  { restHours = MIN_REST_HOURS } = {}
+) => {
+  const busy = await Location.distinct(
+    "guard",
+    busyFilter(from, to, restHours)
+  );
+  return Guard.find({ isApproved: true, _id: { $nin: busy } }).select(
+    "-password -refreshToken"
+  );
+};
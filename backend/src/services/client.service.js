@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { Client } from "../models/client.model.js";
+import { Site } from "../models/site.model.js";
+import { Post } from "../models/post.model.js";
+import { Location } from "../models/locations.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { SHIFT_STATUS } from "../constants.js";
+
+// Shifts that count as a guard having served a client. A missed shift
+// counts too, so a client can complain about a guard who never turned up.
+const SERVED_STATUSES = [
+  SHIFT_STATUS.ACTIVE,
+  SHIFT_STATUS.COMPLETED,
+  SHIFT_STATUS.MISSED,
+];
+
+// Throws 400/404 for a bad or unknown ID
+export const findClient = async (clientId) => {
+  if (!mongoose.Types.ObjectId.isValid(clientId)) {
+    throw new ApiError(400, "Invalid client ID");
+  }
+  const client = await Client.findById(clientId);
+  if (!client) throw new ApiError(404, "Client not found");
+  return client;
+};
+
+// Empty for an account not linked to a client yet
+export const clientSiteIds = async (clientId) =>
+  clientId ? Site.find({ client: clientId }).distinct("_id") : [];
+
+export const clientPostIds = async (clientId) =>
+  Post.find({ site: { $in: await clientSiteIds(clientId) } }).distinct("_id");
+
+// Guards who have worked, or were due to work, a shift at the client's posts
+export const servedGuardIds = async (clientId) =>
+  Location.find({
+    post: { $in: await clientPostIds(clientId) },
+    status: { $in: SERVED_STATUSES },
+  }).distinct("guard");
+
+// Throws a 403 unless the guard has served the client
+export const assertGuardServedClient = async (guardId, clientId) => {
+  const served = await Location.exists({
+    guard: guardId,
+    post: { $in: await clientPostIds(clientId) },
+    status: { $in: SERVED_STATUSES },
+  });
+  if (!served) {
+    throw new ApiError(
+      403,
+      "You can only give feedback on guards who have worked at your sites"
+    );
+  }
+};
@@ -0,0 +1,11 @@
+import { Complain } from "../models/complain.model.js";
+import { removeAttachments } from "./attachment.service.js";
+
+// Deletes matching complaints together with their stored attachments
+export const purgeComplaints = async (filter) => {
+  const complaints = await Complain.find(filter).select("attachments");
+  await removeAttachments(complaints.flatMap((c) => c.attachments));
+  return Complain.deleteMany({
+    _id: { $in: complaints.map((complaint) => complaint._id) },
+  });
+};
@@ -0,0 +1,66 @@
+import { Location } from "../models/locations.model.js";
+import { GeofenceEvent } from "../models/geofenceEvent.model.js";
+import { GEOFENCE_EXIT_MARGIN, OPEN_SHIFT_STATUSES } from "../constants.js";
+import { distanceOutsideZone } from "../utils/geo.js";
+import { emitToAdmins } from "../utils/realtime.js";
+
+// The assignment a guard is expected to be at, at the given instant
+const findActiveAssignment = async (guardId, at = new Date()) => {
+  return Location.findOne({
+    guard: guardId,
+    status: { $in: OPEN_SHIFT_STATUSES },
+    from: { $lte: at },
+    to: { $gte: at },
+  }).sort({ from: -1 });
+};
+
+/**
+ * Checks a position against the guard's active assignment and records an
+ * enter/exit event when the guard crosses the boundary. Only state changes are
+ * stored, so one excursion produces a single exit followed by a single enter.
+ */
+const evaluateGeofence = async (
+  guardId,
+  { latitude, longitude },
+  at = new Date()
+) => {
+  const assignment = await findActiveAssignment(guardId, at);
+  if (!assignment) return null;
+
+  const distance = distanceOutsideZone(assignment, latitude, longitude);
+
+  const lastEvent = await GeofenceEvent.findOne({
+    guard: guardId,
+    assignment: assignment._id,
+  }).sort({ occurredAt: -1 });
+
+  // Positions uploaded late from an offline device can be older than the
+  // last crossing; the state has moved on since
+  if (lastEvent && lastEvent.occurredAt > at) return null;
+
+  let type = null;
+  if (!lastEvent) {
+    type = distance === 0 ? "enter" : "exit";
+  } else if (lastEvent.type === "enter" && distance > GEOFENCE_EXIT_MARGIN) {
+    type = "exit";
+  } else if (lastEvent.type === "exit" && distance === 0) {
+    type = "enter";
+  }
+  if (!type) return null;
+
+  const event = await GeofenceEvent.create({
+    guard: guardId,
+    assignment: assignment._id,
+    type,
+    distance,
+    latitude,
+    longitude,
+    occurredAt: at,
+  });
+
+  emitToAdmins("geofence:event", event);
+
+  return event;
+};
+
+export { findActiveAssignment, evaluateGeofence };
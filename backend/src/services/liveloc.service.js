@@ -0,0 +1,169 @@
+import { ApiError } from "../utils/ApiError.js";
+import { emitToAdmins } from "../utils/realtime.js";
+import { LiveGuard } from "../models/liveGuard.model.js";
+import { PositionSample } from "../models/positionSample.model.js";
+import { evaluateGeofence } from "./geofence.service.js";
+import { autoResolveAlerts } from "./alert.service.js";
+import {
+  ALERT_KINDS,
+  POSITION_BATCH_LIMIT,
+  POSITION_CLOCK_SKEW_MS,
+  POSITION_RETENTION_DAYS,
+  WATCHDOG_ALERT_KINDS,
+} from "../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isCoordinate = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== "" &&
+  Number.isFinite(Number(value));
+
+/**
+ * Moves the guard's latest position to one taken at `at`, unless a newer one
+ * is already known, and pushes it to the admin dashboards. Clears the
+ * guard's "signal lost" alert, and their "no movement" alert when the
+ * position changed.
+ */
+const updateLatestPosition = async (guardId, { latitude, longitude }, at) => {
+  const previous = await LiveGuard.findOne({ guard: guardId });
+  if (previous?.lastSeenAt > at) return previous;
+  const moved =
+    !previous ||
+    previous.latitude !== latitude ||
+    previous.longitude !== longitude;
+
+  const data = await LiveGuard.findOneAndUpdate(
+    { guard: guardId }, // Find by guard ID
+    {
+      latitude,
+      longitude,
+      lastSeenAt: at,
+      ...(moved && { lastMovedAt: at }),
+    },
+    { new: true, upsert: true } // Return updated doc, create if not exists
+  );
+
+  await autoResolveAlerts(
+    guardId,
+    moved ? WATCHDOG_ALERT_KINDS : [ALERT_KINDS.SIGNAL_LOST],
+    new Date()
+  );
+  emitToAdmins("liveloc:updated", data);
+
+  return data;
+};
+
+// Overwrites the guard's latest position, appends it to the breadcrumb trail,
+// checks it against the assigned zone and pushes it to the admin dashboards.
+// Shared by the REST endpoints and the socket channel.
+const recordLivePosition = async (guardId, { latitude, longitude }) => {
+  if (!guardId) throw new ApiError(404, "User not found");
+
+  if (!isCoordinate(latitude) || !isCoordinate(longitude)) {
+    throw new ApiError(400, "Latitude and longitude are required");
+  }
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+
+  const at = new Date();
+  await PositionSample.create({
+    guard: guardId,
+    latitude,
+    longitude,
+    recordedAt: at,
+  });
+  await evaluateGeofence(guardId, { latitude, longitude }, at);
+
+  return updateLatestPosition(guardId, { latitude, longitude }, at);
+};
+
+// A queued position with valid coordinates and a device timestamp that is
+// neither in the future nor older than the breadcrumb retention, or null
+const parseQueuedPosition = ({ latitude, longitude, recordedAt } = {}, now) => {
+  if (!isCoordinate(latitude) || !isCoordinate(longitude)) return null;
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  const at = new Date(recordedAt);
+  if (
+    isNaN(at.getTime()) ||
+    at.getTime() > now.getTime() + POSITION_CLOCK_SKEW_MS ||
+    at.getTime() < now.getTime() - POSITION_RETENTION_DAYS * DAY_MS
+  ) {
+    return null;
+  }
+  return { latitude, longitude, recordedAt: at };
+};
+
+/**
+ * Stores positions a guard's device buffered while offline, each with the
+ * time it was taken. A position is identified by its guard and timestamp, so
+ * uploading the same batch twice (say after a lost response) stores it once.
+ * New positions are replayed through the geofence in time order and the
+ * newest becomes the live position. Returns how many were accepted, already
+ * known, or rejected as invalid.
+ */
+const recordPositionBatch = async (guardId, positions, now = new Date()) => {
+  if (!guardId) throw new ApiError(404, "User not found");
+  if (!Array.isArray(positions) || positions.length === 0) {
+    throw new ApiError(400, "Positions must be a non-empty list");
+  }
+  if (positions.length > POSITION_BATCH_LIMIT) {
+    throw new ApiError(
+      400,
+      `At most ${POSITION_BATCH_LIMIT} positions can be sent at once`
+    );
+  }
+
+  const valid = positions
+    .map((position) => parseQueuedPosition(position, now))
+    .filter(Boolean);
+  const byTime = new Map(
+    valid.map((position) => [position.recordedAt.getTime(), position])
+  );
+
+  const known = await PositionSample.find({
+    guard: guardId,
+    recordedAt: { $in: valid.map((position) => position.recordedAt) },
+  })
+    .select("recordedAt")
+    .lean();
+  known.forEach((sample) => byTime.delete(sample.recordedAt.getTime()));
+
+  const fresh = [...byTime.values()].sort(
+    (a, b) => a.recordedAt - b.recordedAt
+  );
+  if (fresh.length > 0) {
+    await PositionSample.insertMany(
+      fresh.map((position) => ({ guard: guardId, ...position })),
+      { ordered: false }
+    );
+    for (const { latitude, longitude, recordedAt } of fresh) {
+      await evaluateGeofence(guardId, { latitude, longitude }, recordedAt);
+    }
+    const newest = fresh[fresh.length - 1];
+    await updateLatestPosition(guardId, newest, newest.recordedAt);
+  }
+
+  return {
+    accepted: fresh.length,
+    duplicates: valid.length - fresh.length,
+    rejected: positions.length - valid.length,
+  };
+};
+
+// Breadcrumb trail of a guard between two instants, oldest first
+const getPositionHistory = async (guardId, from, to) => {
+  return PositionSample.find({
+    guard: guardId,
+    recordedAt: { $gte: from, $lte: to },
+  })
+    .sort({ recordedAt: 1 })
+    .select("latitude longitude recordedAt -_id")
+    .lean();
+};
+
+export { recordLivePosition, recordPositionBatch, getPositionHistory };
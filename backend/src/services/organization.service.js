@@ -0,0 +1,103 @@
+import { Checkpoint } from "../models/checkpoint.model.js";
+import { Client } from "../models/client.model.js";
+import { Organization } from "../models/organization.model.js";
+import { Site } from "../models/site.model.js";
+import { tenantModels } from "../models/plugins/tenant.plugin.js";
+import { ApiError } from "../utils/ApiError.js";
+import { runInTenant } from "../utils/tenant.js";
+import {
+  DEFAULT_ORGANIZATION_NAME,
+  DEFAULT_ORGANIZATION_SLUG,
+} from "../constants.js";
+
+// Unique indexes from before organizations, which would stop two agencies
+// from naming a site or client, or coding a tag, the same way
+const GLOBAL_UNIQUE_INDEXES = [
+  [Site, "name_1"],
+  [Client, "name_1"],
+  [Checkpoint, "code_1"],
+];
+
+// MongoDB codes for a missing collection and a missing index
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+/**
+ * The organization registrations without a slug join, created on first
+ * start. Records saved before organizations existed are moved into it, and
+ * the unique indexes that did not know about organizations are dropped.
+ */
+export const ensureDefaultOrganization = async () => {
+  const organization = await Organization.findOneAndUpdate(
+    { slug: DEFAULT_ORGANIZATION_SLUG },
+    { $setOnInsert: { name: DEFAULT_ORGANIZATION_NAME } },
+    { upsert: true, new: true }
+  );
+
+  // One collection that cannot be migrated must not strand the ones after it
+  for (const Model of tenantModels()) {
+    try {
+      await Model.updateMany(
+        { organization: { $exists: false } },
+        { $set: { organization: organization._id } }
+      );
+    } catch (error) {
+      // Before MongoDB 7.0 a time-series collection only takes updates that
+      // filter on its metaField. Its old samples stay unscoped, and hidden
+      // from organizations, until they expire.
+      const kind = Model.schema.options.timeseries ? "time-series " : "";
+      console.log(
+        `Old ${kind}${Model.modelName} records could not be moved into the default organization :`,
+        error.message
+      );
+    }
+  }
+
+  for (const [Model, index] of GLOBAL_UNIQUE_INDEXES) {
+    try {
+      await Model.collection.dropIndex(index);
+    } catch (error) {
+      if (![NAMESPACE_NOT_FOUND, INDEX_NOT_FOUND].includes(error.code)) {
+        console.log(
+          `Old ${Model.modelName} index ${index} could not be dropped :`,
+          error.message
+        );
+      }
+    }
+  }
+  return organization;
+};
+
+/**
+ * Organization an account registers into, by slug. Without one it is the
+ * default organization, which keeps single-agency deployments working.
+ */
+export const findOrganizationBySlug = async (slug) => {
+  const organization = await Organization.findOne({
+    slug: `${slug || DEFAULT_ORGANIZATION_SLUG}`.toLowerCase().trim(),
+  });
+  if (!organization) throw new ApiError(404, "Organization not found");
+  return organization;
+};
+
+/**
+ * Runs `fn` inside each organization in turn and adds up the counts it
+ * returns, for jobs that sweep every tenant. An organization whose run
+ * fails is logged and skipped, so it cannot hold up the others:
+ *
+ *   const { raised, cleared } = await forEachTenant(() => checkGuardActivity(at));
+ */
+export const forEachTenant = async (fn) => {
+  const totals = {};
+  for (const organizationId of await Organization.find().distinct("_id")) {
+    try {
+      const counts = await runInTenant(organizationId, fn);
+      for (const [key, value] of Object.entries(counts || {})) {
+        totals[key] = (totals[key] || 0) + value;
+      }
+    } catch (error) {
+      console.log(`Run for organization ${organizationId} failed :`, error);
+    }
+  }
+  return totals;
+};
@@ -0,0 +1,243 @@
+import { Checkpoint } from "../models/checkpoint.model.js";
+import { CheckpointVisit } from "../models/checkpointVisit.model.js";
+import { Location } from "../models/locations.model.js";
+import { PatrolRoute } from "../models/patrolRoute.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { distanceInMeters } from "../utils/geo.js";
+import { emitToStaff } from "../utils/realtime.js";
+import { recordLivePosition } from "./liveloc.service.js";
+import { findActiveAssignment } from "./geofence.service.js";
+import { PATROL_VISIT_STATUS, SHIFT_STATUS } from "../constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * MINUTE_MS * 60;
+
+// What the admin dashboard is alerted about
+export const FLAGGED_VISIT_STATUSES = [
+  PATROL_VISIT_STATUS.MISSED,
+  PATROL_VISIT_STATUS.OUT_OF_ORDER,
+];
+
+const populateVisit = (query) =>
+  query
+    .populate("guard", "fullName userName")
+    .populate("checkpoint", "name code")
+    .populate("expectedCheckpoint", "name code");
+
+const announce = async (visit) => {
+  const populated = await populateVisit(CheckpointVisit.findById(visit._id));
+  emitToStaff("patrol:flagged", populated);
+};
+
+/**
+ * The step a shift's tour is waiting for after `lastStep` (the latest settled
+ * visit, or null): its number, the checkpoint it calls for and when it is
+ * due. The first checkpoint is due one interval after the guard started the
+ * shift; every other one an interval after the previous step was settled.
+ */
+export const nextPatrolStep = (route, shift, lastStep) => {
+  const step = lastStep ? lastStep.step + 1 : 0;
+  const after = lastStep
+    ? lastStep.scannedAt || lastStep.dueAt
+    : shift.actualStart || shift.from;
+  return {
+    step,
+    checkpoint: route.checkpoints[step % route.checkpoints.length],
+    dueAt: new Date(
+      new Date(after).getTime() + route.intervalMinutes * MINUTE_MS
+    ),
+  };
+};
+
+const lastSettledStep = (assignmentId) =>
+  CheckpointVisit.findOne({ assignment: assignmentId, step: { $exists: true } })
+    .sort({ step: -1 })
+    .lean();
+
+// Saves a visit that settles a step, or returns null when a scan or the
+// patrol job settled that step first
+const settleStep = async (visit) => {
+  try {
+    return await CheckpointVisit.create(visit);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Records a guard scanning a checkpoint tag from their current post. The
+ * position must be within the checkpoint's radius. Scanning the checkpoint
+ * the route expects settles the next step, on time or late; any other
+ * checkpoint is kept as an out-of-order scan and the route keeps waiting.
+ * Scanning the checkpoint just visited again is ignored.
+ */
+export const recordScan = async (
+  guardId,
+  { code, latitude, longitude },
+  at = new Date()
+) => {
+  if (!code?.toString().trim()) {
+    throw new ApiError(400, "Tag code is required");
+  }
+  const checkpoint = await Checkpoint.findOne({ code: code.toString().trim() });
+  if (!checkpoint) throw new ApiError(404, "Unknown checkpoint tag");
+
+  const shift = await findActiveAssignment(guardId, at);
+  if (!shift?.post || !shift.post.equals(checkpoint.post)) {
+    throw new ApiError(403, "This checkpoint is not on your current post");
+  }
+
+  // Also feeds the live map and geofence, and validates the coordinates
+  const live = await recordLivePosition(guardId, { latitude, longitude });
+  const distance = distanceInMeters(
+    live.latitude,
+    live.longitude,
+    checkpoint.latitude,
+    checkpoint.longitude
+  );
+  if (distance > checkpoint.radius) {
+    throw new ApiError(403, "You must be at the checkpoint to scan it");
+  }
+
+  const route = await PatrolRoute.findOne({ post: shift.post });
+  if (!route) throw new ApiError(409, "This post has no patrol route");
+
+  const base = {
+    guard: guardId,
+    assignment: shift._id,
+    checkpoint: checkpoint._id,
+    scannedAt: at,
+    latitude: live.latitude,
+    longitude: live.longitude,
+  };
+
+  // A second attempt covers the patrol job settling the step mid-scan
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const last = await lastSettledStep(shift._id);
+    const next = nextPatrolStep(route, shift, last);
+
+    if (!next.checkpoint.equals(checkpoint._id)) {
+      if (last?.scannedAt && last.checkpoint.equals(checkpoint._id)) {
+        return populateVisit(CheckpointVisit.findById(last._id));
+      }
+      const visit = await CheckpointVisit.create({
+        ...base,
+        expectedCheckpoint: next.checkpoint,
+        dueAt: next.dueAt,
+        status: PATROL_VISIT_STATUS.OUT_OF_ORDER,
+      });
+      await announce(visit);
+      return populateVisit(CheckpointVisit.findById(visit._id));
+    }
+
+    const late =
+      at.getTime() > next.dueAt.getTime() + route.toleranceMinutes * MINUTE_MS;
+    const visit = await settleStep({
+      ...base,
+      step: next.step,
+      dueAt: next.dueAt,
+      status: late ? PATROL_VISIT_STATUS.LATE : PATROL_VISIT_STATUS.ON_TIME,
+    });
+    if (visit) return populateVisit(CheckpointVisit.findById(visit._id));
+  }
+  throw new ApiError(409, "The patrol moved on while scanning, scan again");
+};
+
+/**
+ * Flags every checkpoint whose tolerance ran out without a scan, on shifts
+ * that are running or ended in the last day. Steps due after the shift's end
+ * are never flagged. Called by the patrol job; returns how many were flagged.
+ */
+export const flagMissedCheckpoints = async (at = new Date()) => {
+  const shifts = await Location.find({
+    status: { $in: [SHIFT_STATUS.ACTIVE, SHIFT_STATUS.COMPLETED] },
+    from: { $lte: at },
+    to: { $gte: new Date(at.getTime() - DAY_MS) },
+  }).lean();
+  const routes = await PatrolRoute.find({
+    post: { $in: shifts.map((shift) => shift.post).filter(Boolean) },
+  }).lean();
+  const routeByPost = new Map(
+    routes.map((route) => [route.post.toString(), route])
+  );
+
+  let flagged = 0;
+  for (const shift of shifts) {
+    const route = shift.post && routeByPost.get(shift.post.toString());
+    if (!route?.checkpoints.length || !shift.guard) continue;
+
+    let last = await lastSettledStep(shift._id);
+    for (;;) {
+      const next = nextPatrolStep(route, shift, last);
+      const flagAt = next.dueAt.getTime() + route.toleranceMinutes * MINUTE_MS;
+      if (next.dueAt > shift.to || flagAt > at.getTime()) break;
+
+      const visit = await settleStep({
+        guard: shift.guard,
+        assignment: shift._id,
+        checkpoint: next.checkpoint,
+        step: next.step,
+        dueAt: next.dueAt,
+        status: PATROL_VISIT_STATUS.MISSED,
+      });
+      if (!visit) break;
+      await announce(visit);
+      last = visit;
+      flagged++;
+    }
+  }
+  return flagged;
+};
+
+// Visits matching `filter`, newest first
+export const listVisits = (filter = {}) =>
+  populateVisit(CheckpointVisit.find(filter).sort({ dueAt: -1 }).limit(200));
+
+/**
+ * Where the guard's tour stands on their current shift: the route with its
+ * checkpoints, the step it is waiting for and the visits so far. Null when
+ * the guard is off shift or the post has no route.
+ */
+export const getPatrolProgress = async (guardId, at = new Date()) => {
+  const shift = await findActiveAssignment(guardId, at);
+  if (!shift?.post) return null;
+  const route = await PatrolRoute.findOne({ post: shift.post }).populate(
+    "checkpoints",
+    "name code latitude longitude radius"
+  );
+  if (!route?.checkpoints.length) return null;
+
+  const last = await lastSettledStep(shift._id);
+  const visits = await listVisits({ assignment: shift._id });
+
+  return {
+    assignment: shift._id,
+    route,
+    // Carries the populated checkpoint, as the route's are
+    next: nextPatrolStep(route, shift, last),
+    visits,
+  };
+};
+
+/**
+ * Tour figures over a set of shifts: settled steps, and the share of them
+ * visited on time with out-of-order scans counted against the guard.
+ */
+export const computePatrolCompliance = async (shiftIds) => {
+  const counts = await CheckpointVisit.aggregate([
+    { $match: { assignment: { $in: shiftIds } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+  const onTime = byStatus[PATROL_VISIT_STATUS.ON_TIME] || 0;
+  const settled =
+    onTime +
+    (byStatus[PATROL_VISIT_STATUS.LATE] || 0) +
+    (byStatus[PATROL_VISIT_STATUS.MISSED] || 0);
+  return {
+    onTime,
+    settled,
+    outOfOrder: byStatus[PATROL_VISIT_STATUS.OUT_OF_ORDER] || 0,
+  };
+};
@@ -0,0 +1,115 @@
+import { Location } from "../models/locations.model.js";
+import { GeofenceEvent } from "../models/geofenceEvent.model.js";
+import { Attendance } from "../models/attendance.model.js";
+import { AttendanceRate } from "../models/attendanceRate.model.js";
+import { computePatrolCompliance } from "./patrol.service.js";
+import { PERFORMANCE_WINDOW_DAYS, SHIFT_STATUS } from "../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shifts whose outcome is final; cancelled ones were never the guard's doing
+const CLOSED_SHIFT_STATUSES = [SHIFT_STATUS.COMPLETED, SHIFT_STATUS.MISSED];
+
+// Percentage with one decimal, 0 when there is nothing to measure
+const percent = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+/**
+ * Milliseconds the guard spent inside the zone during a shift, replaying its
+ * enter/exit events in time order. The guard counts as outside until their
+ * first enter, and presence stops at the scheduled end or at `actualEnd`
+ * when they left earlier.
+ */
+export const timeInsideShift = (shift, events) => {
+  const start = new Date(shift.from).getTime();
+  const end = Math.min(
+    new Date(shift.to).getTime(),
+    shift.actualEnd ? new Date(shift.actualEnd).getTime() : Infinity
+  );
+  const clamp = (time) => Math.min(Math.max(time, start), end);
+
+  let inside = 0;
+  let enteredAt = null;
+  for (const event of events) {
+    const at = clamp(new Date(event.occurredAt).getTime());
+    if (event.type === "enter" && enteredAt === null) {
+      enteredAt = at;
+    } else if (event.type === "exit" && enteredAt !== null) {
+      inside += at - enteredAt;
+      enteredAt = null;
+    }
+  }
+  if (enteredAt !== null) inside += Math.max(0, end - enteredAt);
+  return inside;
+};
+
+/**
+ * Attendance, presence and patrol record of a guard over shifts that ended in
+ * [since, until). Only completed and missed shifts count, so the figures move
+ * with what the guard actually did, not with what is still scheduled.
+ */
+export const computeGuardPerformance = async (guardId, since, until) => {
+  const shifts = await Location.find({
+    guard: guardId,
+    status: { $in: CLOSED_SHIFT_STATUSES },
+    to: { $gte: since, $lt: until },
+  })
+    .select("from to actualEnd")
+    .lean();
+  const ids = shifts.map((shift) => shift._id);
+
+  const [checkIns, events, patrol] = await Promise.all([
+    Attendance.find({ assignment: { $in: ids }, type: "check-in" })
+      .select("assignment")
+      .lean(),
+    GeofenceEvent.find({ assignment: { $in: ids } })
+      .select("assignment type occurredAt")
+      .sort({ occurredAt: 1 })
+      .lean(),
+    computePatrolCompliance(ids),
+  ]);
+
+  const checkedIn = new Set(
+    checkIns.map((entry) => entry.assignment.toString())
+  );
+  const eventsByShift = new Map();
+  for (const event of events) {
+    const key = event.assignment.toString();
+    if (!eventsByShift.has(key)) eventsByShift.set(key, []);
+    eventsByShift.get(key).push(event);
+  }
+
+  let scheduledMs = 0;
+  let insideMs = 0;
+  let score = 0;
+  for (const shift of shifts) {
+    const key = shift._id.toString();
+    const duration = shift.to - shift.from;
+    const inside = timeInsideShift(shift, eventsByShift.get(key) || []);
+    scheduledMs += duration;
+    insideMs += inside;
+    // Time on site without checking in does not count as work
+    if (checkedIn.has(key) && duration > 0) score += inside / duration;
+  }
+
+  return {
+    attendanceRate: percent(checkedIn.size, shifts.length),
+    presenceRate: percent(insideMs, scheduledMs),
+    workPercent: percent(score, shifts.length),
+    patrolRate: percent(patrol.onTime, patrol.settled + patrol.outOfOrder),
+    checkpoints: patrol.settled,
+    shifts: shifts.length,
+  };
+};
+
+// Recomputes and stores the guard's AttendanceRate over the trailing window
+export const refreshAttendanceRate = async (guardId, at = new Date()) => {
+  const since = new Date(at.getTime() - PERFORMANCE_WINDOW_DAYS * DAY_MS);
+  const performance = await computeGuardPerformance(guardId, since, at);
+
+  return AttendanceRate.findOneAndUpdate(
+    { guard: guardId },
+    { $set: { ...performance, computedAt: at } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
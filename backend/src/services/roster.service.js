@@ -0,0 +1,172 @@
+import { Location } from "../models/locations.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { MAX_ROSTER_RANGE_DAYS } from "../constants.js";
+import { findConflicts, isValidWindow } from "./availability.service.js";
+import { reverseGeocode } from "../utils/geocoder/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes the time zone is ahead of UTC at `date`, which changes with
+// daylight saving
+const zoneOffset = (timeZone, date) => {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return Math.round((wallClock - date.getTime()) / MINUTE_MS);
+};
+
+// Whole days since the epoch in the roster's local time
+const localDay = (date, timeZone) => {
+  const at = new Date(date);
+  return Math.floor(
+    (at.getTime() + zoneOffset(timeZone, at) * MINUTE_MS) / DAY_MS
+  );
+};
+
+// Instant at which the zone's clocks show `wallClock` (local milliseconds
+// since the epoch). The second pass corrects for a DST change in between.
+const fromLocalTime = (wallClock, timeZone) => {
+  let instant =
+    wallClock - zoneOffset(timeZone, new Date(wallClock)) * MINUTE_MS;
+  instant = wallClock - zoneOffset(timeZone, new Date(instant)) * MINUTE_MS;
+  return new Date(instant);
+};
+
+// Number of roster days in [fromDay, toDay)
+const countRosterDays = (daysOfWeek, fromDay, toDay) => {
+  const span = toDay - fromDay;
+  if (span <= 0) return 0;
+  let count = Math.floor(span / 7) * daysOfWeek.length;
+  for (let day = fromDay + span - (span % 7); day < toDay; day++) {
+    // Day 0 of the epoch was a Thursday
+    if (daysOfWeek.includes((day + 4) % 7)) count++;
+  }
+  return count;
+};
+
+export const parseRange = (from, to) => {
+  if (!isValidWindow(from, to)) {
+    throw new ApiError(400, "A valid from/to range is required");
+  }
+  const rangeFrom = new Date(from);
+  const rangeTo = new Date(to);
+  if (rangeTo - rangeFrom > MAX_ROSTER_RANGE_DAYS * DAY_MS) {
+    throw new ApiError(
+      400,
+      `Ranges are limited to ${MAX_ROSTER_RANGE_DAYS} days`
+    );
+  }
+  return { rangeFrom, rangeTo };
+};
+
+/**
+ * Expands a roster into the concrete shifts that start inside
+ * [rangeFrom, rangeTo). Pure, so previews and materialisation agree.
+ */
+export const expandRoster = (roster, rangeFrom, rangeTo) => {
+  const { timeZone = "UTC", daysOfWeek, guards } = roster;
+  const start = minutesOfDay(roster.startTime);
+  let end = minutesOfDay(roster.endTime);
+  if (end <= start) end += 24 * 60; // Overnight shift
+
+  const firstDay = localDay(roster.validFrom, timeZone);
+  const fromDay = Math.max(localDay(rangeFrom, timeZone), firstDay);
+  // No shift starting on a later day can start inside the range
+  const lastDay = localDay(rangeTo, timeZone);
+
+  const shifts = [];
+  let occurrence = countRosterDays(daysOfWeek, firstDay, fromDay);
+  for (let day = fromDay; day <= lastDay; day++) {
+    const from = fromLocalTime(day * DAY_MS + start * MINUTE_MS, timeZone);
+    if (from >= rangeTo) break;
+    if (roster.validUntil && from >= new Date(roster.validUntil)) break;
+    if (!daysOfWeek.includes((day + 4) % 7)) continue;
+
+    const turn =
+      roster.rotation === "week"
+        ? Math.floor((day - firstDay) / 7)
+        : occurrence;
+    occurrence++;
+    if (from < rangeFrom) continue;
+
+    // Ends at the local end time even when the clocks change overnight
+    const to = fromLocalTime(day * DAY_MS + end * MINUTE_MS, timeZone);
+    shifts.push({
+      guard: guards[turn % guards.length],
+      from,
+      to,
+      duration: (to - from) / (60 * MINUTE_MS),
+    });
+  }
+  return shifts;
+};
+
+/**
+ * Creates the Location documents for a roster's shifts in the range. Shifts
+ * that already exist are left untouched, so edits made to a single shift
+ * survive re-running this. Shifts that clash with another assignment of the
+ * guard are skipped and returned in `conflicts`.
+ */
+export const materialiseRoster = async (roster, rangeFrom, rangeTo) => {
+  const shifts = expandRoster(roster, rangeFrom, rangeTo);
+  const existing = await Location.find({
+    roster: roster._id,
+    from: { $in: shifts.map((shift) => shift.from) },
+  }).select("from");
+  const done = new Set(existing.map((shift) => shift.from.getTime()));
+
+  // Rosters made before addresses were kept are looked up once here
+  const place = roster.address
+    ? roster
+    : await reverseGeocode(roster.latitude, roster.longitude);
+
+  let created = 0;
+  const conflicts = [];
+  // One at a time so each shift is checked against the ones created before it
+  for (const shift of shifts) {
+    if (done.has(shift.from.getTime())) continue;
+
+    const clashes = await findConflicts(shift.guard, shift.from, shift.to);
+    if (clashes.length) {
+      conflicts.push({ ...shift, conflicts: clashes });
+      continue;
+    }
+
+    await Location.create({
+      ...shift,
+      roster: roster._id,
+      post: roster.post,
+      latitude: roster.latitude,
+      longitude: roster.longitude,
+      radius: roster.radius,
+      perimeter: roster.perimeter,
+      address: place.address,
+      siteLabel: roster.siteLabel || place.siteLabel,
+    });
+    created++;
+  }
+
+  return { created, shifts, conflicts };
+};
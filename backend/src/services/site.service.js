@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { Location } from "../models/locations.model.js";
+import { Post } from "../models/post.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { OPEN_SHIFT_STATUSES } from "../constants.js";
+
+/**
+ * The post with its site's name, for copying onto shifts. Throws 400/404
+ * for a bad or unknown ID.
+ */
+export const findPost = async (postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    throw new ApiError(400, "Invalid post ID");
+  }
+  const post = await Post.findById(postId).populate("site", "name");
+  if (!post) throw new ApiError(404, "Post not found");
+  return post;
+};
+
+// Fields a shift or roster takes over from the post it is worked at
+export const postZone = (post) => ({
+  post: post._id,
+  latitude: post.latitude,
+  longitude: post.longitude,
+  radius: post.radius,
+  perimeter: post.perimeter,
+  address: post.address,
+  siteLabel: `${post.site.name} · ${post.name}`,
+});
+
+/**
+ * Who covers each post at `at`: the open shifts under way there (a
+ * scheduled one means the guard has not checked in yet) and the next shift
+ * to start. Keyed by post ID; posts with no open shift are left out.
+ */
+export const getPostCoverage = async (postIds, at = new Date()) => {
+  const shifts = await Location.find({
+    post: { $in: postIds },
+    status: { $in: OPEN_SHIFT_STATUSES },
+    to: { $gt: at },
+  })
+    .select("post guard from to status")
+    .populate("guard", "fullName userName")
+    .sort({ from: 1 })
+    .lean();
+
+  const coverage = new Map();
+  for (const shift of shifts) {
+    const key = shift.post.toString();
+    if (!coverage.has(key)) coverage.set(key, { onDuty: [], next: null });
+    const entry = coverage.get(key);
+    if (shift.from <= at) entry.onDuty.push(shift);
+    else if (!entry.next) entry.next = shift;
+  }
+  return coverage;
+};
+
+/**
+ * Posts of the given sites with their coverage, grouped by site ID
+ */
+export const listSitePosts = async (siteIds, at = new Date()) => {
+  const posts = await Post.find({ site: { $in: siteIds } })
+    .sort({ name: 1 })
+    .lean();
+  const coverage = await getPostCoverage(
+    posts.map((post) => post._id),
+    at
+  );
+
+  const bySite = new Map(siteIds.map((id) => [id.toString(), []]));
+  for (const post of posts) {
+    bySite.get(post.site.toString()).push({
+      ...post,
+      coverage: coverage.get(post._id.toString()) || {
+        onDuty: [],
+        next: null,
+      },
+    });
+  }
+  return bySite;
+};
+
+// Throws a 409 while the posts still have shifts to work
+export const assertNoOpenShifts = async (postIds, what) => {
+  const open = await Location.countDocuments({
+    post: { $in: postIds },
+    status: { $in: OPEN_SHIFT_STATUSES },
+  });
+  if (open) {
+    throw new ApiError(
+      409,
+      `${what} has ${open} scheduled or active shift(s), unassign them first`
+    );
+  }
+};
@@ -0,0 +1,86 @@
+import { Alert } from "../models/alert.model.js";
+import { LiveGuard } from "../models/liveGuard.model.js";
+import { Location } from "../models/locations.model.js";
+import { autoResolveAlerts, raiseAlert } from "./alert.service.js";
+import {
+  ALERT_KINDS,
+  ALERT_STATUS,
+  SHIFT_STATUS,
+  WATCHDOG_ALERT_KINDS,
+  WATCHDOG_NO_MOVEMENT_MINUTES,
+  WATCHDOG_SIGNAL_LOST_MINUTES,
+} from "../constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Which watchdog alert a guard on shift deserves at `at`, or null. Time
+ * before the shift started is never held against them, and a guard who has
+ * not pinged at all counts from the start.
+ */
+export const inactivityKind = (shift, live, at) => {
+  const start = new Date(shift.actualStart || shift.from).getTime();
+  const lastSeen = Math.max(start, live?.lastSeenAt?.getTime() ?? 0);
+  const lastMoved = Math.max(start, live?.lastMovedAt?.getTime() ?? 0);
+
+  if (at.getTime() - lastSeen >= WATCHDOG_SIGNAL_LOST_MINUTES * MINUTE_MS) {
+    return ALERT_KINDS.SIGNAL_LOST;
+  }
+  if (at.getTime() - lastMoved >= WATCHDOG_NO_MOVEMENT_MINUTES * MINUTE_MS) {
+    return ALERT_KINDS.NO_MOVEMENT;
+  }
+  return null;
+};
+
+/**
+ * Raises "signal lost" and "no movement" alerts for guards on an active
+ * shift, and clears those of guards who are no longer on one. Pings clear
+ * them as well (see recordLivePosition). Called by the watchdog job.
+ */
+export const checkGuardActivity = async (at = new Date()) => {
+  const shifts = await Location.find({
+    status: SHIFT_STATUS.ACTIVE,
+    guard: { $exists: true },
+    from: { $lte: at },
+    to: { $gte: at },
+  })
+    .select("guard from actualStart")
+    .lean();
+  const onDuty = new Map(
+    shifts.map((shift) => [shift.guard.toString(), shift])
+  );
+
+  const [lives, openAlerts] = await Promise.all([
+    LiveGuard.find({ guard: { $in: [...onDuty.keys()] } }).lean(),
+    Alert.find({
+      kind: { $in: WATCHDOG_ALERT_KINDS },
+      status: { $ne: ALERT_STATUS.RESOLVED },
+    })
+      .select("guard kind")
+      .lean(),
+  ]);
+  const liveByGuard = new Map(
+    lives.map((live) => [live.guard.toString(), live])
+  );
+  const alerted = new Set(openAlerts.map((a) => `${a.guard}:${a.kind}`));
+
+  let cleared = 0;
+  const offDuty = new Set(
+    openAlerts
+      .map((alert) => alert.guard.toString())
+      .filter((guardId) => !onDuty.has(guardId))
+  );
+  for (const guardId of offDuty) {
+    cleared += await autoResolveAlerts(guardId, WATCHDOG_ALERT_KINDS, at);
+  }
+
+  let raised = 0;
+  for (const [guardId, shift] of onDuty) {
+    const kind = inactivityKind(shift, liveByGuard.get(guardId), at);
+    if (!kind || alerted.has(`${guardId}:${kind}`)) continue;
+    await raiseAlert(guardId, kind, at);
+    raised++;
+  }
+
+  return { raised, cleared };
+};
@@ -0,0 +1,127 @@
+import { Server } from "socket.io";
+import { findAccountByToken } from "./middleware/auth.middleware.js";
+import { LiveGuard } from "./models/liveGuard.model.js";
+import { recordLivePosition } from "./services/liveloc.service.js";
+import {
+  ADMIN_ROOM,
+  INCIDENT_ROOM,
+  STAFF_ROOM,
+  guardRoom,
+  roleRoom,
+  setIO,
+  tenantRoom,
+} from "./utils/realtime.js";
+import { runInTenant } from "./utils/tenant.js";
+import { PRINCIPALS, STAFF_ROLES } from "./constants.js";
+
+const readCookie = (header, name) => {
+  if (!header) return undefined;
+  const match = header
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+};
+
+// Same token sources as verifyJWTguard: the accessToken cookie first, then an
+// explicit token for clients that cannot send cookies
+const getHandshakeToken = (socket) =>
+  readCookie(socket.handshake.headers.cookie, "accessToken") ||
+  socket.handshake.auth?.token;
+
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) return next(new Error("Unauthorised request"));
+
+  try {
+    const account = await findAccountByToken(token);
+    if (account.principal === PRINCIPALS.GUARD) {
+      socket.data.guard = account;
+      return next();
+    }
+    if (!STAFF_ROLES.includes(account.role?.toLowerCase())) {
+      return next(new Error("You are not authorized to perform this action"));
+    }
+    socket.data.user = account;
+    return next();
+  } catch (error) {
+    return next(new Error(error?.message || "Invalid token"));
+  }
+};
+
+// Events are handled in the organization of the account that connected
+const onInTenant = (socket, account, event, handler) => {
+  socket.on(event, (...args) =>
+    runInTenant(account.organization, () => handler(...args))
+  );
+};
+
+const registerGuardHandlers = (socket) => {
+  const guard = socket.data.guard;
+  const guardId = guard._id;
+  // Lets the guard hear back about their own alerts
+  socket.join(guardRoom(guardId.toString()));
+
+  onInTenant(socket, guard, "liveloc:update", async (position, ack) => {
+    try {
+      const data = await recordLivePosition(guardId, position || {});
+      if (typeof ack === "function") ack({ success: true, data });
+    } catch (error) {
+      if (typeof ack === "function") {
+        ack({ success: false, message: error?.message });
+      }
+    }
+  });
+};
+
+const registerAdminHandlers = (socket) => {
+  const user = socket.data.user;
+  const room = (name) => tenantRoom(name, user.organization);
+  // Alerts reach every online staff member and the tier their role is in
+  socket.join([room(STAFF_ROOM), room(roleRoom(user.role.toLowerCase()))]);
+
+  onInTenant(socket, user, "liveloc:subscribe", async (ack) => {
+    socket.join(room(ADMIN_ROOM));
+    if (typeof ack !== "function") return;
+    try {
+      const data = await LiveGuard.find({});
+      ack({ success: true, data });
+    } catch (error) {
+      ack({ success: false, message: error?.message });
+    }
+  });
+
+  socket.on("liveloc:unsubscribe", () => {
+    socket.leave(room(ADMIN_ROOM));
+  });
+
+  socket.on("incident:subscribe", () => {
+    socket.join(room(INCIDENT_ROOM));
+  });
+
+  socket.on("incident:unsubscribe", () => {
+    socket.leave(room(INCIDENT_ROOM));
+  });
+};
+
+// Attaches Socket.IO to the HTTP server that serves the express app
+const initSocket = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: process.env.CORS_ORIGIN,
+      credentials: true,
+    },
+  });
+
+  io.use(authenticateSocket);
+
+  io.on("connection", (socket) => {
+    if (socket.data.guard) registerGuardHandlers(socket);
+    if (socket.data.user) registerAdminHandlers(socket);
+  });
+
+  setIO(io);
+  return io;
+};
+
+export { initSocket };
@@ -0,0 +1,169 @@
+import { ApiError } from "./ApiError.js";
+import { GEOFENCE_RADIUS } from "../constants.js";
+
+const EARTH_RADIUS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Haversine distance between two points in metres
+const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// GeoJSON positions are [longitude, latitude]
+const isPointInRing = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// The first ring is the outer boundary, the others are holes
+const isPointInPolygon = (lat, lng, rings) =>
+  isPointInRing(lat, lng, rings[0]) &&
+  !rings.slice(1).some((hole) => isPointInRing(lat, lng, hole));
+
+// Distance from a point to a segment in metres, on a plane tangent at the point
+// (accurate enough at the scale of a guarded site)
+const distanceToSegment = (lat, lng, [lng1, lat1], [lng2, lat2]) => {
+  const scale = Math.cos(toRadians(lat));
+  const ax = toRadians(lng1 - lng) * scale;
+  const ay = toRadians(lat1 - lat);
+  const bx = toRadians(lng2 - lng) * scale;
+  const by = toRadians(lat2 - lat);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared
+    ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared))
+    : 0;
+  return EARTH_RADIUS * Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+const perimeterPolygons = (perimeter) =>
+  perimeter.type === "MultiPolygon"
+    ? perimeter.coordinates
+    : [perimeter.coordinates];
+
+/**
+ * How far a point lies outside a zone, in metres (0 when inside).
+ * A zone is an object with latitude/longitude/radius for a circle, or with a
+ * GeoJSON Polygon/MultiPolygon `perimeter` which takes precedence.
+ */
+const distanceOutsideZone = (zone, lat, lng) => {
+  if (!zone.perimeter?.coordinates?.length) {
+    const distance = distanceInMeters(lat, lng, zone.latitude, zone.longitude);
+    return Math.max(0, distance - (zone.radius ?? GEOFENCE_RADIUS));
+  }
+
+  const polygons = perimeterPolygons(zone.perimeter);
+  if (polygons.some((rings) => isPointInPolygon(lat, lng, rings))) return 0;
+
+  let closest = Infinity;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        closest = Math.min(
+          closest,
+          distanceToSegment(lat, lng, ring[i - 1], ring[i])
+        );
+      }
+    }
+  }
+  return closest;
+};
+
+const isInsideZone = (zone, lat, lng) =>
+  distanceOutsideZone(zone, lat, lng) === 0;
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+const normaliseRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw new ApiError(400, "Perimeter rings must be [longitude, latitude]");
+  }
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  const closed =
+    first && last && first[0] === last[0] && first[1] === last[1]
+      ? ring
+      : [...ring, first];
+  if (closed.length < 4) {
+    throw new ApiError(400, "A perimeter ring needs at least three points");
+  }
+  return closed.map(([lng, lat]) => [lng, lat]);
+};
+
+// Validates a GeoJSON Polygon/MultiPolygon and closes any open rings
+const normalisePerimeter = (perimeter) => {
+  if (!perimeter) return undefined;
+  if (typeof perimeter === "string") {
+    try {
+      perimeter = JSON.parse(perimeter);
+    } catch (error) {
+      throw new ApiError(400, "Perimeter must be valid GeoJSON");
+    }
+  }
+
+  const { type, coordinates } = perimeter;
+  if (type === "Polygon" && Array.isArray(coordinates) && coordinates.length) {
+    return { type, coordinates: coordinates.map(normaliseRing) };
+  }
+  if (
+    type === "MultiPolygon" &&
+    Array.isArray(coordinates) &&
+    coordinates.length &&
+    coordinates.every((rings) => Array.isArray(rings) && rings.length)
+  ) {
+    return {
+      type,
+      coordinates: coordinates.map((rings) => rings.map(normaliseRing)),
+    };
+  }
+  throw new ApiError(
+    400,
+    "Perimeter must be a GeoJSON Polygon or MultiPolygon"
+  );
+};
+
+// Average of the outer vertices, used as the marker position of a perimeter
+const perimeterCentre = (perimeter) => {
+  const vertices = perimeterPolygons(perimeter).flatMap((rings) =>
+    rings[0].slice(0, -1)
+  );
+  const sum = vertices.reduce(
+    (acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat],
+    [0, 0]
+  );
+  return {
+    latitude: sum[1] / vertices.length,
+    longitude: sum[0] / vertices.length,
+  };
+};
+
+export {
+  distanceInMeters,
+  distanceOutsideZone,
+  isInsideZone,
+  normalisePerimeter,
+  perimeterCentre,
+};
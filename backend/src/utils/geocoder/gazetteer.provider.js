@@ -0,0 +1,99 @@
+import fs from "fs/promises";
+import { GEOCODER_SITE_RADIUS } from "../../constants.js";
+import { distanceInMeters } from "../geo.js";
+
+let places = null;
+
+// Lower case, accents and punctuation dropped, single spaces
+export const normaliseName = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * The gazetteer is a JSON array of the sites the company guards:
+ *
+ *   [{ "name": "Tata Steel Gate 2", "latitude": 22.79, "longitude": 86.18,
+ *      "aliases": ["Gate 2"], "address": "Gate 2, Bistupur, Jamshedpur" }]
+ *
+ * read once from GEOCODER_GAZETTEER_FILE. Aliases and address are optional.
+ */
+const loadPlaces = async () => {
+  if (!places) {
+    if (!process.env.GEOCODER_GAZETTEER_FILE) {
+      throw new Error("GEOCODER_GAZETTEER_FILE is not set");
+    }
+    const entries = JSON.parse(
+      await fs.readFile(process.env.GEOCODER_GAZETTEER_FILE, "utf8")
+    );
+    places = entries.map((entry) => ({
+      ...entry,
+      names: [entry.name, ...(entry.aliases || [])].map(normaliseName),
+    }));
+  }
+  return places;
+};
+
+/**
+ * How well a normalised query matches a normalised name, 0 to 1: exact
+ * matches first, then names starting with the query, then names containing
+ * every word of it (shorter names ranking higher).
+ */
+export const matchScore = (query, name) => {
+  if (name === query) return 1;
+  if (name.startsWith(query)) return 0.8;
+  const words = name.split(" ");
+  const wanted = query.split(" ");
+  if (!wanted.every((word) => words.some((w) => w.startsWith(word)))) return 0;
+  return 0.6 * (wanted.length / words.length);
+};
+
+export const gazetteerProvider = {
+  name: "gazetteer",
+
+  async search(query, { limit }) {
+    const wanted = normaliseName(query);
+    const ranked = [];
+    for (const place of await loadPlaces()) {
+      const score = Math.max(...place.names.map((n) => matchScore(wanted, n)));
+      if (score > 0) ranked.push({ place, score });
+    }
+
+    return ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ place, score }) => ({
+        displayName: place.name,
+        latitude: Number(place.latitude),
+        longitude: Number(place.longitude),
+        type: "site",
+        score,
+      }));
+  },
+
+  // The closest site within GEOCODER_SITE_RADIUS, if any
+  async reverse(latitude, longitude) {
+    let nearest = null;
+    let nearestDistance = GEOCODER_SITE_RADIUS;
+    for (const place of await loadPlaces()) {
+      const distance = distanceInMeters(
+        latitude,
+        longitude,
+        Number(place.latitude),
+        Number(place.longitude)
+      );
+      if (distance <= nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    }
+    if (!nearest) return null;
+    return {
+      address: nearest.address || nearest.name,
+      siteLabel: nearest.name,
+    };
+  },
+};
@@ -0,0 +1,173 @@
+import { ApiError } from "../ApiError.js";
+import { GeocodeCache } from "../../models/geocodeCache.model.js";
+import {
+  GEOCODER_CACHE_TTL_DAYS,
+  GEOCODER_MAX_CANDIDATES,
+} from "../../constants.js";
+import { gazetteerProvider, normaliseName } from "./gazetteer.provider.js";
+import { nominatimProvider } from "./nominatim.provider.js";
+import { photonProvider } from "./photon.provider.js";
+import { stubProvider } from "./stub.provider.js";
+
+/**
+ * Every provider implements the same interface:
+ *
+ *   search(query, { limit }) -> [{ displayName, latitude, longitude, type, score }]
+ *   reverse(latitude, longitude) -> { address, siteLabel } or null
+ *
+ * returning candidates best first, or throwing when it cannot be reached.
+ */
+const providers = {
+  [gazetteerProvider.name]: gazetteerProvider,
+  [nominatimProvider.name]: nominatimProvider,
+  [photonProvider.name]: photonProvider,
+  [stubProvider.name]: stubProvider,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GEOCODER_PROVIDERS lists the providers to try in order, e.g.
+// "gazetteer,photon,nominatim" to prefer the company's own site list and a
+// self-hosted Photon over the public Nominatim
+const providerChain = (setting = process.env.GEOCODER_PROVIDERS) =>
+  (setting || nominatimProvider.name)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const provider = providers[name];
+      if (!provider) throw new ApiError(500, `Unknown geocoder ${name}`);
+      return provider;
+    });
+
+/**
+ * Ranked candidates for a place name, best first, with the provider that
+ * found them. Answers come from the cache when the same query (ignoring
+ * case, accents and punctuation) was made recently. Otherwise each provider
+ * of the chain is tried until one finds something; a provider that fails
+ * only passes the query on. Fails with 502 when every provider failed.
+ */
+export const geocode = async (query, { now = new Date() } = {}) => {
+  // A JSON body can carry anything, and only a string can be normalised
+  const key = typeof query === "string" ? normaliseName(query) : "";
+  if (!key) throw new ApiError(400, "Location is required");
+
+  const cached = await GeocodeCache.findOneAndUpdate(
+    { query: key, expiresAt: { $gt: now } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  ).lean();
+  if (cached) {
+    return { provider: cached.provider, candidates: cached.candidates };
+  }
+
+  const failures = [];
+  for (const provider of providerChain()) {
+    let candidates;
+    try {
+      candidates = await provider.search(query, {
+        limit: GEOCODER_MAX_CANDIDATES,
+      });
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode === 429) throw error;
+      console.log(`Geocoder ${provider.name} failed :`, error.message);
+      failures.push(provider.name);
+      continue;
+    }
+    if (candidates.length === 0) continue;
+
+    candidates = candidates.slice(0, GEOCODER_MAX_CANDIDATES);
+    await GeocodeCache.updateOne(
+      { query: key },
+      {
+        $set: {
+          provider: provider.name,
+          candidates,
+          expiresAt: new Date(now.getTime() + GEOCODER_CACHE_TTL_DAYS * DAY_MS),
+        },
+      },
+      { upsert: true }
+    );
+    return { provider: provider.name, candidates };
+  }
+
+  if (failures.length === providerChain().length) {
+    throw new ApiError(502, `Geocoding failed (${failures.join(", ")})`);
+  }
+  return { provider: null, candidates: [] };
+};
+
+// About a metre apart; closer positions share a cached address
+const reverseKey = (latitude, longitude) =>
+  `@${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+
+/**
+ * Formatted address and site label for a position, from the cache or the
+ * first provider of GEOCODER_REVERSE_PROVIDERS (GEOCODER_PROVIDERS when
+ * unset) that knows the place. Never throws: an assignment is still made
+ * when no provider can be reached, only without an address, so both fields
+ * are null then.
+ */
+export const reverseGeocode = async (
+  latitude,
+  longitude,
+  { now = new Date() } = {}
+) => {
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+  const key = reverseKey(latitude, longitude);
+
+  try {
+    const cached = await GeocodeCache.findOneAndUpdate(
+      { query: key, expiresAt: { $gt: now } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+    if (cached) {
+      const [place] = cached.candidates;
+      return { address: place.displayName, siteLabel: place.siteLabel ?? null };
+    }
+
+    for (const provider of providerChain(
+      process.env.GEOCODER_REVERSE_PROVIDERS || process.env.GEOCODER_PROVIDERS
+    )) {
+      let place;
+      try {
+        place = await provider.reverse(latitude, longitude);
+      } catch (error) {
+        console.log(
+          `Reverse geocoder ${provider.name} failed :`,
+          error.message
+        );
+        continue;
+      }
+      if (!place?.address) continue;
+
+      await GeocodeCache.updateOne(
+        { query: key },
+        {
+          $set: {
+            provider: provider.name,
+            candidates: [
+              {
+                displayName: place.address,
+                siteLabel: place.siteLabel,
+                latitude,
+                longitude,
+                type: "reverse",
+              },
+            ],
+            expiresAt: new Date(
+              now.getTime() + GEOCODER_CACHE_TTL_DAYS * DAY_MS
+            ),
+          },
+        },
+        { upsert: true }
+      );
+      return { address: place.address, siteLabel: place.siteLabel ?? null };
+    }
+  } catch (error) {
+    console.log("Reverse geocoding failed :", error.message);
+  }
+  return { address: null, siteLabel: null };
+};
@@ -0,0 +1,51 @@
+import axios from "axios";
+import { GEOCODER_TIMEOUT_MS } from "../../constants.js";
+import { createThrottle } from "./throttle.js";
+import { userAgent } from "./userAgent.js";
+
+const baseUrl = () =>
+  (process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org").replace(
+    /\/$/,
+    ""
+  );
+
+// One request per second by default, as the public server's policy asks;
+// a self-hosted instance can set NOMINATIM_MIN_INTERVAL_MS=0
+const throttle = createThrottle(
+  Number(process.env.NOMINATIM_MIN_INTERVAL_MS ?? 1000)
+);
+
+export const nominatimProvider = {
+  name: "nominatim",
+
+  // Nominatim already ranks by relevance; importance is kept as the score
+  async search(query, { limit }) {
+    const { data } = await throttle(() =>
+      axios.get(`${baseUrl()}/search`, {
+        params: { q: query, format: "jsonv2", limit },
+        headers: { "User-Agent": userAgent() },
+        timeout: GEOCODER_TIMEOUT_MS,
+      })
+    );
+    return data.map((place) => ({
+      displayName: place.display_name,
+      latitude: Number(place.lat),
+      longitude: Number(place.lon),
+      type: place.type,
+      score: place.importance ?? 0,
+    }));
+  },
+
+  // A named place (a building, a mall) at the spot becomes the site label
+  async reverse(latitude, longitude) {
+    const { data } = await throttle(() =>
+      axios.get(`${baseUrl()}/reverse`, {
+        params: { lat: latitude, lon: longitude, format: "jsonv2", zoom: 18 },
+        headers: { "User-Agent": userAgent() },
+        timeout: GEOCODER_TIMEOUT_MS,
+      })
+    );
+    if (!data || data.error) return null;
+    return { address: data.display_name, siteLabel: data.name || null };
+  },
+};
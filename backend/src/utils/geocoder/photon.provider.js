@@ -0,0 +1,61 @@
+import axios from "axios";
+import { GEOCODER_TIMEOUT_MS } from "../../constants.js";
+import { createThrottle } from "./throttle.js";
+import { userAgent } from "./userAgent.js";
+
+const throttle = createThrottle(
+  Number(process.env.PHOTON_MIN_INTERVAL_MS ?? 0)
+);
+
+// "Name, street, city, state, country" from the parts Photon returns
+const displayNameOf = (properties) =>
+  [
+    properties.name,
+    [properties.housenumber, properties.street].filter(Boolean).join(" "),
+    properties.city,
+    properties.state,
+    properties.country,
+  ]
+    .filter(Boolean)
+    .filter((part, i, parts) => parts.indexOf(part) === i)
+    .join(", ");
+
+export const photonProvider = {
+  name: "photon",
+
+  // Photon answers with GeoJSON features, most relevant first
+  async search(query, { limit }) {
+    if (!process.env.PHOTON_URL) throw new Error("PHOTON_URL is not set");
+    const { data } = await throttle(() =>
+      axios.get(`${process.env.PHOTON_URL.replace(/\/$/, "")}/api`, {
+        params: { q: query, limit },
+        headers: { "User-Agent": userAgent() },
+        timeout: GEOCODER_TIMEOUT_MS,
+      })
+    );
+    return data.features.map((feature, i) => ({
+      displayName: displayNameOf(feature.properties),
+      latitude: feature.geometry.coordinates[1],
+      longitude: feature.geometry.coordinates[0],
+      type: feature.properties.osm_value,
+      score: 1 - i / data.features.length,
+    }));
+  },
+
+  async reverse(latitude, longitude) {
+    if (!process.env.PHOTON_URL) throw new Error("PHOTON_URL is not set");
+    const { data } = await throttle(() =>
+      axios.get(`${process.env.PHOTON_URL.replace(/\/$/, "")}/reverse`, {
+        params: { lat: latitude, lon: longitude, limit: 1 },
+        headers: { "User-Agent": userAgent() },
+        timeout: GEOCODER_TIMEOUT_MS,
+      })
+    );
+    const [feature] = data.features;
+    if (!feature) return null;
+    return {
+      address: displayNameOf(feature.properties),
+      siteLabel: feature.properties.name || null,
+    };
+  },
+};
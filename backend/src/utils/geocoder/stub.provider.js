@@ -0,0 +1,16 @@
+// Answers without any network access, for tests and offline development.
+// Searches find nothing and a position is described by its coordinates.
+export const stubProvider = {
+  name: "stub",
+
+  async search() {
+    return [];
+  },
+
+  async reverse(latitude, longitude) {
+    return {
+      address: `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`,
+      siteLabel: null,
+    };
+  },
+};
@@ -0,0 +1,32 @@
+import { ApiError } from "../ApiError.js";
+
+/**
+ * Runs tasks one at a time, at least `intervalMs` apart, so a provider with
+ * a usage policy (public Nominatim allows one request per second) is never
+ * hammered. Once `maxWaiting` tasks are queued new ones are refused with a
+ * 429 rather than piling up behind a slow provider.
+ */
+export const createThrottle = (intervalMs, { maxWaiting = 10 } = {}) => {
+  let tail = Promise.resolve();
+  let lastRun = 0;
+  let waiting = 0;
+
+  return (task) => {
+    if (waiting >= maxWaiting) {
+      return Promise.reject(
+        new ApiError(429, "Geocoding is busy, try again in a moment")
+      );
+    }
+    waiting++;
+    const run = tail.then(async () => {
+      const wait = lastRun + intervalMs - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      lastRun = Date.now();
+      waiting--;
+      return task();
+    });
+    // A failed task must not stop the ones queued after it
+    tail = run.catch(() => {});
+    return run;
+  };
+};
@@ -0,0 +1,4 @@
+// Nominatim's usage policy asks every client to identify itself; set
+// GEOCODER_USER_AGENT to something that includes a contact address
+export const userAgent = () =>
+  process.env.GEOCODER_USER_AGENT || "guard-management-server/1.0";
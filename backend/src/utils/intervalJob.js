@@ -0,0 +1,47 @@
+/**
+ * Background job that calls `tick` with the current time every `intervalMs`
+ * once started, and once straight away. `setup` runs before the first tick.
+ * `now` is injectable so a test can drive `tick()` with a fake clock:
+ *
+ *   const job = createShiftLifecycleJob({ now: () => new Date("2025-03-01T06:00Z") });
+ *   await job.tick();
+ */
+export const createIntervalJob = ({
+  name,
+  intervalMs,
+  tick,
+  setup = async () => {},
+  now = () => new Date(),
+}) => {
+  let timer = null;
+  let running = false;
+
+  const runTick = () => tick(now());
+
+  // Skips a beat instead of overlapping when a tick runs long
+  const safeTick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runTick();
+    } catch (error) {
+      console.log(`${name} job failed :`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = async () => {
+    if (timer) return;
+    await setup();
+    timer = setInterval(safeTick, intervalMs);
+    await safeTick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { tick: runTick, start, stop };
+};
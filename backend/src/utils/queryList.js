@@ -0,0 +1,21 @@
+import { ApiError } from "./ApiError.js";
+
+// Values of a comma separated query parameter such as ?status=open,closed.
+// Repeating the parameter (?status=open&status=closed) gives express an
+// array, which is read the same way.
+export const readQueryList = (value) =>
+  [value]
+    .flat()
+    .flatMap((item) => `${item ?? ""}`.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// The same list, answered with a 400 when a value is not one of `allowed`
+// rather than quietly matching nothing
+export const readQueryChoices = (value, allowed, name = "Status") => {
+  const items = readQueryList(value);
+  if (items.some((item) => !allowed.includes(item))) {
+    throw new ApiError(400, `${name} must be one of ${allowed.join(", ")}`);
+  }
+  return items;
+};
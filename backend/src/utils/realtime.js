@@ -0,0 +1,65 @@
+import { currentTenant } from "./tenant.js";
+
+// Holds the Socket.IO server once it is attached in index.js so that
+// controllers and services can push events without importing the socket layer
+
+let io = null;
+
+const ADMIN_ROOM = "admins";
+// Staff watching the incident feed
+const INCIDENT_ROOM = "incidents";
+// Every connected admin and supervisor, joined on connection
+const STAFF_ROOM = "staff";
+
+// Per-role and per-guard rooms, also joined on connection
+const roleRoom = (role) => `role:${role}`;
+const guardRoom = (guardId) => `guard:${guardId}`;
+
+// Every room but a guard's own exists once per organization, and events go to
+// the one of the tenant they are emitted in
+const tenantRoom = (room, organization = currentTenant()) =>
+  `org:${organization}:${room}`;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const emitToAdmins = (event, payload) => {
+  if (!io) return;
+  io.to(tenantRoom(ADMIN_ROOM)).emit(event, payload);
+};
+
+const emitToIncidentFeed = (event, payload) => {
+  if (!io) return;
+  io.to(tenantRoom(INCIDENT_ROOM)).emit(event, payload);
+};
+
+const emitToStaff = (event, payload) => {
+  if (!io) return;
+  io.to(tenantRoom(STAFF_ROOM)).emit(event, payload);
+};
+
+const emitToRole = (role, event, payload) => {
+  if (!io) return;
+  io.to(tenantRoom(roleRoom(role))).emit(event, payload);
+};
+
+const emitToGuard = (guardId, event, payload) => {
+  if (!io) return;
+  io.to(guardRoom(guardId.toString())).emit(event, payload);
+};
+
+export {
+  ADMIN_ROOM,
+  INCIDENT_ROOM,
+  STAFF_ROOM,
+  roleRoom,
+  guardRoom,
+  tenantRoom,
+  setIO,
+  emitToAdmins,
+  emitToIncidentFeed,
+  emitToStaff,
+  emitToRole,
+  emitToGuard,
+};
@@ -0,0 +1,53 @@
+import path from "path";
+import { v2 as cloudinary } from "cloudinary";
+
+let configured = false;
+
+const api = () => {
+  if (!configured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+    configured = true;
+  }
+  return cloudinary;
+};
+
+// Private files are uploaded as "authenticated" and only reachable through
+// signed URLs
+const deliveryType = (visibility) =>
+  visibility === "private" ? "authenticated" : "upload";
+
+// Cloudinary files audio under the video resource type
+const cloudinaryResourceType = (resourceType) =>
+  resourceType === "image" ? "image" : "video";
+
+export const cloudinaryDriver = {
+  name: "cloudinary",
+
+  async upload(localFilePath, { folder, visibility }) {
+    const response = await api().uploader.upload(localFilePath, {
+      resource_type: "auto",
+      type: deliveryType(visibility),
+      folder,
+    });
+    return { url: response.secure_url, key: response.public_id };
+  },
+
+  async remove({ key, resourceType, visibility }) {
+    return api().uploader.destroy(key, {
+      resource_type: cloudinaryResourceType(resourceType),
+      type: deliveryType(visibility),
+    });
+  },
+
+  async signedUrl({ key, url, resourceType }, expiresIn) {
+    return api().utils.private_download_url(key, path.extname(url).slice(1), {
+      resource_type: cloudinaryResourceType(resourceType),
+      type: "authenticated",
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    });
+  },
+};
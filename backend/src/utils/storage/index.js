@@ -0,0 +1,101 @@
+import fs from "fs/promises";
+import { ApiError } from "../ApiError.js";
+import { STORAGE_URL_TTL_SECONDS } from "../../constants.js";
+import { cloudinaryDriver } from "./cloudinary.driver.js";
+import { localDriver } from "./local.driver.js";
+import { s3Driver } from "./s3.driver.js";
+
+/**
+ * Every driver implements the same interface:
+ *
+ *   upload(localFilePath, { folder, visibility, contentType }) -> { url, key }
+ *   remove({ key, url, resourceType, visibility })
+ *   signedUrl({ key, url, resourceType }, expiresInSeconds) -> url
+ *
+ * `visibility` is "public" (the stored url can be shared as is) or
+ * "private" (links are signed per request and expire).
+ */
+const drivers = {
+  [cloudinaryDriver.name]: cloudinaryDriver,
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver,
+};
+
+const driverNamed = (name) => {
+  const driver = drivers[name];
+  if (!driver) throw new ApiError(500, `Unknown storage driver ${name}`);
+  return driver;
+};
+
+// STORAGE_DRIVER picks the backend; without it files go to Cloudinary when
+// it is configured and to local disk otherwise
+const primaryDriver = () =>
+  driverNamed(
+    process.env.STORAGE_DRIVER ||
+      (process.env.CLOUDINARY_NAME ? cloudinaryDriver.name : localDriver.name)
+  );
+
+// Used when the primary driver cannot be reached. Local disk unless
+// STORAGE_FALLBACK_DRIVER names another driver or is "none".
+const fallbackDriver = () => {
+  const name = process.env.STORAGE_FALLBACK_DRIVER || localDriver.name;
+  return name === "none" ? null : driverNamed(name);
+};
+
+// Kind of media, from the mimetype multer reports
+export const resourceTypeOf = (mimeType = "") => mimeType.split("/")[0];
+
+/**
+ * Stores a file multer wrote to public/temp and removes the temp copy.
+ * Returns the record to keep on the document (the attachment schema), or
+ * null when neither the primary nor the fallback driver could store it.
+ */
+export const storeFile = async (
+  file,
+  { folder, visibility = "public" } = {}
+) => {
+  const candidates = [primaryDriver(), fallbackDriver()].filter(
+    (driver, i, list) => driver && list.indexOf(driver) === i
+  );
+
+  try {
+    for (const driver of candidates) {
+      try {
+        const stored = await driver.upload(file.path, {
+          folder,
+          visibility,
+          contentType: file.mimetype,
+        });
+        return {
+          ...stored,
+          driver: driver.name,
+          visibility,
+          resourceType: resourceTypeOf(file.mimetype),
+          mimeType: file.mimetype,
+          originalName: file.originalname,
+          size: file.size,
+        };
+      } catch (error) {
+        console.log(`Storage driver ${driver.name} failed :`, error.message);
+      }
+    }
+    return null;
+  } finally {
+    await fs.rm(file.path, { force: true });
+  }
+};
+
+// Deletes a stored file with the driver that stored it
+export const removeFile = async (stored) =>
+  driverNamed(stored.driver).remove(stored);
+
+// Link a client can open: the stored url for public files, a signed link
+// valid for STORAGE_URL_TTL_SECONDS for private ones
+export const fileUrl = async (stored) =>
+  stored.visibility === "private"
+    ? driverNamed(stored.driver).signedUrl(stored, STORAGE_URL_TTL_SECONDS)
+    : stored.url;
+
+// Drops multer temp files of a request that was rejected
+export const discardTempFiles = (files = []) =>
+  Promise.all(files.map((file) => fs.rm(file.path, { force: true })));
@@ -0,0 +1,16 @@
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Storage key for a new file: `<visibility>/<folder>/<uuid><ext>`. Random
+ * names mean uploads never overwrite each other or escape their folder.
+ */
+export const objectKey = (
+  localFilePath,
+  { folder = "misc", visibility = "public" } = {}
+) =>
+  path.posix.join(
+    visibility,
+    folder,
+    `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+  );
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { objectKey } from "./keys.js";
+
+// Public files are served by express.static("public") at /uploads; private
+// ones sit outside it and are only reachable through signed links
+const ROOTS = {
+  public: path.resolve("public", "uploads"),
+  private: path.resolve("storage"),
+};
+
+const serverUrl = () =>
+  process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 8011}`;
+
+const signingSecret = () =>
+  process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+// Absolute path of a key, or null if it points outside its root
+const resolveKey = (key, visibility = "public") => {
+  const root = ROOTS[visibility];
+  const target = path.resolve(root, key);
+  return target.startsWith(root + path.sep) ? target : null;
+};
+
+/**
+ * Checks a signed link produced by `signedUrl` and returns the file it
+ * grants access to, or null when it is forged, tampered with or expired.
+ */
+export const resolveSignedKey = ({ key, expires, signature }) => {
+  if (!key || !expires || !signature) return null;
+  if (Number(expires) * 1000 < Date.now()) return null;
+
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+  return resolveKey(key, "private");
+};
+
+// Keeps files on the API host's disk so development and air-gapped setups
+// work without any external service. Files live and die with the host.
+export const localDriver = {
+  name: "local",
+
+  async upload(localFilePath, { folder, visibility = "public" }) {
+    const key = objectKey(localFilePath, { folder, visibility });
+    const target = resolveKey(key, visibility);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(localFilePath, target);
+
+    const url =
+      visibility === "public"
+        ? `${serverUrl()}/uploads/${key}`
+        : `${serverUrl()}/api/v1/files`;
+    return { url, key };
+  },
+
+  async remove({ key, visibility }) {
+    const target = resolveKey(key, visibility);
+    if (target) await fs.rm(target, { force: true });
+  },
+
+  async signedUrl({ key }, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      key,
+      expires,
+      signature: sign(key, expires),
+    });
+    return `${serverUrl()}/api/v1/files?${query}`;
+  },
+};
@@ -0,0 +1,71 @@
+import fs from "fs";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { objectKey } from "./keys.js";
+
+let client = null;
+
+// Built on first use so the app starts without S3 settings when another
+// driver is selected
+const s3 = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stores only support path-style addressing
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const bucket = () => process.env.S3_BUCKET;
+
+// Public objects are read straight from the bucket, which needs a policy
+// allowing anonymous reads of the public/ prefix
+const publicBaseUrl = () =>
+  process.env.S3_PUBLIC_URL ||
+  `${process.env.S3_ENDPOINT || `https://${bucket()}.s3.amazonaws.com`}${
+    process.env.S3_ENDPOINT ? `/${bucket()}` : ""
+  }`;
+
+// S3 and S3-compatible stores such as MinIO
+export const s3Driver = {
+  name: "s3",
+
+  async upload(localFilePath, { folder, visibility, contentType }) {
+    const key = objectKey(localFilePath, { folder, visibility });
+    await s3().send(
+      new PutObjectCommand({
+        Bucket: bucket(),
+        Key: key,
+        Body: fs.createReadStream(localFilePath),
+        ContentType: contentType,
+      })
+    );
+    return { url: `${publicBaseUrl()}/${key}`, key };
+  },
+
+  async remove({ key }) {
+    await s3().send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+  },
+
+  async signedUrl({ key }, expiresIn) {
+    return getSignedUrl(
+      s3(),
+      new GetObjectCommand({ Bucket: bucket(), Key: key }),
+      { expiresIn }
+    );
+  },
+};
@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Carries the organization a request, socket event or job run acts for
+// through every await below it, so models can scope their queries without
+// the ID being threaded through each call. Code running outside any tenant
+// (public routes, startup) is not scoped.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with every query on a tenant-scoped model limited to the given
+ * organization:
+ *
+ *   await runInTenant(guard.organization, () => Location.find({ guard: guard._id }));
+ */
+const runInTenant = (organizationId, fn) =>
+  storage.run({ organization: organizationId ?? null }, fn);
+
+// Organization ID of the running tenant, or null when unscoped
+const currentTenant = () => storage.getStore()?.organization ?? null;
+
+export { runInTenant, currentTenant };
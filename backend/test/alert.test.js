@@ -0,0 +1,134 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  acknowledgeAlert,
+  raiseSos,
+  resolveAlert,
+} from "../src/services/alert.service.js";
+import { recordLivePosition } from "../src/services/liveloc.service.js";
+import { createAlertEscalationJob } from "../src/jobs/alertEscalation.job.js";
+import { Alert } from "../src/models/alert.model.js";
+import { Guard } from "../src/models/guard.model.js";
+import { runInTenant } from "../src/utils/tenant.js";
+import { ALERT_STATUS } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const at = (time) => new Date(`2025-03-01T${time}Z`);
+
+const POSITION = { latitude: 51.5, longitude: -0.09 };
+
+describe("SOS alerts", () => {
+  const staffId = new mongoose.Types.ObjectId();
+  let organization;
+  let guard;
+  const inTenant = (fn) => runInTenant(organization._id, fn);
+
+  // What the SOS endpoint does: record the position sent, if usable, then
+  // raise the alert at the guard's last known one
+  const pressSos = (position, time) =>
+    inTenant(async () => {
+      await recordLivePosition(guard._id, position).catch(() => null);
+      return raiseSos(guard._id, at(time));
+    });
+
+  const acknowledge = (alert, time) =>
+    inTenant(() => acknowledgeAlert(alert._id, staffId, at(time)));
+
+  const escalateAt = (time) =>
+    createAlertEscalationJob({ now: () => at(time) }).tick();
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    organization = await createOrganization("acme");
+    guard = await inTenant(() =>
+      Guard.create({
+        userName: "guard",
+        email: "guard@example.com",
+        fullName: "Night Guard",
+        avatar: "https://example.com/avatar.png",
+        password: "password",
+        residence: "London",
+        description: "Night shifts",
+        age: 30,
+      })
+    );
+  });
+
+  it("raises an alert at the guard's position", async () => {
+    const alert = await pressSos(POSITION, "02:00:00");
+
+    assert.equal(alert.status, ALERT_STATUS.OPEN);
+    assert.equal(alert.escalationLevel, 0);
+    assert.equal(alert.latitude, POSITION.latitude);
+    assert.deepEqual(alert.escalateAt, at("02:02:00"));
+  });
+
+  it("falls back to the last streamed position without a GPS fix", async () => {
+    const first = await pressSos(POSITION, "02:00:00");
+    await inTenant(() => resolveAlert(first._id, staffId));
+
+    const alert = await pressSos({}, "03:00:00");
+    assert.equal(alert.longitude, POSITION.longitude);
+  });
+
+  it("refreshes an open SOS instead of raising another", async () => {
+    const first = await pressSos(POSITION, "02:00:00");
+    const again = await pressSos(
+      { latitude: 51.6, longitude: -0.09 },
+      "02:00:30"
+    );
+
+    assert.equal(`${again._id}`, `${first._id}`);
+    assert.equal(again.latitude, 51.6);
+    assert.equal(await inTenant(() => Alert.countDocuments()), 1);
+  });
+
+  it("keeps one open SOS when two are raised at once", async () => {
+    const alerts = await Promise.all([
+      pressSos(POSITION, "02:00:00"),
+      pressSos(POSITION, "02:00:00"),
+    ]);
+
+    assert.equal(`${alerts[0]._id}`, `${alerts[1]._id}`);
+    assert.equal(await inTenant(() => Alert.countDocuments()), 1);
+  });
+
+  it("raises a new SOS once the previous one was acknowledged", async () => {
+    const first = await pressSos(POSITION, "02:00:00");
+    await acknowledge(first, "02:01:00");
+
+    const second = await pressSos(POSITION, "02:05:00");
+    assert.notEqual(`${second._id}`, `${first._id}`);
+    assert.equal(second.escalationLevel, 0);
+  });
+
+  it("escalates an unacknowledged alert to the next tier", async () => {
+    const alert = await pressSos(POSITION, "02:00:00");
+
+    assert.deepEqual(await escalateAt("02:01:59"), { escalated: 0 });
+    assert.deepEqual(await escalateAt("02:02:00"), { escalated: 1 });
+
+    const escalated = await inTenant(() => Alert.findById(alert._id));
+    assert.equal(escalated.escalationLevel, 1);
+    // The default chain has two tiers, so there is nowhere further to go
+    assert.equal(escalated.escalateAt, undefined);
+    assert.deepEqual(await escalateAt("02:10:00"), { escalated: 0 });
+  });
+
+  it("stops escalating once someone acknowledges the alert", async () => {
+    const alert = await pressSos(POSITION, "02:00:00");
+    const acknowledged = await acknowledge(alert, "02:01:00");
+
+    assert.equal(acknowledged.status, ALERT_STATUS.ACKNOWLEDGED);
+    assert.deepEqual(await escalateAt("02:05:00"), { escalated: 0 });
+    await assert.rejects(acknowledge(alert, "02:06:00"), { statusCode: 409 });
+  });
+});
@@ -0,0 +1,121 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  checkIn,
+  checkOut,
+  getAttendanceReport,
+  recordNoShow,
+} from "../src/services/attendance.service.js";
+import { Location } from "../src/models/locations.model.js";
+import { SHIFT_STATUS } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const at = (time) => new Date(`2025-03-01T${time}:00Z`);
+
+const ON_SITE = { latitude: 51.5, longitude: -0.09 };
+const OFF_SITE = { latitude: 51.6, longitude: -0.09 };
+
+describe("attendance", () => {
+  const guardId = new mongoose.Types.ObjectId();
+
+  const createShift = (from, to, fields = {}) =>
+    Location.create({
+      guard: guardId,
+      ...ON_SITE,
+      duration: (at(to) - at(from)) / 3600000,
+      from: at(from),
+      to: at(to),
+      ...fields,
+    });
+
+  const report = () => getAttendanceReport(guardId, at("00:00"), at("23:59"));
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(clearDatabase);
+
+  it("checks a guard in on site and starts the shift", async () => {
+    const shift = await createShift("06:00", "14:00");
+
+    const entry = await checkIn(guardId, shift._id, ON_SITE, at("05:50"));
+
+    assert.equal(entry.offsetMinutes, -10);
+    const started = await Location.findById(shift._id);
+    assert.equal(started.status, SHIFT_STATUS.ACTIVE);
+    assert.deepEqual(started.actualStart, at("05:50"));
+  });
+
+  it("refuses a check-in from outside the zone or before it opens", async () => {
+    const shift = await createShift("06:00", "14:00");
+
+    await assert.rejects(checkIn(guardId, shift._id, OFF_SITE, at("06:00")), {
+      statusCode: 403,
+    });
+    await assert.rejects(checkIn(guardId, shift._id, ON_SITE, at("05:30")), {
+      statusCode: 403,
+    });
+    await checkIn(guardId, shift._id, ON_SITE, at("06:00"));
+    await assert.rejects(checkIn(guardId, shift._id, ON_SITE, at("06:01")), {
+      statusCode: 409,
+    });
+  });
+
+  it("only checks out a guard who checked in", async () => {
+    const shift = await createShift("06:00", "14:00");
+
+    await assert.rejects(checkOut(guardId, shift._id, ON_SITE, at("14:00")), {
+      statusCode: 409,
+    });
+    await checkIn(guardId, shift._id, ON_SITE, at("06:00"));
+    await checkOut(guardId, shift._id, ON_SITE, at("13:00"));
+
+    const completed = await Location.findById(shift._id);
+    assert.equal(completed.status, SHIFT_STATUS.COMPLETED);
+    assert.deepEqual(completed.actualEnd, at("13:00"));
+  });
+
+  it("reports late arrivals, early departures and no-shows", async () => {
+    const late = await createShift("06:00", "10:00");
+    const early = await createShift("11:00", "13:00");
+    const missed = await createShift("14:00", "16:00", {
+      status: SHIFT_STATUS.MISSED,
+    });
+    await checkIn(guardId, late._id, ON_SITE, at("06:30"));
+    await checkIn(guardId, early._id, ON_SITE, at("11:00"));
+    await checkOut(guardId, early._id, ON_SITE, at("12:00"));
+    await recordNoShow(missed, at("16:00"));
+
+    const { totals, shifts } = await report();
+
+    assert.deepEqual(totals, {
+      shifts: 3,
+      onTime: 1,
+      late: 1,
+      leftEarly: 1,
+      noShows: 1,
+      noCheckIns: 0,
+    });
+    assert.equal(shifts[0].lateMinutes, 30);
+    assert.equal(shifts[1].earlyMinutes, 60);
+  });
+
+  it("counts a shift the geofence completed without a check-in", async () => {
+    // Started by the lifecycle job when the guard walked into the zone
+    await createShift("06:00", "14:00", {
+      status: SHIFT_STATUS.COMPLETED,
+      actualStart: at("06:05"),
+      actualEnd: at("14:00"),
+    });
+
+    const { totals, shifts } = await report();
+
+    assert.equal(totals.noCheckIns, 1);
+    assert.equal(totals.onTime, 0);
+    assert.equal(shifts[0].noCheckIn, true);
+  });
+});
@@ -0,0 +1,201 @@
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { geocode, reverseGeocode } from "../src/utils/geocoder/index.js";
+import {
+  matchScore,
+  normaliseName,
+} from "../src/utils/geocoder/gazetteer.provider.js";
+import { createThrottle } from "../src/utils/geocoder/throttle.js";
+import { GeocodeCache } from "../src/models/geocodeCache.model.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+describe("gazetteer matching", () => {
+  it("ignores case, accents and punctuation", () => {
+    assert.equal(normaliseName("  Café-Royal, Gate #2 "), "cafe royal gate 2");
+  });
+
+  it("ranks exact matches over prefixes over scattered words", () => {
+    assert.equal(matchScore("gate 2", "gate 2"), 1);
+    assert.equal(matchScore("gate", "gate 2"), 0.8);
+    assert.equal(matchScore("steel gate", "tata steel gate 2"), 0.3);
+    assert.equal(matchScore("harbour", "tata steel gate 2"), 0);
+  });
+});
+
+describe("geocoder throttle", () => {
+  it("spaces tasks out by the interval", async () => {
+    const throttle = createThrottle(50);
+    const started = [];
+    const task = async () => started.push(Date.now());
+
+    await Promise.all([throttle(task), throttle(task), throttle(task)]);
+
+    assert.ok(started[1] - started[0] >= 45);
+    assert.ok(started[2] - started[1] >= 45);
+  });
+
+  it("refuses tasks once the queue is full", async () => {
+    const throttle = createThrottle(20, { maxWaiting: 1 });
+    const queued = throttle(async () => "first");
+
+    await assert.rejects(
+      throttle(async () => "second"),
+      { statusCode: 429 }
+    );
+    assert.equal(await queued, "first");
+  });
+
+  it("keeps going after a task fails", async () => {
+    const throttle = createThrottle(0);
+    const failed = throttle(async () => {
+      throw new Error("down");
+    });
+
+    await assert.rejects(failed, { message: "down" });
+    assert.equal(await throttle(async () => "up"), "up");
+  });
+});
+
+describe("geocode", () => {
+  it("answers a missing or non-text location with a 400", async () => {
+    for (const query of [undefined, "", " ,. ", 42, ["Gate 2"], { q: 1 }]) {
+      await assert.rejects(geocode(query), { statusCode: 400 });
+    }
+  });
+
+  describe("provider chain", () => {
+    let directory;
+    const providers = process.env.GEOCODER_PROVIDERS;
+    const reverseProviders = process.env.GEOCODER_REVERSE_PROVIDERS;
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), "gazetteer-"));
+      process.env.GEOCODER_GAZETTEER_FILE = path.join(directory, "sites.json");
+      await fs.writeFile(
+        process.env.GEOCODER_GAZETTEER_FILE,
+        JSON.stringify([
+          {
+            name: "Tata Steel Gate 2",
+            latitude: 22.79,
+            longitude: 86.18,
+            aliases: ["Gate 2"],
+          },
+          {
+            name: "Harbour Warehouse",
+            latitude: 22.8,
+            longitude: 86.2,
+            address: "Dock Road, Jamshedpur",
+          },
+        ])
+      );
+      await connectDatabase();
+    });
+    after(async () => {
+      await disconnectDatabase();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+    beforeEach(clearDatabase);
+    afterEach(() => {
+      if (providers === undefined) delete process.env.GEOCODER_PROVIDERS;
+      else process.env.GEOCODER_PROVIDERS = providers;
+      if (reverseProviders === undefined) {
+        delete process.env.GEOCODER_REVERSE_PROVIDERS;
+      } else process.env.GEOCODER_REVERSE_PROVIDERS = reverseProviders;
+    });
+
+    it("passes the query on when a provider cannot be reached", async () => {
+      process.env.GEOCODER_PROVIDERS = "photon,gazetteer";
+      delete process.env.PHOTON_URL;
+
+      const { provider, candidates } = await geocode("gate 2");
+
+      assert.equal(provider, "gazetteer");
+      assert.equal(candidates[0].displayName, "Tata Steel Gate 2");
+      assert.equal(candidates[0].score, 1);
+    });
+
+    it("fails with 502 when every provider failed", async () => {
+      process.env.GEOCODER_PROVIDERS = "photon";
+      delete process.env.PHOTON_URL;
+
+      await assert.rejects(geocode("gate 2"), { statusCode: 502 });
+    });
+
+    it("answers a repeated query from the cache", async () => {
+      process.env.GEOCODER_PROVIDERS = "gazetteer";
+      await geocode("Harbour Warehouse");
+
+      // Served without asking the chain, which could not answer now
+      process.env.GEOCODER_PROVIDERS = "photon";
+      const { provider, candidates } = await geocode("harbour-warehouse!");
+
+      assert.equal(provider, "gazetteer");
+      assert.equal(candidates[0].latitude, 22.8);
+      const cached = await GeocodeCache.findOne({ query: "harbour warehouse" });
+      assert.equal(cached.hits, 1);
+    });
+
+    it("asks the chain again once the cached answer expired", async () => {
+      process.env.GEOCODER_PROVIDERS = "gazetteer";
+      await geocode("Gate 2", { now: new Date("2025-01-01T00:00:00Z") });
+
+      process.env.GEOCODER_PROVIDERS = "photon";
+      await assert.rejects(
+        geocode("Gate 2", { now: new Date("2025-03-01T00:00:00Z") }),
+        { statusCode: 502 }
+      );
+    });
+
+    it("names a position after the gazetteer site next to it", async () => {
+      process.env.GEOCODER_REVERSE_PROVIDERS = "gazetteer";
+
+      // About 55 m from the warehouse
+      assert.deepEqual(await reverseGeocode(22.8005, 86.2), {
+        address: "Dock Road, Jamshedpur",
+        siteLabel: "Harbour Warehouse",
+      });
+      // A site without an address is described by its name
+      assert.deepEqual(await reverseGeocode(22.79, 86.18), {
+        address: "Tata Steel Gate 2",
+        siteLabel: "Tata Steel Gate 2",
+      });
+    });
+
+    it("asks the next provider away from every site", async () => {
+      process.env.GEOCODER_REVERSE_PROVIDERS = "gazetteer,stub";
+
+      assert.deepEqual(await reverseGeocode(23, 87), {
+        address: "23.00000, 87.00000",
+        siteLabel: null,
+      });
+    });
+
+    it("answers a position it described before from the cache", async () => {
+      process.env.GEOCODER_REVERSE_PROVIDERS = "gazetteer";
+      await reverseGeocode(22.8, 86.2);
+
+      process.env.GEOCODER_REVERSE_PROVIDERS = "photon";
+      assert.deepEqual(await reverseGeocode("22.8", "86.2"), {
+        address: "Dock Road, Jamshedpur",
+        siteLabel: "Harbour Warehouse",
+      });
+    });
+
+    it("leaves the address empty when no provider can be reached", async () => {
+      process.env.GEOCODER_REVERSE_PROVIDERS = "photon";
+      delete process.env.PHOTON_URL;
+
+      assert.deepEqual(await reverseGeocode(22.8, 86.2), {
+        address: null,
+        siteLabel: null,
+      });
+    });
+  });
+});
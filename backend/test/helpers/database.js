@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { Organization } from "../../src/models/organization.model.js";
+
+let server = null;
+
+// Starts a throwaway mongod for one test file and connects mongoose to it.
+// MONGOMS_SYSTEM_BINARY points it at an installed mongod instead of a
+// downloaded one.
+export const connectDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique indexes have to exist before a test relies on them
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+};
+
+export const disconnectDatabase = async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+  server = null;
+};
+
+export const clearDatabase = async () => {
+  for (const collection of Object.values(mongoose.connection.collections)) {
+    await collection.deleteMany({});
+  }
+};
+
+export const createOrganization = (slug) =>
+  Organization.create({ name: `Agency ${slug}`, slug });
@@ -0,0 +1,146 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  ensureDefaultOrganization,
+  forEachTenant,
+} from "../src/services/organization.service.js";
+import { createShiftLifecycleJob } from "../src/jobs/shiftLifecycle.job.js";
+import { Client } from "../src/models/client.model.js";
+import { GeofenceEvent } from "../src/models/geofenceEvent.model.js";
+import { Location } from "../src/models/locations.model.js";
+import { Site } from "../src/models/site.model.js";
+import { currentTenant, runInTenant } from "../src/utils/tenant.js";
+import { DEFAULT_ORGANIZATION_SLUG, SHIFT_STATUS } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const at = (time) => new Date(`2025-03-01T${time}:00Z`);
+
+describe("organization service", () => {
+  let acme;
+  let globex;
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    acme = await createOrganization("acme");
+    globex = await createOrganization("globex");
+  });
+
+  describe("forEachTenant", () => {
+    it("runs once per organization, each seeing only its own data", async () => {
+      await runInTenant(acme._id, () => Client.create({ name: "Harbour" }));
+      await runInTenant(globex._id, () =>
+        Client.insertMany([{ name: "Harbour" }, { name: "Airport" }])
+      );
+      const seen = {};
+
+      const totals = await forEachTenant(async () => {
+        const clients = await Client.find();
+        seen[currentTenant()] = clients.map(
+          (client) => `${client.organization}`
+        );
+        return { clients: clients.length };
+      });
+
+      assert.deepEqual(totals, { clients: 3 });
+      assert.deepEqual(seen, {
+        [acme._id]: [`${acme._id}`],
+        [globex._id]: [`${globex._id}`, `${globex._id}`],
+      });
+    });
+
+    it("carries on past an organization whose run fails", async () => {
+      const totals = await forEachTenant(async () => {
+        if (acme._id.equals(currentTenant())) throw new Error("Broken tenant");
+        return { done: 1 };
+      });
+
+      assert.deepEqual(totals, { done: 1 });
+    });
+
+    it("keeps a job from acting on another organization's events", async () => {
+      const shift = await runInTenant(acme._id, () =>
+        Location.create({
+          guard: new mongoose.Types.ObjectId(),
+          latitude: 51.5,
+          longitude: -0.09,
+          duration: 8,
+          from: at("06:00"),
+          to: at("14:00"),
+        })
+      );
+      // Recorded against Acme's shift, but by Globex
+      await runInTenant(globex._id, () =>
+        GeofenceEvent.create({
+          guard: shift.guard,
+          assignment: shift._id,
+          type: "enter",
+          distance: 0,
+          latitude: shift.latitude,
+          longitude: shift.longitude,
+          occurredAt: at("06:05"),
+        })
+      );
+
+      const counts = await createShiftLifecycleJob({
+        now: () => at("07:00"),
+      }).tick();
+
+      assert.equal(counts.activated, 0);
+      assert.equal(
+        (await Location.findById(shift._id)).status,
+        SHIFT_STATUS.SCHEDULED
+      );
+    });
+  });
+
+  describe("ensureDefaultOrganization", () => {
+    it("moves records without an organization into the default one", async () => {
+      await Client.collection.insertOne({ name: "Legacy" });
+      await runInTenant(acme._id, () => Client.create({ name: "Harbour" }));
+
+      const organization = await ensureDefaultOrganization();
+
+      assert.equal(organization.slug, DEFAULT_ORGANIZATION_SLUG);
+      const legacy = await Client.findOne({ name: "Legacy" });
+      const harbour = await Client.findOne({ name: "Harbour" });
+      assert.ok(legacy.organization.equals(organization._id));
+      assert.ok(harbour.organization.equals(acme._id));
+    });
+
+    it("carries on past a collection that cannot be moved", async (t) => {
+      await Site.collection.insertOne({ name: "Legacy" });
+      await Client.collection.insertOne({ name: "Legacy" });
+      t.mock.method(Site, "updateMany", async () => {
+        throw new Error("Not supported");
+      });
+
+      const organization = await ensureDefaultOrganization();
+
+      const client = await Client.findOne({ name: "Legacy" });
+      assert.ok(client.organization.equals(organization._id));
+      assert.equal(
+        (await Site.findOne({ name: "Legacy" })).organization,
+        undefined
+      );
+    });
+
+    it("drops the unique indexes from before organizations", async () => {
+      await Client.collection.createIndex({ name: 1 }, { unique: true });
+
+      await ensureDefaultOrganization();
+
+      const indexes = await Client.collection.indexes();
+      assert.ok(!indexes.some((index) => index.name === "name_1"));
+      await runInTenant(acme._id, () => Client.create({ name: "Harbour" }));
+      await runInTenant(globex._id, () => Client.create({ name: "Harbour" }));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { nextPatrolStep, recordScan } from "../src/services/patrol.service.js";
+import { createPatrolJob } from "../src/jobs/patrol.job.js";
+import { Checkpoint } from "../src/models/checkpoint.model.js";
+import { CheckpointVisit } from "../src/models/checkpointVisit.model.js";
+import { Location } from "../src/models/locations.model.js";
+import { PatrolRoute } from "../src/models/patrolRoute.model.js";
+import { runInTenant } from "../src/utils/tenant.js";
+import { PATROL_VISIT_STATUS, SHIFT_STATUS } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const at = (time) => new Date(`2025-03-01T${time}:00Z`);
+
+// About 55 m apart, both inside the post's zone
+const GATE = { latitude: 51.5, longitude: -0.09 };
+const YARD = { latitude: 51.5005, longitude: -0.09 };
+
+describe("nextPatrolStep", () => {
+  const gate = new mongoose.Types.ObjectId();
+  const yard = new mongoose.Types.ObjectId();
+  const route = { checkpoints: [gate, yard], intervalMinutes: 30 };
+  const shift = { from: at("06:00"), actualStart: at("06:10") };
+
+  it("expects the first checkpoint an interval after the guard started", () => {
+    assert.deepEqual(nextPatrolStep(route, shift, null), {
+      step: 0,
+      checkpoint: gate,
+      dueAt: at("06:40"),
+    });
+  });
+
+  it("counts from the scan, or the due time of a missed step", () => {
+    const scanned = { step: 0, dueAt: at("06:40"), scannedAt: at("06:45") };
+    assert.deepEqual(nextPatrolStep(route, shift, scanned).dueAt, at("07:15"));
+
+    const missed = { step: 0, dueAt: at("06:40") };
+    assert.deepEqual(nextPatrolStep(route, shift, missed).dueAt, at("07:10"));
+  });
+
+  it("starts the tour over after the last checkpoint", () => {
+    const last = { step: 1, dueAt: at("07:10"), scannedAt: at("07:10") };
+    assert.equal(nextPatrolStep(route, shift, last).checkpoint, gate);
+  });
+});
+
+describe("patrol tours", () => {
+  const guardId = new mongoose.Types.ObjectId();
+  let organization;
+  let gate;
+  let yard;
+  const inTenant = (fn) => runInTenant(organization._id, fn);
+
+  const scan = (checkpoint, position, time) =>
+    inTenant(() =>
+      recordScan(guardId, { code: checkpoint.code, ...position }, at(time))
+    );
+
+  const flagAt = (time) => createPatrolJob({ now: () => at(time) }).tick();
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    organization = await createOrganization("acme");
+    await inTenant(async () => {
+      const shift = await Location.create({
+        guard: guardId,
+        ...GATE,
+        duration: 8,
+        from: at("06:00"),
+        to: at("14:00"),
+        status: SHIFT_STATUS.ACTIVE,
+        actualStart: at("06:00"),
+      });
+      [gate, yard] = await Checkpoint.create([
+        { location: shift._id, name: "Gate", code: "GATE-1", ...GATE },
+        { location: shift._id, name: "Yard", code: "YARD-1", ...YARD },
+      ]);
+      await PatrolRoute.create({
+        location: shift._id,
+        checkpoints: [gate._id, yard._id],
+        intervalMinutes: 30,
+        toleranceMinutes: 5,
+      });
+    });
+  });
+
+  it("settles each checkpoint on time or late", async () => {
+    const first = await scan(gate, GATE, "06:30");
+    const second = await scan(yard, YARD, "07:06");
+
+    assert.equal(first.status, PATROL_VISIT_STATUS.ON_TIME);
+    assert.equal(first.step, 0);
+    assert.equal(second.status, PATROL_VISIT_STATUS.LATE);
+    assert.equal(second.step, 1);
+  });
+
+  it("keeps a scan of the wrong checkpoint as out of order", async () => {
+    const visit = await scan(yard, YARD, "06:20");
+
+    assert.equal(visit.status, PATROL_VISIT_STATUS.OUT_OF_ORDER);
+    assert.equal(visit.expectedCheckpoint.code, gate.code);
+    assert.equal(visit.step, undefined);
+
+    // The route still waits for the gate
+    assert.equal((await scan(gate, GATE, "06:25")).step, 0);
+  });
+
+  it("ignores the checkpoint just visited being scanned again", async () => {
+    const first = await scan(gate, GATE, "06:30");
+    const again = await scan(gate, GATE, "06:31");
+
+    assert.equal(`${again._id}`, `${first._id}`);
+    assert.equal(await inTenant(() => CheckpointVisit.countDocuments()), 1);
+  });
+
+  it("refuses unknown tags and scans from afar", async () => {
+    await assert.rejects(scan({ code: "NOPE" }, GATE, "06:30"), {
+      statusCode: 404,
+    });
+    await assert.rejects(scan(yard, GATE, "06:30"), { statusCode: 403 });
+  });
+
+  it("flags checkpoints that went unscanned past their tolerance", async () => {
+    assert.deepEqual(await flagAt("06:34"), { flagged: 0 });
+    assert.deepEqual(await flagAt("06:35"), { flagged: 1 });
+    // The yard was due at 07:00 and the gate again at 07:30
+    assert.deepEqual(await flagAt("07:40"), { flagged: 2 });
+
+    const missed = await inTenant(() =>
+      CheckpointVisit.find().sort({ step: 1 })
+    );
+    assert.deepEqual(
+      missed.map((visit) => [visit.step, visit.status]),
+      [
+        [0, PATROL_VISIT_STATUS.MISSED],
+        [1, PATROL_VISIT_STATUS.MISSED],
+        [2, PATROL_VISIT_STATUS.MISSED],
+      ]
+    );
+  });
+});
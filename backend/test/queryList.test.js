@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readQueryChoices, readQueryList } from "../src/utils/queryList.js";
+
+describe("readQueryList", () => {
+  it("reads a comma separated parameter", () => {
+    assert.deepEqual(readQueryList("open, closed,,"), ["open", "closed"]);
+  });
+
+  it("reads a repeated parameter", () => {
+    assert.deepEqual(readQueryList(["open", "closed,resolved"]), [
+      "open",
+      "closed",
+      "resolved",
+    ]);
+  });
+
+  it("reads a missing parameter as no values", () => {
+    assert.deepEqual(readQueryList(undefined), []);
+    assert.deepEqual(readQueryList(""), []);
+  });
+});
+
+describe("readQueryChoices", () => {
+  const allowed = ["open", "closed"];
+
+  it("keeps values that are allowed", () => {
+    assert.deepEqual(readQueryChoices(["open", "closed"], allowed), [
+      "open",
+      "closed",
+    ]);
+  });
+
+  it("answers an unknown value with a 400", () => {
+    assert.throws(() => readQueryChoices("open,lost", allowed), {
+      statusCode: 400,
+      message: "Status must be one of open, closed",
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { setTimeout as delay } from "node:timers/promises";
+import { io as connect } from "socket.io-client";
+import { initSocket } from "../src/socket.js";
+import { Guard } from "../src/models/guard.model.js";
+import { User } from "../src/models/user.model.js";
+import { emitToAdmins, emitToStaff, setIO } from "../src/utils/realtime.js";
+import { runInTenant } from "../src/utils/tenant.js";
+import { ROLES } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+process.env.ACCESS_TOKEN_SECRET ||= "test-secret";
+process.env.ACCESS_TOKEN_EXPIRY ||= "1h";
+
+// Long enough for an event that was going to arrive to have done so
+const QUIET_MS = 200;
+
+const account = (name) => ({
+  userName: name,
+  email: `${name}@example.com`,
+  fullName: name,
+  avatar: "https://example.com/avatar.png",
+  password: "password",
+});
+
+describe("realtime rooms", () => {
+  let io;
+  let url;
+  let sockets = [];
+  let acme;
+  let globex;
+
+  // A socket that has connected and collects every event it is sent
+  const open = async (model, organization, name, fields = {}) => {
+    const created = await runInTenant(organization._id, () =>
+      model.create({ ...account(name), ...fields })
+    );
+    const socket = connect(url, {
+      auth: { token: created.generateAccessToken() },
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    socket.received = [];
+    socket.onAny((event, payload) => socket.received.push({ event, payload }));
+    sockets.push(socket);
+    await once(socket, "connect");
+    return socket;
+  };
+
+  const openAdmin = async (organization, name) => {
+    const socket = await open(User, organization, name, { role: ROLES.ADMIN });
+    const joined = await socket.emitWithAck("liveloc:subscribe");
+    assert.equal(joined.success, true);
+    return socket;
+  };
+
+  const openGuard = (organization, name) =>
+    open(Guard, organization, name, {
+      residence: "London",
+      description: "Night shifts",
+      age: 30,
+    });
+
+  const eventsOf = (socket, event) =>
+    socket.received.filter((received) => received.event === event);
+
+  before(async () => {
+    await connectDatabase();
+    const server = createServer();
+    io = initSocket(server);
+    server.listen(0);
+    await once(server, "listening");
+    url = `http://localhost:${server.address().port}`;
+  });
+  afterEach(() => {
+    for (const socket of sockets) socket.disconnect();
+    sockets = [];
+  });
+  after(async () => {
+    setIO(null);
+    await new Promise((resolve) => io.close(resolve));
+    await disconnectDatabase();
+  });
+  beforeEach(async () => {
+    await clearDatabase();
+    acme = await createOrganization("acme");
+    globex = await createOrganization("globex");
+  });
+
+  it("sends a guard's position only to their organization's admins", async () => {
+    const acmeAdmin = await openAdmin(acme, "acme-admin");
+    const globexAdmin = await openAdmin(globex, "globex-admin");
+    const guard = await openGuard(acme, "acme-guard");
+
+    const reply = await guard.emitWithAck("liveloc:update", {
+      latitude: 51.5,
+      longitude: -0.09,
+    });
+    assert.equal(reply.success, true);
+    await delay(QUIET_MS);
+
+    const [update] = eventsOf(acmeAdmin, "liveloc:updated");
+    assert.equal(update?.payload.guard, reply.data.guard);
+    assert.deepEqual(eventsOf(globexAdmin, "liveloc:updated"), []);
+  });
+
+  it("emits to the rooms of the tenant it runs in", async () => {
+    const acmeAdmin = await openAdmin(acme, "acme-admin");
+    const globexAdmin = await openAdmin(globex, "globex-admin");
+
+    runInTenant(acme._id, () => {
+      emitToAdmins("shift:status", { shift: "acme" });
+      emitToStaff("alert:raised", { alert: "acme" });
+    });
+    await delay(QUIET_MS);
+
+    assert.deepEqual(acmeAdmin.received.map(({ event }) => event).sort(), [
+      "alert:raised",
+      "shift:status",
+    ]);
+    assert.deepEqual(globexAdmin.received, []);
+  });
+});
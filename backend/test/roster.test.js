@@ -0,0 +1,129 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Roster } from "../src/models/roster.model.js";
+import { expandRoster } from "../src/services/roster.service.js";
+
+const [ALICE, BOB] = [
+  new mongoose.Types.ObjectId(),
+  new mongoose.Types.ObjectId(),
+];
+
+// Mondays, Wednesdays and Fridays from Monday 3 March 2025
+const ROSTER = {
+  guards: [ALICE, BOB],
+  rotation: "shift",
+  daysOfWeek: [1, 3, 5],
+  startTime: "06:00",
+  endTime: "14:00",
+  timeZone: "UTC",
+  validFrom: new Date("2025-03-03T00:00:00Z"),
+};
+
+const expand = (roster, from, to) =>
+  expandRoster({ ...ROSTER, ...roster }, new Date(from), new Date(to));
+
+describe("expandRoster", () => {
+  it("creates a shift on each roster day, handing turns on in order", () => {
+    const shifts = expand({}, "2025-03-03T00:00:00Z", "2025-03-10T00:00:00Z");
+
+    assert.deepEqual(
+      shifts.map((shift) => [shift.from.toISOString(), shift.guard]),
+      [
+        ["2025-03-03T06:00:00.000Z", ALICE],
+        ["2025-03-05T06:00:00.000Z", BOB],
+        ["2025-03-07T06:00:00.000Z", ALICE],
+      ]
+    );
+    assert.equal(shifts[0].duration, 8);
+  });
+
+  it("continues the rotation where the range starts", () => {
+    const shifts = expand({}, "2025-03-10T00:00:00Z", "2025-03-11T00:00:00Z");
+
+    // Fourth occurrence since the roster began
+    assert.equal(shifts.length, 1);
+    assert.equal(shifts[0].guard, BOB);
+  });
+
+  it("keeps the same guard for a week with the weekly rotation", () => {
+    const shifts = expand(
+      { rotation: "week" },
+      "2025-03-03T00:00:00Z",
+      "2025-03-17T00:00:00Z"
+    );
+
+    assert.deepEqual(
+      shifts.map((shift) => shift.guard),
+      [ALICE, ALICE, ALICE, BOB, BOB, BOB]
+    );
+  });
+
+  it("runs an overnight shift into the next day", () => {
+    const [shift] = expand(
+      { startTime: "22:00", endTime: "06:00" },
+      "2025-03-03T00:00:00Z",
+      "2025-03-04T00:00:00Z"
+    );
+
+    assert.deepEqual(shift.to, new Date("2025-03-04T06:00:00Z"));
+    assert.equal(shift.duration, 8);
+  });
+
+  it("keeps local times across a daylight saving change", () => {
+    // London moved its clocks forward on Sunday 30 March 2025
+    const shifts = expand(
+      { daysOfWeek: [6, 0], timeZone: "Europe/London" },
+      "2025-03-29T00:00:00Z",
+      "2025-03-31T00:00:00Z"
+    );
+
+    assert.deepEqual(
+      shifts.map((shift) => shift.from.toISOString()),
+      ["2025-03-29T06:00:00.000Z", "2025-03-30T05:00:00.000Z"]
+    );
+  });
+
+  it("stops at the end of the range and of the roster", () => {
+    const shifts = expand(
+      { validUntil: new Date("2025-03-06T00:00:00Z") },
+      "2025-03-01T00:00:00Z",
+      "2025-04-01T00:00:00Z"
+    );
+    assert.equal(shifts.length, 2);
+
+    // Days that never come up end with the range instead of looping on
+    assert.deepEqual(
+      expand(
+        { daysOfWeek: [1.5] },
+        "2025-03-03T00:00:00Z",
+        "2025-03-10T00:00:00Z"
+      ),
+      []
+    );
+  });
+});
+
+describe("roster days", () => {
+  const build = (daysOfWeek) =>
+    new Roster({
+      name: "Gate",
+      ...ROSTER,
+      daysOfWeek,
+      latitude: 51.5,
+      longitude: -0.09,
+    });
+
+  it("refuses days that are not whole days of the week", () => {
+    for (const days of [[1.5], [7], [-1], []]) {
+      assert.ok(build(days).validateSync()?.errors, `${days}`);
+    }
+  });
+
+  it("keeps each day once", () => {
+    const roster = build([1, 3, 1, "3"]);
+
+    assert.equal(roster.validateSync(), undefined);
+    assert.deepEqual([...roster.daysOfWeek], [1, 3]);
+  });
+});
@@ -0,0 +1,176 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createShiftLifecycleJob } from "../src/jobs/shiftLifecycle.job.js";
+import { Location } from "../src/models/locations.model.js";
+import { GeofenceEvent } from "../src/models/geofenceEvent.model.js";
+import { Attendance } from "../src/models/attendance.model.js";
+import { runInTenant } from "../src/utils/tenant.js";
+import { SHIFT_STATUS } from "../src/constants.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const at = (time) => new Date(`2025-03-01T${time}:00Z`);
+
+// A job whose clock only moves when the test says so
+const fakeClock = (time) => {
+  let now = at(time);
+  const job = createShiftLifecycleJob({ now: () => now });
+  return {
+    tick: (next) => {
+      now = at(next);
+      return job.tick();
+    },
+  };
+};
+
+describe("shift lifecycle job", () => {
+  let organization;
+  const inTenant = (fn) => runInTenant(organization._id, fn);
+
+  const createShift = (from, to) =>
+    inTenant(() =>
+      Location.create({
+        guard: new mongoose.Types.ObjectId(),
+        latitude: 51.5,
+        longitude: -0.09,
+        duration: (at(to) - at(from)) / 3600000,
+        from: at(from),
+        to: at(to),
+      })
+    );
+
+  const recordEvent = (shift, type, time) =>
+    inTenant(() =>
+      GeofenceEvent.create({
+        guard: shift.guard,
+        assignment: shift._id,
+        type,
+        distance: 0,
+        latitude: shift.latitude,
+        longitude: shift.longitude,
+        occurredAt: at(time),
+      })
+    );
+
+  const reload = (shift) => inTenant(() => Location.findById(shift._id));
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    organization = await createOrganization("acme");
+  });
+
+  it("leaves a shift scheduled until it starts", async () => {
+    const shift = await createShift("06:00", "14:00");
+    const clock = fakeClock("05:00");
+
+    assert.deepEqual(await clock.tick("05:59"), {
+      activated: 0,
+      completed: 0,
+      missed: 0,
+    });
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.SCHEDULED);
+  });
+
+  it("activates a shift once the guard enters the zone", async () => {
+    const shift = await createShift("06:00", "14:00");
+    const clock = fakeClock("06:00");
+
+    await clock.tick("06:02");
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.SCHEDULED);
+
+    await recordEvent(shift, "enter", "06:05");
+    const counts = await clock.tick("06:06");
+
+    const active = await reload(shift);
+    assert.equal(counts.activated, 1);
+    assert.equal(active.status, SHIFT_STATUS.ACTIVE);
+    assert.deepEqual(active.actualStart, at("06:05"));
+  });
+
+  it("completes an active shift at its end, when the guard left", async () => {
+    const shift = await createShift("06:00", "14:00");
+    await recordEvent(shift, "enter", "06:05");
+    await recordEvent(shift, "exit", "13:40");
+    const clock = fakeClock("06:00");
+
+    await clock.tick("06:10");
+    await clock.tick("13:59");
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.ACTIVE);
+
+    const counts = await clock.tick("14:00");
+    const completed = await reload(shift);
+    assert.equal(counts.completed, 1);
+    assert.equal(completed.status, SHIFT_STATUS.COMPLETED);
+    assert.deepEqual(completed.actualEnd, at("13:40"));
+    assert.deepEqual(completed.archivedAt, at("14:00"));
+  });
+
+  it("ends a shift at its scheduled end when the guard stayed", async () => {
+    const shift = await createShift("06:00", "14:00");
+    await recordEvent(shift, "enter", "06:05");
+    const clock = fakeClock("06:00");
+
+    await clock.tick("07:00");
+    await clock.tick("14:30");
+
+    assert.deepEqual((await reload(shift)).actualEnd, at("14:00"));
+  });
+
+  it("marks a shift missed and records a no-show when nobody came", async () => {
+    const shift = await createShift("06:00", "08:00");
+    const clock = fakeClock("06:00");
+
+    await clock.tick("07:59");
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.SCHEDULED);
+
+    const counts = await clock.tick("08:00");
+    assert.equal(counts.missed, 1);
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.MISSED);
+
+    const noShows = await inTenant(() =>
+      Attendance.find({ assignment: shift._id, type: "no-show" })
+    );
+    assert.equal(noShows.length, 1);
+    assert.equal(noShows[0].offsetMinutes, 120);
+
+    // A later tick neither moves it again nor records a second no-show
+    await clock.tick("09:00");
+    assert.equal(
+      await inTenant(() =>
+        Attendance.countDocuments({ assignment: shift._id })
+      ),
+      1
+    );
+  });
+
+  it("catches up on a shift that ran while the job was down", async () => {
+    const shift = await createShift("06:00", "08:00");
+    await recordEvent(shift, "enter", "07:30");
+
+    const counts = await fakeClock("06:00").tick("09:00");
+
+    const closed = await reload(shift);
+    assert.deepEqual(counts, { activated: 1, completed: 1, missed: 0 });
+    assert.equal(closed.status, SHIFT_STATUS.COMPLETED);
+    assert.deepEqual(closed.actualStart, at("07:30"));
+    assert.deepEqual(closed.actualEnd, at("08:00"));
+  });
+
+  it("never reopens a shift staff cancelled", async () => {
+    const shift = await createShift("06:00", "08:00");
+    await recordEvent(shift, "enter", "06:05");
+    await inTenant(() =>
+      Location.updateOne({ _id: shift._id }, { status: SHIFT_STATUS.CANCELLED })
+    );
+
+    await fakeClock("06:00").tick("09:00");
+    assert.equal((await reload(shift)).status, SHIFT_STATUS.CANCELLED);
+  });
+});
@@ -0,0 +1,167 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "../src/models/client.model.js";
+import { Site } from "../src/models/site.model.js";
+import { runInTenant } from "../src/utils/tenant.js";
+import {
+  clearDatabase,
+  connectDatabase,
+  createOrganization,
+  disconnectDatabase,
+} from "./helpers/database.js";
+
+const names = (documents) => documents.map((document) => document.name).sort();
+
+describe("tenant plugin", () => {
+  let acme;
+  let globex;
+  const inAcme = (fn) => runInTenant(acme._id, fn);
+  const inGlobex = (fn) => runInTenant(globex._id, fn);
+
+  // The same client and site names in both organizations
+  const seed = (inTenant) =>
+    inTenant(async () => {
+      const client = await Client.create({ name: "Harbour" });
+      await Site.create({ name: "Dock", client: client._id });
+      await Site.create({ name: "Depot", client: client._id });
+      return client;
+    });
+
+  before(connectDatabase);
+  after(disconnectDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    acme = await createOrganization("acme");
+    globex = await createOrganization("globex");
+  });
+
+  it("stamps documents saved or inserted in a tenant", async () => {
+    const saved = await inAcme(() => Client.create({ name: "Harbour" }));
+    const inserted = await inGlobex(() =>
+      Site.insertMany([{ name: "Dock" }, { name: "Depot" }])
+    );
+
+    assert.ok(saved.organization.equals(acme._id));
+    for (const site of inserted)
+      assert.ok(site.organization.equals(globex._id));
+    assert.equal(await Site.countDocuments({ organization: globex._id }), 2);
+  });
+
+  it("refuses to save another organization's document", async () => {
+    const client = await seed(inAcme);
+
+    await assert.rejects(
+      inGlobex(async () => {
+        client.name = "Taken";
+        await client.save();
+      }),
+      /another organization/
+    );
+    assert.equal((await Client.findById(client._id)).name, "Harbour");
+  });
+
+  it("only finds the tenant's documents", async () => {
+    const acmeClient = await seed(inAcme);
+    await seed(inGlobex);
+
+    await inAcme(async () => {
+      assert.deepEqual(names(await Site.find()), ["Depot", "Dock"]);
+      assert.equal(await Site.countDocuments(), 2);
+      assert.equal((await Site.distinct("organization")).length, 1);
+      assert.ok((await Client.findOne()).organization.equals(acme._id));
+    });
+    // Looked up by ID from the other tenant, the document does not exist
+    assert.equal(await inGlobex(() => Client.findById(acmeClient._id)), null);
+  });
+
+  it("only updates and deletes the tenant's documents", async () => {
+    await seed(inAcme);
+    await seed(inGlobex);
+
+    await inAcme(async () => {
+      await Site.updateMany({}, { instructions: "Check the gate" });
+      await Client.updateOne({ name: "Harbour" }, { name: "Harbour Ltd" });
+      await Site.deleteMany({ name: "Depot" });
+    });
+
+    await inGlobex(async () => {
+      assert.deepEqual(names(await Site.find()), ["Depot", "Dock"]);
+      assert.equal(
+        await Site.countDocuments({ instructions: { $exists: true } }),
+        0
+      );
+      assert.equal((await Client.findOne()).name, "Harbour");
+    });
+    await inAcme(async () => {
+      assert.deepEqual(names(await Site.find()), ["Dock"]);
+      assert.equal((await Client.findOne()).name, "Harbour Ltd");
+    });
+  });
+
+  it("scopes aggregations and the collections they look up", async () => {
+    const acmeClient = await seed(inAcme);
+    await seed(inGlobex);
+    // A site of Globex pointing at Acme's client must not pull it in
+    await inGlobex(() =>
+      Site.create({ name: "Forged", client: acmeClient._id })
+    );
+
+    const [sites, clients] = await inAcme(() =>
+      Promise.all([
+        Site.aggregate([
+          {
+            $lookup: {
+              from: "clients",
+              localField: "client",
+              foreignField: "_id",
+              as: "client",
+            },
+          },
+        ]),
+        Client.aggregate([
+          {
+            $lookup: {
+              from: "sites",
+              let: { client: "$_id" },
+              pipeline: [
+                { $match: { $expr: { $eq: ["$client", "$$client"] } } },
+              ],
+              as: "sites",
+            },
+          },
+        ]),
+      ])
+    );
+
+    assert.deepEqual(names(sites), ["Depot", "Dock"]);
+    for (const site of sites) {
+      assert.equal(site.client.length, 1);
+      assert.ok(site.client[0]._id.equals(acmeClient._id));
+    }
+    assert.equal(clients.length, 1);
+    assert.deepEqual(names(clients[0].sites), ["Depot", "Dock"]);
+
+    const [forged] = await inGlobex(() =>
+      Site.aggregate([
+        { $match: { name: "Forged" } },
+        {
+          $lookup: {
+            from: "clients",
+            localField: "client",
+            foreignField: "_id",
+            as: "client",
+          },
+        },
+      ])
+    );
+    assert.deepEqual(forged.client, []);
+  });
+
+  it("leaves code outside any tenant unscoped", async () => {
+    await seed(inAcme);
+    await seed(inGlobex);
+
+    assert.equal(await Site.countDocuments(), 4);
+    assert.equal((await Client.aggregate([{ $match: {} }])).length, 2);
+  });
+});
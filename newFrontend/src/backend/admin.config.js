@@ -41,6 +41,83 @@ export class AdminService {
       throw error;
     }
   }
+
+  // status is a comma separated list; omitted, only open complaints are listed
+  async listComplaints({ status, guard } = {}) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/admin/complaints`, {
+        params: { status, guard },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // update: { status?, note? }
+  async updateComplaint(id, update) {
+    try {
+      const res = await axios.patch(
+        `${server.serverUrl}/admin/complaints/${id}`,
+        update
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Deletes the complaint and its attachments for good
+  async purgeComplaint(id) {
+    try {
+      const res = await axios.delete(
+        `${server.serverUrl}/admin/complaints/${id}`
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async suspendGuard(complaintId, note) {
+    try {
+      const res = await axios.patch(
+        `${server.serverUrl}/admin/complaints/${complaintId}/suspend`,
+        { note }
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async listUsers() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/admin/users`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // client is the organisation a client account is linked to
+  async updateUserRole(id, role, client) {
+    try {
+      const res = await axios.patch(
+        `${server.serverUrl}/admin/users/${id}/role`,
+        { role, client }
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 const adminservice = new AdminService();
 export default adminservice;
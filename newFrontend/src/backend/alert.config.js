@@ -0,0 +1,78 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+import { acquireSocket, releaseSocket } from "./socket.config.js";
+axios.defaults.withCredentials = true;
+
+export class AlertService {
+  // position is the guard's { latitude, longitude }, or {} without a fix
+  async raiseSos(position = {}) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/alert/sos`, position);
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getMyAlerts() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/alert/mine`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async listAlerts(status) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/alert`, {
+        params: { status },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async acknowledge(id) {
+    try {
+      const res = await axios.patch(
+        `${server.serverUrl}/alert/${id}/acknowledge`
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async resolve(id) {
+    try {
+      const res = await axios.patch(`${server.serverUrl}/alert/${id}/resolve`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Calls onAlert with every raised, escalated or updated alert; staff get
+  // all of them, a guard only their own. Returns the unsubscribe function.
+  subscribeAlerts(onAlert) {
+    const socket = acquireSocket();
+    const events = ["alert:raised", "alert:escalated", "alert:updated"];
+    events.forEach((event) => socket.on(event, onAlert));
+
+    return () => {
+      events.forEach((event) => socket.off(event, onAlert));
+      releaseSocket();
+    };
+  }
+}
+const alertservice = new AlertService();
+export default alertservice;
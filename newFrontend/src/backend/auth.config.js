@@ -48,10 +48,10 @@ export class Authservice {
     }
   }
 
-  async loginUser(data) {
+  async login(data) {
     try {
       const response = await axios.post(
-        `${server.serverUrl}/user/login`,
+        `${server.serverUrl}/auth/login`,
         data,
         {
           withCredentials: true,
@@ -63,19 +63,26 @@ export class Authservice {
       throw error;
     }
   }
-  async loginGuard(data) {
+
+  // Works for users and guards; `principal` tells which one is signed in
+  async getCurrentAccount() {
     try {
-      const response = await axios.post(
-        `${server.serverUrl}/guard/login`,
-        data,
-        {
-          withCredentials: true,
-        }
-      );
-      if (response) return response;
-      else throw error;
-    } catch (error) {
-      throw error;
+      const response = await axios.get(`${server.serverUrl}/auth/me`);
+      if (response.status == 200) {
+        const { _id, userName, email, fullName, avatar, role, principal } =
+          response.data.data;
+        return {
+          _id,
+          userName,
+          email,
+          fullName,
+          avatar,
+          role,
+          principal,
+        };
+      } else throw error;
+    } catch (err) {
+      throw err;
     }
   }
 
@@ -83,8 +90,16 @@ export class Authservice {
     try {
       const response = await axios.get(`${server.serverUrl}/user/current-user`);
       if (response.status == 200) {
-        const { _id, userName, email, fullName, avatar, refreshToken, role } =
-          response.data.data;
+        const {
+          _id,
+          userName,
+          email,
+          fullName,
+          avatar,
+          refreshToken,
+          role,
+          client,
+        } = response.data.data;
         return {
           _id,
           userName,
@@ -93,6 +108,7 @@ export class Authservice {
           avatar,
           refreshToken,
           role,
+          client,
         };
       } else throw error;
     } catch (err) {
@@ -105,8 +121,16 @@ export class Authservice {
         `${server.serverUrl}/guard/current-guard`
       );
       if (response.status == 200) {
-        const { _id, userName, email, fullName, avatar, refreshToken, role } =
-          response.data.data;
+        const {
+          _id,
+          userName,
+          email,
+          fullName,
+          avatar,
+          refreshToken,
+          role,
+          client,
+        } = response.data.data;
         return {
           _id,
           userName,
@@ -115,6 +139,7 @@ export class Authservice {
           avatar,
           refreshToken,
           role,
+          client,
         };
       } else throw error;
     } catch (err) {
@@ -122,18 +147,9 @@ export class Authservice {
     }
   }
 
-  async logoutUser() {
-    try {
-      const res = await axios.post(`${server.serverUrl}/user/logout`);
-      if (res.status == 200) return res;
-      else throw error;
-    } catch (error) {
-      console.error(error.message);
-    }
-  }
-  async logoutGuard() {
+  async logout() {
     try {
-      const res = await axios.post(`${server.serverUrl}/guard/logout`);
+      const res = await axios.post(`${server.serverUrl}/auth/logout`);
       if (res.status == 200) return res;
       else throw error;
     } catch (error) {
@@ -143,7 +159,7 @@ export class Authservice {
 
   async refreshTokens() {
     try {
-      const res = await axios.post(`${server.serverUrl}/users/refresh-tokens`, {
+      const res = await axios.post(`${server.serverUrl}/auth/refresh-tokens`, {
         withCredentials: true,
       });
       if (res.status == 200) return res;
@@ -155,7 +171,7 @@ export class Authservice {
 
   async checkRefresh() {
     try {
-      const res = await axios.get(`${server.serverUrl}/users/check-refresh`);
+      const res = await axios.get(`${server.serverUrl}/auth/check-refresh`);
       if (res) return res;
       else throw error;
     } catch (error) {
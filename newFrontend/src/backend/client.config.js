@@ -0,0 +1,80 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+axios.defaults.withCredentials = true;
+
+export class ClientService {
+  // Staff: every client organisation with the names of its sites
+  async listClients() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/client`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // data: { name, contact? }
+  async createClient(data) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/client`, data);
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Client portal: the signed-in client's sites with their coverage
+  async getSites() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/client/portal/sites`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getLivePositions() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/client/portal/live`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // status is a comma separated list; omitted, every incident is listed
+  async getIncidents(status) {
+    try {
+      const res = await axios.get(
+        `${server.serverUrl}/client/portal/incidents`,
+        { params: { status } }
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // from/to default to the last 30 days
+  async getAttendance({ from, to } = {}) {
+    try {
+      const res = await axios.get(
+        `${server.serverUrl}/client/portal/attendance`,
+        { params: { from, to } }
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+const clientservice = new ClientService();
+export default clientservice;
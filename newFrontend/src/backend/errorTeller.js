@@ -1,5 +1,7 @@
 function errorTeller(error) {
     if (error.response) {
+      // The API answers with JSON ({ message, errors }) for handled errors
+      if (error.response.data?.message) return error.response.data.message;
       const htmlData = error.response.data; // Raw HTML response
       const match = htmlData.match(/<pre>(.*?)<br>/s); // Extract <pre> content
       if (match) {
@@ -37,16 +37,36 @@ export class GuardService {
     }
   }
 
-  async lodgeComplaint(guardId, complaint) {
+  // Completed and missed shifts that started between from and to (ISO
+  // strings, default: the last 30 days), for replaying after the fact
+  async ListPastShifts(from, to) {
     try {
+      const res = await axios.get(`${server.serverUrl}/guard/pastShifts`, {
+        params: { from, to },
+      });
+      if (res) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // details: { category, severity }; files are photo/video/audio evidence
+  async lodgeComplaint(guardId, complaint, details = {}, files = []) {
+    try {
+      const data = new FormData();
+      data.append("complain", complaint);
+      Object.entries(details).forEach(([key, value]) =>
+        data.append(key, value)
+      );
+      files.forEach((file) => data.append("attachments", file));
+
       const res = await axios.post(
-        `${server.serverUrl}/user/reqAuth/${guardId}`,
-        {
-          complain: complaint,
-        }
+        `${server.serverUrl}/user/complaints/${guardId}`,
+        data
       );
 
-      if (res) return res;
+      if (res.status == 201) return res;
       else throw error;
     } catch (error) {
       throw error;
@@ -79,6 +99,45 @@ export class GuardService {
       throw error;
     }
   }
+
+  // position is the guard's current { latitude, longitude }
+  async checkIn(assignmentId, position) {
+    try {
+      const res = await axios.post(
+        `${server.serverUrl}/guard/shift/${assignmentId}/check-in`,
+        position
+      );
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async checkOut(assignmentId, position) {
+    try {
+      const res = await axios.post(
+        `${server.serverUrl}/guard/shift/${assignmentId}/check-out`,
+        position
+      );
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Attendance figures computed by the server; data is null before any
+  // shift has closed
+  async getPerformance() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/guard/performance`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 const guardService = new GuardService();
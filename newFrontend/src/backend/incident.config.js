@@ -0,0 +1,82 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+import { acquireSocket, releaseSocket } from "./socket.config.js";
+axios.defaults.withCredentials = true;
+
+export class IncidentService {
+  // report: { type, severity, narrative, latitude, longitude, occurredAt? }
+  async reportIncident(report, files = []) {
+    try {
+      const data = new FormData();
+      Object.entries(report).forEach(([key, value]) => {
+        if (value !== undefined && value !== "") data.append(key, value);
+      });
+      files.forEach((file) => data.append("attachments", file));
+
+      const res = await axios.post(`${server.serverUrl}/incident`, data);
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getMyIncidents() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/incident/mine`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // status is a comma separated list; omitted, open and acknowledged ones
+  async listIncidents(status) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/incident`, {
+        params: { status },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async updateIncidentStatus(id, status) {
+    try {
+      const res = await axios.patch(`${server.serverUrl}/incident/${id}`, {
+        status,
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Calls onIncident with every new or updated incident.
+  // Returns the unsubscribe function.
+  subscribeIncidents(onIncident) {
+    const socket = acquireSocket();
+    const subscribe = () => socket.emit("incident:subscribe");
+
+    socket.on("connect", subscribe);
+    socket.on("incident:reported", onIncident);
+    socket.on("incident:updated", onIncident);
+    if (socket.connected) subscribe();
+
+    return () => {
+      socket.emit("incident:unsubscribe");
+      socket.off("connect", subscribe);
+      socket.off("incident:reported", onIncident);
+      socket.off("incident:updated", onIncident);
+      releaseSocket();
+    };
+  }
+}
+const incidentservice = new IncidentService();
+export default incidentservice;
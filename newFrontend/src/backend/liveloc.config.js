@@ -1,16 +1,213 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
 import server from "../conf/conf.js";
 import axios from "axios";
+import socket, { acquireSocket, releaseSocket } from "./socket.config.js";
+import {
+  countPositions,
+  enqueuePosition,
+  peekPositions,
+  removePositions,
+} from "../utils/positionQueue.js";
 axios.defaults.withCredentials = true;
+
+// Positions per upload, inside the server's batch limit
+const BATCH_SIZE = 100;
+// How often queued positions are retried while the guard is streaming
+const FLUSH_INTERVAL = 30000;
+// Minimum gap between two streamed positions
+const LIVE_UPDATE_INTERVAL = 5000;
+// Browsers stop firing watchPosition while the device stands still, so the
+// last known position is re-sent this often to show the guard is still there
+const HEARTBEAT_INTERVAL = 60000;
+
+let flushing = null;
 export class Livelocservice {
+  // Streams over the socket when it is up and falls back to the REST endpoint
   async sendLocation(data) {
-    console.log("live here", data);
-    // try {
-    //   const res = await axios.post(`${server.serverUrl}/liveloc/location`);
-    //   if (res) return res;
-    //   else throw error;
-    // } catch (error) {
-    //   throw error;
-    // }
+    if (socket.connected) {
+      try {
+        const res = await socket
+          .timeout(5000)
+          .emitWithAck("liveloc:update", data);
+        if (res?.success) return res;
+      } catch {
+        // no ack in time, retry over HTTP below
+      }
+    }
+    try {
+      const res = await axios.patch(
+        `${server.serverUrl}/liveloc/updatelive`,
+        data
+      );
+      if (res) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // positions: [{ latitude, longitude, recordedAt }] taken while offline
+  async sendPositions(positions) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/liveloc/batch`, {
+        positions,
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Sends the position live, or queues it with the time it was taken when
+  // that fails. While older positions are queued new ones join them, so the
+  // server receives them in order.
+  async reportPosition({ latitude, longitude }) {
+    const recordedAt = new Date().toISOString();
+    if (navigator.onLine && (await countPositions()) === 0) {
+      try {
+        return await this.sendLocation({ latitude, longitude });
+      } catch {
+        // offline or the server is unreachable, keep it for later
+      }
+    }
+    await enqueuePosition({ latitude, longitude, recordedAt });
+    this.flushQueue();
+    return null;
+  }
+
+  // Uploads queued positions oldest first until the queue is empty or an
+  // upload fails. Calls made while one is running share it.
+  flushQueue() {
+    if (!flushing) {
+      flushing = (async () => {
+        let size = BATCH_SIZE;
+        for (;;) {
+          const entries = await peekPositions(size);
+          if (entries.length === 0) return;
+          try {
+            await this.sendPositions(entries.map((entry) => entry.position));
+          } catch (error) {
+            const status = error.response?.status;
+            // Too large for the server: send it again in halves
+            if (status === 413 && entries.length > 1) {
+              size = Math.ceil(entries.length / 2);
+              continue;
+            }
+            // Retry later, unless the server refused the batch itself
+            if (status !== 400 && status !== 413) return;
+          }
+          await removePositions(entries.map((entry) => entry.key));
+        }
+      })()
+        .catch((error) => console.error("Error uploading positions:", error))
+        .finally(() => {
+          flushing = null;
+        });
+    }
+    return flushing;
+  }
+
+  async listLiveGuards() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/liveloc/liveList`);
+      if (res) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getHistory(guardId, from, to) {
+    try {
+      const res = await axios.get(
+        `${server.serverUrl}/liveloc/history/${guardId}`,
+        { params: { from, to } }
+      );
+      if (res) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Calls onSnapshot with every known position, then onUpdate for each new one
+  // and onGeofenceEvent when a guard enters or leaves their zone.
+  // Returns the unsubscribe function.
+  subscribeLiveGuards(onSnapshot, onUpdate, onGeofenceEvent = () => {}) {
+    const liveSocket = acquireSocket();
+    const subscribe = () => {
+      liveSocket.emit("liveloc:subscribe", (res) => {
+        if (res?.success) onSnapshot(res.data);
+      });
+    };
+
+    liveSocket.on("connect", subscribe);
+    liveSocket.on("liveloc:updated", onUpdate);
+    liveSocket.on("geofence:event", onGeofenceEvent);
+    if (liveSocket.connected) subscribe();
+
+    return () => {
+      liveSocket.emit("liveloc:unsubscribe");
+      liveSocket.off("connect", subscribe);
+      liveSocket.off("liveloc:updated", onUpdate);
+      liveSocket.off("geofence:event", onGeofenceEvent);
+      releaseSocket();
+    };
+  }
+
+  // Streams the guard's position while they are on duty: changes at most
+  // every LIVE_UPDATE_INTERVAL, and a heartbeat with the last known position
+  // when nothing was sent for HEARTBEAT_INTERVAL. onPosition sees every fix.
+  // Returns a function that stops streaming.
+  streamPosition(onPosition = () => {}) {
+    if (!("geolocation" in navigator)) return () => {};
+    const disconnect = this.connect();
+    let last = null;
+    let lastSent = 0;
+    const send = () => {
+      lastSent = Date.now();
+      // Queued on the device while offline, uploaded when back online
+      this.reportPosition(last).catch((error) =>
+        console.error("Error sending location:", error)
+      );
+    };
+
+    const watchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        last = { latitude: coords.latitude, longitude: coords.longitude };
+        onPosition(last);
+        if (Date.now() - lastSent >= LIVE_UPDATE_INTERVAL) send();
+      },
+      (error) => console.error("Error watching location:", error),
+      { enableHighAccuracy: true, maximumAge: 0 }
+    );
+    const heartbeat = setInterval(() => {
+      if (last && Date.now() - lastSent >= HEARTBEAT_INTERVAL) send();
+    }, LIVE_UPDATE_INTERVAL);
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      clearInterval(heartbeat);
+      disconnect();
+    };
+  }
+
+  // Keeps the socket open while a guard is streaming their position, and
+  // uploads queued positions whenever the connection comes back
+  connect() {
+    acquireSocket();
+    const flush = () => this.flushQueue();
+    window.addEventListener("online", flush);
+    const timer = setInterval(flush, FLUSH_INTERVAL);
+    flush();
+
+    return () => {
+      window.removeEventListener("online", flush);
+      clearInterval(timer);
+      releaseSocket();
+    };
   }
 }
 const livelocservice = new Livelocservice();
@@ -52,6 +52,19 @@ export class LocationService {
     }
   }
 
+  // Guards with no clashing shift between from and to
+  async getAvailableGuards(from, to) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/location/available`, {
+        params: { from, to },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async checkAvailability(guardId) {
     try {
       const res = await axios.get(
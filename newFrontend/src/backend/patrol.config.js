@@ -0,0 +1,122 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+import { acquireSocket, releaseSocket } from "./socket.config.js";
+axios.defaults.withCredentials = true;
+
+export class PatrolService {
+  // code is the text read from the tag, position the guard's coordinates
+  async scan(code, { latitude, longitude }) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/patrol/scan`, {
+        code,
+        latitude,
+        longitude,
+      });
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getMyPatrol() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/patrol/mine`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async listCheckpoints(post) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/patrol/checkpoints`, {
+        params: { post },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createCheckpoint(data) {
+    try {
+      const res = await axios.post(
+        `${server.serverUrl}/patrol/checkpoints`,
+        data
+      );
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async deleteCheckpoint(id) {
+    try {
+      const res = await axios.delete(
+        `${server.serverUrl}/patrol/checkpoints/${id}`
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getRoute(postId) {
+    try {
+      const res = await axios.get(
+        `${server.serverUrl}/patrol/routes/${postId}`
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async saveRoute(postId, data) {
+    try {
+      const res = await axios.put(
+        `${server.serverUrl}/patrol/routes/${postId}`,
+        data
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Missed and out-of-order checkpoints unless a status list is given
+  async listVisits(status) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/patrol/visits`, {
+        params: { status },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Calls onVisit with every checkpoint flagged as missed or out of order.
+  // Returns the unsubscribe function.
+  subscribeFlags(onVisit) {
+    const socket = acquireSocket();
+    socket.on("patrol:flagged", onVisit);
+
+    return () => {
+      socket.off("patrol:flagged", onVisit);
+      releaseSocket();
+    };
+  }
+}
+const patrolservice = new PatrolService();
+export default patrolservice;
@@ -0,0 +1,65 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+axios.defaults.withCredentials = true;
+
+export class RosterService {
+  async listRosters() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/roster`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createRoster(data) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/roster`, data);
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async deleteRoster(rosterId) {
+    try {
+      const res = await axios.delete(`${server.serverUrl}/roster/${rosterId}`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Creates the concrete shifts of a roster that start between from and to
+  async materialise(rosterId, from, to) {
+    try {
+      const res = await axios.post(
+        `${server.serverUrl}/roster/${rosterId}/materialise`,
+        { from, to }
+      );
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async listShifts(from, to) {
+    try {
+      const res = await axios.get(`${server.serverUrl}/roster/shifts`, {
+        params: { from, to },
+      });
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+const rosterservice = new RosterService();
+export default rosterservice;
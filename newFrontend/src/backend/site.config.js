@@ -0,0 +1,75 @@
+/* eslint-disable no-useless-catch */
+/* eslint-disable no-undef */
+import server from "../conf/conf.js";
+import axios from "axios";
+axios.defaults.withCredentials = true;
+
+export class SiteService {
+  // Every site with its posts and who covers each of them right now
+  async listSites() {
+    try {
+      const res = await axios.get(`${server.serverUrl}/site`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createSite(data) {
+    try {
+      const res = await axios.post(`${server.serverUrl}/site`, data);
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async updateSite(siteId, data) {
+    try {
+      const res = await axios.patch(`${server.serverUrl}/site/${siteId}`, data);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async deleteSite(siteId) {
+    try {
+      const res = await axios.delete(`${server.serverUrl}/site/${siteId}`);
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createPost(siteId, data) {
+    try {
+      const res = await axios.post(
+        `${server.serverUrl}/site/${siteId}/posts`,
+        data
+      );
+      if (res.status == 201) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async deletePost(postId) {
+    try {
+      const res = await axios.delete(
+        `${server.serverUrl}/site/posts/${postId}`
+      );
+      if (res.status == 200) return res;
+      else throw error;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+const siteservice = new SiteService();
+export default siteservice;
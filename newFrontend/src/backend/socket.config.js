@@ -0,0 +1,23 @@
+import { io } from "socket.io-client";
+import server from "../conf/conf.js";
+
+// One shared connection; the access-token cookie authenticates the handshake
+const socket = io(server.socketUrl, {
+  withCredentials: true,
+  autoConnect: false,
+});
+
+let users = 0;
+
+export const acquireSocket = () => {
+  users += 1;
+  if (!socket.connected) socket.connect();
+  return socket;
+};
+
+export const releaseSocket = () => {
+  users = Math.max(users - 1, 0);
+  if (users === 0) socket.disconnect();
+};
+
+export default socket;
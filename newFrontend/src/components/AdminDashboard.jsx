@@ -1,5 +1,12 @@
 import { useState, useEffect } from "react";
 import ManageGuards from "./ManageGuards.jsx";
+import ManageUsers from "./ManageUsers.jsx";
+import RosterCalendar from "./RosterCalendar.jsx";
+import Complains from "./Complains.jsx";
+import IncidentFeed from "./IncidentFeed.jsx";
+import PatrolPanel from "./PatrolPanel.jsx";
+import SitesPanel from "./SitesPanel.jsx";
+import AlertBanner from "./AlertBanner.jsx";
 import Map from "./Map.jsx";
 import {
   FiLogOut,
@@ -8,6 +15,12 @@ import {
   FiShield,
   FiBook,
   FiMap,
+  FiUsers,
+  FiCalendar,
+  FiAlertTriangle,
+  FiActivity,
+  FiFlag,
+  FiMapPin,
 } from "react-icons/fi";
 import authservice from "../backend/auth.config";
 import { useNavigate } from "react-router";
@@ -18,14 +31,14 @@ function AdminDashboard() {
   const navigate = useNavigate();
 
   const handleLogout = async () => {
-    await authservice.logoutUser();
-    navigate("/user/login");
+    await authservice.logout();
+    navigate("/login");
   };
 
   const handleTakeAdminToUser = async () => {
     const user = await authservice.getCurrentUser();
 
-    if (user.role === "admin") {
+    if (user.role === "admin" || user.role === "supervisor") {
       navigate(`/user/u/${user._id}`);
     }
   };
@@ -108,6 +121,102 @@ function AdminDashboard() {
                 Assign Guards
               </li>
 
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "sites"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("sites")}
+              >
+                <FiMapPin size={20} />
+                Sites
+              </li>
+
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "rosters"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("rosters")}
+              >
+                <FiCalendar size={20} />
+                Rosters
+              </li>
+
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "incidents"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("incidents")}
+              >
+                <FiActivity size={20} />
+                Incidents
+              </li>
+
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "patrols"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("patrols")}
+              >
+                <FiFlag size={20} />
+                Patrols
+              </li>
+
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "complaints"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("complaints")}
+              >
+                <FiAlertTriangle size={20} />
+                Complaints
+              </li>
+
+              <li
+                className={`p-3 rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
+                  activeTab === "manageUsers"
+                    ? darkMode
+                      ? "bg-gray-700 text-white shadow-lg scale-105"
+                      : "bg-blue-700 text-white shadow-lg scale-105"
+                    : darkMode
+                    ? "hover:bg-gray-700"
+                    : "hover:bg-blue-700 hover:text-white"
+                }`}
+                onClick={() => setActiveTab("manageUsers")}
+              >
+                <FiUsers size={20} />
+                Manage Users
+              </li>
+
               <li
                 onClick={handleTakeAdminToUser}
                 className={`p-3 justify rounded-lg text-lg font-semibold cursor-pointer flex items-center gap-2 transition-all duration-300 ${
@@ -138,7 +247,14 @@ function AdminDashboard() {
 
       {/* Main Content */}
       <main className="flex-1  transition-all duration-300">
+        <AlertBanner />
         {activeTab === "manageGuards" && <ManageGuards darkMode={darkMode} />}
+        {activeTab === "manageUsers" && <ManageUsers darkMode={darkMode} />}
+        {activeTab === "rosters" && <RosterCalendar darkMode={darkMode} />}
+        {activeTab === "complaints" && <Complains />}
+        {activeTab === "incidents" && <IncidentFeed darkMode={darkMode} />}
+        {activeTab === "patrols" && <PatrolPanel darkMode={darkMode} />}
+        {activeTab === "sites" && <SitesPanel darkMode={darkMode} />}
         {activeTab === "assignGuards" && (
           <div className="w-[80vw]">
             <Map />
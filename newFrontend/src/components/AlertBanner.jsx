@@ -0,0 +1,97 @@
+import { useEffect, useState } from "react";
+import alertservice from "../backend/alert.config.js";
+import errorTeller from "../backend/errorTeller";
+
+const HEADLINES = {
+  sos: "SOS from",
+  "signal-lost": "Signal lost from",
+  "no-movement": "No movement from",
+};
+
+// Newest first; resolved alerts drop off the banner
+const applyAlert = (alerts, alert) => {
+  const others = alerts.filter((a) => a._id !== alert._id);
+  if (alert.status === "resolved") return others;
+  return [alert, ...others].sort(
+    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+  );
+};
+
+// Active SOS and watchdog alerts, shown above whichever admin tab is open
+function AlertBanner() {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    alertservice
+      .listAlerts()
+      .then((res) => setAlerts(res.data.data))
+      .catch(() => setAlerts([]));
+
+    return alertservice.subscribeAlerts((alert) =>
+      setAlerts((prev) => applyAlert(prev, alert))
+    );
+  }, []);
+
+  const handleAction = async (id, action) => {
+    try {
+      const res = await alertservice[action](id);
+      setAlerts((prev) => applyAlert(prev, res.data.data));
+    } catch (err) {
+      alert(errorTeller(err) || "Failed to update the alert");
+    }
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="sticky top-0 z-[1000] space-y-2 p-2">
+      {alerts.map((entry) => (
+        <div
+          key={entry._id}
+          className={`flex flex-wrap items-center gap-4 p-4 rounded-lg shadow-lg text-white ${
+            entry.status === "open"
+              ? "bg-red-700 animate-pulse"
+              : "bg-amber-600"
+          }`}
+        >
+          <span className="text-2xl">🚨</span>
+          <div className="flex-1">
+            <p className="font-bold">
+              {HEADLINES[entry.kind]} {entry.guard?.fullName || "a guard"} at{" "}
+              {new Date(entry.createdAt).toLocaleTimeString()}
+            </p>
+            <p className="text-sm">
+              {(entry.assignment?.siteLabel || entry.assignment?.address) &&
+                `🛡️ ${entry.assignment.siteLabel || entry.assignment.address} · `}
+              {entry.latitude != null
+                ? `📍 ${entry.latitude.toFixed(5)}, ${entry.longitude.toFixed(5)}`
+                : "Position unknown"}
+              {entry.kind !== "sos" && " · clears by itself when the position updates"}
+              {entry.status === "open" &&
+                entry.escalationLevel > 0 &&
+                ` · escalated ${entry.escalationLevel}×`}
+              {entry.acknowledgedBy &&
+                ` · ${entry.acknowledgedBy.fullName} is responding`}
+            </p>
+          </div>
+          {entry.status === "open" && (
+            <button
+              onClick={() => handleAction(entry._id, "acknowledge")}
+              className="px-4 py-2 bg-white text-red-700 font-semibold rounded-md"
+            >
+              Acknowledge
+            </button>
+          )}
+          <button
+            onClick={() => handleAction(entry._id, "resolve")}
+            className="px-4 py-2 bg-green-600 font-semibold rounded-md"
+          >
+            Resolve
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AlertBanner;
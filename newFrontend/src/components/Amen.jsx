@@ -1,17 +1,13 @@
 import React, { useEffect, useState } from "react";
-import {
-  MapContainer,
-  TileLayer,
-  Marker,
-  Popup,
-  useMap,
-  Circle,
-} from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import livelocservice from "../backend/liveloc.config.js";
 import locationservice from "../backend/location.config.js";
 import guardService from "../backend/guard.config.js";
+import errorTeller from "../backend/errorTeller.js";
+import ZoneShape from "./ZoneShape.jsx";
+import { isInsideZone, placeName } from "../utils/geo.js";
 const blueIcon = new L.Icon({
   iconUrl: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
   iconSize: [30, 30],
@@ -21,6 +17,7 @@ const redIcon = new L.Icon({
   iconUrl: "https://maps.google.com/mapfiles/ms/icons/red-dot.png",
   iconSize: [30, 30],
 });
+
 function ChangeView({ center }) {
   const map = useMap();
   useEffect(() => {
@@ -31,14 +28,15 @@ function ChangeView({ center }) {
   return null;
 }
 
-function Amen({ locationId, guardId }) {
+function Amen({ locationId }) {
   const [location, setLocation] = useState({ latitude: null, longitude: null });
   const [assignment, setAssignment] = useState(null);
   const [progress, setProgress] = useState(0);
   const [totalInsideTime, setTotalInsideTime] = useState(0);
   const [totalOutsideTime, setTotalOutsideTime] = useState(0);
   const [isCompleted, setIsCompleted] = useState(false);
-  const radius = 65;
+  const [isOutside, setIsOutside] = useState(false);
+  const [attendanceMessage, setAttendanceMessage] = useState("");
 
   useEffect(() => {
     locationservice.getSingleAssignment(locationId).then((res) => {
@@ -46,6 +44,9 @@ function Amen({ locationId, guardId }) {
     });
   }, [locationId]);
 
+  // Stream the position to the server so the admin map follows in seconds
+  useEffect(() => livelocservice.streamPosition(setLocation), []);
+
   useEffect(() => {
     let interval;
     if (assignment && !isCompleted) {
@@ -61,16 +62,9 @@ function Amen({ locationId, guardId }) {
         (position) => {
           const { latitude, longitude } = position.coords;
           setLocation({ latitude, longitude });
-          sendLocationToServer(latitude, longitude);
           console.log("nav geo", location);
           if (assignment) {
-            const inside = checkInsideCircle(
-              latitude,
-              longitude,
-              assignment.latitude,
-              assignment.longitude,
-              radius
-            );
+            const inside = isInsideZone(assignment, latitude, longitude);
             handleLocationStatus(inside);
           }
         },
@@ -87,20 +81,34 @@ function Amen({ locationId, guardId }) {
     console.log("timesss", fromTime, toTime);
 
     if (now > toTime) return;
-    let a = true;
+    // Breaches are recorded by the server from the streamed positions,
+    // this only warns the guard
+    setIsOutside(!inside);
     if (inside) {
       setTotalInsideTime((prev) => prev + 60000);
     } else {
       setTotalOutsideTime((prev) => prev + 60000);
-      if (a) {
-        handleOut();
-        a = false;
-      }
     }
 
     updateProgress();
   };
 
+  // Check-in and check-out need the current position as proof of presence
+  const handleAttendance = async (action) => {
+    if (!location.latitude || !location.longitude) {
+      setAttendanceMessage("Waiting for your location...");
+      return;
+    }
+    try {
+      await guardService[action](locationId, location);
+      setAttendanceMessage(
+        action === "checkIn" ? "✅ Checked in" : "✅ Checked out"
+      );
+    } catch (error) {
+      setAttendanceMessage(`❌ ${errorTeller(error)}`);
+    }
+  };
+
   const updateProgress = () => {
     const now = Date.now();
     const fromTime = new Date(assignment.from).getTime();
@@ -123,36 +131,16 @@ function Amen({ locationId, guardId }) {
     console.log(`Work completed.`);
   };
 
-  const handleOut = async () => {
-    await guardService.lodgeComplaint(guardId, "The guard is outside the zone");
-  };
-
-  const checkInsideCircle = (lat1, lon1, lat2, lon2, radius) => {
-    const R = 6371000;
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLon = ((lon2 - lon1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) <= radius;
-  };
-
-  const sendLocationToServer = async (lat, lng) => {
-    try {
-      await livelocservice.sendLocation({ latitude: lat, longitude: lng });
-    } catch (error) {
-      console.error("Error sending location:", error);
-    }
-  };
-
   return (
     <div className="flex flex-col items-center w-full min-h-screen bg-gray-100 py-6">
       <h2 className="text-2xl font-semibold text-gray-700 mb-4">
         📍 Live Location Tracker
       </h2>
+      {assignment && (
+        <p className="text-gray-600 mb-4">
+          Your post: <b>{placeName(assignment)}</b>
+        </p>
+      )}
       <div className="w-3/4 h-[500px] rounded-xl overflow-hidden shadow-lg">
         <MapContainer
           center={[22.775931, 86.1468165]}
@@ -189,19 +177,25 @@ function Amen({ locationId, guardId }) {
                 icon={redIcon}
               >
                 <Popup>
-                  🛡️ Assigned Location
+                  🛡️ {placeName(assignment)}
+                  {assignment.address &&
+                    assignment.address !== placeName(assignment) && (
+                      <>
+                        <br />
+                        {assignment.address}
+                      </>
+                    )}
                   <br />
                   📍 {assignment.latitude}, {assignment.longitude}
                 </Popup>
               </Marker>
-              <Circle
-                center={[assignment.latitude, assignment.longitude]}
+              <ZoneShape
+                zone={assignment}
                 pathOptions={{
                   color: "red",
                   fillColor: "red",
                   fillOpacity: 0.3,
                 }}
-                radius={radius}
               />
             </>
           )}
@@ -211,6 +205,30 @@ function Amen({ locationId, guardId }) {
         <p className="text-gray-700 font-semibold">
           Progress: {progress.toFixed(2)}%
         </p>
+        <div className="flex justify-center gap-4 mt-2">
+          <button
+            onClick={() => handleAttendance("checkIn")}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            Check in
+          </button>
+          <button
+            onClick={() => handleAttendance("checkOut")}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Check out
+          </button>
+        </div>
+        {attendanceMessage && (
+          <p className="text-gray-700 font-semibold mt-2">
+            {attendanceMessage}
+          </p>
+        )}
+        {isOutside && !isCompleted && (
+          <p className="text-red-600 font-bold mt-2">
+            ⚠️ You are outside the assigned zone
+          </p>
+        )}
         {isCompleted && (
           <p className="text-green-600 font-bold mt-2">
             🎉 Work Completed Successfully!
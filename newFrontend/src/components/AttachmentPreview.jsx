@@ -0,0 +1,22 @@
+/* eslint-disable react/prop-types */
+
+// Inline preview of a stored photo, video or audio recording
+function AttachmentPreview({ file }) {
+  if (file.resourceType === "image") {
+    return (
+      <a href={file.url} target="_blank" rel="noreferrer">
+        <img
+          src={file.url}
+          alt={file.originalName}
+          className="h-32 rounded object-cover"
+        />
+      </a>
+    );
+  }
+  if (file.resourceType === "video") {
+    return <video src={file.url} controls className="h-32 rounded" />;
+  }
+  return <audio src={file.url} controls />;
+}
+
+export default AttachmentPreview;
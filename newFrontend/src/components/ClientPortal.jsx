@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import L from "leaflet";
+import clientservice from "../backend/client.config.js";
+import errorTeller from "../backend/errorTeller.js";
+import ZoneShape from "./ZoneShape.jsx";
+
+const guardIcon = new L.Icon({
+  iconUrl: "/policeman.png",
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+  popupAnchor: [0, -30],
+});
+
+// Live positions are polled this often, coverage and reports less often
+const LIVE_INTERVAL = 15000;
+const REFRESH_INTERVAL = 60000;
+
+const formatTime = (date) =>
+  date
+    ? new Date(date).toLocaleString([], {
+        dateStyle: "short",
+        timeStyle: "short",
+      })
+    : "—";
+
+const card = "bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md mb-6";
+
+// What a client sees of the sites it contracts: who is on each post, where
+// they are, and the incidents and attendance recorded there
+function ClientPortal() {
+  const [sites, setSites] = useState([]);
+  const [live, setLive] = useState([]);
+  const [incidents, setIncidents] = useState([]);
+  const [attendance, setAttendance] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchLive = () =>
+      clientservice
+        .getLivePositions()
+        .then((res) => setLive(res.data.data))
+        .catch((err) => setError(errorTeller(err)));
+    const fetchReports = () => {
+      clientservice
+        .getSites()
+        .then((res) => setSites(res.data.data))
+        .catch((err) => setError(errorTeller(err)));
+      clientservice
+        .getIncidents()
+        .then((res) => setIncidents(res.data.data))
+        .catch((err) => setError(errorTeller(err)));
+      clientservice
+        .getAttendance()
+        .then((res) => setAttendance(res.data.data))
+        .catch((err) => setError(errorTeller(err)));
+    };
+
+    fetchLive();
+    fetchReports();
+    const liveInterval = setInterval(fetchLive, LIVE_INTERVAL);
+    const reportInterval = setInterval(fetchReports, REFRESH_INTERVAL);
+    return () => {
+      clearInterval(liveInterval);
+      clearInterval(reportInterval);
+    };
+  }, []);
+
+  const posts = sites.flatMap((site) => site.posts);
+  const located = live.filter((shift) => shift.latitude != null);
+  const center = posts.length
+    ? [posts[0].latitude, posts[0].longitude]
+    : [51.505, -0.09];
+
+  return (
+    <div className="mb-10">
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+
+      <div className={card}>
+        <h3 className="text-xl font-semibold mb-4">🏢 Your sites</h3>
+        {sites.length === 0 && <p>No sites are linked to your account yet.</p>}
+        {sites.map((site) => (
+          <div key={site._id} className="mb-4">
+            <p className="font-semibold">
+              {site.name}
+              {site.address && (
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {" "}
+                  · {site.address}
+                </span>
+              )}
+            </p>
+            <ul className="ml-4">
+              {site.posts.map((post) => (
+                <li key={post._id} className="text-sm">
+                  {post.name}:{" "}
+                  {post.coverage.onDuty.length ? (
+                    <span className="text-green-500">
+                      {post.coverage.onDuty
+                        .map(
+                          (shift) =>
+                            `${shift.guard?.fullName || "Guard"}${
+                              shift.status === "active"
+                                ? ""
+                                : " (not checked in)"
+                            }`
+                        )
+                        .join(", ")}
+                    </span>
+                  ) : (
+                    <span className="text-red-500">
+                      Uncovered
+                      {post.coverage.next &&
+                        ` · next shift ${formatTime(post.coverage.next.from)}`}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className={card}>
+        <h3 className="text-xl font-semibold mb-4">
+          📍 Guards on duty ({live.length})
+        </h3>
+        <div className="w-full h-[400px] rounded-xl overflow-hidden shadow-lg">
+          {/* Remounted once the posts arrive, to centre on them */}
+          <MapContainer
+            key={posts[0]?._id || "empty"}
+            center={center}
+            zoom={15}
+            className="h-full w-full"
+          >
+            <TileLayer
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            />
+            {posts.map((post) => (
+              <ZoneShape
+                key={post._id}
+                zone={post}
+                pathOptions={{ color: "blue", fillOpacity: 0.15 }}
+              />
+            ))}
+            {located.map((shift) => (
+              <Marker
+                key={shift._id}
+                position={[shift.latitude, shift.longitude]}
+                icon={guardIcon}
+              >
+                <Popup>
+                  🛡️ {shift.guard.fullName}
+                  <br />
+                  📍 {shift.siteLabel}
+                  <br />
+                  🕒 {formatTime(shift.lastSeenAt)}
+                </Popup>
+              </Marker>
+            ))}
+          </MapContainer>
+        </div>
+      </div>
+
+      <div className={card}>
+        <h3 className="text-xl font-semibold mb-4">🚨 Incidents</h3>
+        {incidents.length === 0 ? (
+          <p>No incidents reported at your sites.</p>
+        ) : (
+          <ul>
+            {incidents.map((incident) => (
+              <li key={incident._id} className="border-b py-2 text-sm">
+                <b>{incident.type}</b> ({incident.severity}, {incident.status})
+                ·{" "}
+                {incident.assignment?.siteLabel || incident.assignment?.address}
+                · {formatTime(incident.occurredAt)}
+                <br />
+                {incident.narrative}
+                <span className="text-gray-500 dark:text-gray-400">
+                  {" "}
+                  — {incident.guard?.fullName}
+                </span>
+                {incident.attachments.map((attachment, index) => (
+                  <a
+                    key={index}
+                    href={attachment.url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="ml-2 text-blue-500 underline"
+                  >
+                    evidence {index + 1}
+                  </a>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className={card}>
+        <h3 className="text-xl font-semibold mb-4">
+          🕒 Attendance (last 30 days)
+        </h3>
+        {attendance && (
+          <>
+            <p className="mb-2 text-sm">
+              {attendance.totals.shifts} shifts · {attendance.totals.onTime} on
+              time · {attendance.totals.late} late ·{" "}
+              {attendance.totals.leftEarly} left early ·{" "}
+              {attendance.totals.noShows} no-shows
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left">
+                  <th className="p-2">Shift</th>
+                  <th className="p-2">Post</th>
+                  <th className="p-2">Guard</th>
+                  <th className="p-2">Checked in</th>
+                  <th className="p-2">Checked out</th>
+                </tr>
+              </thead>
+              <tbody>
+                {attendance.shifts.map((shift) => (
+                  <tr key={shift._id} className="border-b">
+                    <td className="p-2">{formatTime(shift.from)}</td>
+                    <td className="p-2">{shift.siteLabel || shift.address}</td>
+                    <td className="p-2">{shift.guard?.fullName}</td>
+                    <td className={`p-2 ${shift.late ? "text-red-500" : ""}`}>
+                      {shift.noShow
+                        ? "No-show"
+                        : formatTime(shift.checkIn) +
+                          (shift.late
+                            ? ` (${shift.lateMinutes} min late)`
+                            : "")}
+                    </td>
+                    <td
+                      className={`p-2 ${shift.leftEarly ? "text-red-500" : ""}`}
+                    >
+                      {formatTime(shift.checkOut)}
+                      {shift.leftEarly && ` (${shift.earlyMinutes} min early)`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ClientPortal;
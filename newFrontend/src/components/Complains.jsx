@@ -1,67 +1,268 @@
-import React, { useState, useEffect } from "react";
+/* eslint-disable react/prop-types */
+import { useState, useEffect } from "react";
 import adminservice from "../backend/admin.config";
+import errorTeller from "../backend/errorTeller";
+import AttachmentPreview from "./AttachmentPreview.jsx";
 import { useNavigate, useParams } from "react-router";
 
+// Mirrors the server's allowed complaint transitions
+const TRANSITIONS = {
+  open: ["investigating", "resolved", "dismissed"],
+  investigating: ["resolved", "dismissed"],
+  resolved: ["open"],
+  dismissed: ["open"],
+};
+
+const FILTERS = [
+  { label: "Needs attention", value: "" },
+  { label: "Open", value: "open" },
+  { label: "Investigating", value: "investigating" },
+  { label: "Resolved", value: "resolved" },
+  { label: "Dismissed", value: "dismissed" },
+  { label: "All", value: "open,investigating,resolved,dismissed" },
+];
+const ALL = FILTERS[FILTERS.length - 1].value;
+
+const SEVERITY_STYLES = {
+  high: "bg-red-600",
+  medium: "bg-amber-500",
+  low: "bg-gray-500",
+};
+
+function ComplaintCard({ complaint, onChange, onPurge }) {
+  const [note, setNote] = useState("");
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const current = complaint.status || "open";
+
+  const handleUpdate = async () => {
+    setError("");
+    try {
+      const res = await adminservice.updateComplaint(complaint._id, {
+        status: status || undefined,
+        note,
+      });
+      setNote("");
+      setStatus("");
+      onChange(res.data.data);
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleSuspend = async () => {
+    if (
+      !confirm("Suspend this guard? They will need to be authorised again.")
+    ) {
+      return;
+    }
+    setError("");
+    try {
+      const res = await adminservice.suspendGuard(complaint._id, note);
+      setNote("");
+      onChange(res.data.data);
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handlePurge = async () => {
+    if (!confirm("Delete this complaint and its evidence for good?")) {
+      return;
+    }
+    setError("");
+    try {
+      await adminservice.purgeComplaint(complaint._id);
+      onPurge(complaint._id);
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  return (
+    <li className="p-4 bg-gray-800 rounded-lg shadow-md border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span
+          className={`px-2 py-1 rounded text-xs uppercase ${
+            SEVERITY_STYLES[complaint.severity] || "bg-gray-500"
+          }`}
+        >
+          {complaint.severity || "medium"}
+        </span>
+        <span className="px-2 py-1 rounded text-xs uppercase bg-[#219EBC]">
+          {complaint.category || "other"}
+        </span>
+        <span className="px-2 py-1 rounded text-xs uppercase bg-gray-600">
+          {current}
+        </span>
+        {complaint.guardSuspended && (
+          <span className="px-2 py-1 rounded text-xs uppercase bg-red-900">
+            guard suspended
+          </span>
+        )}
+      </div>
+      {complaint.guard?.fullName && (
+        <p className="font-semibold">About {complaint.guard.fullName}</p>
+      )}
+      <p className="text-gray-300">{complaint.complain}</p>
+      <p className="text-sm text-gray-500 mt-1">
+        {complaint.reporter?.fullName || "Unknown reporter"}
+        {complaint.createdAt &&
+          ` · ${new Date(complaint.createdAt).toLocaleString()}`}
+      </p>
+
+      {complaint.attachments?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {complaint.attachments.map((file) => (
+            <AttachmentPreview key={file.key} file={file} />
+          ))}
+        </div>
+      )}
+
+      {complaint.notes?.length > 0 && (
+        <ul className="mt-3 space-y-1 border-l-2 border-gray-600 pl-3">
+          {complaint.notes.map((entry, i) => (
+            <li key={i} className="text-sm text-gray-400">
+              <b>{entry.author?.fullName || "Staff"}</b>
+              {entry.status && ` moved it to ${entry.status}`}
+              {entry.note && `: ${entry.note}`}
+              <span className="text-gray-600">
+                {" "}
+                · {new Date(entry.at).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Add a note"
+          className="flex-1 p-2 rounded bg-gray-700 text-white"
+        />
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="p-2 rounded bg-gray-700 text-white"
+        >
+          <option value="">Keep {current}</option>
+          {TRANSITIONS[current].map((next) => (
+            <option key={next} value={next}>
+              {next}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleUpdate}
+          className="px-3 py-2 bg-green-600 rounded hover:bg-green-700"
+        >
+          Update
+        </button>
+        {!complaint.guardSuspended && (
+          <button
+            onClick={handleSuspend}
+            className="px-3 py-2 bg-red-600 rounded hover:bg-red-700"
+          >
+            Suspend guard
+          </button>
+        )}
+        <button
+          onClick={handlePurge}
+          className="px-3 py-2 bg-gray-600 rounded hover:bg-gray-700"
+        >
+          Delete
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </li>
+  );
+}
+
 function Complains() {
   const { guardId } = useParams();
   const [complains, setComplains] = useState([]);
+  const [filter, setFilter] = useState(guardId ? ALL : "");
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const navigate = useNavigate();
-  useEffect(() => {
-    if (!guardId) {
-      setError("Invalid Guard ID");
-      setLoading(false);
-      return;
-    }
 
+  useEffect(() => {
+    setLoading(true);
     adminservice
-      .listComplains(guardId)
+      .listComplaints({ status: filter || undefined, guard: guardId })
       .then((res) => {
         setComplains(res.data.data);
+        setError("");
       })
       .catch((err) => {
-        setError("Failed to fetch complaints");
+        setError(errorTeller(err) || "Failed to fetch complaints");
       })
       .finally(() => {
         setLoading(false);
       });
-  }, [guardId]);
+  }, [guardId, filter]);
 
-  if (loading)
-    return <p className="text-white text-center mt-10">Loading...</p>;
-  if (error) return <p className="text-red-500 text-center mt-10">{error}</p>;
+  // Updates come back without the guard and reporter populated
+  const handleChange = (updated) => {
+    setComplains((prev) =>
+      prev.map((c) =>
+        c._id === updated._id
+          ? { ...c, ...updated, guard: c.guard, reporter: c.reporter }
+          : c
+      )
+    );
+  };
 
   return (
-    <div className="bg-black min-h-screen w-screen text-white flex flex-col justify-center items-center p-5">
+    <div className="bg-black min-h-screen w-full text-white flex flex-col items-center p-5">
       <div className="w-full max-w-3xl bg-gray-900 shadow-lg rounded-lg p-6">
         <h2 className="text-xl font-semibold text-center border-b border-gray-700 pb-3">
-          Guard Complaints
+          {guardId ? "Guard Complaints" : "Complaint Queue"}
         </h2>
-        {complains.length === 0 ? (
+        <div className="flex flex-wrap justify-center gap-2 mt-4">
+          {FILTERS.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => setFilter(option.value)}
+              className={`px-3 py-1 rounded-full text-sm ${
+                filter === option.value ? "bg-[#219EBC]" : "bg-gray-700"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {loading ? (
+          <p className="text-center mt-5">Loading...</p>
+        ) : error ? (
+          <p className="text-red-500 text-center mt-5">{error}</p>
+        ) : complains.length === 0 ? (
           <p className="text-gray-400 text-center mt-5">No complaints found</p>
         ) : (
           <ul className="mt-5 space-y-4">
             {complains.map((complain) => (
-              <li
+              <ComplaintCard
                 key={complain._id}
-                className="p-4 bg-gray-800 rounded-lg shadow-md border border-gray-700"
-              >
-                <p className="text-gray-300">{complain.complain}</p>
-                <p className="text-sm text-gray-500 mt-1">
-                  Complaint ID: {complain._id}
-                </p>
-              </li>
+                complaint={complain}
+                onChange={handleChange}
+                onPurge={(id) =>
+                  setComplains((prev) => prev.filter((c) => c._id !== id))
+                }
+              />
             ))}
           </ul>
         )}
       </div>
-      <button
-        className="bg-red-600 w-40 h-15 rounded-3xl text-black mt-7"
-        onClick={(e) => navigate("/admin")}
-      >
-        Go back
-      </button>
+      {guardId && (
+        <button
+          className="bg-red-600 w-40 h-15 rounded-3xl text-black mt-7"
+          onClick={() => navigate("/admin")}
+        >
+          Go back
+        </button>
+      )}
     </div>
   );
 }
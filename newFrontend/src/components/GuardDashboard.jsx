@@ -13,23 +13,31 @@ import authService from "../backend/auth.config.js";
 import guardService from "../backend/guard.config.js";
 import LiveLock from "../components/Liveloc.jsx";
 import Amen from "./Amen.jsx";
+import IncidentForm from "./IncidentForm.jsx";
+import SosButton from "./SosButton.jsx";
+import PatrolScanner from "./PatrolScanner.jsx";
 function GuardDashboard() {
   const [user, setUser] = useState(null);
   const [darkMode, setDarkMode] = useState(true);
   const navigate = useNavigate();
   const [deploymentId, setDeploymentID] = useState(null);
+  const [performance, setPerformance] = useState(null);
   const handleLogout = async () => {
-    await authService.logoutGuard();
-    navigate("/guard/login");
+    await authService.logout();
+    navigate("/login");
   };
-  const [userId, setUserId] = useState(null);
   useEffect(() => {
     guardService.getSingleGuardAssignment().then((res) => {
       setDeploymentID(res.data?.data[0]?._id);
       console.log("dep", res.data.data[0]);
-      setUserId(res.data.data[0].guard);
     });
   });
+  useEffect(() => {
+    guardService
+      .getPerformance()
+      .then((res) => setPerformance(res.data.data))
+      .catch(() => setPerformance(null));
+  }, []);
 
   return (
     <div
@@ -95,15 +103,21 @@ function GuardDashboard() {
           </button>
         </div>
 
+        <SosButton />
+
         {/* Quick Stats Section */}
         <div className="grid grid-cols-3 gap-6">
           <div className="p-6 bg-blue-500 text-white rounded-lg shadow-md">
             <h3 className="text-lg font-semibold">Attendance</h3>
-            <p className="text-2xl">85%</p>
+            <p className="text-2xl">
+              {performance ? `${performance.attendanceRate}%` : "—"}
+            </p>
           </div>
           <div className="p-6 bg-green-500 text-white rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold">Tasks Completed</h3>
-            <p className="text-2xl">12</p>
+            <h3 className="text-lg font-semibold">Patrols on time</h3>
+            <p className="text-2xl">
+              {performance?.checkpoints ? `${performance.patrolRate}%` : "—"}
+            </p>
           </div>
           <div className="p-6 bg-yellow-500 text-white rounded-lg shadow-md">
             <h3 className="text-lg font-semibold">Notifications</h3>
@@ -111,8 +125,10 @@ function GuardDashboard() {
           </div>
         </div>
         {deploymentId ? (
-          <Amen locationId={deploymentId} guardId={userId} />
+          <Amen locationId={deploymentId} />
         ) : null}
+        <PatrolScanner darkMode={darkMode} />
+        <IncidentForm darkMode={darkMode} />
         {/* Recent Activity */}
         <div
           className={`mt-8 ${
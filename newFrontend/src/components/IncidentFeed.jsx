@@ -0,0 +1,188 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import incidentservice from "../backend/incident.config.js";
+import errorTeller from "../backend/errorTeller";
+import AttachmentPreview from "./AttachmentPreview.jsx";
+
+const FILTERS = [
+  { label: "Active", value: "open,acknowledged" },
+  { label: "Closed", value: "closed" },
+  { label: "All", value: "open,acknowledged,closed" },
+];
+
+const SEVERITY_STYLES = {
+  critical: "bg-red-700 text-white",
+  high: "bg-red-500 text-white",
+  medium: "bg-amber-400 text-black",
+  low: "bg-gray-400 text-black",
+};
+
+// Inserts or replaces an incident, dropping it once it leaves the filter
+const applyIncident = (incidents, incident, filter) => {
+  const others = incidents.filter((i) => i._id !== incident._id);
+  if (!filter.split(",").includes(incident.status)) return others;
+  return [incident, ...others].sort(
+    (a, b) => new Date(b.occurredAt) - new Date(a.occurredAt)
+  );
+};
+
+function IncidentFeed({ darkMode }) {
+  const [incidents, setIncidents] = useState([]);
+  const [filter, setFilter] = useState(FILTERS[0].value);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setLoading(true);
+    incidentservice
+      .listIncidents(filter)
+      .then((res) => {
+        setIncidents(res.data.data);
+        setError("");
+      })
+      .catch((err) => setError(errorTeller(err)))
+      .finally(() => setLoading(false));
+  }, [filter]);
+
+  // New reports and status changes from other staff arrive over the socket
+  useEffect(
+    () =>
+      incidentservice.subscribeIncidents((incident) =>
+        setIncidents((prev) => applyIncident(prev, incident, filter))
+      ),
+    [filter]
+  );
+
+  const handleStatus = async (id, status) => {
+    try {
+      const res = await incidentservice.updateIncidentStatus(id, status);
+      setIncidents((prev) => applyIncident(prev, res.data.data, filter));
+    } catch (err) {
+      alert(errorTeller(err) || "Failed to update incident");
+    }
+  };
+
+  const panel = darkMode
+    ? "bg-[#023047] text-white border border-[#219EBC]"
+    : "bg-white";
+
+  return (
+    <div
+      className={`p-8 min-h-screen transition-all duration-500 ${
+        darkMode ? "bg-slate-950 text-white" : "bg-blue-300 text-black"
+      }`}
+    >
+      <h2 className="text-3xl font-bold mb-6 text-center font-serif border-2  p-4 rounded-lg shadow-lg">
+        Incidents
+      </h2>
+
+      <div className="flex justify-center gap-2 mb-6">
+        {FILTERS.map((option) => (
+          <button
+            key={option.label}
+            onClick={() => setFilter(option.value)}
+            className={`px-4 py-1 rounded-full ${
+              filter === option.value
+                ? "bg-[#219EBC] text-white"
+                : "bg-gray-600 text-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-[#219EBC]"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+
+      {!loading && !error && incidents.length === 0 && (
+        <p className="text-center">No incidents to show.</p>
+      )}
+
+      {!loading && !error && (
+        <ul className="space-y-4">
+          {incidents.map((incident) => (
+            <li
+              key={incident._id}
+              className={`p-6 rounded-xl shadow-lg ${panel}`}
+            >
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span
+                  className={`px-2 py-1 rounded text-xs uppercase ${
+                    SEVERITY_STYLES[incident.severity]
+                  }`}
+                >
+                  {incident.severity}
+                </span>
+                <span className="font-semibold uppercase">{incident.type}</span>
+                <span className="ml-auto text-sm uppercase">
+                  {incident.status}
+                </span>
+              </div>
+              <p className="text-sm opacity-80">
+                {incident.guard?.fullName || "Unknown guard"} ·{" "}
+                {new Date(incident.occurredAt).toLocaleString()} ·{" "}
+                {(incident.assignment?.siteLabel ||
+                  incident.assignment?.address) &&
+                  `🛡️ ${
+                    incident.assignment.siteLabel || incident.assignment.address
+                  } · `}
+                📍 {incident.latitude.toFixed(5)},{" "}
+                {incident.longitude.toFixed(5)}
+              </p>
+              <p className="mt-2 whitespace-pre-line">{incident.narrative}</p>
+
+              {incident.attachments?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {incident.attachments.map((file) => (
+                    <AttachmentPreview key={file.key} file={file} />
+                  ))}
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                {incident.acknowledgedBy && (
+                  <span>
+                    Acknowledged by {incident.acknowledgedBy.fullName}
+                  </span>
+                )}
+                {incident.closedBy && (
+                  <span>· Closed by {incident.closedBy.fullName}</span>
+                )}
+                {incident.status === "open" && (
+                  <button
+                    onClick={() => handleStatus(incident._id, "acknowledged")}
+                    className="ml-auto px-3 py-1 bg-amber-500 text-black rounded-md hover:bg-amber-600"
+                  >
+                    Acknowledge
+                  </button>
+                )}
+                {incident.status !== "closed" && (
+                  <button
+                    onClick={() => handleStatus(incident._id, "closed")}
+                    className={`${
+                      incident.status === "open" ? "" : "ml-auto"
+                    } px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700`}
+                  >
+                    Close
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default IncidentFeed;
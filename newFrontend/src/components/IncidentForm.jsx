@@ -0,0 +1,176 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import incidentservice from "../backend/incident.config.js";
+import errorTeller from "../backend/errorTeller.js";
+import { currentPosition } from "../utils/geo.js";
+
+const TYPES = ["intrusion", "fire", "medical", "property-damage", "other"];
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const emptyForm = {
+  type: "intrusion",
+  severity: "high",
+  narrative: "",
+  occurredAt: "",
+};
+
+function IncidentForm({ darkMode }) {
+  const [form, setForm] = useState(emptyForm);
+  const [files, setFiles] = useState([]);
+  // Changing the key clears the file input after a report is sent
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [incidents, setIncidents] = useState([]);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    incidentservice
+      .getMyIncidents()
+      .then((res) => setIncidents(res.data.data))
+      .catch(() => setIncidents([]));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setSubmitting(true);
+    try {
+      // The report is pinned to where the guard is when they send it
+      const { latitude, longitude } = await currentPosition(
+        "Allow location access to report an incident"
+      );
+      const res = await incidentservice.reportIncident(
+        {
+          ...form,
+          occurredAt: form.occurredAt
+            ? new Date(form.occurredAt).toISOString()
+            : undefined,
+          latitude,
+          longitude,
+        },
+        files
+      );
+      setIncidents((prev) => [res.data.data, ...prev]);
+      setForm(emptyForm);
+      setFiles([]);
+      setFileInputKey((prev) => prev + 1);
+      setMessage("Incident reported, the control room has been notified");
+    } catch (err) {
+      setError(errorTeller(err) || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const input = `p-2 rounded-lg border ${
+    darkMode ? "bg-gray-700 text-white border-gray-600" : "border-gray-300"
+  }`;
+
+  return (
+    <div
+      className={`mt-8 p-6 rounded-lg shadow-md ${
+        darkMode ? "bg-gray-800" : "bg-white"
+      }`}
+    >
+      <h2 className="text-2xl font-semibold mb-4">Report an Incident</h2>
+      {error && <p className="text-red-500 mb-3">{error}</p>}
+      {message && <p className="text-green-500 mb-3">{message}</p>}
+
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+        <div className="flex flex-wrap gap-3">
+          <select
+            name="type"
+            value={form.type}
+            onChange={handleChange}
+            className={input}
+          >
+            {TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <select
+            name="severity"
+            value={form.severity}
+            onChange={handleChange}
+            className={input}
+          >
+            {SEVERITIES.map((severity) => (
+              <option key={severity} value={severity}>
+                {severity} severity
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2">
+            Happened at
+            <input
+              type="datetime-local"
+              name="occurredAt"
+              value={form.occurredAt}
+              onChange={handleChange}
+              className={input}
+            />
+          </label>
+        </div>
+        <textarea
+          required
+          name="narrative"
+          rows={4}
+          placeholder="What happened, who was involved, what you did"
+          value={form.narrative}
+          onChange={handleChange}
+          className={input}
+        />
+        <label className="text-sm">
+          Evidence (photos, video or audio, up to 5)
+          <input
+            key={fileInputKey}
+            type="file"
+            multiple
+            accept="image/*,video/*,audio/*"
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="block mt-1"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 disabled:opacity-60"
+        >
+          {submitting ? "Sending..." : "Report incident"}
+        </button>
+      </form>
+
+      {incidents.length > 0 && (
+        <>
+          <h3 className="text-xl font-semibold mt-6 mb-2">Your reports</h3>
+          <ul className="space-y-2">
+            {incidents.map((incident) => (
+              <li
+                key={incident._id}
+                className="flex justify-between border-b border-gray-600 pb-2"
+              >
+                <span>
+                  <b className="uppercase">{incident.type}</b> ·{" "}
+                  {incident.severity} ·{" "}
+                  {new Date(incident.occurredAt).toLocaleString()}
+                </span>
+                <span className="uppercase text-sm">{incident.status}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default IncidentForm;
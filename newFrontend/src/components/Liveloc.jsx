@@ -1,16 +1,11 @@
 import React, { useEffect, useState } from "react";
-import {
-  MapContainer,
-  TileLayer,
-  Marker,
-  Popup,
-  useMap,
-  Circle,
-} from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import livelocservice from "../backend/liveloc.config.js";
 import locationservice from "../backend/location.config.js";
+import ZoneShape from "./ZoneShape.jsx";
+import { isInsideZone } from "../utils/geo.js";
 
 const blueIcon = new L.Icon({
   iconUrl: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
@@ -39,7 +34,6 @@ function Liveloc({ locationId }) {
   const [totalInsideTime, setTotalInsideTime] = useState(0);
   const [lastOutsideTime, setLastOutsideTime] = useState(null);
   const [isCompleted, setIsCompleted] = useState(false);
-  const radius = 65;
 
   // Fetch assignment data
   useEffect(() => {
@@ -48,6 +42,9 @@ function Liveloc({ locationId }) {
     });
   }, [locationId]);
 
+  // Stream the position to the server so the admin map follows in seconds
+  useEffect(() => livelocservice.streamPosition(setLocation), []);
+
   // Location tracking and progress calculation
   useEffect(() => {
     let interval;
@@ -66,16 +63,9 @@ function Liveloc({ locationId }) {
         (position) => {
           const { latitude, longitude } = position.coords;
           setLocation({ latitude, longitude });
-          sendLocationToServer(latitude, longitude);
 
           if (assignment) {
-            const inside = checkInsideCircle(
-              latitude,
-              longitude,
-              assignment.latitude,
-              assignment.longitude,
-              radius
-            );
+            const inside = isInsideZone(assignment, latitude, longitude);
             handleLocationStatus(inside);
           }
         },
@@ -145,28 +135,6 @@ function Liveloc({ locationId }) {
     );
   };
 
-  // Helper functions
-  const checkInsideCircle = (lat1, lon1, lat2, lon2, radius) => {
-    const R = 6371000;
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLon = ((lon2 - lon1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) <= radius;
-  };
-
-  const sendLocationToServer = async (lat, lng) => {
-    try {
-      await livelocservice.sendLocation({ latitude: lat, longitude: lng });
-    } catch (error) {
-      console.error("Error sending location:", error);
-    }
-  };
-
   return (
     <div className="flex flex-col items-center w-full min-h-screen bg-gray-100 py-6">
       <h2 className="text-2xl font-semibold text-gray-700 mb-4">
@@ -213,14 +181,13 @@ function Liveloc({ locationId }) {
                   📍 {assignment.latitude}, {assignment.longitude}
                 </Popup>
               </Marker>
-              <Circle
-                center={[assignment.latitude, assignment.longitude]}
+              <ZoneShape
+                zone={assignment}
                 pathOptions={{
                   color: "red",
                   fillColor: "red",
                   fillOpacity: 0.3,
                 }}
-                radius={radius}
               />
             </>
           )}
@@ -6,7 +6,7 @@ import { login as storeLogin } from "../store/authSlice.js";
 import authService from "../backend/auth.config.js";
 import errorTeller from "../backend/errorTeller.js";
 
-function LoginUser() {
+function Login() {
   const [error, setError] = useState("");
   const [userName, setUserName] = useState("");
   const [email, setEmail] = useState("");
@@ -23,16 +23,18 @@ function LoginUser() {
 
     try {
       const formData = { userName, email, password };
-      await authService.loginUser(formData);
+      await authService.login(formData);
 
-      const user = await authService.getCurrentUser();
+      const user = await authService.getCurrentAccount();
 
       if (user) {
         dispatch(storeLogin({ userData: user }));
         setUserName("");
         setEmail("");
         setPassword("");
-        if (user.role === "admin") {
+        if (user.principal === "guard") {
+          navigate(`/guard/g/${user.userName}`);
+        } else if (user.role === "admin" || user.role === "supervisor") {
           navigate(`/admin`);
         } else {
           navigate(`/user/u/${user.userName}`);
@@ -56,6 +58,13 @@ function LoginUser() {
           >
             Create
           </Link>
+          &nbsp;or&nbsp;
+          <Link
+            to="/guard/register"
+            className="font-medium text-blue-400 transition-all duration-200 hover:underline"
+          >
+            Join as a guard
+          </Link>
         </p>
 
         {error && (
@@ -108,4 +117,4 @@ function LoginUser() {
   );
 }
 
-export default LoginUser;
+export default Login;
@@ -0,0 +1,121 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import adminservice from "../backend/admin.config";
+import clientservice from "../backend/client.config";
+import errorTeller from "../backend/errorTeller";
+
+const ROLES = ["user", "supervisor", "admin", "client"];
+
+function ManageUsers({ darkMode }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [clients, setClients] = useState([]);
+  // User switched to the client role, waiting for their organisation
+  const [linking, setLinking] = useState(null);
+
+  useEffect(() => {
+    adminservice
+      .listUsers()
+      .then((res) => setUsers(res.data.data))
+      .catch((err) => setError(errorTeller(err)))
+      .finally(() => setLoading(false));
+    clientservice
+      .listClients()
+      .then((res) => setClients(res.data.data))
+      .catch(() => setClients([]));
+  }, []);
+
+  const handleRoleChange = async (id, role, client) => {
+    if (role === "client" && !client) return setLinking(id);
+    try {
+      const res = await adminservice.updateUserRole(id, role, client);
+      setUsers((prev) => prev.map((u) => (u._id === id ? res.data.data : u)));
+      setLinking(null);
+    } catch (err) {
+      alert(errorTeller(err) || "Failed to update role");
+    }
+  };
+
+  return (
+    <div
+      className={`p-8 min-h-screen transition-all duration-500 ${
+        darkMode ? "bg-slate-950 text-white" : "bg-blue-300 text-black"
+      }`}
+    >
+      <h2 className="text-3xl font-bold mb-6 text-center font-serif border-2  p-4 rounded-lg shadow-lg">
+        Manage Users
+      </h2>
+
+      {loading && (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-[#219EBC]"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+
+      {!loading && !error && (
+        <table className="w-full border-collapse shadow-lg overflow-hidden">
+          <thead>
+            <tr className="text-left  font-semibold bg-[#219EBC] text-white">
+              <th className="p-4">Name</th>
+              <th className="p-4">Email</th>
+              <th className="p-4">Role</th>
+              <th className="p-4">Client</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr key={user._id} className="border-b">
+                <td className="p-4">{user.fullName}</td>
+                <td className="p-4">{user.email}</td>
+                <td className="p-4">
+                  <select
+                    value={linking === user._id ? "client" : user.role}
+                    onChange={(e) => handleRoleChange(user._id, e.target.value)}
+                    className="p-2 rounded-lg bg-[#023047] text-white"
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="p-4">
+                  {linking === user._id || user.role === "client" ? (
+                    <select
+                      value={linking === user._id ? "" : user.client?._id || ""}
+                      onChange={(e) =>
+                        handleRoleChange(user._id, "client", e.target.value)
+                      }
+                      className="p-2 rounded-lg bg-[#023047] text-white"
+                    >
+                      <option value="" disabled>
+                        Choose a client
+                      </option>
+                      {clients.map((client) => (
+                        <option key={client._id} value={client._id}>
+                          {client.name}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default ManageUsers;
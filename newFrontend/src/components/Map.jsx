@@ -5,6 +5,10 @@ import {
   TileLayer,
   Marker,
   Popup,
+  Circle,
+  CircleMarker,
+  Polygon,
+  Polyline,
   useMap,
   useMapEvents,
 } from "react-leaflet";
@@ -13,6 +17,13 @@ import L from "leaflet";
 import locationservice from "../backend/location.config.js";
 import guardService from "../backend/guard.config.js";
 import otherServices from "../backend/others.config.js";
+import livelocservice from "../backend/liveloc.config.js";
+import alertservice from "../backend/alert.config.js";
+import siteservice from "../backend/site.config.js";
+import ShiftReplay from "./ShiftReplay.jsx";
+import ZoneShape from "./ZoneShape.jsx";
+import { GEOFENCE_RADIUS, placeName } from "../utils/geo.js";
+import errorTeller from "../backend/errorTeller.js";
 // Define custom icon for assigned guards
 const guardIcon = new L.Icon({
   iconUrl: "/policeman.png", // Example guard icon
@@ -21,6 +32,26 @@ const guardIcon = new L.Icon({
   popupAnchor: [0, -30],
 });
 
+// Live position pushed by a guard on duty
+const liveIcon = new L.Icon({
+  iconUrl: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
+  iconSize: [30, 30],
+});
+
+// Live position of a guard whose last zone event was an exit
+const breachIcon = new L.Icon({
+  iconUrl: "https://maps.google.com/mapfiles/ms/icons/red-dot.png",
+  iconSize: [30, 30],
+});
+
+// Live position of a guard the watchdog has flagged as silent or motionless
+const staleIcon = new L.Icon({
+  iconUrl: "https://maps.google.com/mapfiles/ms/icons/purple-dot.png",
+  iconSize: [30, 30],
+});
+
+const WATCHDOG_KINDS = ["signal-lost", "no-movement"];
+
 // Clickable Marker Component
 function LocationMarker({ onLocationSelect }) {
   const [position, setPosition] = useState(null);
@@ -43,6 +74,48 @@ function LocationMarker({ onLocationSelect }) {
   );
 }
 
+// Polygon drawing: each click adds a vertex to the shape being drawn
+function PolygonDrawer({ polygons, draft, onAddPoint }) {
+  useMapEvents({
+    click(e) {
+      onAddPoint([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  return (
+    <>
+      {polygons.map((points, index) => (
+        <Polygon
+          key={index}
+          positions={points}
+          pathOptions={{ color: "red" }}
+        />
+      ))}
+      {draft.length > 1 && (
+        <Polyline positions={draft} pathOptions={{ color: "orange" }} />
+      )}
+      {draft.map((point, index) => (
+        <CircleMarker
+          key={index}
+          center={point}
+          radius={4}
+          pathOptions={{ color: "orange" }}
+        />
+      ))}
+    </>
+  );
+}
+
+// [lat, lng] points drawn on the map to a GeoJSON Polygon/MultiPolygon
+function toPerimeter(polygons) {
+  const rings = polygons.map((points) => [
+    [...points, points[0]].map(([lat, lng]) => [lng, lat]),
+  ]);
+  return rings.length === 1
+    ? { type: "Polygon", coordinates: rings[0] }
+    : { type: "MultiPolygon", coordinates: rings };
+}
+
 // Update map view dynamically
 function ChangeView({ center }) {
   const map = useMap();
@@ -54,26 +127,76 @@ function ChangeView({ center }) {
   return null;
 }
 
+// Start and end of the shift being assigned; starts now unless a time is picked
+const shiftWindow = (from, duration) => {
+  const start = from ? new Date(from) : new Date();
+  return {
+    from: start.toISOString(),
+    to: new Date(start.getTime() + duration * 60 * 60 * 1000).toISOString(),
+  };
+};
+
+// With rosters a guard holds many open shifts; the map shows each guard at
+// the one they are working now, or else their next one
+const currentShifts = (assignments) => {
+  const now = new Date();
+  const isCurrent = (shift) =>
+    shift.status === "active" ||
+    (new Date(shift.from) <= now && new Date(shift.to) > now);
+
+  const byGuard = {};
+  const earliestFirst = [...assignments].sort(
+    (a, b) => new Date(a.from) - new Date(b.from)
+  );
+  for (const shift of earliestFirst) {
+    const held = byGuard[shift.guardDetails._id];
+    if (!held || (isCurrent(shift) && !isCurrent(held))) {
+      byGuard[shift.guardDetails._id] = shift;
+    }
+  }
+  return Object.values(byGuard);
+};
+
 function Map() {
   const [mapCenter, setMapCenter] = useState([51.505, -0.09]);
   const [loading, setLoading] = useState(false);
+  const [searchResults, setSearchResults] = useState([]);
   const [guards, setGuards] = useState([]);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [selectedGuard, setSelectedGuard] = useState(null);
   const [assignedGuards, setAssignedGuards] = useState([]);
   const [duration, setDuration] = useState(6);
+  const [siteLabel, setSiteLabel] = useState("");
   const [from, setFrom] = useState("");
   const [ratings, setRatings] = useState([]);
+  const [liveGuards, setLiveGuards] = useState([]);
+  const [replayAssignment, setReplayAssignment] = useState(null);
+  // Closed shifts on the day picked for replay, and that day
+  const [pastShifts, setPastShifts] = useState([]);
+  const [pastDay, setPastDay] = useState(() =>
+    new Date().toLocaleDateString("en-CA")
+  );
+  const [breachedGuards, setBreachedGuards] = useState([]);
+  // Guard ID -> open watchdog alert kind
+  const [staleGuards, setStaleGuards] = useState({});
+  const [zoneMode, setZoneMode] = useState("circle");
+  const [radius, setRadius] = useState(GEOFENCE_RADIUS);
+  const [polygons, setPolygons] = useState([]);
+  const [draftPolygon, setDraftPolygon] = useState([]);
+  // Saved posts of every site, so a known place needs no clicking
+  const [posts, setPosts] = useState([]);
+  const [selectedPost, setSelectedPost] = useState(null);
+  // Only offer guards who are free (rest period included) for the shift
   useEffect(() => {
-    guardService
-      .ListUnassignedGuard()
-      .then((res) => {
-        const validGuards = res?.data?.data;
-        setGuards(validGuards);
-        // console.log("Guards Data:", validGuards);
-      })
+    if (!(duration > 0)) return;
+    const shift = shiftWindow(from, duration);
+    locationservice
+      .getAvailableGuards(shift.from, shift.to)
+      .then((res) => setGuards(res?.data?.data))
       .catch((error) => console.error("Error fetching guards:", error));
+  }, [from, duration]);
 
+  useEffect(() => {
     guardService
       .ListAssignedGuards()
       .then((res) => {
@@ -87,6 +210,17 @@ function Map() {
         console.error("Error fetching assigned guards:", error);
       });
 
+    siteservice
+      .listSites()
+      .then((res) =>
+        setPosts(
+          res.data.data.flatMap((site) =>
+            site.posts.map((post) => ({ ...post, siteName: site.name }))
+          )
+        )
+      )
+      .catch((error) => console.error("Error fetching sites:", error));
+
     otherServices.getratings().then((res) => {
       setRatings(res.data.data);
       console.log(res.data.data);
@@ -94,46 +228,93 @@ function Map() {
   }, []);
 
   useEffect(() => {
-    const interval = setInterval(() => {
-      const curTime = new Date(Date.now()).toISOString();
-
-      assignedGuards.forEach((assigned) => {
-        const { to, _id } = assigned;
-
-        const shiftOver = to === curTime;
-        if (shiftOver) {
-          locationservice
-            .removeAssignment({ assignmentId: _id })
-            .then(() => {
-              console.log("Assignment Removed");
-            })
-            .catch((err) => {
-              console.error("Error:", err);
-            });
-        }
+    if (!pastDay) return;
+    const start = new Date(`${pastDay}T00:00`);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    guardService
+      .ListPastShifts(start.toISOString(), end.toISOString())
+      .then((res) => setPastShifts(res.data.data))
+      .catch((error) => console.error("Error fetching past shifts:", error));
+  }, [pastDay]);
+
+  // Live positions are pushed over the socket instead of polled
+  useEffect(() => {
+    return livelocservice.subscribeLiveGuards(
+      (snapshot) => setLiveGuards(snapshot),
+      (update) =>
+        setLiveGuards((prev) => [
+          ...prev.filter((live) => live.guard !== update.guard),
+          update,
+        ]),
+      (event) =>
+        setBreachedGuards((prev) => [
+          ...prev.filter((guardId) => guardId !== event.guard),
+          ...(event.type === "exit" ? [event.guard] : []),
+        ])
+    );
+  }, []);
+
+  // Watchdog alerts mark guards whose position can no longer be trusted
+  useEffect(() => {
+    const applyAlert = (alert) => {
+      if (!WATCHDOG_KINDS.includes(alert.kind)) return;
+      setStaleGuards((prev) => {
+        const next = { ...prev };
+        if (alert.status === "resolved") delete next[alert.guard._id];
+        else next[alert.guard._id] = alert.kind;
+        return next;
       });
-    }, 300000);
+    };
+    alertservice
+      .listAlerts()
+      .then((res) => res.data.data.forEach(applyAlert))
+      .catch((error) => console.error("Error fetching alerts:", error));
+    return alertservice.subscribeAlerts(applyAlert);
+  }, []);
 
-    return () => clearInterval(interval);
-  });
+  const shiftsOnMap = currentShifts(assignedGuards);
+
+  const handlePostSelect = (postId) => {
+    const post = posts.find((p) => p._id === postId) || null;
+    setSelectedPost(post);
+    if (post) {
+      setZoneMode("circle");
+      setSelectedLocation([post.latitude, post.longitude]);
+      setMapCenter([post.latitude, post.longitude]);
+    }
+  };
+
+  const handleCloseShape = () => {
+    if (draftPolygon.length < 3) {
+      alert("A zone needs at least three points.");
+      return;
+    }
+    setPolygons((prev) => [...prev, draftPolygon]);
+    setDraftPolygon([]);
+  };
+
+  const handleClearShapes = () => {
+    setPolygons([]);
+    setDraftPolygon([]);
+  };
 
   const handleFinalSubmit = () => {
-    if (!selectedLocation || !selectedGuard) {
+    const drawnPolygons =
+      draftPolygon.length >= 3 ? [...polygons, draftPolygon] : polygons;
+    const hasZone =
+      selectedPost ||
+      (zoneMode === "circle" ? selectedLocation : drawnPolygons.length);
+    if (!hasZone || !selectedGuard) {
       alert("Please select a location and a guard first.");
       return;
     }
 
-    const now = new Date(); // Get current time
-    const from = now.toISOString(); // Convert to UTC format
-
-    const to = new Date(
-      now.getTime() + duration * 60 * 60 * 1000
-    ).toISOString();
+    const { from: start, to } = shiftWindow(from, duration);
 
     console.log("Final Submission:", {
       selectedLocation,
       selectedGuard,
-      from,
+      from: start,
       to,
       duration,
     });
@@ -141,11 +322,19 @@ function Map() {
     locationservice
       .addAssignment({
         guardId: selectedGuard._id,
-        latitude: selectedLocation[0],
-        longitude: selectedLocation[1],
-        from,
+        ...(selectedPost
+          ? { postId: selectedPost._id }
+          : zoneMode === "circle"
+          ? {
+              latitude: selectedLocation[0],
+              longitude: selectedLocation[1],
+              radius,
+            }
+          : { perimeter: toPerimeter(drawnPolygons) }),
+        from: start,
         to,
         duration,
+        siteLabel: siteLabel || undefined,
       })
       .then(() => {
         console.log("Assignment Added");
@@ -153,6 +342,19 @@ function Map() {
       })
       .catch((error) => {
         console.log("Error:", error);
+        // 409 lists the guard's clashing shifts
+        const conflicts = error.response?.data?.errors || [];
+        alert(
+          [
+            errorTeller(error),
+            ...conflicts.map(
+              (shift) =>
+                `• ${new Date(shift.from).toLocaleString()} – ${new Date(
+                  shift.to
+                ).toLocaleString()}`
+            ),
+          ].join("\n")
+        );
       });
   };
 
@@ -182,11 +384,13 @@ function Map() {
       });
       if (res?.data?.data) {
         console.log("res", res.data.data);
-        const { latitude, longitude } = res.data.data;
+        const { latitude, longitude, candidates } = res.data.data;
         setMapCenter([parseFloat(latitude), parseFloat(longitude)]);
+        setSearchResults(candidates.length > 1 ? candidates : []);
         console.log("Updated Map Center:", latitude, longitude);
       }
     } catch (error) {
+      setSearchResults([]);
       console.error("Error fetching location:", error);
     } finally {
       setLoading(false);
@@ -205,62 +409,168 @@ function Map() {
   return (
     <div className="flex items-center w-full min-h-screen gap-10 bg-black py-6 px-16">
       <div className=" w-[60vw] flex flex-col justify-center items-center">
-        <h1 className="text-2xl font-semibold text-gray-700 mb-4">
-          📍 Location Tracker
-        </h1>
-
-        <div className="flex w-3/4 max-w-md mb-4">
-          <input
-            type="text"
-            placeholder="Enter location..."
-            // onBlur={(e) => handleLocationSearch(e.target.value)}
-            className="flex-1 p-2  rounded-l-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        {replayAssignment ? (
+          <ShiftReplay
+            assignment={replayAssignment}
+            onClose={() => setReplayAssignment(null)}
           />
-          <button
-            onClick={() =>
-              handleLocationSearch(document.querySelector("input").value)
-            }
-            className="px-4 bg-blue-600 text-white rounded-r-lg hover:bg-blue-700"
-          >
-            🔍 Search
-          </button>
-        </div>
-        {loading && (
-          <p className="text-blue-600 font-semibold">⏳ Fetching location...</p>
-        )}
-        <div className="w-full h-[500px] rounded-xl overflow-hidden shadow-lg brightness-90">
-          <MapContainer center={mapCenter} zoom={35} className="h-full w-full">
-            <ChangeView center={mapCenter} />
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            />
-            {/* User Clickable Marker */}
-            <LocationMarker
-              onLocationSelect={(lat, lng) => setSelectedLocation([lat, lng])}
-            />
-            {/* Assigned Guards Markers */}
-            {assignedGuards.map((guard) => (
-              <Marker
-                key={guard.guardDetails._id}
-                position={[guard.latitude, guard.longitude]}
-                icon={guardIcon}
+        ) : (
+          <>
+            <h1 className="text-2xl font-semibold text-gray-700 mb-4">
+              📍 Location Tracker
+            </h1>
+
+            <div className="flex w-3/4 max-w-md mb-4">
+              <input
+                type="text"
+                placeholder="Enter location..."
+                // onBlur={(e) => handleLocationSearch(e.target.value)}
+                className="flex-1 p-2  rounded-l-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={() =>
+                  handleLocationSearch(document.querySelector("input").value)
+                }
+                className="px-4 bg-blue-600 text-white rounded-r-lg hover:bg-blue-700"
               >
-                <Popup
-                  id={guard.guardDetails._id}
-                  // onClick={console.log(guard.guardDetails._id)}
-                >
-                  🛡️ {guard.guardDetails.fullName} <br />
-                  ✉️ {guard.guardDetails.email} <br />
-                  📍 {guard.latitude}, {guard.longitude}
-                  <button id={guard._id} onClick={handleUnassignMent}>
-                    Remove
-                  </button>
-                </Popup>
-              </Marker>
-            ))}
-          </MapContainer>
-        </div>
+                🔍 Search
+              </button>
+            </div>
+            {loading && (
+              <p className="text-blue-600 font-semibold">
+                ⏳ Fetching location...
+              </p>
+            )}
+            {searchResults.length > 0 && (
+              <ul className="w-full mb-4 bg-gray-900 text-white rounded-lg divide-y divide-gray-700">
+                {searchResults.map((candidate, i) => (
+                  <li key={i}>
+                    <button
+                      onClick={() =>
+                        setMapCenter([candidate.latitude, candidate.longitude])
+                      }
+                      className="w-full text-left px-3 py-2 hover:bg-gray-800"
+                    >
+                      📍 {candidate.displayName}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="w-full h-[500px] rounded-xl overflow-hidden shadow-lg brightness-90">
+              <MapContainer
+                center={mapCenter}
+                zoom={35}
+                className="h-full w-full"
+              >
+                <ChangeView center={mapCenter} />
+                <TileLayer
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                />
+                {/* User Clickable Marker */}
+                {zoneMode === "circle" ? (
+                  <>
+                    <LocationMarker
+                      onLocationSelect={(lat, lng) => {
+                        setSelectedPost(null);
+                        setSelectedLocation([lat, lng]);
+                      }}
+                    />
+                    {selectedPost ? (
+                      <ZoneShape
+                        zone={selectedPost}
+                        pathOptions={{ color: "red" }}
+                      />
+                    ) : (
+                      selectedLocation && (
+                        <Circle
+                          center={selectedLocation}
+                          radius={Number(radius) || GEOFENCE_RADIUS}
+                          pathOptions={{ color: "red" }}
+                        />
+                      )
+                    )}
+                  </>
+                ) : (
+                  <PolygonDrawer
+                    polygons={polygons}
+                    draft={draftPolygon}
+                    onAddPoint={(point) =>
+                      setDraftPolygon((prev) => [...prev, point])
+                    }
+                  />
+                )}
+                {/* Assigned Guards Markers */}
+                {shiftsOnMap.map((guard) => (
+                  <ZoneShape
+                    key={`zone-${guard._id}`}
+                    zone={guard}
+                    pathOptions={{ color: "blue", fillOpacity: 0.1 }}
+                  />
+                ))}
+                {shiftsOnMap.map((guard) => (
+                  <Marker
+                    key={guard._id}
+                    position={[guard.latitude, guard.longitude]}
+                    icon={guardIcon}
+                  >
+                    <Popup
+                      id={guard.guardDetails._id}
+                      // onClick={console.log(guard.guardDetails._id)}
+                    >
+                      🛡️ {guard.guardDetails.fullName} <br />
+                      ✉️ {guard.guardDetails.email} <br />
+                      📍 {placeName(guard)} <br />
+                      <button id={guard._id} onClick={handleUnassignMent}>
+                        Remove
+                      </button>
+                    </Popup>
+                  </Marker>
+                ))}
+                {/* Live Guard Positions */}
+                {liveGuards.map((live) => {
+                  const assigned = shiftsOnMap.find(
+                    (guard) => guard.guardDetails._id === live.guard
+                  );
+                  return (
+                    <Marker
+                      key={live._id}
+                      position={[live.latitude, live.longitude]}
+                      icon={
+                        staleGuards[live.guard]
+                          ? staleIcon
+                          : breachedGuards.includes(live.guard)
+                          ? breachIcon
+                          : liveIcon
+                      }
+                      opacity={staleGuards[live.guard] ? 0.6 : 1}
+                    >
+                      <Popup>
+                        🏃 {assigned?.guardDetails.fullName || "Guard"} (live)
+                        {breachedGuards.includes(live.guard) &&
+                          " ⚠️ outside zone"}
+                        {staleGuards[live.guard] === "signal-lost" &&
+                          " 📵 signal lost"}
+                        {staleGuards[live.guard] === "no-movement" &&
+                          " 🛑 not moving"}
+                        {live.lastSeenAt && (
+                          <>
+                            <br />
+                            Last seen{" "}
+                            {new Date(live.lastSeenAt).toLocaleTimeString()}
+                          </>
+                        )}
+                        <br />
+                        📍 {live.latitude}, {live.longitude}
+                      </Popup>
+                    </Marker>
+                  );
+                })}
+              </MapContainer>
+            </div>
+          </>
+        )}
       </div>
 
       {/* List of Guards */}
@@ -296,6 +606,83 @@ function Map() {
             ))}
           </ul>
         </div>
+        <div className="flex flex-col mt-4 p-2 gap-2 w-md bg-black/80 rounded-lg text-xs font-bold">
+          <div className="flex items-center gap-4">
+            <label>Saved post : </label>
+            <select
+              value={selectedPost?._id || ""}
+              onChange={(e) => handlePostSelect(e.target.value)}
+              className="h-8 p-1 border border-gray-300 rounded-lg bg-white text-black"
+            >
+              <option value="">None, pick on the map</option>
+              {posts.map((post) => (
+                <option key={post._id} value={post._id}>
+                  {post.siteName} · {post.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center gap-4">
+            <label>Zone : </label>
+            <label>
+              <input
+                type="radio"
+                name="zoneMode"
+                checked={zoneMode === "circle"}
+                onChange={() => setZoneMode("circle")}
+              />{" "}
+              Circle
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="zoneMode"
+                checked={zoneMode === "polygon"}
+                onChange={() => {
+                  setSelectedPost(null);
+                  setZoneMode("polygon");
+                }}
+              />{" "}
+              Polygon
+            </label>
+          </div>
+          {zoneMode === "circle" ? (
+            <div>
+              <label>Radius (in metres) : </label>
+              <input
+                type="number"
+                min={1}
+                value={radius}
+                onChange={(e) => setRadius(e.target.value)}
+                className="h-8 w-20 p-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">
+              <span>
+                {polygons.length} zone(s), {draftPolygon.length} point(s)
+              </span>
+              <button
+                onClick={handleCloseShape}
+                className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                Close shape
+              </button>
+              <button
+                onClick={() => setDraftPolygon((prev) => prev.slice(0, -1))}
+                className="px-2 py-1 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Undo point
+              </button>
+              <button
+                onClick={handleClearShapes}
+                className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+        </div>
         <div className="flex items-center justify-center mt-4 p-2 gap-4 w-md bg-black/80 rounded-lg">
           <div className="w-full max-w-md rounded-lg shadow-lg p-2 text-xs font-bold">
             <label>From Time : </label>
@@ -313,6 +700,14 @@ function Map() {
               onChange={(e) => setDuration(e.target.value)}
               className="h-8 w-20 p-2 border border-gray-300 rounded-lg mb-2"
             />
+            <br />
+            <label>Site name (optional) : </label>
+            <input
+              value={siteLabel}
+              placeholder="Looked up from the map"
+              onChange={(e) => setSiteLabel(e.target.value)}
+              className="h-8 p-2 border border-gray-300 rounded-lg"
+            />
           </div>
           <button
             className="bg-green-600 w-40 text-white rounded-lg hover:bg-green-700"
@@ -328,8 +723,15 @@ function Map() {
           </h2>
           <ul className="*:flex *:justify-between *:items-center *:w-full">
             {assignedGuards.map((guard) => (
-              <li key={guard.guardDetails._id} className="p-2 border-b">
-                {guard.guardDetails.fullName} ({guard.guardDetails.email})
+              <li key={guard._id} className="p-2 border-b">
+                {guard.guardDetails.fullName} ({guard.guardDetails.email}) ·{" "}
+                {placeName(guard)}
+                <button
+                  onClick={() => setReplayAssignment(guard)}
+                  className="ml-auto px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                >
+                  ⏪ Replay
+                </button>
                 <button
                   id={guard._id}
                   onClick={handleUnassignMent}
@@ -341,6 +743,41 @@ function Map() {
             ))}
           </ul>
         </div>
+
+        <div className="w-full max-w-md mb-8 rounded-lg shadow-lg overflow-hidden">
+          <h2 className="text-lg font-semibold mb-2 bg-amber-400">
+            ⏪ Past Shifts
+          </h2>
+          <label className="text-xs font-bold">
+            Started on :{" "}
+            <input
+              type="date"
+              value={pastDay}
+              onChange={(e) => setPastDay(e.target.value)}
+              className="h-8 p-2 border border-gray-300 rounded-lg mb-2"
+            />
+          </label>
+          {pastShifts.length === 0 && (
+            <p className="p-2 text-gray-400">No closed shifts on this day.</p>
+          )}
+          <ul className="*:flex *:justify-between *:items-center *:w-full">
+            {pastShifts.map((shift) => (
+              <li key={shift._id} className="p-2 border-b">
+                {shift.guardDetails.fullName} · {placeName(shift)} ·{" "}
+                {new Date(shift.from).toLocaleTimeString([], {
+                  timeStyle: "short",
+                })}{" "}
+                ({shift.status})
+                <button
+                  onClick={() => setReplayAssignment(shift)}
+                  className="ml-auto px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                >
+                  ⏪ Replay
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
       </div>
     </div>
   );
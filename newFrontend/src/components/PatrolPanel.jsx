@@ -0,0 +1,365 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import patrolservice from "../backend/patrol.config.js";
+import siteservice from "../backend/site.config.js";
+import errorTeller from "../backend/errorTeller";
+
+const emptyCheckpoint = {
+  name: "",
+  code: "",
+  latitude: "",
+  longitude: "",
+  radius: 30,
+};
+
+// Newest first, without duplicates from the socket
+const addFlag = (flags, visit) => [
+  visit,
+  ...flags.filter((v) => v._id !== visit._id),
+];
+
+// Swaps the item at `index` with its neighbour in `direction`
+const move = (list, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+function PatrolPanel({ darkMode }) {
+  const [flags, setFlags] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [postId, setPostId] = useState("");
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [form, setForm] = useState(emptyCheckpoint);
+  const [route, setRoute] = useState({
+    checkpoints: [],
+    intervalMinutes: 30,
+    toleranceMinutes: 5,
+  });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    patrolservice
+      .listVisits()
+      .then((res) => setFlags(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+    siteservice
+      .listSites()
+      .then((res) => setSites(res.data.data))
+      .catch(() => setSites([]));
+
+    return patrolservice.subscribeFlags((visit) =>
+      setFlags((prev) => addFlag(prev, visit))
+    );
+  }, []);
+
+  useEffect(() => {
+    if (!postId) return;
+    const post = sites
+      .flatMap((site) => site.posts)
+      .find((p) => p._id === postId);
+    setForm({
+      ...emptyCheckpoint,
+      latitude: post?.latitude ?? "",
+      longitude: post?.longitude ?? "",
+    });
+    patrolservice
+      .listCheckpoints(postId)
+      .then((res) => setCheckpoints(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+    patrolservice
+      .getRoute(postId)
+      .then((res) => {
+        const saved = res.data.data;
+        setRoute({
+          checkpoints: saved.checkpoints.map((c) => c._id),
+          intervalMinutes: saved.intervalMinutes,
+          toleranceMinutes: saved.toleranceMinutes,
+        });
+      })
+      .catch(() =>
+        setRoute({ checkpoints: [], intervalMinutes: 30, toleranceMinutes: 5 })
+      );
+  }, [postId, sites]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    try {
+      const res = await patrolservice.createCheckpoint({
+        ...form,
+        code: form.code || undefined,
+        post: postId,
+      });
+      setCheckpoints((prev) => [...prev, res.data.data]);
+      setForm((prev) => ({ ...prev, name: "", code: "" }));
+      setMessage(`Checkpoint created, tag code ${res.data.data.code}`);
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this checkpoint? It is also taken off the route.")) {
+      return;
+    }
+    try {
+      await patrolservice.deleteCheckpoint(id);
+      setCheckpoints((prev) => prev.filter((c) => c._id !== id));
+      setRoute((prev) => ({
+        ...prev,
+        checkpoints: prev.checkpoints.filter((c) => c !== id),
+      }));
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const toggleOnRoute = (id) => {
+    setRoute((prev) => ({
+      ...prev,
+      checkpoints: prev.checkpoints.includes(id)
+        ? prev.checkpoints.filter((c) => c !== id)
+        : [...prev.checkpoints, id],
+    }));
+  };
+
+  const handleSaveRoute = async () => {
+    setError("");
+    setMessage("");
+    try {
+      await patrolservice.saveRoute(postId, route);
+      setMessage("Patrol route saved");
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const nameOf = (id) => checkpoints.find((c) => c._id === id)?.name;
+
+  const panel = darkMode
+    ? "bg-[#023047] text-white border border-[#219EBC]"
+    : "bg-white";
+  const input = "p-2 rounded-lg border border-gray-300 text-black";
+
+  return (
+    <div
+      className={`p-8 min-h-screen transition-all duration-500 ${
+        darkMode ? "bg-slate-950 text-white" : "bg-blue-300 text-black"
+      }`}
+    >
+      <h2 className="text-3xl font-bold mb-6 text-center font-serif border-2  p-4 rounded-lg shadow-lg">
+        Patrols
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 text-green-700 border border-green-400 p-4 rounded-lg mb-6 text-center">
+          {message}
+        </div>
+      )}
+
+      <div className={`p-6 rounded-xl shadow-lg mb-6 ${panel}`}>
+        <h3 className="text-xl font-semibold mb-4">Flagged checkpoints</h3>
+        {flags.length === 0 ? (
+          <p>No missed or out-of-order checkpoints.</p>
+        ) : (
+          <ul>
+            {flags.map((visit) => (
+              <li key={visit._id} className="p-2 border-b">
+                <span
+                  className={`px-2 py-1 mr-2 rounded text-xs uppercase text-white ${
+                    visit.status === "missed" ? "bg-red-600" : "bg-orange-500"
+                  }`}
+                >
+                  {visit.status}
+                </span>
+                <b>{visit.guard?.fullName || "Unknown guard"}</b> ·{" "}
+                {visit.checkpoint?.name}
+                {visit.expectedCheckpoint &&
+                  ` instead of ${visit.expectedCheckpoint.name}`}{" "}
+                · {new Date(visit.scannedAt || visit.dueAt).toLocaleString()}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className={`p-6 rounded-xl shadow-lg flex flex-col gap-3 ${panel}`}>
+        <h3 className="text-xl font-semibold">Checkpoints and route</h3>
+        <select
+          value={postId}
+          onChange={(e) => setPostId(e.target.value)}
+          className={input}
+        >
+          <option value="">Choose a post</option>
+          {sites.map((site) => (
+            <optgroup key={site._id} label={site.name}>
+              {site.posts.map((post) => (
+                <option key={post._id} value={post._id}>
+                  {post.name}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+
+        {postId && (
+          <>
+            <ul>
+              {checkpoints.map((checkpoint) => (
+                <li
+                  key={checkpoint._id}
+                  className="p-2 border-b flex justify-between items-center gap-4"
+                >
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={route.checkpoints.includes(checkpoint._id)}
+                      onChange={() => toggleOnRoute(checkpoint._id)}
+                    />
+                    <b>{checkpoint.name}</b> · tag{" "}
+                    <code>{checkpoint.code}</code> · {checkpoint.radius} m
+                  </label>
+                  <button
+                    onClick={() => handleDelete(checkpoint._id)}
+                    className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <form onSubmit={handleCreate} className="flex gap-2 flex-wrap">
+              <input
+                required
+                name="name"
+                placeholder="Checkpoint name, e.g. Loading bay"
+                value={form.name}
+                onChange={handleChange}
+                className={input}
+              />
+              <input
+                name="code"
+                placeholder="Tag code (generated if empty)"
+                value={form.code}
+                onChange={handleChange}
+                className={input}
+              />
+              <input
+                required
+                name="latitude"
+                placeholder="Latitude"
+                value={form.latitude}
+                onChange={handleChange}
+                className={`${input} w-32`}
+              />
+              <input
+                required
+                name="longitude"
+                placeholder="Longitude"
+                value={form.longitude}
+                onChange={handleChange}
+                className={`${input} w-32`}
+              />
+              <input
+                type="number"
+                min={1}
+                name="radius"
+                value={form.radius}
+                onChange={handleChange}
+                className={`${input} w-24`}
+              />
+              <button
+                type="submit"
+                className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+              >
+                Add checkpoint
+              </button>
+            </form>
+
+            <h4 className="font-semibold mt-2">Tour order</h4>
+            <ol>
+              {route.checkpoints.map((id, i) => (
+                <li key={id} className="flex items-center gap-2">
+                  {i + 1}. {nameOf(id)}
+                  <button
+                    onClick={() =>
+                      setRoute((prev) => ({
+                        ...prev,
+                        checkpoints: move(prev.checkpoints, i, -1),
+                      }))
+                    }
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() =>
+                      setRoute((prev) => ({
+                        ...prev,
+                        checkpoints: move(prev.checkpoints, i, 1),
+                      }))
+                    }
+                  >
+                    ▼
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <div className="flex gap-4 items-center flex-wrap">
+              <label>Minutes between checkpoints</label>
+              <input
+                type="number"
+                min={1}
+                value={route.intervalMinutes}
+                onChange={(e) =>
+                  setRoute((prev) => ({
+                    ...prev,
+                    intervalMinutes: e.target.value,
+                  }))
+                }
+                className={`${input} w-24`}
+              />
+              <label>Tolerance</label>
+              <input
+                type="number"
+                min={0}
+                value={route.toleranceMinutes}
+                onChange={(e) =>
+                  setRoute((prev) => ({
+                    ...prev,
+                    toleranceMinutes: e.target.value,
+                  }))
+                }
+                className={`${input} w-24`}
+              />
+              <button
+                onClick={handleSaveRoute}
+                disabled={route.checkpoints.length === 0}
+                className="px-3 py-2 bg-[#219EBC] text-white rounded-lg disabled:opacity-60"
+              >
+                Save route
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PatrolPanel;
@@ -0,0 +1,231 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useRef, useState } from "react";
+import patrolservice from "../backend/patrol.config.js";
+import errorTeller from "../backend/errorTeller.js";
+import { currentPosition } from "../utils/geo.js";
+
+const STATUS_STYLES = {
+  "on-time": "text-green-500",
+  late: "text-amber-500",
+  "out-of-order": "text-orange-500",
+  missed: "text-red-500",
+};
+
+// Camera and NFC scanning depend on the browser; typing the code always works
+const canScanQr = "BarcodeDetector" in window;
+const canReadNfc = "NDEFReader" in window;
+
+// Reads the first QR code the camera sees, rendering into `video`
+const readQrCode = async (video, signal) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: "environment" },
+  });
+  try {
+    video.srcObject = stream;
+    await video.play();
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    while (!signal.aborted) {
+      const [code] = await detector.detect(video);
+      if (code) return code.rawValue;
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    }
+    return null;
+  } finally {
+    stream.getTracks().forEach((track) => track.stop());
+    video.srcObject = null;
+  }
+};
+
+// Resolves with the text record of the next NFC tag tapped
+const readNfcTag = (signal) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => resolve(null));
+    const reader = new window.NDEFReader();
+    reader.onreading = ({ message }) => {
+      const record = message.records.find((r) => r.recordType === "text");
+      if (record) resolve(new TextDecoder().decode(record.data));
+    };
+    reader.scan({ signal }).catch(reject);
+  });
+
+function PatrolScanner({ darkMode }) {
+  const [patrol, setPatrol] = useState(null);
+  const [code, setCode] = useState("");
+  const [scanning, setScanning] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const videoRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const fetchPatrol = () =>
+    patrolservice
+      .getMyPatrol()
+      .then((res) => setPatrol(res.data.data))
+      .catch(() => setPatrol(null));
+
+  useEffect(() => {
+    fetchPatrol();
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const submit = async (tagCode) => {
+    setError("");
+    setMessage("");
+    try {
+      const position = await currentPosition(
+        "Allow location access to scan checkpoints"
+      );
+      const res = await patrolservice.scan(tagCode, position);
+      const visit = res.data.data;
+      setMessage(
+        visit.status === "out-of-order"
+          ? `Scanned ${visit.checkpoint.name} out of order, go to ${visit.expectedCheckpoint.name}`
+          : `${visit.checkpoint.name} scanned (${visit.status})`
+      );
+      setCode("");
+      fetchPatrol();
+    } catch (err) {
+      setError(errorTeller(err) || err.message);
+    }
+  };
+
+  const startScan = async (kind) => {
+    setError("");
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setScanning(kind);
+    try {
+      const tagCode =
+        kind === "qr"
+          ? await readQrCode(videoRef.current, controller.signal)
+          : await readNfcTag(controller.signal);
+      if (tagCode) await submit(tagCode);
+    } catch (err) {
+      if (!controller.signal.aborted) setError(err.message);
+    } finally {
+      controller.abort();
+      setScanning("");
+    }
+  };
+
+  if (!patrol) return null;
+
+  const input = `flex-1 p-2 rounded-lg border ${
+    darkMode ? "bg-gray-700 text-white border-gray-600" : "border-gray-300"
+  }`;
+
+  return (
+    <div
+      className={`mt-8 p-6 rounded-lg shadow-md ${
+        darkMode ? "bg-gray-800" : "bg-white"
+      }`}
+    >
+      <h2 className="text-2xl font-semibold mb-2">Patrol</h2>
+      <p className="mb-4">
+        Next checkpoint: <b>{patrol.next.checkpoint.name}</b>, due{" "}
+        {new Date(patrol.next.dueAt).toLocaleTimeString()}
+      </p>
+      {error && <p className="text-red-500 mb-3">{error}</p>}
+      {message && <p className="text-green-500 mb-3">{message}</p>}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit(code);
+        }}
+        className="flex flex-wrap gap-2"
+      >
+        <input
+          required
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Tag code"
+          className={input}
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-[#219EBC] text-white rounded-lg"
+        >
+          Submit
+        </button>
+        {canScanQr && (
+          <button
+            type="button"
+            onClick={() => startScan("qr")}
+            disabled={!!scanning}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg disabled:opacity-60"
+          >
+            Scan QR
+          </button>
+        )}
+        {canReadNfc && (
+          <button
+            type="button"
+            onClick={() => startScan("nfc")}
+            disabled={!!scanning}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg disabled:opacity-60"
+          >
+            Tap NFC tag
+          </button>
+        )}
+        {scanning && (
+          <button
+            type="button"
+            onClick={() => abortRef.current?.abort()}
+            className="px-4 py-2 bg-gray-600 text-white rounded-lg"
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+      <video
+        ref={videoRef}
+        muted
+        playsInline
+        className={`mt-3 w-full max-w-sm rounded-lg ${
+          scanning === "qr" ? "" : "hidden"
+        }`}
+      />
+      {scanning === "nfc" && (
+        <p className="mt-3">Hold the phone against the tag...</p>
+      )}
+
+      <ol className="mt-4 space-y-1">
+        {patrol.route.checkpoints.map((checkpoint, i) => (
+          <li
+            key={checkpoint._id}
+            className={
+              checkpoint._id === patrol.next.checkpoint._id ? "font-bold" : ""
+            }
+          >
+            {i + 1}. {checkpoint.name}
+          </li>
+        ))}
+      </ol>
+
+      {patrol.visits.length > 0 && (
+        <>
+          <h3 className="text-xl font-semibold mt-6 mb-2">This shift</h3>
+          <ul className="space-y-1">
+            {patrol.visits.map((visit) => (
+              <li key={visit._id} className="flex justify-between">
+                <span>
+                  {visit.checkpoint.name} ·{" "}
+                  {new Date(
+                    visit.scannedAt || visit.dueAt
+                  ).toLocaleTimeString()}
+                </span>
+                <span className={`uppercase ${STATUS_STYLES[visit.status]}`}>
+                  {visit.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PatrolScanner;
@@ -12,6 +12,7 @@ function RegisterGuard() {
     email: "",
     password: "",
     avatar: null,
+    organization: "",
     residence: "",
     description: "",
     workHistory: [],
@@ -75,6 +76,7 @@ function RegisterGuard() {
       data.append("email", formData.email);
       data.append("password", formData.password);
       data.append("avatar", formData.avatar);
+      data.append("organization", formData.organization);
       data.append("residence", formData.residence);
       data.append("description", formData.description);
       data.append("age", formData.age);
@@ -83,7 +85,7 @@ function RegisterGuard() {
       const user = await authService.registerGuard(data);
       if (user) {
         alert("Account created successfully! You can now log in.");
-        navigate("/guard/login");
+        navigate("/login");
       }
     } catch (error) {
       setButtonData("Register");
@@ -98,7 +100,7 @@ function RegisterGuard() {
         <p className="mt-2 text-center text-base text-white/60">
           Already have an account?&nbsp;
           <Link
-            to="/guard/login"
+            to="/login"
             className="font-medium text-blue-400 transition-all duration-200 hover:underline"
           >
             Sign In
@@ -117,6 +119,14 @@ function RegisterGuard() {
             value={formData.userName}
           />
 
+          <Input
+            label="Agency code"
+            name="organization"
+            placeholder="Given by your agency, leave blank if none"
+            onChange={handleChange}
+            value={formData.organization}
+          />
+
           <Input
             required
             label="Full Name"
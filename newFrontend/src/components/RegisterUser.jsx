@@ -12,7 +12,7 @@ function RegisterUser() {
     email: "",
     password: "",
     avatar: null,
-    role: "user",
+    organization: "",
   });
 
   const [buttonData, setButtonData] = useState("Register");
@@ -40,13 +40,13 @@ function RegisterUser() {
       data.append("email", formData.email);
       data.append("password", formData.password);
       data.append("avatar", formData.avatar);
-      data.append("role", formData.role);
+      data.append("organization", formData.organization);
 
       const user = await authService.registerUser(data);
       console.log(user);
       if (user) {
         alert("Account created successfully! You can now log in.");
-        navigate("/user/login");
+        navigate("/login");
       }
     } catch (error) {
       setButtonData("Register");
@@ -63,7 +63,7 @@ function RegisterUser() {
         <p className="mt-2 text-center text-base text-white/60">
           Already have an account?&nbsp;
           <Link
-            to="/user/login"
+            to="/login"
             className="font-medium text-blue-400 transition-all duration-200 hover:underline"
           >
             Sign In
@@ -82,6 +82,14 @@ function RegisterUser() {
             value={formData.userName}
           />
 
+          <Input
+            label="Agency code"
+            name="organization"
+            placeholder="Given by your agency, leave blank if none"
+            onChange={handleChange}
+            value={formData.organization}
+          />
+
           <Input
             required
             label="Full Name"
@@ -120,19 +128,6 @@ function RegisterUser() {
             className="file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-500"
           />
 
-          <div>
-            <label className="block text-white mb-1">Role</label>
-            <select
-              name="role"
-              value={formData.role}
-              onChange={handleChange}
-              className="w-full p-2 border border-gray-300 rounded-xl bg-blue-700 text-white"
-            >
-              <option value="user">User</option>
-              <option value="admin">Admin</option>
-            </select>
-          </div>
-
           <button
             type="submit"
             className="w-full bg-blue-700 hover:bg-blue-500 text-white py-2 px-4 rounded-xl transition duration-200"
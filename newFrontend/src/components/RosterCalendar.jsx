@@ -0,0 +1,486 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import rosterservice from "../backend/roster.config.js";
+import guardService from "../backend/guard.config.js";
+import locationservice from "../backend/location.config.js";
+import siteservice from "../backend/site.config.js";
+import errorTeller from "../backend/errorTeller";
+import { GEOFENCE_RADIUS, placeName } from "../utils/geo.js";
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Calendar columns run Monday to Sunday
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const emptyForm = {
+  name: "",
+  guards: [],
+  rotation: "shift",
+  daysOfWeek: [1, 2, 3, 4, 5],
+  startTime: "22:00",
+  endTime: "06:00",
+  validFrom: "",
+  validUntil: "",
+  post: "",
+  place: "",
+  siteLabel: "",
+  latitude: "",
+  longitude: "",
+  radius: GEOFENCE_RADIUS,
+};
+
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+function RosterCalendar({ darkMode }) {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [shifts, setShifts] = useState([]);
+  const [rosters, setRosters] = useState([]);
+  const [guards, setGuards] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  // Other matches for the searched place, offered when the first is wrong
+  const [candidates, setCandidates] = useState([]);
+  // Bumped to refetch the visible week after shifts are generated
+  const [shiftsVersion, setShiftsVersion] = useState(0);
+
+  const weekEnd = addDays(weekStart, 7);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+  const fetchRosters = () => {
+    rosterservice
+      .listRosters()
+      .then((res) => setRosters(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+  };
+
+  useEffect(() => {
+    rosterservice
+      .listShifts(weekStart.toISOString(), addDays(weekStart, 7).toISOString())
+      .then((res) => setShifts(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+  }, [weekStart, shiftsVersion]);
+
+  useEffect(() => {
+    fetchRosters();
+    guardService
+      .ListGuard()
+      .then((res) => setGuards(res.data.data))
+      .catch(() => setGuards([]));
+    siteservice
+      .listSites()
+      .then((res) => setSites(res.data.data))
+      .catch(() => setSites([]));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleDay = (day) => {
+    setForm((prev) => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter((d) => d !== day)
+        : [...prev.daysOfWeek, day],
+    }));
+  };
+
+  const handleFindPlace = async () => {
+    try {
+      const res = await locationservice.getLocationCoordinates({
+        location: form.place,
+      });
+      const { latitude, longitude, candidates } = res.data.data;
+      setForm((prev) => ({ ...prev, latitude, longitude }));
+      setCandidates(candidates.length > 1 ? candidates : []);
+    } catch (err) {
+      setCandidates([]);
+      setError(errorTeller(err) || "Location not found");
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    try {
+      const data = { ...form };
+      delete data.place;
+      // A saved post brings its own zone
+      if (data.post) {
+        delete data.latitude;
+        delete data.longitude;
+        delete data.radius;
+        delete data.siteLabel;
+      } else {
+        delete data.post;
+      }
+      if (data.validUntil) {
+        data.validUntil = new Date(data.validUntil).toISOString();
+      } else {
+        delete data.validUntil;
+      }
+      await rosterservice.createRoster({
+        ...data,
+        validFrom: new Date(form.validFrom).toISOString(),
+        // Times are entered in the browser's time zone
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+      setForm(emptyForm);
+      setCandidates([]);
+      setMessage("Roster created");
+      fetchRosters();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleMaterialise = async (rosterId) => {
+    setError("");
+    try {
+      const res = await rosterservice.materialise(
+        rosterId,
+        weekStart.toISOString(),
+        weekEnd.toISOString()
+      );
+      setMessage(res.data.message);
+      setShiftsVersion((prev) => prev + 1);
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleDelete = async (rosterId) => {
+    if (!confirm("Delete this roster? Shifts already created are kept.")) {
+      return;
+    }
+    try {
+      await rosterservice.deleteRoster(rosterId);
+      fetchRosters();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const panel = darkMode
+    ? "bg-[#023047] text-white border border-[#219EBC]"
+    : "bg-white";
+  const input = "p-2 rounded-lg border border-gray-300 text-black";
+
+  return (
+    <div
+      className={`p-8 min-h-screen transition-all duration-500 ${
+        darkMode ? "bg-slate-950 text-white" : "bg-blue-300 text-black"
+      }`}
+    >
+      <h2 className="text-3xl font-bold mb-6 text-center font-serif border-2  p-4 rounded-lg shadow-lg">
+        Shift Rosters
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 text-green-700 border border-green-400 p-4 rounded-lg mb-6 text-center">
+          {message}
+        </div>
+      )}
+
+      <div className={`p-6 rounded-xl shadow-lg mb-6 ${panel}`}>
+        <div className="flex justify-between items-center mb-4">
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, -7))}
+            className="px-3 py-1 bg-[#219EBC] text-white rounded-md"
+          >
+            ◀ Previous
+          </button>
+          <h3 className="text-xl font-semibold">
+            {weekStart.toLocaleDateString()} –{" "}
+            {addDays(weekStart, 6).toLocaleDateString()}
+          </h3>
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, 7))}
+            className="px-3 py-1 bg-[#219EBC] text-white rounded-md"
+          >
+            Next ▶
+          </button>
+        </div>
+        <div className="grid grid-cols-7 gap-2">
+          {days.map((day) => (
+            <div key={day.toISOString()} className="min-h-40 border rounded-lg">
+              <div className="p-2 font-semibold bg-[#219EBC] text-white rounded-t-lg">
+                {DAY_NAMES[day.getDay()]} {day.getDate()}
+              </div>
+              {shifts
+                .filter(
+                  (shift) =>
+                    new Date(shift.from).toDateString() === day.toDateString()
+                )
+                .map((shift) => (
+                  <div
+                    key={shift._id}
+                    className={`m-1 p-1 rounded text-xs ${
+                      shift.roster
+                        ? "bg-amber-400 text-black"
+                        : "bg-gray-300 text-black"
+                    } ${shift.status === "cancelled" ? "line-through opacity-60" : ""}`}
+                  >
+                    <p className="font-semibold">
+                      {formatTime(shift.from)}–{formatTime(shift.to)}
+                    </p>
+                    <p>{shift.guard?.fullName || "Unassigned"}</p>
+                    <p>{placeName(shift)}</p>
+                    <p className="italic">{shift.roster?.name || "One-off"}</p>
+                    <p className="uppercase">{shift.status}</p>
+                  </div>
+                ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className={`p-6 rounded-xl shadow-lg mb-6 ${panel}`}>
+        <h3 className="text-xl font-semibold mb-4">Rosters</h3>
+        {rosters.length === 0 ? (
+          <p>No rosters yet.</p>
+        ) : (
+          <ul>
+            {rosters.map((roster) => (
+              <li
+                key={roster._id}
+                className="p-2 border-b flex justify-between items-center gap-4"
+              >
+                <span>
+                  <b>{roster.name}</b> ·{" "}
+                  {roster.daysOfWeek.map((d) => DAY_NAMES[d]).join(", ")} ·{" "}
+                  {roster.startTime}–{roster.endTime} · {placeName(roster)} ·{" "}
+                  {roster.guards.map((g) => g.fullName).join(" → ")}
+                </span>
+                <span className="flex gap-2">
+                  <button
+                    onClick={() => handleMaterialise(roster._id)}
+                    className="px-2 py-1 bg-green-600 text-white rounded-md hover:bg-green-700"
+                  >
+                    Generate this week
+                  </button>
+                  <button
+                    onClick={() => handleDelete(roster._id)}
+                    className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <form
+        onSubmit={handleCreate}
+        className={`p-6 rounded-xl shadow-lg flex flex-col gap-3 ${panel}`}
+      >
+        <h3 className="text-xl font-semibold">New roster</h3>
+        <input
+          required
+          name="name"
+          placeholder="Roster name, e.g. Gate 2 nights"
+          value={form.name}
+          onChange={handleChange}
+          className={input}
+        />
+        <label>Guards (in rotation order)</label>
+        <select
+          multiple
+          required
+          value={form.guards}
+          onChange={(e) =>
+            setForm((prev) => ({
+              ...prev,
+              guards: Array.from(e.target.selectedOptions, (o) => o.value),
+            }))
+          }
+          className={`${input} h-28`}
+        >
+          {guards.map((guard) => (
+            <option key={guard._id} value={guard._id}>
+              {guard.fullName}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-4 items-center">
+          <label>Rotate</label>
+          <select
+            name="rotation"
+            value={form.rotation}
+            onChange={handleChange}
+            className={input}
+          >
+            <option value="shift">every shift</option>
+            <option value="week">every week</option>
+          </select>
+        </div>
+        <div className="flex gap-3 flex-wrap">
+          {WEEK_ORDER.map((day) => (
+            <label key={day} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.daysOfWeek.includes(day)}
+                onChange={() => toggleDay(day)}
+              />
+              {DAY_NAMES[day]}
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-4 items-center flex-wrap">
+          <label>Start</label>
+          <input
+            type="time"
+            name="startTime"
+            value={form.startTime}
+            onChange={handleChange}
+            className={input}
+          />
+          <label>End</label>
+          <input
+            type="time"
+            name="endTime"
+            value={form.endTime}
+            onChange={handleChange}
+            className={input}
+          />
+        </div>
+        <div className="flex gap-4 items-center flex-wrap">
+          <label>Valid from</label>
+          <input
+            required
+            type="date"
+            name="validFrom"
+            value={form.validFrom}
+            onChange={handleChange}
+            className={input}
+          />
+          <label>until</label>
+          <input
+            type="date"
+            name="validUntil"
+            value={form.validUntil}
+            onChange={handleChange}
+            className={input}
+          />
+        </div>
+        <div className="flex gap-2 items-center flex-wrap">
+          <label>Post</label>
+          <select
+            name="post"
+            value={form.post}
+            onChange={handleChange}
+            className={input}
+          >
+            <option value="">Other place</option>
+            {sites.map((site) => (
+              <optgroup key={site._id} label={site.name}>
+                {site.posts.map((post) => (
+                  <option key={post._id} value={post._id}>
+                    {post.name}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        {!form.post && (
+          <div className="flex gap-2 items-center flex-wrap">
+            <input
+              name="place"
+              placeholder="Search post location"
+              value={form.place}
+              onChange={handleChange}
+              className={input}
+            />
+            <button
+              type="button"
+              onClick={handleFindPlace}
+              className="px-3 py-2 bg-[#219EBC] text-white rounded-lg"
+            >
+              Find
+            </button>
+            {candidates.length > 0 && (
+              <select
+                onChange={(e) => {
+                  const { latitude, longitude } = candidates[e.target.value];
+                  setForm((prev) => ({ ...prev, latitude, longitude }));
+                }}
+                className={`${input} max-w-xs`}
+              >
+                {candidates.map((candidate, i) => (
+                  <option key={i} value={i}>
+                    {candidate.displayName}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              required
+              name="latitude"
+              placeholder="Latitude"
+              value={form.latitude}
+              onChange={handleChange}
+              className={`${input} w-32`}
+            />
+            <input
+              required
+              name="longitude"
+              placeholder="Longitude"
+              value={form.longitude}
+              onChange={handleChange}
+              className={`${input} w-32`}
+            />
+            <input
+              name="siteLabel"
+              placeholder="Site name (optional)"
+              value={form.siteLabel}
+              onChange={handleChange}
+              className={input}
+            />
+            <label>Radius (m)</label>
+            <input
+              type="number"
+              min={1}
+              name="radius"
+              value={form.radius}
+              onChange={handleChange}
+              className={`${input} w-24`}
+            />
+          </div>
+        )}
+        <button
+          type="submit"
+          className="bg-green-600 text-white py-2 rounded-lg hover:bg-green-700"
+        >
+          Create roster
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default RosterCalendar;
@@ -0,0 +1,189 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useMemo, useState } from "react";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Popup,
+  Polyline,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import L from "leaflet";
+import livelocservice from "../backend/liveloc.config.js";
+import ZoneShape from "./ZoneShape.jsx";
+import { isInsideZone, placeName } from "../utils/geo.js";
+
+const guardIcon = new L.Icon({
+  iconUrl: "/policeman.png",
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+  popupAnchor: [0, -30],
+});
+
+// Number of slider steps between the start and end of the shift
+const TIMELINE_STEPS = 1000;
+// How long a full playback of the shift takes, in milliseconds
+const PLAYBACK_DURATION = 60000;
+const PLAYBACK_TICK = 100;
+
+// Splits the trail into runs that are entirely inside or outside the zone
+function buildSegments(samples, assignment) {
+  const isInside = (sample) =>
+    isInsideZone(assignment, sample.latitude, sample.longitude);
+
+  const segments = [];
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1];
+    const cur = samples[i];
+    const inside = isInside(prev) && isInside(cur);
+    const last = segments[segments.length - 1];
+    if (last && last.inside === inside) {
+      last.points.push([cur.latitude, cur.longitude]);
+    } else {
+      segments.push({
+        inside,
+        points: [
+          [prev.latitude, prev.longitude],
+          [cur.latitude, cur.longitude],
+        ],
+      });
+    }
+  }
+  return segments;
+}
+
+function ShiftReplay({ assignment, onClose }) {
+  const [samples, setSamples] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const fromTime = new Date(assignment.from).getTime();
+  const toTime = new Date(assignment.to).getTime();
+  const cursor = fromTime + ((toTime - fromTime) * step) / TIMELINE_STEPS;
+
+  useEffect(() => {
+    setLoading(true);
+    setError("");
+    livelocservice
+      .getHistory(assignment.guard, assignment.from, assignment.to)
+      .then((res) => setSamples(res.data.data.samples))
+      .catch(() => setError("Failed to fetch the guard's trail"))
+      .finally(() => setLoading(false));
+  }, [assignment.guard, assignment.from, assignment.to]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const interval = setInterval(() => {
+      setStep((prev) => {
+        const next =
+          prev + (TIMELINE_STEPS * PLAYBACK_TICK) / PLAYBACK_DURATION;
+        if (next >= TIMELINE_STEPS) {
+          setPlaying(false);
+          return TIMELINE_STEPS;
+        }
+        return next;
+      });
+    }, PLAYBACK_TICK);
+    return () => clearInterval(interval);
+  }, [playing]);
+
+  const visibleSamples = useMemo(
+    () =>
+      samples.filter(
+        (sample) => new Date(sample.recordedAt).getTime() <= cursor
+      ),
+    [samples, cursor]
+  );
+  const segments = useMemo(
+    () => buildSegments(visibleSamples, assignment),
+    [visibleSamples, assignment]
+  );
+  const current = visibleSamples[visibleSamples.length - 1];
+
+  return (
+    <div className="w-full flex flex-col gap-3">
+      <div className="flex justify-between items-center text-white">
+        <h2 className="text-lg font-semibold">
+          ⏪ Shift replay: {assignment.guardDetails?.fullName} at{" "}
+          {placeName(assignment)}
+        </h2>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+        >
+          ✖ Close
+        </button>
+      </div>
+      {loading && <p className="text-blue-600 font-semibold">⏳ Loading...</p>}
+      {error && <p className="text-red-500">{error}</p>}
+      {!loading && !error && samples.length === 0 && (
+        <p className="text-gray-400">No positions recorded for this shift.</p>
+      )}
+      <div className="w-full h-[500px] rounded-xl overflow-hidden shadow-lg brightness-90">
+        <MapContainer
+          center={[assignment.latitude, assignment.longitude]}
+          zoom={17}
+          className="h-full w-full"
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <ZoneShape
+            zone={assignment}
+            pathOptions={{ color: "blue", fillOpacity: 0.15 }}
+          />
+          {segments.map((segment, index) => (
+            <Polyline
+              key={index}
+              positions={segment.points}
+              pathOptions={{ color: segment.inside ? "green" : "red" }}
+            />
+          ))}
+          {current && (
+            <Marker
+              position={[current.latitude, current.longitude]}
+              icon={guardIcon}
+            >
+              <Popup>
+                🛡️ {assignment.guardDetails?.fullName}
+                <br />
+                🕒 {new Date(current.recordedAt).toLocaleString()}
+              </Popup>
+            </Marker>
+          )}
+        </MapContainer>
+      </div>
+      <div className="flex items-center gap-4 text-white text-sm">
+        <button
+          onClick={() => {
+            if (step >= TIMELINE_STEPS) setStep(0);
+            setPlaying(!playing);
+          }}
+          disabled={samples.length === 0}
+          className="px-3 py-1 bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {playing ? "⏸ Pause" : "▶ Play"}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={TIMELINE_STEPS}
+          value={step}
+          onChange={(e) => {
+            setPlaying(false);
+            setStep(Number(e.target.value));
+          }}
+          className="flex-1"
+        />
+        <span className="w-44 text-right">
+          {new Date(cursor).toLocaleString()}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default ShiftReplay;
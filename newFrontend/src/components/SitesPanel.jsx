@@ -0,0 +1,540 @@
+/* eslint-disable react/prop-types */
+import { useEffect, useState } from "react";
+import siteservice from "../backend/site.config.js";
+import clientservice from "../backend/client.config.js";
+import locationservice from "../backend/location.config.js";
+import errorTeller from "../backend/errorTeller";
+import { GEOFENCE_RADIUS } from "../utils/geo.js";
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Coverage is refreshed this often while the tab is open
+const REFRESH_INTERVAL = 60000;
+
+const emptySite = {
+  name: "",
+  client: "",
+  newClient: "",
+  address: "",
+  contactName: "",
+  contactPhone: "",
+  contactEmail: "",
+  roundTheClock: true,
+  daysOfWeek: [1, 2, 3, 4, 5],
+  open: "08:00",
+  close: "20:00",
+  instructions: "",
+};
+
+const emptyPost = {
+  name: "",
+  place: "",
+  latitude: "",
+  longitude: "",
+  radius: GEOFENCE_RADIUS,
+  instructions: "",
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString([], {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const isCovered = (post) => post.coverage.onDuty.length > 0;
+
+function PostCoverage({ post }) {
+  const { onDuty, next } = post.coverage;
+  if (!onDuty.length) {
+    return (
+      <span className="text-red-500 font-semibold">
+        Uncovered
+        {next &&
+          ` · next: ${next.guard?.fullName || "guard"} at ${formatTime(
+            next.from
+          )}`}
+      </span>
+    );
+  }
+  return (
+    <span className="text-green-500 font-semibold">
+      {onDuty
+        .map(
+          (shift) =>
+            `${shift.guard?.fullName || "Guard"}${
+              shift.status === "active" ? "" : " (not checked in)"
+            } until ${formatTime(shift.to)}`
+        )
+        .join(", ")}
+    </span>
+  );
+}
+
+function SitesPanel({ darkMode }) {
+  const [sites, setSites] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [siteId, setSiteId] = useState("");
+  const [siteForm, setSiteForm] = useState(emptySite);
+  const [postForm, setPostForm] = useState(emptyPost);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const fetchSites = () =>
+    siteservice
+      .listSites()
+      .then((res) => setSites(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+
+  const fetchClients = () =>
+    clientservice
+      .listClients()
+      .then((res) => setClients(res.data.data))
+      .catch((err) => setError(errorTeller(err)));
+
+  useEffect(() => {
+    fetchClients();
+  }, []);
+
+  useEffect(() => {
+    fetchSites();
+    const interval = setInterval(fetchSites, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const site = sites.find((s) => s._id === siteId);
+
+  const handleSiteChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setSiteForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const handlePostChange = (e) => {
+    const { name, value } = e.target;
+    setPostForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleDay = (day) => {
+    setSiteForm((prev) => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter((d) => d !== day)
+        : [...prev.daysOfWeek, day],
+    }));
+  };
+
+  const handleCreateSite = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    try {
+      // A client typed in under "New client" is created first
+      let client = siteForm.client;
+      if (client === "new") {
+        const created = await clientservice.createClient({
+          name: siteForm.newClient,
+        });
+        client = created.data.data._id;
+        fetchClients();
+      }
+      const res = await siteservice.createSite({
+        name: siteForm.name,
+        client,
+        address: siteForm.address,
+        contact: {
+          name: siteForm.contactName,
+          phone: siteForm.contactPhone,
+          email: siteForm.contactEmail,
+        },
+        operatingHours: siteForm.roundTheClock
+          ? undefined
+          : {
+              daysOfWeek: siteForm.daysOfWeek,
+              open: siteForm.open,
+              close: siteForm.close,
+            },
+        instructions: siteForm.instructions,
+      });
+      setSiteForm(emptySite);
+      setSiteId(res.data.data._id);
+      setMessage("Site created, add its posts below");
+      fetchSites();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleDeleteSite = async () => {
+    if (!confirm(`Delete ${site.name} with its posts and checkpoints?`)) {
+      return;
+    }
+    setError("");
+    try {
+      await siteservice.deleteSite(site._id);
+      setSiteId("");
+      fetchSites();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleFindPlace = async () => {
+    try {
+      const res = await locationservice.getLocationCoordinates({
+        location: postForm.place,
+      });
+      const { latitude, longitude } = res.data.data;
+      setPostForm((prev) => ({ ...prev, latitude, longitude }));
+    } catch (err) {
+      setError(errorTeller(err) || "Location not found");
+    }
+  };
+
+  const handleCreatePost = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    try {
+      const data = { ...postForm };
+      delete data.place;
+      await siteservice.createPost(site._id, data);
+      setPostForm(emptyPost);
+      setMessage("Post added");
+      fetchSites();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const handleDeletePost = async (post) => {
+    if (!confirm(`Delete ${post.name} with its checkpoints?`)) return;
+    setError("");
+    try {
+      await siteservice.deletePost(post._id);
+      fetchSites();
+    } catch (err) {
+      setError(errorTeller(err));
+    }
+  };
+
+  const panel = darkMode
+    ? "bg-[#023047] text-white border border-[#219EBC]"
+    : "bg-white";
+  const input = "p-2 rounded-lg border border-gray-300 text-black";
+
+  return (
+    <div
+      className={`p-8 min-h-screen transition-all duration-500 ${
+        darkMode ? "bg-slate-950 text-white" : "bg-blue-300 text-black"
+      }`}
+    >
+      <h2 className="text-3xl font-bold mb-6 text-center font-serif border-2  p-4 rounded-lg shadow-lg">
+        Sites
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 border border-red-400 p-4 rounded-lg mb-6 text-center">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 text-green-700 border border-green-400 p-4 rounded-lg mb-6 text-center">
+          {message}
+        </div>
+      )}
+
+      <div className={`p-6 rounded-xl shadow-lg mb-6 ${panel}`}>
+        {sites.length === 0 ? (
+          <p>No sites yet.</p>
+        ) : (
+          <ul>
+            {sites.map((entry) => (
+              <li
+                key={entry._id}
+                onClick={() => setSiteId(entry._id)}
+                className={`p-2 border-b flex justify-between items-center gap-4 cursor-pointer ${
+                  entry._id === siteId ? "bg-[#219EBC] text-white" : ""
+                }`}
+              >
+                <span>
+                  <b>{entry.name}</b>
+                  {entry.client && ` · ${entry.client.name}`}
+                  {entry.address && ` · ${entry.address}`}
+                </span>
+                <span
+                  className={entry.posts.every(isCovered) ? "" : "text-red-500"}
+                >
+                  {entry.posts.filter(isCovered).length}/{entry.posts.length}{" "}
+                  posts covered
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {site && (
+        <div className={`p-6 rounded-xl shadow-lg mb-6 ${panel}`}>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-xl font-semibold">{site.name}</h3>
+            <button
+              onClick={handleDeleteSite}
+              className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+            >
+              Delete site
+            </button>
+          </div>
+          {site.contact?.name && (
+            <p>
+              Contact: {site.contact.name}
+              {site.contact.phone && ` · ${site.contact.phone}`}
+              {site.contact.email && ` · ${site.contact.email}`}
+            </p>
+          )}
+          <p>
+            Open:{" "}
+            {site.operatingHours
+              ? `${site.operatingHours.daysOfWeek
+                  .map((d) => DAY_NAMES[d])
+                  .join(", ")} ${site.operatingHours.open}–${
+                  site.operatingHours.close
+                }`
+              : "round the clock"}
+          </p>
+          {site.instructions && (
+            <p className="mt-2 whitespace-pre-line italic">
+              {site.instructions}
+            </p>
+          )}
+
+          <h4 className="text-lg font-semibold mt-4 mb-2">Posts</h4>
+          {site.posts.length === 0 ? (
+            <p>No posts yet.</p>
+          ) : (
+            <ul>
+              {site.posts.map((post) => (
+                <li
+                  key={post._id}
+                  className="p-2 border-b flex justify-between items-center gap-4"
+                >
+                  <span>
+                    <b>{post.name}</b>
+                    {post.address && ` · ${post.address}`}
+                    <br />
+                    <PostCoverage post={post} />
+                  </span>
+                  <button
+                    onClick={() => handleDeletePost(post)}
+                    className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form
+            onSubmit={handleCreatePost}
+            className="flex flex-col gap-3 mt-4"
+          >
+            <h4 className="text-lg font-semibold">New post</h4>
+            <input
+              required
+              name="name"
+              placeholder="Post name, e.g. Main gate"
+              value={postForm.name}
+              onChange={handlePostChange}
+              className={input}
+            />
+            <div className="flex gap-2 items-center flex-wrap">
+              <input
+                name="place"
+                placeholder="Search post location"
+                value={postForm.place}
+                onChange={handlePostChange}
+                className={input}
+              />
+              <button
+                type="button"
+                onClick={handleFindPlace}
+                className="px-3 py-2 bg-[#219EBC] text-white rounded-lg"
+              >
+                Find
+              </button>
+              <input
+                required
+                name="latitude"
+                placeholder="Latitude"
+                value={postForm.latitude}
+                onChange={handlePostChange}
+                className={`${input} w-32`}
+              />
+              <input
+                required
+                name="longitude"
+                placeholder="Longitude"
+                value={postForm.longitude}
+                onChange={handlePostChange}
+                className={`${input} w-32`}
+              />
+              <label>Radius (m)</label>
+              <input
+                type="number"
+                min={1}
+                name="radius"
+                value={postForm.radius}
+                onChange={handlePostChange}
+                className={`${input} w-24`}
+              />
+            </div>
+            <textarea
+              name="instructions"
+              rows={2}
+              placeholder="Post orders (optional)"
+              value={postForm.instructions}
+              onChange={handlePostChange}
+              className={input}
+            />
+            <button
+              type="submit"
+              className="bg-green-600 text-white py-2 rounded-lg hover:bg-green-700"
+            >
+              Add post
+            </button>
+          </form>
+        </div>
+      )}
+
+      <form
+        onSubmit={handleCreateSite}
+        className={`p-6 rounded-xl shadow-lg flex flex-col gap-3 ${panel}`}
+      >
+        <h3 className="text-xl font-semibold">New site</h3>
+        <div className="flex gap-2 flex-wrap">
+          <input
+            required
+            name="name"
+            placeholder="Site name"
+            value={siteForm.name}
+            onChange={handleSiteChange}
+            className={input}
+          />
+          <select
+            name="client"
+            value={siteForm.client}
+            onChange={handleSiteChange}
+            className={input}
+          >
+            <option value="">No client</option>
+            {clients.map((client) => (
+              <option key={client._id} value={client._id}>
+                {client.name}
+              </option>
+            ))}
+            <option value="new">New client…</option>
+          </select>
+          {siteForm.client === "new" && (
+            <input
+              required
+              name="newClient"
+              placeholder="Client name"
+              value={siteForm.newClient}
+              onChange={handleSiteChange}
+              className={input}
+            />
+          )}
+          <input
+            name="address"
+            placeholder="Address"
+            value={siteForm.address}
+            onChange={handleSiteChange}
+            className={`${input} flex-1`}
+          />
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          <input
+            name="contactName"
+            placeholder="Contact name"
+            value={siteForm.contactName}
+            onChange={handleSiteChange}
+            className={input}
+          />
+          <input
+            name="contactPhone"
+            placeholder="Contact phone"
+            value={siteForm.contactPhone}
+            onChange={handleSiteChange}
+            className={input}
+          />
+          <input
+            type="email"
+            name="contactEmail"
+            placeholder="Contact email"
+            value={siteForm.contactEmail}
+            onChange={handleSiteChange}
+            className={input}
+          />
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            name="roundTheClock"
+            checked={siteForm.roundTheClock}
+            onChange={handleSiteChange}
+          />
+          Open round the clock
+        </label>
+        {!siteForm.roundTheClock && (
+          <div className="flex gap-3 flex-wrap items-center">
+            {WEEK_ORDER.map((day) => (
+              <label key={day} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={siteForm.daysOfWeek.includes(day)}
+                  onChange={() => toggleDay(day)}
+                />
+                {DAY_NAMES[day]}
+              </label>
+            ))}
+            <input
+              type="time"
+              name="open"
+              value={siteForm.open}
+              onChange={handleSiteChange}
+              className={input}
+            />
+            –
+            <input
+              type="time"
+              name="close"
+              value={siteForm.close}
+              onChange={handleSiteChange}
+              className={input}
+            />
+          </div>
+        )}
+        <textarea
+          name="instructions"
+          rows={3}
+          placeholder="Standing orders for every guard on the site"
+          value={siteForm.instructions}
+          onChange={handleSiteChange}
+          className={input}
+        />
+        <button
+          type="submit"
+          className="bg-green-600 text-white py-2 rounded-lg hover:bg-green-700"
+        >
+          Create site
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SitesPanel;
@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import alertservice from "../backend/alert.config.js";
+import errorTeller from "../backend/errorTeller.js";
+
+// Waits briefly for a fresh fix; the server falls back to the last streamed
+// position, so the SOS is sent even without one
+const quickPosition = () =>
+  new Promise((resolve) => {
+    if (!("geolocation" in navigator)) return resolve({});
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) =>
+        resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+      () => resolve({}),
+      { enableHighAccuracy: true, timeout: 3000, maximumAge: 10000 }
+    );
+  });
+
+function SosButton() {
+  const [alert, setAlert] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    alertservice
+      .getMyAlerts()
+      .then((res) =>
+        setAlert(res.data.data.find((a) => a.kind === "sos") || null)
+      )
+      .catch(() => setAlert(null));
+
+    // Watchdog alerts about this guard are for the control room only
+    return alertservice.subscribeAlerts((updated) => {
+      if (updated.kind !== "sos") return;
+      setAlert((prev) => {
+        // A guard can have several SOS in hand; only the latest is shown
+        if (
+          prev &&
+          prev._id !== updated._id &&
+          prev.createdAt > updated.createdAt
+        ) {
+          return prev;
+        }
+        return updated.status === "resolved" ? null : updated;
+      });
+    });
+  }, []);
+
+  const handleSos = async () => {
+    setError("");
+    setSending(true);
+    try {
+      const res = await alertservice.raiseSos(await quickPosition());
+      setAlert(res.data.data);
+    } catch (err) {
+      setError(
+        errorTeller(err) || "SOS could not be sent, call the control room"
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center my-6">
+      <button
+        onClick={handleSos}
+        disabled={sending}
+        className="w-40 h-40 rounded-full bg-red-600 text-white text-4xl font-bold shadow-2xl hover:bg-red-700 active:scale-95 disabled:opacity-70 animate-pulse"
+      >
+        {sending ? "..." : "SOS"}
+      </button>
+      {alert?.status === "open" && (
+        <p className="mt-3 font-semibold text-red-500">
+          🚨 SOS sent, waiting for the control room to respond
+        </p>
+      )}
+      {alert?.status === "acknowledged" && (
+        <p className="mt-3 font-semibold text-green-500">
+          ✅ {alert.acknowledgedBy?.fullName || "The control room"} is
+          responding
+        </p>
+      )}
+      {error && <p className="mt-3 font-semibold text-red-500">{error}</p>}
+    </div>
+  );
+}
+
+export default SosButton;
@@ -3,6 +3,11 @@ import { FiLogOut, FiSun, FiMoon } from "react-icons/fi";
 import { useNavigate } from "react-router";
 import guardService from "../backend/guard.config.js";
 import authservice from "../backend/auth.config.js";
+import errorTeller from "../backend/errorTeller.js";
+import ClientPortal from "./ClientPortal.jsx";
+
+const CATEGORIES = ["conduct", "absence", "negligence", "safety", "other"];
+const SEVERITIES = ["low", "medium", "high"];
 
 function UserDashboard() {
   const [guards, setGuards] = useState([]);
@@ -11,17 +16,25 @@ function UserDashboard() {
   const [feedback, setFeedback] = useState("");
   const [selectedGuard, setSelectedGuard] = useState(null);
   const [feedbackType, setFeedbackType] = useState(""); // "complaint" or "appreciation"
+  const [category, setCategory] = useState("conduct");
+  const [severity, setSeverity] = useState("medium");
+  const [attachments, setAttachments] = useState([]);
   const [darkMode, setDarkMode] = useState(true);
+  const [isClient, setIsClient] = useState(false);
 
   const navigate = useNavigate();
 
   useEffect(() => {
     async function fetchGuards() {
       try {
+        const user = await authservice.getCurrentUser();
+        setIsClient(user.role === "client");
+        // Clients only get the guards who have worked at their sites
         const res = await guardService.ListGuard();
         setGuards(res.data.data);
       } catch (err) {
-        setError("Failed to fetch guards");
+        if (err.response?.status === 404) setGuards([]);
+        else setError("Failed to fetch guards");
       } finally {
         setLoading(false);
       }
@@ -37,21 +50,27 @@ function UserDashboard() {
     if (!feedback.trim()) return alert("Message cannot be empty");
     try {
       if (feedbackType === "complaint") {
-        await guardService.lodgeComplaint(selectedGuard, feedback);
+        await guardService.lodgeComplaint(
+          selectedGuard,
+          feedback,
+          { category, severity },
+          attachments
+        );
       } else {
         await guardService.sendAppreciation(selectedGuard, feedback);
       }
       alert("Feedback submitted successfully");
       setFeedback("");
+      setAttachments([]);
       setSelectedGuard(null);
     } catch (error) {
-      alert("Failed to submit feedback");
+      alert(errorTeller(error) || "Failed to submit feedback");
     }
   };
 
   const handleLogout = async () => {
-    await authservice.logoutUser();
-    navigate("/user/login");
+    await authservice.logout();
+    navigate("/login");
   };
 
   if (loading) return <p>Loading guards...</p>;
@@ -65,7 +84,9 @@ function UserDashboard() {
     >
       {/* Header */}
       <div className="flex justify-between items-center mb-6 px-10">
-        <h2 className="text-3xl font-semibold">👮 Security Guards</h2>
+        <h2 className="text-3xl font-semibold">
+          {isClient ? "🏢 Client Portal" : "👮 Security Guards"}
+        </h2>
         <div className="flex items-center gap-4">
           <button
             onClick={() => setDarkMode(!darkMode)}
@@ -82,7 +103,14 @@ function UserDashboard() {
         </div>
       </div>
 
+      {isClient && <ClientPortal />}
+
       {/* Guard List */}
+      {isClient && (
+        <h3 className="text-2xl font-semibold mb-4">
+          👮 Guards who have worked at your sites
+        </h3>
+      )}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {guards.map((guard) => (
           <div
@@ -126,12 +154,50 @@ function UserDashboard() {
                 ? "Lodge a Complaint"
                 : "Submit an Appreciation"}
             </h3>
+            {feedbackType === "complaint" && (
+              <div className="flex gap-2 mb-2">
+                <select
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  className="flex-1 p-2 border rounded dark:bg-gray-700 dark:text-white"
+                >
+                  {CATEGORIES.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={severity}
+                  onChange={(e) => setSeverity(e.target.value)}
+                  className="flex-1 p-2 border rounded dark:bg-gray-700 dark:text-white"
+                >
+                  {SEVERITIES.map((option) => (
+                    <option key={option} value={option}>
+                      {option} severity
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <textarea
               className="w-full p-2 border rounded dark:bg-gray-700 dark:text-white"
               placeholder={`Enter your ${feedbackType} here...`}
               value={feedback}
               onChange={(e) => setFeedback(e.target.value)}
             />
+            {feedbackType === "complaint" && (
+              <label className="block mt-2 text-sm">
+                Evidence (photos, video or audio, up to 5)
+                <input
+                  type="file"
+                  multiple
+                  accept="image/*,video/*,audio/*"
+                  onChange={(e) => setAttachments(Array.from(e.target.files))}
+                  className="block w-full mt-1 text-sm"
+                />
+              </label>
+            )}
             <div className="flex justify-between mt-4">
               <button
                 onClick={handleFeedbackSubmit}
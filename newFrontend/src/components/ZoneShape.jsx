@@ -0,0 +1,25 @@
+/* eslint-disable react/prop-types */
+import { Circle, Polygon } from "react-leaflet";
+import { GEOFENCE_RADIUS, perimeterPolygons } from "../utils/geo.js";
+
+// Draws an assignment's zone: its perimeter polygons, or the circle
+function ZoneShape({ zone, pathOptions }) {
+  if (zone.perimeter?.coordinates?.length) {
+    return perimeterPolygons(zone.perimeter).map((rings, index) => (
+      <Polygon
+        key={index}
+        positions={rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]))}
+        pathOptions={pathOptions}
+      />
+    ));
+  }
+  return (
+    <Circle
+      center={[zone.latitude, zone.longitude]}
+      radius={zone.radius ?? GEOFENCE_RADIUS}
+      pathOptions={pathOptions}
+    />
+  );
+}
+
+export default ZoneShape;
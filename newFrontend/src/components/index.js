@@ -1,7 +1,6 @@
 import RegisterUser from "./RegisterUser.jsx";
 import RegisterGuard from "./RegisterGuard.jsx";
-import LoginUser from "./LoginUser.jsx";
-import LoginGuard from "./LoginGuard.jsx";
+import Login from "./Login.jsx";
 import UserDashboard from "./UserDashboard.jsx";
 import GuardDashboard from "./GuardDashboard.jsx";
 import AdminDashboard from "./AdminDashboard.jsx";
@@ -11,8 +10,7 @@ import Complains from "./Complains.jsx";
 export {
   RegisterUser,
   RegisterGuard,
-  LoginUser,
-  LoginGuard,
+  Login,
   GuardDashboard,
   AdminDashboard,
   Map,
@@ -1,4 +1,5 @@
 const conf = {
-  serverUrl: "http://localhost:8011/api/v1"
+  serverUrl: "http://localhost:8011/api/v1",
+  socketUrl: "http://localhost:8011",
 };
 export default conf;
@@ -8,8 +8,7 @@ import store from "./store/store.js";
 import {
   RegisterUser,
   RegisterGuard,
-  LoginUser,
-  LoginGuard,
+  Login,
   Map,
   GuardDashboard,
   AdminDashboard,
@@ -33,17 +32,13 @@ const router = createBrowserRouter([
         element: <RegisterGuard />,
       },
       {
-        path: "/user/login",
-        element: <LoginUser />,
+        path: "/login",
+        element: <Login />,
       },
       {
         path: "/user/u/:username",
         element: <UserDashboard />,
       },
-      {
-        path: "/guard/login",
-        element: <LoginGuard />,
-      },
       {
         path: "/guard/g/:username",
         element: <GuardDashboard />,
@@ -0,0 +1,70 @@
+// Radius of the circular zone drawn around an assigned post, in metres
+export const GEOFENCE_RADIUS = 65;
+
+// What to call an assigned post: its label, its address, or its coordinates
+export const placeName = (zone) =>
+  zone.siteLabel ||
+  zone.address ||
+  `${Number(zone.latitude).toFixed(5)}, ${Number(zone.longitude).toFixed(5)}`;
+
+// Haversine distance between two points in metres
+export const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// GeoJSON positions are [longitude, latitude]
+const isPointInRing = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Polygons of a perimeter, each as a list of rings (outer boundary first)
+export const perimeterPolygons = (perimeter) =>
+  perimeter.type === "MultiPolygon"
+    ? perimeter.coordinates
+    : [perimeter.coordinates];
+
+// Same rules as the server: a perimeter wins over the circle when present
+export const isInsideZone = (zone, lat, lng) => {
+  if (!zone.perimeter?.coordinates?.length) {
+    return (
+      distanceInMeters(lat, lng, zone.latitude, zone.longitude) <=
+      (zone.radius ?? GEOFENCE_RADIUS)
+    );
+  }
+  return perimeterPolygons(zone.perimeter).some(
+    (rings) =>
+      isPointInRing(lat, lng, rings[0]) &&
+      !rings.slice(1).some((hole) => isPointInRing(lat, lng, hole))
+  );
+};
+
+// A fresh GPS fix, rejecting with `deniedMessage` when access is refused
+export const currentPosition = (deniedMessage) =>
+  new Promise((resolve, reject) => {
+    if (!("geolocation" in navigator)) {
+      reject(new Error("Location is not available on this device"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve(position.coords),
+      () => reject(new Error(deniedMessage)),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+    );
+  });
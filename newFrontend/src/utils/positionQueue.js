@@ -0,0 +1,84 @@
+// Positions waiting to be uploaded, kept in IndexedDB so they survive a
+// reload or the browser killing the tab while the guard has no signal.
+// Falls back to memory where IndexedDB is unavailable.
+
+const DB_NAME = "guard-positions";
+const STORE = "queue";
+
+let dbPromise = null;
+const memory = [];
+let memoryKey = 0;
+
+const openDb = () => {
+  if (!("indexedDB" in window)) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE, { autoIncrement: true });
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing can refuse IndexedDB; memory still works
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `work` against the store and resolves with its request's result
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// position: { latitude, longitude, recordedAt }
+export const enqueuePosition = async (position) => {
+  const db = await openDb();
+  if (!db) {
+    memory.push({ key: ++memoryKey, position });
+    return;
+  }
+  await withStore("readwrite", (store) => store.add(position));
+};
+
+// The oldest `limit` positions as { key, position }
+export const peekPositions = async (limit) => {
+  const db = await openDb();
+  if (!db) return memory.slice(0, limit);
+
+  const entries = [];
+  await withStore("readonly", (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || entries.length >= limit) return;
+      entries.push({ key: cursor.key, position: cursor.value });
+      cursor.continue();
+    };
+    return request;
+  });
+  return entries;
+};
+
+export const removePositions = async (keys) => {
+  const db = await openDb();
+  if (!db) {
+    const drop = new Set(keys);
+    memory.splice(0, memory.length, ...memory.filter((e) => !drop.has(e.key)));
+    return;
+  }
+  await withStore("readwrite", (store) => {
+    keys.forEach((key) => store.delete(key));
+  });
+};
+
+export const countPositions = async () => {
+  const db = await openDb();
+  if (!db) return memory.length;
+  return withStore("readonly", (store) => store.count());
+};